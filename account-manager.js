@@ -0,0 +1,96 @@
+/**
+ * Several Tradiecore accounts in one process
+ *
+ * Runs one LeadDetector per account (see config.resolveAccounts). With more
+ * than one account they share a single Chromium, each in its own incognito
+ * browser context, and one control API. Each account keeps its own
+ * credentials, cookie file, lead store, outbox, poll schedule and webhook
+ * destinations, and its ID is on every payload and log line.
+ */
+
+const puppeteer = require('puppeteer');
+const { LeadDetector, BROWSER_LAUNCH_OPTIONS } = require('./lead-detector');
+const { startControlServer } = require('./control-server');
+const { createLogger } = require('./logger');
+const { mergeConfig, resolveAccounts } = require('./config');
+
+class AccountManager {
+  /**
+   * @param {Object} config - Full config, with or without `accounts`
+   * @param {Object} options
+   * @param {Function} options.launchBrowser - Launches the shared browser
+   */
+  constructor(config, options = {}) {
+    this.config = config;
+    this.logger = createLogger(config.logging);
+    this.logger.addSecret(config.controlServer && config.controlServer.token);
+    this.multiAccount = Array.isArray(config.accounts) && config.accounts.length > 0;
+    this.launchBrowser = options.launchBrowser || (() => puppeteer.launch(BROWSER_LAUNCH_OPTIONS));
+    this.browser = null;
+    this.controlServer = null;
+
+    // The control API is served here for all accounts
+    this.detectors = resolveAccounts(config).map(accountConfig =>
+      new LeadDetector(mergeConfig(accountConfig, { controlServer: { enabled: false } }))
+    );
+  }
+
+  /**
+   * Get the detector for an account
+   */
+  getDetector(accountId) {
+    return this.detectors.find(detector => detector.accountId === accountId) || null;
+  }
+
+  /**
+   * Start the control API and every account
+   *
+   * An account that fails to start is logged and left stopped; the others
+   * keep running. Returns false only if no account started.
+   */
+  async initialize() {
+    const controlServer = this.config.controlServer;
+
+    if (controlServer && controlServer.enabled) {
+      this.controlServer = await startControlServer(
+        this.multiAccount ? this.detectors : this.detectors[0],
+        { ...controlServer, logger: this.logger }
+      );
+    }
+
+    // A single account launches its own browser as before, and so do
+    // accounts that close it after login
+    if (this.multiAccount && !this.detectors.every(detector => detector.isBrowserless())) {
+      this.browser = await this.launchBrowser();
+      this.detectors.forEach(detector => { detector.sharedBrowser = this.browser; });
+      this.logger.info('Shared browser launched', { accounts: this.detectors.map(detector => detector.accountId) });
+    }
+
+    const results = await Promise.all(this.detectors.map(detector => detector.initialize()));
+    const failed = this.detectors.filter((detector, i) => !results[i]);
+
+    if (this.multiAccount && failed.length > 0) {
+      this.logger.error('Some accounts failed to start', { accounts: failed.map(detector => detector.accountId) });
+    }
+
+    return failed.length < this.detectors.length;
+  }
+
+  /**
+   * Stop every account, the control API and the shared browser
+   */
+  async stop() {
+    await Promise.all(this.detectors.map(detector => detector.stop()));
+
+    if (this.controlServer) {
+      this.controlServer.close();
+      this.controlServer = null;
+    }
+    if (this.browser) {
+      await this.browser.close();
+      this.browser = null;
+    }
+  }
+}
+
+module.exports = { AccountManager };
@@ -0,0 +1,168 @@
+/**
+ * Chat notification formats
+ *
+ * Builds ready-to-post messages for Slack incoming webhooks (Block Kit),
+ * Discord webhooks (embeds) and Microsoft Teams incoming webhooks
+ * (MessageCard), so a destination can post straight into a channel without
+ * a workflow engine in between.
+ */
+
+const { getLeadFields } = require('./lead-filter');
+const { isLifecycleEvent } = require('./lead-lifecycle');
+
+const CHAT_TYPES = ['slack', 'discord', 'teams'];
+
+// Discord allows 10 embeds per message; keep Slack and Teams messages short too
+const LEADS_PER_MESSAGE = 10;
+
+const THEME_COLOR = 0x1a73e8;
+
+/**
+ * Describe a lead for a chat message
+ */
+function describeLead(lead, getLeadUrl) {
+  const fields = getLeadFields(lead);
+  const description = typeof lead.description === 'string' ? lead.description.trim() : '';
+
+  return {
+    name: fields.name || 'New lead',
+    jobType: fields.jobType || 'Unknown job type',
+    suburb: [fields.suburb, fields.postcode].filter(Boolean).join(' ') || 'Unknown location',
+    description: description.length > 200 ? `${description.substring(0, 197)}...` : description,
+    url: getLeadUrl(lead)
+  };
+}
+
+// "Detected via polling", plus the account when several share a process
+function formatSource(data) {
+  return `Detected via ${data.method}${data.accountId ? ` for ${data.accountId}` : ''}`;
+}
+
+// "2 new Hipages leads", or for a lifecycle event "Hipages lead removed"
+function formatHeadline(count, event) {
+  if (!isLifecycleEvent(event)) {
+    return count === 1 ? 'New Hipages lead' : `${count} new Hipages leads`;
+  }
+
+  const change = event === 'lead_status_changed' ? 'changed status' : event.slice('lead_'.length).replace(/_/g, ' ');
+  return count === 1 ? `Hipages lead ${change}` : `${count} Hipages leads ${change}`;
+}
+
+// Slack mrkdwn only needs these three escaped
+function escapeSlack(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function formatSlackMessage(leads, data) {
+  const blocks = [
+    { type: 'header', text: { type: 'plain_text', text: formatHeadline(leads.length, data.event) } }
+  ];
+
+  for (const lead of leads) {
+    const lines = [
+      `*<${lead.url}|${escapeSlack(lead.name)}>*`,
+      `${escapeSlack(lead.jobType)} · ${escapeSlack(lead.suburb)}`
+    ];
+    if (lead.description) lines.push(escapeSlack(lead.description));
+
+    blocks.push({
+      type: 'section',
+      text: { type: 'mrkdwn', text: lines.join('\n') },
+      accessory: {
+        type: 'button',
+        text: { type: 'plain_text', text: 'Open lead' },
+        url: lead.url
+      }
+    });
+  }
+
+  blocks.push({
+    type: 'context',
+    elements: [{ type: 'mrkdwn', text: `${formatSource(data)} at ${data.timestamp}` }]
+  });
+
+  return {
+    // Shown in notifications and by clients without Block Kit
+    text: leads.map(lead => `${lead.jobType} in ${lead.suburb}: ${lead.name}`).join('\n'),
+    blocks
+  };
+}
+
+function formatDiscordMessage(leads, data) {
+  return {
+    content: formatHeadline(leads.length, data.event),
+    embeds: leads.map(lead => ({
+      title: lead.name.substring(0, 256),
+      url: lead.url,
+      description: lead.description || undefined,
+      color: THEME_COLOR,
+      fields: [
+        { name: 'Job type', value: lead.jobType.substring(0, 1024), inline: true },
+        { name: 'Suburb', value: lead.suburb.substring(0, 1024), inline: true }
+      ],
+      footer: { text: formatSource(data) },
+      timestamp: data.timestamp
+    }))
+  };
+}
+
+function formatTeamsMessage(leads, data) {
+  return {
+    '@type': 'MessageCard',
+    '@context': 'https://schema.org/extensions',
+    summary: formatHeadline(leads.length, data.event),
+    themeColor: THEME_COLOR.toString(16).padStart(6, '0'),
+    title: formatHeadline(leads.length, data.event),
+    sections: leads.map(lead => ({
+      activityTitle: lead.name,
+      activitySubtitle: `${lead.jobType} · ${lead.suburb}`,
+      text: lead.description || undefined,
+      facts: [
+        { name: 'Job type', value: lead.jobType },
+        { name: 'Suburb', value: lead.suburb },
+        { name: 'Detected via', value: data.method },
+        ...(data.accountId ? [{ name: 'Account', value: data.accountId }] : [])
+      ],
+      potentialAction: [{
+        '@type': 'OpenUri',
+        name: 'Open lead',
+        targets: [{ os: 'default', uri: lead.url }]
+      }]
+    }))
+  };
+}
+
+const FORMATTERS = {
+  slack: formatSlackMessage,
+  discord: formatDiscordMessage,
+  teams: formatTeamsMessage
+};
+
+/**
+ * Build the chat messages for one notification
+ *
+ * Returns an array of request bodies; large batches are split over several
+ * messages.
+ *
+ * @param {string} type - "slack", "discord" or "teams"
+ * @param {Object} data - Detector payload ({ event, method, leads, timestamp, accountId })
+ * @param {Function} getLeadUrl - Returns the Tradiecore link for a lead
+ */
+function buildChatMessages(type, data, getLeadUrl) {
+  const format = FORMATTERS[type];
+
+  if (!format) {
+    throw new Error(`Unknown chat notification type: ${type}`);
+  }
+
+  const leads = (data.leads || []).map(lead => describeLead(lead, getLeadUrl));
+  const messages = [];
+
+  for (let i = 0; i < leads.length; i += LEADS_PER_MESSAGE) {
+    messages.push(format(leads.slice(i, i + LEADS_PER_MESSAGE), data));
+  }
+
+  return messages;
+}
+
+module.exports = { CHAT_TYPES, describeLead, formatSource, formatHeadline, escapeSlack, buildChatMessages };
@@ -0,0 +1,414 @@
+/**
+ * Command-line interface
+ *
+ *   node lead-detector.js [command] [args] [--config <file>] [--account <id>] [--<key>=<value>...]
+ *
+ * One-off commands log to stderr and print their result to stdout, and exit
+ * with 0 on success and 1 on failure. They use the saved session and talk to
+ * destinations directly rather than through the outbox. With several
+ * accounts configured they work on the one named by --account.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { LeadDetector } = require('./lead-detector');
+const { AccountManager } = require('./account-manager');
+const { WebhookOutbox } = require('./webhook-outbox');
+const { PushChannelRecorder } = require('./push-channels');
+const { createLogger } = require('./logger');
+const { loadConfig, mergeConfig, resolveAccounts, formatConfig, ConfigError } = require('./config');
+
+const SAMPLE_LEAD = {
+  id: 'test-lead',
+  name: 'Test Customer',
+  jobType: 'Plumbing',
+  suburb: 'Parramatta',
+  postcode: '2150',
+  description: 'Sample lead sent by the test-webhook command'
+};
+
+const COMMANDS = {
+  run: {
+    usage: 'run',
+    description: 'Start the detector (default)',
+    handler: runDetector
+  },
+  login: {
+    usage: 'login',
+    description: 'Log in once and save the session cookies',
+    handler: login
+  },
+  'check-session': {
+    usage: 'check-session',
+    description: 'Check the saved session; exits with 1 if it is missing or expired',
+    handler: checkSession
+  },
+  'poll-once': {
+    usage: 'poll-once',
+    description: 'Fetch leads.data with the saved session and print the leads',
+    handler: pollOnce
+  },
+  'test-webhook': {
+    usage: 'test-webhook [destination]',
+    description: 'Send a sample lead to every destination, or to one',
+    handler: testWebhook
+  },
+  replay: {
+    usage: 'replay <lead-id>',
+    description: 'Re-send a lead from the lead store',
+    handler: replay
+  },
+  'discover-channels': {
+    usage: 'discover-channels [seconds]',
+    description: 'Record the WebSocket and SSE channels of the leads page (default 120s) to the data directory',
+    handler: discoverChannels
+  },
+  redrive: {
+    usage: 'redrive',
+    description: 'Move dead-lettered deliveries back into the outbox',
+    handler: redrive
+  },
+  help: {
+    usage: 'help',
+    description: 'Show this help',
+    handler: help
+  }
+};
+
+function formatUsage() {
+  const width = Math.max(...Object.values(COMMANDS).map(command => command.usage.length));
+  return [
+    'Usage: node lead-detector.js [command] [--config <file>] [--account <id>] [--print-config] [--<key>=<value>...]',
+    '',
+    'Commands:',
+    ...Object.values(COMMANDS).map(command => `  ${command.usage.padEnd(width)}  ${command.description}`),
+    ''
+  ].join('\n');
+}
+
+/**
+ * Create a detector for a one-off command: no control server or outbox, and
+ * logs on stderr so stdout only has the command's output
+ */
+function createCommandDetector(config) {
+  return new LeadDetector(mergeConfig(config, {
+    controlServer: { enabled: false },
+    outbox: { enabled: false },
+    logging: { stdout: process.stderr }
+  }));
+}
+
+/**
+ * Pick the account config a one-off command works on
+ *
+ * @throws {ConfigError} If there are several accounts and none or an unknown one is named
+ */
+function selectAccountConfig(config, accountId) {
+  const accountConfigs = resolveAccounts(config);
+
+  if (!accountId && accountConfigs.length === 1) {
+    return accountConfigs[0];
+  }
+
+  const ids = accountConfigs.map(accountConfig => accountConfig.account && accountConfig.account.id).filter(Boolean);
+  const selected = accountConfigs.find(accountConfig => accountConfig.account && accountConfig.account.id === accountId);
+
+  if (!selected) {
+    throw new ConfigError([ids.length === 0
+      ? '--account needs accounts in the config'
+      : `${accountId ? `Unknown account ${accountId}` : 'Several accounts are configured'}; choose one with --account <${ids.join('|')}>`]);
+  }
+
+  return selected;
+}
+
+/**
+ * Start the detector for every account and keep running until SIGINT or SIGTERM
+ */
+async function runDetector({ config, configFile }) {
+  const manager = new AccountManager(config);
+  // Secrets are masked by the logger
+  manager.logger.info('Configuration loaded', { configFile, config });
+
+  const shutdown = async (signal) => {
+    manager.logger.info(`Received ${signal}, shutting down`);
+    await manager.stop();
+    process.exit(0);
+  };
+
+  // Handle process termination
+  process.on('SIGINT', () => shutdown('SIGINT'));
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+  // Initialize and start the detectors
+  const success = await manager.initialize();
+
+  if (!success) {
+    manager.logger.error('Failed to initialize lead detector');
+    await manager.stop();
+    return 1;
+  }
+
+  return null;
+}
+
+async function login({ detector, stdout }) {
+  try {
+    await detector.launchBrowser();
+    const success = await detector.login();
+
+    if (!success) {
+      stdout.write('Login failed\n');
+      return 1;
+    }
+
+    stdout.write(detector.config.cookieStorage.enabled
+      ? `Logged in; session saved to ${detector.cookieStoragePath}\n`
+      : 'Logged in; cookie storage is disabled, so the session was not saved\n');
+    return 0;
+  } finally {
+    await detector.cleanup();
+  }
+}
+
+async function checkSession({ detector, stdout }) {
+  try {
+    await detector.launchBrowser();
+
+    if (await detector.restoreSession()) {
+      const expiresAt = detector.getSessionExpiry();
+      stdout.write(expiresAt
+        ? `Session is valid; auth cookies expire at ${new Date(expiresAt).toISOString()}\n`
+        : 'Session is valid\n');
+      return 0;
+    }
+
+    stdout.write(detector.cookies
+      ? 'Session has expired; run the login command\n'
+      : 'No saved session; run the login command\n');
+    return 1;
+  } finally {
+    await detector.cleanup();
+  }
+}
+
+async function pollOnce({ detector, stdout }) {
+  if (!(await detector.loadSavedCookies())) {
+    stdout.write('No saved session; run the login command\n');
+    return 1;
+  }
+
+  const leadsData = await detector.fetchLeadsData();
+
+  if (!leadsData) {
+    stdout.write('Session has expired; run the login command\n');
+    return 1;
+  }
+
+  const leadsArray = detector.parseLeadsData(leadsData);
+
+  if (!Array.isArray(leadsArray)) {
+    stdout.write('No lead list found in the leads.data response\n');
+    return 1;
+  }
+
+  const leads = detector.extractLeadObjects(leadsArray);
+  stdout.write(`${JSON.stringify({ count: leads.length, leads }, null, 2)}\n`);
+  return 0;
+}
+
+async function testWebhook({ detector, args, stdout }) {
+  const destinations = detector.getWebhookDestinations()
+    .filter(destination => !args[0] || destination.name === args[0]);
+
+  if (destinations.length === 0) {
+    stdout.write(`No destination named ${args[0]}\n`);
+    return 1;
+  }
+
+  const data = {
+    event: 'test',
+    method: 'test_webhook',
+    leads: [SAMPLE_LEAD],
+    timestamp: new Date().toISOString()
+  };
+  let failures = 0;
+
+  // Filters are ignored so every destination gets the sample
+  for (const destination of destinations) {
+    for (const payload of detector.buildPayloads(destination, data)) {
+      try {
+        const statusCode = await detector.deliverToDestination(payload, crypto.randomUUID(), destination);
+        const ok = statusCode >= 200 && statusCode < 300;
+        if (!ok) failures++;
+        stdout.write(`${destination.name}: ${ok ? 'OK' : 'FAILED'} (${statusCode})\n`);
+      } catch (error) {
+        failures++;
+        stdout.write(`${destination.name}: FAILED (${error.message})\n`);
+      }
+    }
+  }
+
+  return failures > 0 ? 1 : 0;
+}
+
+async function replay({ detector, args, stdout }) {
+  const leadId = args[0];
+
+  if (!leadId) {
+    stdout.write('Usage: replay <lead-id>\n');
+    return 1;
+  }
+
+  if (!detector.leadStore) {
+    stdout.write('The lead store is disabled\n');
+    return 1;
+  }
+
+  const record = detector.leadStore.load().get(leadId);
+
+  if (!record) {
+    stdout.write(`Lead ${leadId} is not in the lead store\n`);
+    return 1;
+  }
+
+  const sent = await detector.sendWebhookNotification({
+    event: 'new_leads_detected',
+    method: 'replay',
+    leads: [record.lead],
+    timestamp: new Date().toISOString()
+  });
+
+  stdout.write(sent ? `Lead ${leadId} re-sent\n` : `Lead ${leadId} could not be sent to every destination\n`);
+  return sent ? 0 : 1;
+}
+
+async function discoverChannels({ detector, args, stdout }) {
+  const seconds = args[0] === undefined ? 120 : Number(args[0]);
+
+  if (!Number.isFinite(seconds) || seconds < 0) {
+    stdout.write('Usage: discover-channels [seconds]\n');
+    return 1;
+  }
+
+  try {
+    await detector.launchBrowser();
+
+    if (!(await detector.restoreSession())) {
+      stdout.write('No valid session; run the login command\n');
+      return 1;
+    }
+
+    const recorder = new PushChannelRecorder({
+      notificationPatterns: detector.config.pushChannels && detector.config.pushChannels.notificationPatterns,
+      logger: detector.logger
+    });
+
+    // Load the page again with the recorder attached so its channels are seen opening
+    await recorder.start(detector.page);
+    await detector.page.goto(detector.config.urls.leads, {
+      waitUntil: 'networkidle2',
+      timeout: detector.config.timing.pageLoadTimeout
+    });
+
+    detector.logger.info('Recording push channels', { seconds });
+    await new Promise(resolve => setTimeout(resolve, seconds * 1000));
+    await recorder.stop();
+
+    const channels = recorder.getChannels();
+    const recordedAt = new Date().toISOString();
+    const filePath = path.join(detector.config.leadStore.dataDir, `push-channels-${recordedAt.replace(/[:.]/g, '-')}.json`);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, `${JSON.stringify({ recordedAt, seconds, pageUrl: detector.config.urls.leads, channels }, null, 2)}\n`);
+
+    const messages = channels.reduce((total, channel) => total + channel.messages, 0);
+    stdout.write(`Recorded ${channels.length} channel(s) and ${messages} message(s) to ${filePath}\n`);
+    return 0;
+  } finally {
+    await detector.cleanup();
+  }
+}
+
+async function redrive({ config, stdout }) {
+  const logger = createLogger({ ...config.logging, stdout: process.stderr });
+  let count = 0;
+
+  // Every account's outbox
+  for (const accountConfig of resolveAccounts(config)) {
+    const outbox = new WebhookOutbox({
+      ...accountConfig.outbox,
+      logger: accountConfig.account ? logger.child({ accountId: accountConfig.account.id }) : logger,
+      deliver: () => Promise.reject(new Error('Not delivering from the redrive command'))
+    });
+    count += outbox.redriveDeadLetters();
+  }
+
+  stdout.write(`Re-drove ${count} dead-lettered deliveries; they will be sent by the running detector or on next start\n`);
+  return 0;
+}
+
+async function help({ stdout }) {
+  stdout.write(formatUsage());
+  return 0;
+}
+
+/**
+ * Run one command
+ *
+ * @param {string} name - Command name
+ * @param {Object} context - { config, configFile, account, args, detector, stdout }
+ * @returns {Promise<number|null>} Exit code, or null if the command keeps running
+ */
+function runCommand(name, context) {
+  const command = COMMANDS[name];
+  const needsDetector = !['run', 'redrive', 'help'].includes(name);
+  const detector = context.detector ||
+    (needsDetector ? createCommandDetector(selectAccountConfig(context.config, context.account)) : null);
+
+  return command.handler({ stdout: process.stdout, args: [], ...context, detector });
+}
+
+/**
+ * Parse the command line, load the config and run the command
+ */
+async function main(argv) {
+  // Help works before the config is valid
+  if (argv[0] === 'help' || argv.includes('--help')) {
+    process.stdout.write(formatUsage());
+    return 0;
+  }
+
+  let loaded;
+
+  try {
+    loaded = loadConfig({ argv });
+  } catch (error) {
+    if (!(error instanceof ConfigError)) throw error;
+    process.stderr.write(`${error.message}\n`);
+    return 1;
+  }
+
+  const { config, configFile, printConfig, account, positionals } = loaded;
+  const [name = 'run', ...args] = positionals;
+
+  if (printConfig) {
+    process.stdout.write(`${formatConfig(config)}\n`);
+    return 0;
+  }
+
+  if (!COMMANDS[name]) {
+    process.stderr.write(`Unknown command: ${name}\n\n${formatUsage()}`);
+    return 1;
+  }
+
+  try {
+    return await runCommand(name, { config, configFile, account, args });
+  } catch (error) {
+    if (!(error instanceof ConfigError)) throw error;
+    process.stderr.write(`${error.message}\n`);
+    return 1;
+  }
+}
+
+module.exports = { COMMANDS, SAMPLE_LEAD, main, runCommand };
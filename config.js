@@ -0,0 +1,1028 @@
+/**
+ * Layered configuration
+ *
+ * The detector's config is built from, in order of precedence:
+ *
+ *   1. CLI flags        --timing.pollingInterval=5000
+ *   2. Environment      POLLING_INTERVAL=5000 (see ENV_VARS)
+ *   3. Config file      --config, LEAD_DETECTOR_CONFIG, or
+ *                       lead-detector.config.{yaml,yml,json} in the working directory
+ *   4. Defaults         DEFAULTS below
+ *
+ * Objects are merged key by key; arrays and other values replace the lower
+ * layer. The result is checked against SCHEMA, and every problem is reported
+ * at once in a ConfigError.
+ *
+ * `accounts` lists several Tradiecore logins run by one process. Each entry
+ * has an `id` and is merged over the top-level config (see resolveAccounts).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { redact } = require('./logger');
+const { WEEKDAYS, parseTimeOfDay, isTimeZone } = require('./local-time');
+const { parseCron } = require('./digest-scheduler');
+
+const DEFAULTS = {
+  // Authentication
+  credentials: {
+    email: null,
+    password: null
+  },
+
+  // URLs
+  urls: {
+    leads: 'https://tradiecore.hipages.com.au/leads',
+    leadsData: 'https://tradiecore.hipages.com.au/leads.data?_routes=routes%2F_app%2Fleads%2F_leads',
+    // Deep link to a single lead; {id} is replaced with the lead ID
+    leadDetail: 'https://tradiecore.hipages.com.au/leads/{id}'
+  },
+
+  // Webhook
+  webhook: {
+    url: null,
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    timeout: 10000, // 10 seconds
+    // Shared secret for HMAC request signatures (unsigned if not set)
+    secret: null,
+    // Optional body template ({ mode, omitFields, leadTemplate, template })
+    body: null,
+    // Events sent to the url above (all if null; see lifecycle)
+    events: null,
+    // Optional list of destinations, used instead of the url above. Each has
+    // a name, url and optional type ('webhook', 'slack', 'discord' or
+    // 'teams'), headers, timeout, secret, body template, lead filter
+    // ({ jobTypes, suburbs, postcodes, keywords }) and events. Email
+    // destinations use type 'email' with to, subject and mode instead of a url.
+    destinations: []
+  },
+
+  // SMTP server for email destinations
+  email: {
+    host: null,
+    port: 587,
+    secure: false, // true for implicit TLS (port 465)
+    requireTLS: true, // require STARTTLS when not using implicit TLS
+    user: null,
+    password: null,
+    from: null
+  },
+
+  // Webhook outbox (persisted deliveries with retry and dead-letter file)
+  outbox: {
+    enabled: true,
+    dataDir: './data',
+    maxAttempts: 8,
+    baseRetryDelay: 5000, // 5 seconds
+    maxRetryDelay: 600000 // 10 minutes
+  },
+
+  // Local HTTP control and status API
+  controlServer: {
+    enabled: true,
+    host: '127.0.0.1',
+    port: 8080,
+    // Bearer token required for POST endpoints (open if not set)
+    token: null,
+    // /readyz fails if the last successful poll is older than this
+    readyMaxPollAge: 60000, // 1 minute
+    // Number of detected leads kept for /leads
+    recentLeadsLimit: 100
+  },
+
+  // Logging
+  logging: {
+    level: 'info', // debug, info, warn, error or silent
+    format: 'json' // json or text
+  },
+
+  // Timing
+  timing: {
+    pollingInterval: 1000, // 1 second
+    baseBackoffDelay: 1000, // 1 second
+    maxBackoffDelay: 30000, // 30 seconds
+    pageLoadTimeout: 30000, // 30 seconds
+    // Idle time before a leads.data or lead detail request is abandoned
+    requestTimeout: 30000, // 30 seconds
+    loginRetryDelay: 60000 // 1 minute
+  },
+
+  // Weekly polling schedule, in local time (see polling-schedule.js)
+  schedule: {
+    enabled: false,
+    timeZone: 'Australia/Sydney',
+    // Each: { name, days: ['mon', ... 'sun', 'holiday'], from: '07:00',
+    // to: '19:00', pollingInterval }. The first window covering the current
+    // time sets the polling interval; timing.pollingInterval applies outside
+    // every window.
+    windows: [],
+    // Each: { days, from, to }. Leads are still detected, but notifications
+    // are held and sent as one batch when quiet hours end.
+    quietHours: [],
+    // Public holidays, which use the entries listing 'holiday' instead of
+    // their weekday's: a JSON list of dates or one date per line
+    holidaysFile: null
+  },
+
+  // Rate limits, bot challenges and Retry-After (see poll-throttle.js)
+  rateLimit: {
+    // Wait after a 429 without Retry-After; doubles while they continue
+    retryDelay: 60000, // 1 minute
+    // Wait after a bot challenge page; doubles while they continue
+    challengeDelay: 300000, // 5 minutes
+    // Longest wait, including Retry-After hints
+    maxRetryAfter: 900000, // 15 minutes
+    // Each rate limit or challenge multiplies the polling interval by this,
+    // up to maxSlowdown
+    slowdownFactor: 2,
+    maxSlowdown: 8,
+    // Successful polls in a row before the slowdown is divided again
+    recoverAfter: 20
+  },
+
+  // Browser
+  browser: {
+    // Close the browser once logged in and poll over plain HTTPS with the
+    // saved cookies; it is launched again only to log in
+    closeAfterLogin: false
+  },
+
+  // Log in again in the background before the session cookies expire
+  sessionRenewal: {
+    enabled: true,
+    // Renew this long before the earliest auth cookie expires
+    renewBefore: 600000, // 10 minutes
+    // Cookies whose name contains one of these carry the session
+    authCookiePatterns: ['session', 'token', 'auth', 'sid']
+  },
+
+  // Cookie storage
+  cookieStorage: {
+    enabled: true,
+    // file: saved at `path`; directory: the file name of `path` inside
+    // `directory` (e.g. a mounted Docker secrets directory)
+    backend: 'file',
+    path: './cookies.json',
+    directory: null,
+    // Encrypts the file when set; any string. Or a file holding the key
+    encryptionKey: null,
+    keyFile: null
+  },
+
+  // Lead store (every lead seen, persisted across restarts)
+  leadStore: {
+    enabled: true,
+    dataDir: './data'
+  },
+
+  // Change detection
+  changeDetection: {
+    // Fields to ignore when comparing lead data (timestamps, session tokens, etc.)
+    ignoreFields: ['timestamp', 'csrf', 'session', 'time', 'date', 'updated_at', 'created_at'],
+    // Only notify about actual new leads, not just any data change
+    onlyNotifyNewLeads: true,
+    // Minimum number of new leads required to trigger notification
+    minNewLeadsToNotify: 1,
+    // Deduplication window in milliseconds (to prevent duplicate notifications)
+    deduplicationWindow: 5000
+  },
+
+  // Lead data read from the page's own network responses
+  networkCapture: {
+    enabled: true,
+    // Fetch and XHR responses whose URL path contains one of these are read
+    urlPatterns: ['/leads.data']
+  },
+
+  // WebSocket and SSE messages received by the leads page
+  pushChannels: {
+    enabled: false,
+    // Only channels whose URL contains one of these (all channels if empty)
+    urlPatterns: [],
+    // Messages whose event name contains one of these are lead notifications
+    notificationPatterns: ['lead', 'job', 'notification'],
+    // Poll straight away on a notification that has no lead data
+    pollOnNotification: true
+  },
+
+  // Events about leads already on the list: lead_updated, lead_removed and
+  // status transitions. Webhook destinations get them unless their `events`
+  // say otherwise; chat and email destinations only if listed in `events`.
+  lifecycle: {
+    enabled: false,
+    // Dotted path of the lead's status field
+    statusField: 'status',
+    // Statuses that send lead_<name> rather than lead_status_changed
+    transitions: {
+      claimed: ['CLAIMED', 'TAKEN', 'UNAVAILABLE'],
+      expired: ['EXPIRED']
+    }
+  },
+
+  // Accept or decline new leads automatically on the lead page
+  leadRules: {
+    enabled: false,
+    // Decide and write the audit log, but do not click anything
+    dryRun: true,
+    // Auto-accepts per day; further matching leads are left for a person
+    dailyAcceptLimit: 5,
+    // Time zone of rule hours and of the day the limit applies to
+    timeZone: 'Australia/Sydney',
+    // Directory for the audit log (rules-audit.jsonl)
+    dataDir: './data',
+    // CSS selectors of the buttons on the lead page; found by their text
+    // when not set
+    selectors: {
+      accept: null,
+      decline: null,
+      confirm: null
+    },
+    // Each: { name, action: 'accept' or 'decline', match: { jobTypes,
+    // suburbs, postcodes, keywords, hours: { from: '07:00', to: '19:00' } } }.
+    // The first rule that matches a lead decides.
+    rules: []
+  },
+
+  // Summaries of the leads seen, sent on a schedule alongside the instant
+  // notifications (see digest-scheduler.js)
+  digests: {
+    enabled: false,
+    // Time zone of the schedules
+    timeZone: 'Australia/Sydney',
+    // Directory for the leads collected so far (digests.json)
+    dataDir: './data',
+    // Each: { name, schedule: a cron expression such as '0 * * * *',
+    // destinations: destination names ('default' for webhook.url),
+    // sendEmpty: false }
+    schedules: []
+  },
+
+  // Load each new lead's detail route and add its description, job size,
+  // timing, photo count and attachments before notifying
+  enrichment: {
+    enabled: false,
+    // data: fetch the detail route's .data loader; page: open the detail
+    // page in the browser (falls back to data when browserless)
+    source: 'data',
+    // Loader route to request from the .data endpoint (all routes if null)
+    routeId: null,
+    // Longest notifications wait for details; leads not enriched by then are
+    // sent as they are
+    timeout: 4000, // 4 seconds
+    // Leads enriched per notification; the rest are sent as they are
+    maxLeads: 10,
+    // Details loaded at once (with source 'page', open browser tabs)
+    concurrency: 4
+  },
+
+  // Accounts run by this process, each merged over the settings above:
+  // { id, credentials, webhook, timing, ... }. Empty runs the top-level
+  // credentials as the only account.
+  accounts: []
+};
+
+// Environment variables and the config keys they set
+const ENV_VARS = {
+  HIPAGES_EMAIL: ['credentials.email'],
+  HIPAGES_PASSWORD: ['credentials.password'],
+  WEBHOOK_URL: ['webhook.url'],
+  WEBHOOK_SECRET: ['webhook.secret'],
+  SMTP_HOST: ['email.host'],
+  SMTP_PORT: ['email.port'],
+  SMTP_SECURE: ['email.secure'],
+  SMTP_USER: ['email.user'],
+  SMTP_PASSWORD: ['email.password'],
+  SMTP_FROM: ['email.from'],
+  LEAD_DETECTOR_DATA_DIR: ['outbox.dataDir', 'leadStore.dataDir', 'leadRules.dataDir', 'digests.dataDir'],
+  CONTROL_HOST: ['controlServer.host'],
+  CONTROL_PORT: ['controlServer.port'],
+  CONTROL_TOKEN: ['controlServer.token'],
+  LOG_LEVEL: ['logging.level'],
+  LOG_FORMAT: ['logging.format'],
+  POLLING_INTERVAL: ['timing.pollingInterval'],
+  COOKIE_PATH: ['cookieStorage.path'],
+  COOKIE_BACKEND: ['cookieStorage.backend'],
+  COOKIE_STORAGE_DIR: ['cookieStorage.directory'],
+  COOKIE_ENCRYPTION_KEY: ['cookieStorage.encryptionKey'],
+  COOKIE_KEY_FILE: ['cookieStorage.keyFile'],
+  CLOSE_BROWSER_AFTER_LOGIN: ['browser.closeAfterLogin'],
+  ENRICH_LEADS: ['enrichment.enabled'],
+  LEAD_LIFECYCLE_EVENTS: ['lifecycle.enabled'],
+  LEAD_RULES_DRY_RUN: ['leadRules.dryRun'],
+  HOLIDAYS_FILE: ['schedule.holidaysFile']
+};
+
+const DEFAULT_CONFIG_FILES = ['lead-detector.config.yaml', 'lead-detector.config.yml', 'lead-detector.config.json'];
+
+// Settings shared by every account in the process
+const PROCESS_KEYS = ['logging', 'controlServer', 'accounts'];
+
+// Account IDs are used in file names
+const ACCOUNT_ID = /^[A-Za-z0-9_-]+$/;
+
+class ConfigError extends Error {
+  constructor(errors) {
+    super(`Invalid configuration:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.errors = errors;
+  }
+}
+
+// Schema building blocks. Every value is optional unless marked required.
+
+function describe(value) {
+  return JSON.stringify(value) || String(value);
+}
+
+function string(options = {}) {
+  return {
+    ...options,
+    check: value => (typeof value === 'string' && value.length > 0 ? null : 'must be a non-empty string')
+  };
+}
+
+// One email address or a list of them
+function addresses(options = {}) {
+  return {
+    ...options,
+    check: value => ((typeof value === 'string' && value.length > 0) ||
+      (Array.isArray(value) && value.length > 0 && value.every(item => typeof item === 'string'))
+      ? null
+      : 'must be an email address or a list of them')
+  };
+}
+
+function integer(options = {}) {
+  const { min = -Infinity, max = Infinity } = options;
+  return {
+    ...options,
+    fromString: text => (/^-?\d+$/.test(text.trim()) ? Number(text) : text),
+    check: value => {
+      if (!Number.isInteger(value)) return 'must be an integer';
+      if (value < min) return `must be at least ${min}`;
+      if (value > max) return `must be at most ${max}`;
+      return null;
+    }
+  };
+}
+
+function boolean(options = {}) {
+  return {
+    ...options,
+    fromString: text => ({ true: true, false: false, 1: true, 0: false }[text.trim().toLowerCase()] ?? text),
+    check: value => (typeof value === 'boolean' ? null : 'must be true or false')
+  };
+}
+
+function oneOf(values, options = {}) {
+  return {
+    ...options,
+    check: value => (values.includes(value) ? null : `must be one of ${values.join(', ')}`)
+  };
+}
+
+function url(options = {}) {
+  return {
+    ...options,
+    check: value => {
+      if (typeof value !== 'string') return 'must be a URL';
+      try {
+        const parsed = new URL(value);
+        return ['http:', 'https:'].includes(parsed.protocol) ? null : 'must be an http or https URL';
+      } catch (error) {
+        return 'must be a valid URL';
+      }
+    }
+  };
+}
+
+// Free-form object (headers, templates, filters)
+function object(options = {}) {
+  return {
+    ...options,
+    fromString: text => {
+      try {
+        return JSON.parse(text);
+      } catch (error) {
+        return text;
+      }
+    },
+    check: value => (value && typeof value === 'object' && !Array.isArray(value) ? null : 'must be an object')
+  };
+}
+
+function array(items, options = {}) {
+  return {
+    ...options,
+    items,
+    // Comma-separated on the command line or in the environment
+    fromString: text => {
+      if (!text.trim().startsWith('[')) {
+        return text.split(',').map(item => item.trim()).filter(Boolean);
+      }
+      try {
+        return JSON.parse(text);
+      } catch (error) {
+        return text;
+      }
+    },
+    check: value => (Array.isArray(value) ? null : 'must be a list')
+  };
+}
+
+function section(fields, options = {}) {
+  return { ...options, fields };
+}
+
+const DESTINATION = section({
+  name: string(),
+  type: oneOf(['webhook', 'slack', 'discord', 'teams', 'email']),
+  url: url(),
+  headers: object(),
+  timeout: integer({ min: 1 }),
+  secret: string(),
+  body: object(),
+  filter: object(),
+  to: addresses(),
+  from: string(),
+  subject: string(),
+  mode: oneOf(['batch', 'per_lead']),
+  events: array(string())
+}, {
+  validate: destination => {
+    if (destination.type === 'email') {
+      return destination.to ? [] : [['to', 'is required for email destinations']];
+    }
+    return destination.url ? [] : [['url', 'is required']];
+  }
+});
+
+const RULE = section({
+  name: string(),
+  action: oneOf(['accept', 'decline'], { required: true }),
+  match: object()
+}, {
+  validate: rule => {
+    const hours = isPlainObject(rule.match) ? rule.match.hours : undefined;
+    if (hours === undefined) return [];
+    if (!isPlainObject(hours)) return [['match.hours', 'must be { from, to }']];
+
+    return ['from', 'to']
+      .filter(key => hours[key] !== undefined && parseTimeOfDay(hours[key]) === null)
+      .map(key => [`match.hours.${key}`, 'must be a time of day such as "07:30"']);
+  }
+});
+
+const DIGEST = section({
+  name: string({ required: true }),
+  schedule: string({ required: true }),
+  destinations: array(string(), { required: true }),
+  sendEmpty: boolean()
+}, {
+  validate: digest => {
+    const errors = [];
+    if (typeof digest.schedule === 'string') {
+      try {
+        parseCron(digest.schedule);
+      } catch (error) {
+        errors.push(['schedule', `must be a cron expression such as "0 * * * *": ${error.message}`]);
+      }
+    }
+    if (Array.isArray(digest.destinations) && digest.destinations.length === 0) {
+      errors.push(['destinations', 'must name at least one destination']);
+    }
+    return errors;
+  }
+});
+
+const SCHEDULE_DAYS = [...WEEKDAYS, 'holiday'];
+
+// from and to as times of day
+function validateHours(entry) {
+  return ['from', 'to']
+    .filter(key => typeof entry[key] === 'string' && parseTimeOfDay(entry[key]) === null)
+    .map(key => [key, 'must be a time of day such as "07:30"']);
+}
+
+const SCHEDULE_WINDOW = section({
+  name: string(),
+  days: array(oneOf(SCHEDULE_DAYS)),
+  from: string({ required: true }),
+  to: string({ required: true }),
+  pollingInterval: integer({ min: 1, required: true })
+}, { validate: validateHours });
+
+const QUIET_HOURS = section({
+  days: array(oneOf(SCHEDULE_DAYS)),
+  from: string({ required: true }),
+  to: string({ required: true })
+}, { validate: validateHours });
+
+const SCHEMA = section({
+  credentials: section({
+    email: string(),
+    password: string()
+  }),
+  urls: section({
+    leads: url({ required: true }),
+    leadsData: url({ required: true }),
+    leadDetail: url({ required: true })
+  }),
+  webhook: section({
+    url: url(),
+    headers: object(),
+    timeout: integer({ min: 1 }),
+    secret: string(),
+    body: object(),
+    events: array(string()),
+    destinations: array(DESTINATION)
+  }),
+  email: section({
+    host: string(),
+    port: integer({ min: 1, max: 65535 }),
+    secure: boolean(),
+    requireTLS: boolean(),
+    user: string(),
+    password: string(),
+    from: string()
+  }),
+  outbox: section({
+    enabled: boolean(),
+    dataDir: string({ required: true }),
+    maxAttempts: integer({ min: 1 }),
+    baseRetryDelay: integer({ min: 0 }),
+    maxRetryDelay: integer({ min: 0 })
+  }),
+  controlServer: section({
+    enabled: boolean(),
+    host: string(),
+    port: integer({ min: 0, max: 65535 }),
+    token: string(),
+    readyMaxPollAge: integer({ min: 1 }),
+    recentLeadsLimit: integer({ min: 0 })
+  }),
+  logging: section({
+    level: oneOf(['debug', 'info', 'warn', 'error', 'silent']),
+    format: oneOf(['json', 'text'])
+  }),
+  timing: section({
+    pollingInterval: integer({ min: 1, required: true }),
+    baseBackoffDelay: integer({ min: 0, required: true }),
+    maxBackoffDelay: integer({ min: 0, required: true }),
+    pageLoadTimeout: integer({ min: 1, required: true }),
+    requestTimeout: integer({ min: 1, required: true }),
+    loginRetryDelay: integer({ min: 0, required: true })
+  }),
+  schedule: section({
+    enabled: boolean(),
+    timeZone: string(),
+    windows: array(SCHEDULE_WINDOW),
+    quietHours: array(QUIET_HOURS),
+    holidaysFile: string()
+  }, {
+    validate: schedule => (typeof schedule.timeZone === 'string' && !isTimeZone(schedule.timeZone)
+      ? [['timeZone', 'must be an IANA time zone such as "Australia/Sydney"']]
+      : [])
+  }),
+  rateLimit: section({
+    retryDelay: integer({ min: 0 }),
+    challengeDelay: integer({ min: 0 }),
+    maxRetryAfter: integer({ min: 0 }),
+    slowdownFactor: integer({ min: 1 }),
+    maxSlowdown: integer({ min: 1 }),
+    recoverAfter: integer({ min: 1 })
+  }),
+  browser: section({
+    closeAfterLogin: boolean()
+  }),
+  sessionRenewal: section({
+    enabled: boolean(),
+    renewBefore: integer({ min: 0 }),
+    authCookiePatterns: array(string())
+  }),
+  cookieStorage: section({
+    enabled: boolean(),
+    backend: oneOf(['file', 'directory']),
+    path: string({ required: true }),
+    directory: string(),
+    encryptionKey: string(),
+    keyFile: string()
+  }, {
+    validate: cookieStorage => (cookieStorage.backend === 'directory' && !cookieStorage.directory
+      ? [['directory', 'is required for the directory backend']]
+      : [])
+  }),
+  leadStore: section({
+    enabled: boolean(),
+    dataDir: string({ required: true })
+  }),
+  changeDetection: section({
+    ignoreFields: array(string()),
+    onlyNotifyNewLeads: boolean(),
+    minNewLeadsToNotify: integer({ min: 1 }),
+    deduplicationWindow: integer({ min: 0 })
+  }),
+  networkCapture: section({
+    enabled: boolean(),
+    urlPatterns: array(string())
+  }),
+  pushChannels: section({
+    enabled: boolean(),
+    urlPatterns: array(string()),
+    notificationPatterns: array(string()),
+    pollOnNotification: boolean()
+  }),
+  lifecycle: section({
+    enabled: boolean(),
+    statusField: string({ required: true }),
+    transitions: object()
+  }, {
+    validate: lifecycle => Object.entries(isPlainObject(lifecycle.transitions) ? lifecycle.transitions : {})
+      .filter(([, statuses]) => !Array.isArray(statuses) || statuses.some(status => typeof status !== 'string'))
+      .map(([name]) => [`transitions.${name}`, 'must be a list of statuses'])
+  }),
+  leadRules: section({
+    enabled: boolean(),
+    dryRun: boolean(),
+    dailyAcceptLimit: integer({ min: 0 }),
+    timeZone: string(),
+    dataDir: string({ required: true }),
+    selectors: section({
+      accept: string(),
+      decline: string(),
+      confirm: string()
+    }),
+    rules: array(RULE)
+  }, {
+    validate: leadRules => (typeof leadRules.timeZone === 'string' && !isTimeZone(leadRules.timeZone)
+      ? [['timeZone', 'must be an IANA time zone such as "Australia/Sydney"']]
+      : [])
+  }),
+  digests: section({
+    enabled: boolean(),
+    timeZone: string(),
+    dataDir: string({ required: true }),
+    schedules: array(DIGEST)
+  }, {
+    validate: digests => {
+      const errors = typeof digests.timeZone === 'string' && !isTimeZone(digests.timeZone)
+        ? [['timeZone', 'must be an IANA time zone such as "Australia/Sydney"']]
+        : [];
+      const names = (Array.isArray(digests.schedules) ? digests.schedules : []).map(digest => digest && digest.name);
+      names.forEach((name, i) => {
+        if (name && names.indexOf(name) !== i) errors.push([`schedules[${i}].name`, `"${name}" is used by another digest`]);
+      });
+      return errors;
+    }
+  }),
+  enrichment: section({
+    enabled: boolean(),
+    source: oneOf(['data', 'page']),
+    routeId: string(),
+    timeout: integer({ min: 1 }),
+    maxLeads: integer({ min: 0 }),
+    concurrency: integer({ min: 1 })
+  }),
+  accounts: array(object())
+}, {
+  // With accounts, these are checked for each account instead
+  validate: config => {
+    if (Array.isArray(config.accounts) && config.accounts.length > 0) return [];
+
+    const credentials = isPlainObject(config.credentials) ? config.credentials : {};
+    const webhook = isPlainObject(config.webhook) ? config.webhook : {};
+    const errors = ['email', 'password']
+      .filter(key => !credentials[key])
+      .map(key => [`credentials.${key}`, 'is required']);
+
+    if (!webhook.url && !(Array.isArray(webhook.destinations) && webhook.destinations.length > 0)) {
+      errors.push(['webhook.url', 'or webhook.destinations is required']);
+    }
+    return errors;
+  }
+});
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Merge `override` into `base`; objects merge key by key, anything else replaces
+ */
+function mergeConfig(base, override) {
+  if (!isPlainObject(base) || !isPlainObject(override)) {
+    return override === undefined ? base : override;
+  }
+
+  const result = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    result[key] = mergeConfig(base[key], value);
+  }
+  return result;
+}
+
+/**
+ * Add the account ID to a file name: ./cookies.json -> ./cookies-acme.json
+ */
+function withAccountSuffix(filePath, accountId) {
+  const extension = path.extname(filePath);
+  return `${filePath.slice(0, filePath.length - extension.length)}-${accountId}${extension}`;
+}
+
+/**
+ * Build the config for each account
+ *
+ * Each entry of `accounts` is merged over the top-level config and gets an
+ * `account: { id }` section. Unless an account sets its own, it gets its own
+ * cookie file and a subdirectory of the data directories so accounts never
+ * share a session or lead history. Without accounts the top-level config is
+ * the only one, unchanged.
+ *
+ * @returns {Object[]} One detector config per account
+ */
+function resolveAccounts(config) {
+  const { accounts, ...base } = config;
+
+  if (!Array.isArray(accounts) || accounts.length === 0) {
+    return [base];
+  }
+
+  const baseSection = key => (isPlainObject(base[key]) ? base[key] : {});
+
+  return accounts.map(({ id, ...overrides }) => {
+    const accountDefaults = { account: { id } };
+    if (typeof baseSection('cookieStorage').path === 'string') {
+      accountDefaults.cookieStorage = { path: withAccountSuffix(baseSection('cookieStorage').path, id) };
+    }
+    for (const key of ['outbox', 'leadStore', 'leadRules', 'digests']) {
+      if (typeof baseSection(key).dataDir === 'string') {
+        accountDefaults[key] = { dataDir: path.join(baseSection(key).dataDir, id) };
+      }
+    }
+    // An account with its own webhook URL doesn't also use the shared destinations
+    if (isPlainObject(overrides.webhook) && overrides.webhook.url && !('destinations' in overrides.webhook)) {
+      accountDefaults.webhook = { destinations: [] };
+    }
+
+    return mergeConfig(mergeConfig(base, accountDefaults), overrides);
+  });
+}
+
+/**
+ * Find the schema entry for a dotted config path
+ */
+function getSchemaAt(keyPath) {
+  let spec = SCHEMA;
+  for (const key of keyPath.split('.')) {
+    spec = spec && spec.fields && spec.fields[key];
+  }
+  return spec;
+}
+
+/**
+ * Build a config layer that sets one dotted path, converting a string value
+ * to the type the schema expects
+ */
+function layerFor(keyPath, text) {
+  const spec = getSchemaAt(keyPath);
+  const value = spec && spec.fromString ? spec.fromString(text) : text;
+
+  return keyPath.split('.').reduceRight((child, key) => ({ [key]: child }), value);
+}
+
+/**
+ * Read a YAML or JSON config file
+ */
+function readConfigFile(filePath) {
+  const text = fs.readFileSync(filePath, 'utf8');
+
+  try {
+    const data = path.extname(filePath) === '.json' ? JSON.parse(text) : YAML.parse(text);
+    if (data !== null && !isPlainObject(data)) {
+      throw new Error('top level must be a mapping of config keys');
+    }
+    return data || {};
+  } catch (error) {
+    throw new ConfigError([`${filePath}: ${error.message}`]);
+  }
+}
+
+/**
+ * Build the config layer for the environment
+ */
+function envLayer(env) {
+  let layer = {};
+  for (const [name, keyPaths] of Object.entries(ENV_VARS)) {
+    if (env[name] === undefined || env[name] === '') continue;
+    for (const keyPath of keyPaths) {
+      layer = mergeConfig(layer, layerFor(keyPath, env[name]));
+    }
+  }
+  return layer;
+}
+
+/**
+ * Split command-line arguments into config flags and everything else
+ *
+ * Config flags are `--config <file>`, `--print-config`, `--account <id>` (the
+ * account a one-off command works on) and `--<dotted.config.path>=<value>`
+ * (or `--<path> <value>`).
+ */
+function parseArgs(argv) {
+  const result = { configPath: null, printConfig: false, account: null, layer: {}, positionals: [], errors: [] };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (!arg.startsWith('--')) {
+      result.positionals.push(arg);
+      continue;
+    }
+
+    const [flag, inlineValue] = arg.slice(2).split(/=(.*)/s);
+
+    if (flag === 'print-config') {
+      result.printConfig = true;
+      continue;
+    }
+
+    const value = inlineValue !== undefined ? inlineValue : argv[++i];
+
+    if (value === undefined) {
+      result.errors.push(`--${flag} needs a value`);
+    } else if (flag === 'config') {
+      result.configPath = value;
+    } else if (flag === 'account') {
+      result.account = value;
+    } else if (!getSchemaAt(flag)) {
+      result.errors.push(`Unknown option --${flag}`);
+    } else {
+      result.layer = mergeConfig(result.layer, layerFor(flag, value));
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Check a config against the schema
+ *
+ * @returns {string[]} One message per problem, empty if the config is valid
+ */
+function validateConfig(config) {
+  const errors = [];
+
+  const visit = (value, spec, keyPath) => {
+    if (value === undefined || value === null) {
+      if (spec.required) errors.push(`${keyPath} is required`);
+      return;
+    }
+
+    if (spec.fields) {
+      if (!isPlainObject(value)) {
+        errors.push(`${keyPath || 'config'} must be an object (got ${describe(value)})`);
+        return;
+      }
+
+      const prefix = keyPath ? `${keyPath}.` : '';
+      for (const key of Object.keys(value)) {
+        if (!spec.fields[key]) errors.push(`${prefix}${key} is not a known config key`);
+      }
+      for (const [key, fieldSpec] of Object.entries(spec.fields)) {
+        visit(value[key], fieldSpec, `${prefix}${key}`);
+      }
+      if (spec.validate) {
+        for (const [key, message] of spec.validate(value)) {
+          errors.push(`${prefix}${key} ${message}`);
+        }
+      }
+      return;
+    }
+
+    const problem = spec.check(value);
+    if (problem) {
+      errors.push(`${keyPath} ${problem} (got ${describe(value)})`);
+      return;
+    }
+
+    if (spec.items) {
+      value.forEach((item, i) => visit(item, spec.items, `${keyPath}[${i}]`));
+    }
+  };
+
+  visit(config, SCHEMA, '');
+
+  if (Array.isArray(config.accounts) && config.accounts.every(isPlainObject)) {
+    errors.push(...validateAccounts(config, errors));
+  }
+  return errors;
+}
+
+/**
+ * Check each account entry and the config it resolves to
+ *
+ * Problems already reported for the top-level config are not repeated.
+ */
+function validateAccounts(config, topLevelErrors) {
+  const errors = [];
+  const seen = new Set();
+  const resolved = resolveAccounts(config);
+
+  config.accounts.forEach((account, i) => {
+    const keyPath = `accounts[${i}]`;
+
+    if (typeof account.id !== 'string' || !ACCOUNT_ID.test(account.id)) {
+      errors.push(account.id === undefined
+        ? `${keyPath}.id is required`
+        : `${keyPath}.id must be letters, digits, - and _ only (got ${describe(account.id)})`);
+    } else if (seen.has(account.id)) {
+      errors.push(`${keyPath}.id "${account.id}" is used by another account`);
+    }
+    seen.add(account.id);
+
+    for (const key of PROCESS_KEYS.filter(key => key in account)) {
+      errors.push(`${keyPath}.${key} cannot be set per account`);
+    }
+
+    // The process-wide sections were checked above
+    const accountConfig = { ...resolved[i] };
+    for (const key of ['account', ...PROCESS_KEYS]) delete accountConfig[key];
+
+    for (const error of validateConfig(accountConfig)) {
+      if (!topLevelErrors.includes(error)) errors.push(`${keyPath}.${error}`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Find the config file to load, if any
+ */
+function findConfigFile(configPath, env, cwd) {
+  const explicit = configPath || env.LEAD_DETECTOR_CONFIG;
+  if (explicit) {
+    const resolved = path.resolve(cwd, explicit);
+    if (!fs.existsSync(resolved)) {
+      throw new ConfigError([`Config file not found: ${resolved}`]);
+    }
+    return resolved;
+  }
+
+  return DEFAULT_CONFIG_FILES
+    .map(fileName => path.join(cwd, fileName))
+    .find(filePath => fs.existsSync(filePath)) || null;
+}
+
+/**
+ * Load and validate the detector config
+ *
+ * @param {Object} options
+ * @param {string[]} options.argv - Command-line arguments (without node and the script)
+ * @param {Object} options.env - Environment variables
+ * @param {string} options.cwd - Directory for relative config file paths
+ * @param {Object} options.overrides - Applied last, e.g. by test scripts
+ * @returns {{ config: Object, configFile: string|null, printConfig: boolean, account: string|null, positionals: string[] }}
+ * @throws {ConfigError} If the config is invalid
+ */
+function loadConfig(options = {}) {
+  const { argv = [], env = process.env, cwd = process.cwd(), overrides = {} } = options;
+  const args = parseArgs(argv);
+  const configFile = findConfigFile(args.configPath, env, cwd);
+  const layers = [
+    DEFAULTS,
+    configFile ? readConfigFile(configFile) : {},
+    envLayer(env),
+    args.layer,
+    overrides
+  ];
+  const config = layers.reduce(mergeConfig, {});
+
+  const errors = [...args.errors, ...validateConfig(config)];
+  if (errors.length > 0) {
+    throw new ConfigError(errors);
+  }
+
+  return { config, configFile, printConfig: args.printConfig, account: args.account, positionals: args.positionals };
+}
+
+/**
+ * Format a config for printing, with secrets masked
+ */
+function formatConfig(config) {
+  return JSON.stringify(redact(config), null, 2);
+}
+
+module.exports = {
+  DEFAULTS,
+  ENV_VARS,
+  ConfigError,
+  loadConfig,
+  validateConfig,
+  mergeConfig,
+  resolveAccounts,
+  formatConfig
+};
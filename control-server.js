@@ -0,0 +1,253 @@
+/**
+ * Local HTTP control and status API
+ *
+ * Exposes the state of a running LeadDetector for Docker health checks and
+ * monitoring, and lets an operator pause, resume or nudge it:
+ *
+ *   GET  /healthz  - process and browser are alive
+ *   GET  /readyz   - browser alive, session valid and a recent successful poll
+ *   GET  /leads    - recently detected leads and the current lead list
+ *   GET  /state    - poll state, retry counters, timings, session expiry,
+ *                    outbox backlog, automated accepts today, the polling
+ *                    schedule and leads waiting for each digest
+ *   GET  /metrics  - Prometheus metrics
+ *   POST /pause    - pause polling
+ *   POST /resume   - resume polling
+ *   POST /relogin  - force a re-login
+ *   POST /poll     - poll immediately
+ *
+ * With browser.closeAfterLogin the browser is closed on purpose, so it counts
+ * as alive for /healthz and /readyz.
+ *
+ * POST endpoints require `Authorization: Bearer <token>` when a token is
+ * configured.
+ *
+ * With several accounts in one process, the per-detector endpoints answer
+ * `{ accounts: { <id>: ... } }` and take `?account=<id>` to pick one account;
+ * /metrics labels every sample with its account.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const { createLogger } = require('./logger');
+const { renderRegistries } = require('./metrics');
+
+function sendJson(res, statusCode, body) {
+  sendBody(res, statusCode, JSON.stringify(body, null, 2), 'application/json');
+}
+
+function sendBody(res, statusCode, body, contentType) {
+  res.writeHead(statusCode, {
+    'Content-Type': contentType,
+    'Content-Length': Buffer.byteLength(body),
+    'Cache-Control': 'no-store'
+  });
+  res.end(body);
+}
+
+function isAuthorized(req, token) {
+  if (!token) return true;
+
+  const expected = Buffer.from(`Bearer ${token}`);
+  const actual = Buffer.from(req.headers.authorization || '');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+function toIso(time) {
+  return time ? new Date(time).toISOString() : null;
+}
+
+/**
+ * Collect the readiness checks for a detector
+ */
+function getReadiness(detector, maxPollAge) {
+  const now = Date.now();
+  const browserAlive = detector.isBrowserHealthy();
+  const msSinceLastPoll = detector.lastSuccessfulPollAt ? now - detector.lastSuccessfulPollAt : null;
+  const pollFresh = detector.paused || (msSinceLastPoll !== null && msSinceLastPoll <= maxPollAge);
+
+  return {
+    ready: browserAlive && detector.sessionValid && pollFresh,
+    checks: {
+      browserAlive,
+      sessionValid: detector.sessionValid,
+      paused: detector.paused,
+      msSinceLastSuccessfulPoll: msSinceLastPoll,
+      lastSuccessfulPollAt: toIso(detector.lastSuccessfulPollAt),
+      lastPollError: detector.lastPollError
+    }
+  };
+}
+
+/**
+ * Build the /state response
+ */
+function getState(detector) {
+  return {
+    isRunning: detector.isRunning,
+    paused: detector.paused,
+    pollInProgress: detector.pollInProgress,
+    pollState: detector.pollState,
+    pollSlowdown: detector.pollThrottle.factor,
+    sessionValid: detector.sessionValid,
+    reloginInProgress: Boolean(detector.reloginPromise),
+    renewalInProgress: Boolean(detector.renewalPromise),
+    sessionExpiresAt: toIso(detector.getSessionExpiry()),
+    nextRenewalAt: toIso(detector.nextRenewalAt),
+    retryCount: detector.retryCount,
+    loginRetryCount: detector.loginRetryCount,
+    lastPollAt: toIso(detector.lastPollAt),
+    lastSuccessfulPollAt: toIso(detector.lastSuccessfulPollAt),
+    lastPollError: detector.lastPollError,
+    lastNotificationAt: toIso(detector.lastNotificationSentAt),
+    knownLeads: detector.leadStore ? detector.leadStore.size : null,
+    autoAcceptsToday: detector.leadRules ? detector.leadRules.getAcceptsToday() : null,
+    pollingInterval: detector.getPollingInterval(),
+    quietHours: detector.isQuietHours(),
+    heldLeads: detector.heldLeads.size,
+    digestLeads: detector.digests ? detector.digests.getPendingCounts() : null,
+    pendingDeliveries: detector.outbox ? detector.outbox.listDeliveries().length : null
+  };
+}
+
+/**
+ * Run a per-detector route for the requested accounts and combine the results
+ *
+ * The response fails with the first failing account's status code.
+ */
+async function runForAccounts(detectors, accountId, handler) {
+  const selected = accountId
+    ? detectors.filter(detector => detector.accountId === accountId)
+    : detectors;
+
+  if (selected.length === 0) {
+    return [404, { error: 'unknown_account', account: accountId }];
+  }
+
+  const results = await Promise.all(selected.map(detector => handler(detector)));
+  const failure = results.find(([statusCode]) => statusCode >= 300);
+
+  return [failure ? failure[0] : 200, {
+    accounts: Object.fromEntries(selected.map((detector, i) => [detector.accountId, results[i][1]]))
+  }];
+}
+
+/**
+ * Create the control server for a detector, or for the detectors of several
+ * accounts sharing one process
+ *
+ * @param {LeadDetector|LeadDetector[]} target
+ * @param {Object} options
+ * @param {string} options.token - Bearer token required for POST endpoints
+ * @param {number} options.readyMaxPollAge - Oldest successful poll for /readyz, in ms
+ * @param {Logger} options.logger
+ */
+function createControlServer(target, options = {}) {
+  const multiAccount = Array.isArray(target);
+  const detectors = multiAccount ? target : [target];
+  const maxPollAge = options.readyMaxPollAge || 60000;
+  const logger = options.logger || createLogger();
+
+  // Routes for the whole process
+  const routes = {
+    'GET /healthz': () => {
+      const browserAlive = detectors.every(detector => detector.isBrowserHealthy());
+      return [browserAlive ? 200 : 503, { status: browserAlive ? 'ok' : 'browser_down', browserAlive }];
+    },
+    'GET /metrics': () => [200, renderRegistries(detectors.map(detector => ({
+      registry: detector.metrics.registry,
+      labels: multiAccount ? { account: detector.accountId } : {}
+    }))), 'text/plain; version=0.0.4; charset=utf-8']
+  };
+
+  // Routes for one detector
+  const detectorRoutes = {
+    'GET /readyz': detector => {
+      const readiness = getReadiness(detector, maxPollAge);
+      return [readiness.ready ? 200 : 503, { status: readiness.ready ? 'ready' : 'not_ready', ...readiness.checks }];
+    },
+    'GET /leads': detector => [200, {
+      recent: detector.recentDetections,
+      current: Array.isArray(detector.previousLeadsArray)
+        ? detector.extractLeadObjects(detector.previousLeadsArray)
+        : null
+    }],
+    'GET /state': detector => [200, getState(detector)],
+    'POST /pause': detector => {
+      detector.pausePolling();
+      return [200, { paused: true }];
+    },
+    'POST /resume': detector => {
+      detector.resumePolling();
+      return [200, { paused: false }];
+    },
+    'POST /relogin': async detector => {
+      const success = await detector.handleRelogin();
+      return [success ? 200 : 502, { success }];
+    },
+    'POST /poll': async detector => {
+      const started = await detector.pollNow();
+      if (!started) {
+        return [409, { polled: false, reason: detector.paused ? 'paused' : 'poll_in_progress' }];
+      }
+      return [200, { polled: true, lastPollError: detector.lastPollError }];
+    }
+  };
+
+  for (const [route, handler] of Object.entries(detectorRoutes)) {
+    routes[route] = (url) => (multiAccount
+      ? runForAccounts(detectors, url.searchParams.get('account'), handler)
+      : handler(detectors[0]));
+  }
+
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const pathname = url.pathname;
+    const handler = routes[`${req.method} ${pathname}`];
+
+    if (!handler) {
+      const knownPath = Object.keys(routes).some(route => route.endsWith(` ${pathname}`));
+      sendJson(res, knownPath ? 405 : 404, { error: knownPath ? 'method_not_allowed' : 'not_found' });
+      return;
+    }
+
+    if (req.method === 'POST' && !isAuthorized(req, options.token)) {
+      sendJson(res, 401, { error: 'unauthorized' });
+      return;
+    }
+
+    try {
+      const [statusCode, body, contentType] = await handler(url);
+      if (contentType) {
+        sendBody(res, statusCode, body, contentType);
+      } else {
+        sendJson(res, statusCode, body);
+      }
+    } catch (error) {
+      logger.error('Error handling control request', { method: req.method, path: pathname, error });
+      sendJson(res, 500, { error: error.message });
+    }
+  });
+}
+
+/**
+ * Create the control server and start listening
+ *
+ * @param {LeadDetector|LeadDetector[]} target
+ * @param {Object} options - createControlServer() options plus host and port
+ * @returns {Promise<http.Server>}
+ */
+function startControlServer(target, options) {
+  const server = createControlServer(target, options);
+  const logger = options.logger || createLogger();
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(options.port, options.host, () => {
+      logger.info('Control API listening', { url: `http://${options.host}:${server.address().port}` });
+      resolve(server);
+    });
+  });
+}
+
+module.exports = { createControlServer, startControlServer };
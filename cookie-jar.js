@@ -0,0 +1,189 @@
+/**
+ * Cookie jar for plain HTTP requests
+ *
+ * Holds the session cookies in the same shape as Puppeteer's page.cookies()
+ * ({ name, value, domain, path, expires, httpOnly, secure, session }), so they
+ * can be saved to cookie storage and loaded back into a browser unchanged.
+ * Set-Cookie headers from each response update the jar, which is how the
+ * session stays fresh when polling without a browser.
+ *
+ * Domains follow Puppeteer's convention: ".example.com" for a cookie set with
+ * a Domain attribute (sent to subdomains too) and "example.com" for a
+ * host-only cookie.
+ */
+
+function nowInSeconds() {
+  return Date.now() / 1000;
+}
+
+/**
+ * Default cookie path for a request path (RFC 6265 section 5.1.4)
+ */
+function defaultPath(pathname) {
+  if (!pathname.startsWith('/') || pathname.lastIndexOf('/') === 0) {
+    return '/';
+  }
+  return pathname.substring(0, pathname.lastIndexOf('/'));
+}
+
+function domainMatches(hostname, domain) {
+  if (domain.startsWith('.')) {
+    return hostname === domain.substring(1) || hostname.endsWith(domain);
+  }
+  return hostname === domain;
+}
+
+function pathMatches(pathname, cookiePath) {
+  return pathname === cookiePath ||
+    (pathname.startsWith(cookiePath) && (cookiePath.endsWith('/') || pathname[cookiePath.length] === '/'));
+}
+
+/**
+ * Parse a Set-Cookie header received for a URL
+ *
+ * Returns null for malformed headers and for cookies the URL's host may not set.
+ */
+function parseSetCookie(header, requestUrl) {
+  const url = new URL(requestUrl);
+  const [pair, ...attributes] = header.split(';');
+  const separator = pair.indexOf('=');
+
+  if (separator < 1) {
+    return null;
+  }
+
+  const cookie = {
+    name: pair.substring(0, separator).trim(),
+    value: pair.substring(separator + 1).trim(),
+    domain: url.hostname,
+    path: defaultPath(url.pathname),
+    expires: -1,
+    httpOnly: false,
+    secure: false,
+    session: true
+  };
+  let maxAgeSet = false;
+
+  for (const attribute of attributes) {
+    const [rawKey, ...rest] = attribute.split('=');
+    const key = rawKey.trim().toLowerCase();
+    const value = rest.join('=').trim();
+
+    if (key === 'domain' && value) {
+      const domain = `.${value.replace(/^\./, '').toLowerCase()}`;
+      if (!domainMatches(url.hostname, domain)) return null;
+      cookie.domain = domain;
+    } else if (key === 'path' && value.startsWith('/')) {
+      cookie.path = value;
+    } else if (key === 'max-age' && /^-?\d+$/.test(value)) {
+      // Max-Age wins over Expires
+      cookie.expires = nowInSeconds() + Number(value);
+      cookie.session = false;
+      maxAgeSet = true;
+    } else if (key === 'expires' && !maxAgeSet && !Number.isNaN(Date.parse(value))) {
+      cookie.expires = Date.parse(value) / 1000;
+      cookie.session = false;
+    } else if (key === 'secure') {
+      cookie.secure = true;
+    } else if (key === 'httponly') {
+      cookie.httpOnly = true;
+    } else if (key === 'samesite' && value) {
+      cookie.sameSite = value.charAt(0).toUpperCase() + value.substring(1).toLowerCase();
+    }
+  }
+
+  return cookie;
+}
+
+class CookieJar {
+  /**
+   * @param {Object[]} cookies - Cookies as returned by Puppeteer's page.cookies()
+   */
+  constructor(cookies = []) {
+    this.cookies = [];
+    cookies.forEach(cookie => this.setCookie(cookie));
+    // Set when a response changes the jar, cleared by the caller once saved
+    this.changed = false;
+  }
+
+  isExpired(cookie) {
+    return cookie.expires !== undefined && cookie.expires !== -1 && cookie.expires <= nowInSeconds();
+  }
+
+  /**
+   * Add or replace a cookie; an expired cookie deletes the stored one
+   */
+  setCookie(cookie) {
+    const index = this.cookies.findIndex(existing =>
+      existing.name === cookie.name && existing.domain === cookie.domain && existing.path === cookie.path
+    );
+
+    if (index !== -1) {
+      if (this.cookies[index].value === cookie.value && this.cookies[index].expires === cookie.expires) {
+        return;
+      }
+      this.cookies.splice(index, 1);
+    }
+
+    if (!this.isExpired(cookie)) {
+      this.cookies.push({ ...cookie });
+    } else if (index === -1) {
+      return;
+    }
+
+    this.changed = true;
+  }
+
+  /**
+   * Store the Set-Cookie headers of a response
+   *
+   * @param {string[]|string|undefined} headers - Node's res.headers['set-cookie']
+   * @param {string} requestUrl - URL the response came from
+   */
+  setCookiesFromResponse(headers, requestUrl) {
+    for (const header of [].concat(headers || [])) {
+      const cookie = parseSetCookie(header, requestUrl);
+      if (cookie) this.setCookie(cookie);
+    }
+  }
+
+  /**
+   * Build the Cookie header for a request, or an empty string
+   */
+  getCookieHeader(requestUrl) {
+    const url = new URL(requestUrl);
+
+    return this.getCookies()
+      .filter(cookie => domainMatches(url.hostname, cookie.domain))
+      .filter(cookie => pathMatches(url.pathname, cookie.path || '/'))
+      .filter(cookie => !cookie.secure || url.protocol === 'https:')
+      // Longer paths first
+      .sort((a, b) => (b.path || '/').length - (a.path || '/').length)
+      .map(cookie => `${cookie.name}=${cookie.value}`)
+      .join('; ');
+  }
+
+  /**
+   * Unexpired cookies, in Puppeteer's format
+   */
+  getCookies() {
+    return this.cookies.filter(cookie => !this.isExpired(cookie));
+  }
+
+  /**
+   * Earliest expiry of the unexpired persistent cookies that pass `filter`,
+   * in seconds since the epoch, or null if there are none
+   */
+  getEarliestExpiry(filter = () => true) {
+    const expiries = this.getCookies()
+      .filter(cookie => cookie.expires !== undefined && cookie.expires !== -1 && filter(cookie))
+      .map(cookie => cookie.expires);
+    return expiries.length > 0 ? Math.min(...expiries) : null;
+  }
+
+  toJSON() {
+    return this.getCookies();
+  }
+}
+
+module.exports = { CookieJar, parseSetCookie };
@@ -0,0 +1,279 @@
+/**
+ * Session cookie storage
+ *
+ * Saves the session cookies between runs, encrypted with AES-256-GCM when a
+ * key is configured (`cookieStorage.encryptionKey` / COOKIE_ENCRYPTION_KEY,
+ * or `cookieStorage.keyFile`). The key may be any string; the AES key is
+ * derived from it with scrypt and a random salt kept in the file:
+ *
+ *   { "format": "lead-detector-cookies", "version": 1, "algorithm": "aes-256-gcm",
+ *     "kdf": "scrypt", "salt": "...", "iv": "...", "tag": "...", "data": "...",
+ *     "savedAt": "..." }
+ *
+ * A plaintext cookie file (a JSON array, as written by earlier versions) is
+ * still read, and is rewritten encrypted straight away when a key is set.
+ *
+ * Where the file lives is up to the backend:
+ *
+ * - `file`: `cookieStorage.path`
+ * - `directory`: the file name of `cookieStorage.path` inside
+ *   `cookieStorage.directory`, e.g. a volume or a Docker secrets mount. A
+ *   read-only directory (Docker secrets) provides the saved session, and
+ *   refreshed cookies are then kept in memory only.
+ *
+ * Files are written atomically with mode 0600.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createLogger } = require('./logger');
+
+const FORMAT = 'lead-detector-cookies';
+const ALGORITHM = 'aes-256-gcm';
+
+class CookieStorageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CookieStorageError';
+  }
+}
+
+/**
+ * Stores the cookie file at a path
+ */
+class FileBackend {
+  constructor(filePath) {
+    this.filePath = path.resolve(process.cwd(), filePath);
+  }
+
+  describe() {
+    return this.filePath;
+  }
+
+  /**
+   * @returns {{ text: string, modifiedAt: number }|null} Null if nothing is saved
+   */
+  read() {
+    if (!fs.existsSync(this.filePath)) {
+      return null;
+    }
+    return {
+      text: fs.readFileSync(this.filePath, 'utf8'),
+      modifiedAt: fs.statSync(this.filePath).mtimeMs
+    };
+  }
+
+  write(text) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+    // Readable by the owner only, from the moment it exists
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, text, { mode: 0o600 });
+    fs.renameSync(tempPath, this.filePath);
+    fs.chmodSync(this.filePath, 0o600);
+  }
+}
+
+// Write errors that mean the directory is mounted read-only
+const READ_ONLY_ERRORS = ['EROFS', 'EACCES', 'EPERM'];
+
+/**
+ * Stores the cookie file in a mounted directory, which may be read-only
+ */
+class DirectoryBackend extends FileBackend {
+  constructor(directory, fileName, logger) {
+    super(path.join(directory, fileName));
+    this.logger = logger;
+    this.readOnly = false;
+  }
+
+  write(text) {
+    if (this.readOnly) return;
+
+    try {
+      super.write(text);
+    } catch (error) {
+      if (!READ_ONLY_ERRORS.includes(error.code)) throw error;
+
+      this.readOnly = true;
+      this.logger.warn('Cookie directory is read-only; refreshed cookies are kept in memory only', {
+        path: this.filePath,
+        code: error.code
+      });
+    }
+  }
+}
+
+// Backends by name; each is created from the cookieStorage config
+const BACKENDS = {
+  file: config => new FileBackend(config.path),
+  directory: (config, logger) => new DirectoryBackend(config.directory, path.basename(config.path), logger)
+};
+
+class CookieStorage {
+  /**
+   * @param {Object} options
+   * @param {Object} options.backend - { read(), write(text), describe() }
+   * @param {string} options.encryptionKey - Key string
+   * @param {string} options.keyFile - File holding the key string
+   * @param {Logger} options.logger
+   */
+  constructor(options) {
+    this.backend = options.backend;
+    this.encryptionKey = options.encryptionKey || null;
+    this.keyFile = options.keyFile ? path.resolve(process.cwd(), options.keyFile) : null;
+    this.logger = options.logger || createLogger();
+    // Derived keys by salt, so saving does not run scrypt every time
+    this.derivedKeys = new Map();
+    this.salt = null;
+  }
+
+  get encrypted() {
+    return Boolean(this.encryptionKey || this.keyFile);
+  }
+
+  describe() {
+    return this.backend.describe();
+  }
+
+  getSecret() {
+    if (this.encryptionKey) {
+      return this.encryptionKey;
+    }
+
+    let secret;
+    try {
+      secret = fs.readFileSync(this.keyFile, 'utf8').trim();
+    } catch (error) {
+      throw new CookieStorageError(`Cannot read cookie key file ${this.keyFile}: ${error.message}`);
+    }
+    if (!secret) {
+      throw new CookieStorageError(`Cookie key file ${this.keyFile} is empty`);
+    }
+
+    this.encryptionKey = secret;
+    this.logger.addSecret(secret);
+    return secret;
+  }
+
+  deriveKey(salt) {
+    const cacheKey = salt.toString('base64');
+    if (!this.derivedKeys.has(cacheKey)) {
+      this.derivedKeys.set(cacheKey, crypto.scryptSync(this.getSecret(), salt, 32));
+    }
+    return this.derivedKeys.get(cacheKey);
+  }
+
+  encrypt(cookies) {
+    this.salt = this.salt || crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, this.deriveKey(this.salt), iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(cookies), 'utf8'), cipher.final()]);
+
+    return {
+      format: FORMAT,
+      version: 1,
+      algorithm: ALGORITHM,
+      kdf: 'scrypt',
+      salt: this.salt.toString('base64'),
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64'),
+      savedAt: new Date().toISOString()
+    };
+  }
+
+  decrypt(envelope) {
+    if (envelope.version !== 1 || envelope.algorithm !== ALGORITHM) {
+      throw new CookieStorageError(`Unsupported cookie file version ${envelope.version} (${envelope.algorithm})`);
+    }
+    if (!this.encrypted) {
+      throw new CookieStorageError('Cookie file is encrypted but no key is configured (cookieStorage.encryptionKey or keyFile)');
+    }
+
+    const salt = Buffer.from(envelope.salt, 'base64');
+    const decipher = crypto.createDecipheriv(ALGORITHM, this.deriveKey(salt), Buffer.from(envelope.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+
+    let text;
+    try {
+      text = Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]).toString('utf8');
+    } catch (error) {
+      throw new CookieStorageError('Cookie file could not be decrypted; wrong key or corrupted file');
+    }
+
+    // Keep using the file's salt
+    this.salt = salt;
+    return JSON.parse(text);
+  }
+
+  /**
+   * Read the saved cookies
+   *
+   * @returns {{ cookies: Object[], savedAt: number }|null} Null if nothing is saved
+   * @throws {CookieStorageError} If the file is not valid JSON or cannot be
+   *   decrypted
+   */
+  load() {
+    const saved = this.backend.read();
+    if (!saved) {
+      return null;
+    }
+
+    let parsed;
+    try {
+      parsed = JSON.parse(saved.text);
+    } catch (error) {
+      throw new CookieStorageError(`${this.describe()} is not valid JSON (truncated or corrupted?): ${error.message}`);
+    }
+
+    // Plaintext from earlier versions
+    if (Array.isArray(parsed)) {
+      if (this.encrypted) {
+        this.save(parsed);
+        this.logger.info('Plaintext cookie file migrated to encrypted storage', { path: this.describe() });
+      }
+      return { cookies: parsed, savedAt: saved.modifiedAt };
+    }
+
+    if (!parsed || parsed.format !== FORMAT) {
+      throw new CookieStorageError(`${this.describe()} is not a cookie file`);
+    }
+
+    return { cookies: this.decrypt(parsed), savedAt: Date.parse(parsed.savedAt) || saved.modifiedAt };
+  }
+
+  /**
+   * Save the cookies, encrypted if a key is configured
+   */
+  save(cookies) {
+    const contents = this.encrypted ? this.encrypt(cookies) : cookies;
+    this.backend.write(JSON.stringify(contents, null, 2));
+  }
+}
+
+/**
+ * Create the storage for a cookieStorage config section
+ *
+ * @param {Object} config - cookieStorage section
+ * @param {Object} options
+ * @param {Logger} options.logger
+ */
+function createCookieStorage(config, options = {}) {
+  const createBackend = BACKENDS[config.backend || 'file'];
+  const logger = options.logger || createLogger();
+
+  if (!createBackend) {
+    throw new CookieStorageError(`Unknown cookie storage backend: ${config.backend}`);
+  }
+
+  return new CookieStorage({
+    backend: createBackend(config, logger),
+    encryptionKey: config.encryptionKey,
+    keyFile: config.keyFile,
+    logger
+  });
+}
+
+module.exports = { CookieStorage, CookieStorageError, FileBackend, DirectoryBackend, BACKENDS, createCookieStorage };
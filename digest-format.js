@@ -0,0 +1,245 @@
+/**
+ * Digest notification formats
+ *
+ * Shapes a `leads_digest` notification for each destination type. Leads are
+ * grouped by job type, then suburb, and each shows what a lead rule did with
+ * it, if anything:
+ *
+ * - webhook: the digest JSON plus `count`, `autoHandled` and `groups`
+ *   (`[{ jobType, count, suburbs: [{ suburb, count, leadKeys }] }]`); body
+ *   templates do not apply
+ * - slack, discord, teams: one chat message
+ * - email: one message, whatever the destination's mode
+ */
+
+const { getLeadFields } = require('./lead-filter');
+const { escapeSlack } = require('./chat-formats');
+const { escapeHtml } = require('./email-format');
+
+const DIGEST_EVENT = 'leads_digest';
+
+const THEME_COLOR = 0x1a73e8;
+
+// Keep chat messages within the platforms' limits
+const MAX_GROUPS = 10;
+const MAX_LEADS_PER_SUBURB = 10;
+
+/**
+ * How a lead rule handled a lead, for people to read
+ */
+function describeRuleAction(ruleAction) {
+  if (!ruleAction) return null;
+
+  switch (ruleAction.outcome) {
+    case 'accepted':
+      return 'auto-accepted';
+    case 'declined':
+      return 'auto-declined';
+    case 'dry_run':
+      return `would ${ruleAction.action} (dry run)`;
+    case 'daily_cap':
+      return 'not accepted, daily limit reached';
+    default:
+      return `auto-${ruleAction.action} failed`;
+  }
+}
+
+/**
+ * Group digest leads by job type, then suburb, largest groups first
+ *
+ * @returns {Object[]} [{ jobType, count, suburbs: [{ suburb, count, leads }] }]
+ */
+function groupLeads(leads) {
+  const byJobType = new Map();
+
+  for (const lead of leads) {
+    const fields = getLeadFields(lead);
+    const jobType = fields.jobType || 'Unknown job type';
+    const suburb = fields.suburb || 'Unknown location';
+
+    if (!byJobType.has(jobType)) byJobType.set(jobType, new Map());
+    const bySuburb = byJobType.get(jobType);
+    if (!bySuburb.has(suburb)) bySuburb.set(suburb, []);
+    bySuburb.get(suburb).push(lead);
+  }
+
+  const bySize = (a, b) => b[1].length - a[1].length || a[0].localeCompare(b[0]);
+
+  return [...byJobType]
+    .map(([jobType, bySuburb]) => {
+      const suburbs = [...bySuburb].sort(bySize).map(([suburb, suburbLeads]) => ({ suburb, count: suburbLeads.length, leads: suburbLeads }));
+      return { jobType, count: suburbs.reduce((total, group) => total + group.count, 0), suburbs };
+    })
+    .sort((a, b) => b.count - a.count || a.jobType.localeCompare(b.jobType));
+}
+
+function formatTitle(data) {
+  const count = data.leads.length;
+  const autoHandled = data.leads.filter(lead => lead.autoHandled).length;
+  const leads = count === 1 ? '1 lead' : `${count} leads`;
+
+  return `Hipages lead digest (${data.digest}): ${leads}${autoHandled > 0 ? `, ${autoHandled} auto-handled` : ''}`;
+}
+
+function formatPeriod(data) {
+  return `${data.period.from} to ${data.period.to}${data.accountId ? ` for ${data.accountId}` : ''}`;
+}
+
+/**
+ * One line per suburb: "Manly (2): <lead>, <lead>"
+ *
+ * @param {Function} formatLead - ({ name, url, handled }) => text for one lead
+ * @param {Function} escape - Escapes the suburb for the message format
+ */
+function formatSuburbLines(group, formatLead, getLeadUrl, escape = text => text) {
+  return group.suburbs.map(({ suburb, count, leads }) => {
+    const shown = leads.slice(0, MAX_LEADS_PER_SUBURB).map(lead => formatLead({
+      name: getLeadFields(lead).name || 'New lead',
+      url: getLeadUrl(lead),
+      handled: describeRuleAction(lead.ruleAction)
+    }));
+    const more = leads.length > shown.length ? `, and ${leads.length - shown.length} more` : '';
+    return `${escape(suburb)} (${count}): ${shown.join(', ')}${more}`;
+  });
+}
+
+function formatMoreGroups(groups) {
+  return groups.length > MAX_GROUPS ? `And ${groups.length - MAX_GROUPS} more job types` : null;
+}
+
+function markdownLead({ name, url, handled }) {
+  return `[${name}](${url})${handled ? ` _${handled}_` : ''}`;
+}
+
+function formatSlackDigest(data, groups, getLeadUrl) {
+  const slackLead = ({ name, url, handled }) => `<${url}|${escapeSlack(name)}>${handled ? ` _${handled}_` : ''}`;
+  const blocks = [
+    { type: 'header', text: { type: 'plain_text', text: formatTitle(data).substring(0, 150) } },
+    { type: 'context', elements: [{ type: 'mrkdwn', text: escapeSlack(formatPeriod(data)) }] }
+  ];
+
+  for (const group of groups.slice(0, MAX_GROUPS)) {
+    const lines = formatSuburbLines(group, slackLead, getLeadUrl, escapeSlack).map(line => `• ${line}`);
+    blocks.push({
+      type: 'section',
+      text: { type: 'mrkdwn', text: [`*${escapeSlack(group.jobType)}* (${group.count})`, ...lines].join('\n').substring(0, 3000) }
+    });
+  }
+
+  const more = formatMoreGroups(groups);
+  if (more) {
+    blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: more }] });
+  }
+
+  return {
+    text: formatTitle(data),
+    blocks
+  };
+}
+
+function formatDiscordDigest(data, groups, getLeadUrl) {
+  const more = formatMoreGroups(groups);
+
+  return {
+    content: [formatTitle(data), more].filter(Boolean).join('\n'),
+    embeds: groups.slice(0, MAX_GROUPS).map(group => ({
+      title: `${group.jobType} (${group.count})`.substring(0, 256),
+      description: formatSuburbLines(group, markdownLead, getLeadUrl).join('\n').substring(0, 4096),
+      color: THEME_COLOR,
+      footer: { text: formatPeriod(data) },
+      timestamp: data.timestamp
+    }))
+  };
+}
+
+function formatTeamsDigest(data, groups, getLeadUrl) {
+  const more = formatMoreGroups(groups);
+
+  return {
+    '@type': 'MessageCard',
+    '@context': 'https://schema.org/extensions',
+    summary: formatTitle(data),
+    themeColor: THEME_COLOR.toString(16).padStart(6, '0'),
+    title: formatTitle(data),
+    text: [formatPeriod(data), more].filter(Boolean).join('\n\n'),
+    sections: groups.slice(0, MAX_GROUPS).map(group => ({
+      activityTitle: `${group.jobType} (${group.count})`,
+      text: formatSuburbLines(group, markdownLead, getLeadUrl).join('\n\n')
+    }))
+  };
+}
+
+function formatText(data, groups, getLeadUrl) {
+  const textLead = ({ name, url, handled }) => `${name}${handled ? ` [${handled}]` : ''} <${url}>`;
+  const sections = groups.map(group => [
+    `${group.jobType} (${group.count})`,
+    ...formatSuburbLines(group, textLead, getLeadUrl).map(line => `  ${line}`)
+  ].join('\n'));
+
+  return [
+    formatTitle(data),
+    formatPeriod(data),
+    '',
+    sections.length > 0 ? sections.join('\n\n') : 'No new leads.'
+  ].join('\n');
+}
+
+function formatHtml(data, groups, getLeadUrl) {
+  const htmlLead = ({ name, url, handled }) => `<a href="${escapeHtml(url)}">${escapeHtml(name)}</a>${handled ? ` <em style="color:#555">${escapeHtml(handled)}</em>` : ''}`;
+  const sections = groups.map(group => `
+  <h3 style="margin-bottom:4px">${escapeHtml(group.jobType)} (${group.count})</h3>
+  <ul style="margin-top:0">${formatSuburbLines(group, htmlLead, getLeadUrl, escapeHtml).map(line => `
+    <li>${line}</li>`).join('')}
+  </ul>`).join('');
+
+  return `<!DOCTYPE html>
+<html>
+<body style="font-family:Arial,sans-serif;color:#222">
+  <h2>${escapeHtml(formatTitle(data))}</h2>
+  <p style="color:#888;font-size:12px">${escapeHtml(formatPeriod(data))}</p>${sections || `
+  <p>No new leads.</p>`}
+</body>
+</html>`;
+}
+
+/**
+ * Build the payloads of a digest for one destination
+ *
+ * @param {Object} destination - From getWebhookDestinations()
+ * @param {Object} data - Digest notification ({ event, digest, period, leads, timestamp, accountId })
+ * @param {Function} getLeadUrl - Returns the Tradiecore link for a lead
+ * @returns {Object[]}
+ */
+function buildDigestPayloads(destination, data, getLeadUrl) {
+  const groups = groupLeads(data.leads);
+
+  switch (destination.type) {
+    case 'email':
+      return [{
+        to: destination.to,
+        from: destination.from,
+        subject: formatTitle(data),
+        text: formatText(data, groups, getLeadUrl),
+        html: formatHtml(data, groups, getLeadUrl)
+      }];
+    case 'slack':
+      return [formatSlackDigest(data, groups, getLeadUrl)];
+    case 'discord':
+      return [formatDiscordDigest(data, groups, getLeadUrl)];
+    case 'teams':
+      return [formatTeamsDigest(data, groups, getLeadUrl)];
+    default:
+      return [{
+        ...data,
+        count: data.leads.length,
+        autoHandled: data.leads.filter(lead => lead.autoHandled).length,
+        groups: groups.map(group => ({
+          jobType: group.jobType,
+          count: group.count,
+          suburbs: group.suburbs.map(({ suburb, count, leads }) => ({ suburb, count, leadKeys: leads.map(lead => lead.leadKey) }))
+        }))
+      }];
+  }
+}
+
+module.exports = { DIGEST_EVENT, groupLeads, describeRuleAction, buildDigestPayloads };
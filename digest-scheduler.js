@@ -0,0 +1,340 @@
+/**
+ * Lead digests
+ *
+ * Collects the leads the detector sees and sends a summary of them on a
+ * schedule, alongside the instant notifications. Each digest has a `name`, a
+ * cron `schedule` in the configured time zone and the `destinations` it goes
+ * to; it covers the leads seen since it was last sent.
+ *
+ * Schedules are five cron fields, minute hour day-of-month month day-of-week
+ * (0 or 7 is Sunday; `mon` to `sun` also work), each `*`, a number, a range
+ * `a-b`, a step `*\/n` or `a-b/n`, or a comma-separated list of these. As in
+ * cron, a day matches either day field when both are restricted.
+ * `@hourly`, `@daily` and `@weekly` are shorthands.
+ *
+ * The leads collected so far are kept in `digests.json` in the data
+ * directory, so a restart does not empty the next digest.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DIGEST_EVENT } = require('./digest-format');
+const { WEEKDAYS, getLocalTime } = require('./local-time');
+const { createLogger } = require('./logger');
+
+const MINUTE = 60 * 1000;
+
+const SHORTHANDS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0'
+};
+
+// Cron order: Sunday is 0
+const DAY_NAMES = ['sun', ...WEEKDAYS.slice(0, 6)];
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7, names: DAY_NAMES }
+];
+
+/**
+ * Parse one cron field into the set of values it matches
+ */
+function parseField(text, field) {
+  const values = new Set();
+  const toNumber = (value) => {
+    const index = field.names ? field.names.indexOf(value.toLowerCase()) : -1;
+    const number = index >= 0 ? index : (/^\d+$/.test(value) ? Number(value) : NaN);
+    if (Number.isNaN(number) || number < field.min || number > field.max) {
+      throw new Error(`${field.name} "${value}" is not in ${field.min}-${field.max}`);
+    }
+    return number;
+  };
+
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`${field.name} step "${stepText}" is not a positive number`);
+    }
+
+    let from = field.min;
+    let to = field.max;
+    if (range !== '*') {
+      const [start, end] = range.split('-');
+      from = toNumber(start);
+      // "5/15" runs from 5 to the end of the range, as in cron
+      to = end !== undefined ? toNumber(end) : (stepText === undefined ? from : field.max);
+    }
+    if (from > to) {
+      throw new Error(`${field.name} range "${range}" runs backwards`);
+    }
+
+    for (let value = from; value <= to; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a cron expression
+ *
+ * @throws {Error} If the expression is not valid
+ */
+function parseCron(expression) {
+  const text = String(expression).trim();
+  const parts = (SHORTHANDS[text] || text).split(/\s+/);
+
+  if (parts.length !== FIELDS.length) {
+    throw new Error(`"${text}" does not have ${FIELDS.length} fields`);
+  }
+
+  const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseField(part, FIELDS[i]));
+  // 7 is Sunday too
+  if (weekdays.has(7)) weekdays.add(0);
+
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    anyDay: parts[2] === '*',
+    anyWeekday: parts[4] === '*'
+  };
+}
+
+/**
+ * Whether a parsed cron expression matches a local time (from getLocalTime)
+ */
+function matchesCron(cron, localTime) {
+  const [, month, day] = localTime.day.split('-').map(Number);
+  const weekday = DAY_NAMES.indexOf(localTime.weekday);
+
+  if (!cron.minutes.has(localTime.minutes % 60) || !cron.hours.has(Math.floor(localTime.minutes / 60)) || !cron.months.has(month)) {
+    return false;
+  }
+  if (cron.anyDay || cron.anyWeekday) {
+    return cron.days.has(day) && cron.weekdays.has(weekday);
+  }
+  return cron.days.has(day) || cron.weekdays.has(weekday);
+}
+
+class DigestScheduler {
+  /**
+   * @param {Object} options
+   * @param {Object[]} options.schedules - { name, schedule, destinations, sendEmpty }
+   * @param {string} options.timeZone - Time zone of the schedules
+   * @param {string} options.dataDir - Directory for digests.json
+   * @param {Function} options.send - (data, digest) => Promise, sends a digest
+   * @param {Logger} options.logger
+   */
+  constructor(options) {
+    this.timeZone = options.timeZone || 'Australia/Sydney';
+    this.dataDir = path.resolve(process.cwd(), options.dataDir || './data');
+    this.filePath = path.join(this.dataDir, 'digests.json');
+    this.send = options.send;
+    this.logger = options.logger || createLogger();
+    this.digests = (options.schedules || []).map(digest => ({
+      ...digest,
+      cron: parseCron(digest.schedule),
+      since: new Date().toISOString(),
+      // Collected leads by key: { leadKey, lead, detectedAt, method, ruleAction }
+      entries: new Map()
+    }));
+    this.timer = null;
+    this.lastTickAt = null;
+  }
+
+  /**
+   * Read the leads collected before a restart
+   */
+  load() {
+    fs.mkdirSync(this.dataDir, { recursive: true });
+
+    if (!fs.existsSync(this.filePath)) {
+      return this;
+    }
+
+    let saved;
+    try {
+      saved = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      this.logger.warn('Skipping unreadable digest file', { file: this.filePath });
+      return this;
+    }
+
+    for (const digest of this.digests) {
+      const state = saved[digest.name];
+      if (!state) continue;
+
+      digest.since = state.since;
+      digest.entries = new Map(state.entries.map(entry => [entry.leadKey, entry]));
+    }
+
+    return this;
+  }
+
+  save() {
+    const state = Object.fromEntries(this.digests.map(digest => [digest.name, {
+      since: digest.since,
+      entries: [...digest.entries.values()]
+    }]));
+    const tempPath = `${this.filePath}.tmp`;
+
+    fs.mkdirSync(this.dataDir, { recursive: true });
+    fs.writeFileSync(tempPath, JSON.stringify(state));
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  /**
+   * Add detected leads to every digest; a lead already collected keeps its
+   * first detection
+   *
+   * @param {Object[]} leads
+   * @param {string[]} leadKeys - Key of each lead
+   * @param {string} method - How the leads were detected
+   */
+  recordLeads(leads, leadKeys, method) {
+    const detectedAt = new Date().toISOString();
+
+    for (const digest of this.digests) {
+      leads.forEach((lead, i) => {
+        const previous = digest.entries.get(leadKeys[i]);
+        digest.entries.set(leadKeys[i], previous
+          ? { ...previous, lead }
+          : { leadKey: leadKeys[i], lead, detectedAt, method, ruleAction: null });
+      });
+    }
+
+    this.save();
+  }
+
+  /**
+   * Note what a lead rule did with a collected lead
+   *
+   * @param {string} leadKey
+   * @param {Object} ruleAction - { rule, action, outcome }
+   */
+  recordAction(leadKey, ruleAction) {
+    let changed = false;
+
+    for (const digest of this.digests) {
+      const entry = digest.entries.get(leadKey);
+      if (entry) {
+        entry.ruleAction = ruleAction;
+        changed = true;
+      }
+    }
+
+    if (changed) this.save();
+  }
+
+  /**
+   * Leads collected for each digest so far
+   */
+  getPendingCounts() {
+    return Object.fromEntries(this.digests.map(digest => [digest.name, digest.entries.size]));
+  }
+
+  /**
+   * Check the schedules every minute
+   */
+  start() {
+    this.stop();
+
+    const scheduleTick = () => {
+      // Just after the start of the next minute
+      const delay = MINUTE - (Date.now() % MINUTE) + 500;
+      this.timer = setTimeout(async () => {
+        try {
+          await this.tick(new Date());
+        } catch (error) {
+          // e.g. digests.json could not be written; later digests still go
+          this.logger.error('Error sending digests', error);
+        } finally {
+          if (this.timer) scheduleTick();
+        }
+      }, delay);
+    };
+    scheduleTick();
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Send the digests due at a time; each minute is handled once
+   */
+  async tick(now) {
+    const minute = Math.floor(now.getTime() / MINUTE) * MINUTE;
+    if (minute === this.lastTickAt) return;
+    this.lastTickAt = minute;
+
+    const localTime = getLocalTime(now, this.timeZone);
+
+    for (const digest of this.digests) {
+      if (matchesCron(digest.cron, localTime)) {
+        await this.flush(digest, now);
+      }
+    }
+  }
+
+  /**
+   * Send one digest now and start collecting its next period
+   *
+   * The period is closed even if sending fails, so a digest is never
+   * repeated; failures, and failures to save the new period, are logged.
+   */
+  async flush(digest, now = new Date()) {
+    const entries = [...digest.entries.values()];
+    const data = {
+      event: DIGEST_EVENT,
+      method: 'digest',
+      digest: digest.name,
+      period: { from: digest.since, to: now.toISOString() },
+      leads: entries.map(({ leadKey, lead, detectedAt, method, ruleAction }) => ({
+        ...lead,
+        leadKey,
+        detectedAt,
+        detectedVia: method,
+        ruleAction,
+        autoHandled: Boolean(ruleAction && (ruleAction.outcome === 'accepted' || ruleAction.outcome === 'declined'))
+      })),
+      timestamp: now.toISOString()
+    };
+
+    digest.since = now.toISOString();
+    digest.entries = new Map();
+    try {
+      this.save();
+    } catch (error) {
+      // The digest can still go; after a restart its leads may be repeated
+      this.logger.error('Could not save digests', { file: this.filePath, error });
+    }
+
+    if (entries.length === 0 && !digest.sendEmpty) {
+      this.logger.debug('No leads for digest, not sending', { digest: digest.name });
+      return false;
+    }
+
+    try {
+      const sent = await this.send(data, digest);
+      this.logger.info('Digest sent', { digest: digest.name, leads: entries.length, sent });
+      return sent;
+    } catch (error) {
+      this.logger.error('Error sending digest', { digest: digest.name, error });
+      return false;
+    }
+  }
+}
+
+module.exports = { DigestScheduler, parseCron, matchesCron };
@@ -0,0 +1,96 @@
+/**
+ * Email notification format
+ *
+ * Builds the HTML and plain-text email for a lead notification. An email
+ * destination sends one message per batch (default) or one per lead, with a
+ * templated subject line.
+ */
+
+const { describeLead, formatSource, formatHeadline } = require('./chat-formats');
+const { renderTemplate } = require('./webhook-template');
+const { isLifecycleEvent } = require('./lead-lifecycle');
+
+const DEFAULT_BATCH_SUBJECT = '{{count}} new Hipages lead(s): {{lead.jobType}} in {{lead.suburb}}';
+const DEFAULT_LEAD_SUBJECT = 'New Hipages lead: {{lead.jobType}} in {{lead.suburb}}';
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function formatText(leads, data) {
+  const sections = leads.map(lead => [
+    lead.name,
+    `${lead.jobType} - ${lead.suburb}`,
+    lead.description,
+    lead.url
+  ].filter(Boolean).join('\n'));
+
+  return [
+    formatHeadline(leads.length, data.event),
+    '',
+    sections.join('\n\n'),
+    '',
+    `${formatSource(data)} at ${data.timestamp}`
+  ].join('\n');
+}
+
+function formatHtml(leads, data) {
+  const rows = leads.map(lead => `
+    <tr>
+      <td style="padding:12px 0;border-bottom:1px solid #e0e0e0">
+        <div style="font-size:16px;font-weight:bold"><a href="${escapeHtml(lead.url)}">${escapeHtml(lead.name)}</a></div>
+        <div style="color:#555">${escapeHtml(lead.jobType)} &middot; ${escapeHtml(lead.suburb)}</div>
+        ${lead.description ? `<div style="margin-top:6px">${escapeHtml(lead.description)}</div>` : ''}
+      </td>
+    </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html>
+<body style="font-family:Arial,sans-serif;color:#222">
+  <h2>${escapeHtml(formatHeadline(leads.length, data.event))}</h2>
+  <table style="width:100%;max-width:600px;border-collapse:collapse">${rows}
+  </table>
+  <p style="color:#888;font-size:12px">${escapeHtml(formatSource(data))} at ${escapeHtml(data.timestamp)}</p>
+</body>
+</html>`;
+}
+
+// Lifecycle events say what happened to the lead, e.g. "Hipages lead
+// removed: Plumbing in Ryde"
+function getDefaultSubject(data, group, perLead) {
+  if (isLifecycleEvent(data.event)) {
+    return `${formatHeadline(group.length, data.event)}: {{lead.jobType}} in {{lead.suburb}}`;
+  }
+
+  return perLead ? DEFAULT_LEAD_SUBJECT : DEFAULT_BATCH_SUBJECT;
+}
+
+/**
+ * Build the email messages for one notification
+ *
+ * @param {Object} data - Detector payload ({ event, method, leads, timestamp, accountId })
+ * @param {Object} destination - Email destination ({ to, from, subject, mode })
+ * @param {Function} getLeadUrl - Returns the Tradiecore link for a lead
+ * @returns {Object[]} Messages as { to, from, subject, text, html }
+ */
+function buildEmailMessages(data, destination, getLeadUrl) {
+  const leads = (data.leads || []).map(lead => describeLead(lead, getLeadUrl));
+  const perLead = destination.mode === 'per_lead';
+  const groups = perLead ? leads.map(lead => [lead]) : [leads];
+
+  return groups.filter(group => group.length > 0).map(group => ({
+    to: destination.to,
+    from: destination.from,
+    // The first lead is available as {{lead.*}} in batch subjects too
+    subject: String(renderTemplate(destination.subject || getDefaultSubject(data, group, perLead), { ...data, leads: group, lead: group[0], count: group.length }))
+      .replace(/[\r\n]+/g, ' '),
+    text: formatText(group, data),
+    html: formatHtml(group, data)
+  }));
+}
+
+module.exports = { escapeHtml, buildEmailMessages };
@@ -5,77 +5,79 @@
  * webhook notifications when changes are detected. It uses two complementary methods:
  * 1. DOM Mutation Observer - Detects changes to the page structure
  * 2. Polling Fallback - Periodically checks the leads.data endpoint
+ * 3. Network Capture - Reads lead data from the page's own loader and XHR responses
+ * 4. Push Channels (optional) - Listens to the page's WebSocket and SSE messages
  * 
  * Features:
  * - Sub-second response time for new lead detection
  * - Webhook notifications to specified endpoint
- * - Cookie support for authentication persistence
+ * - Cookie support for authentication persistence, encrypted at rest
+ * - Optional browserless polling: the browser only runs to log in
  * - Exponential backoff for error handling
+ * - Optional lead detail enrichment before notifying
+ * - Optional lifecycle events for updated, claimed, expired and removed leads
+ * - Optional rules that accept or decline matching leads automatically
  * - Auto-relogin capability
+ * - Session renewal in the background before the auth cookies expire
  * - OAuth-aware authentication flow
  * - Smart change detection to prevent false positives
  */
 
 require('dotenv').config();
 const puppeteer = require('puppeteer');
-const fs = require('fs');
-const path = require('path');
 const https = require('https');
 const http = require('http');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const { decodeRouteData } = require('./turbo-stream');
+const { LeadStore } = require('./lead-store');
+const { WebhookOutbox } = require('./webhook-outbox');
+const { createSignatureHeaders, createWebhookVerifier } = require('./webhook-signature');
+const { matchesLeadFilter } = require('./lead-filter');
+const { buildWebhookBodies } = require('./webhook-template');
+const { CHAT_TYPES, buildChatMessages } = require('./chat-formats');
+const { buildEmailMessages } = require('./email-format');
+const { startControlServer } = require('./control-server');
+const { createDetectorMetrics } = require('./metrics');
+const { captureLeadResponses, decodeResponseBody } = require('./network-capture');
+const { PushChannelRecorder } = require('./push-channels');
+const { getDetailDataUrl, findLeadDetail, enrichLeads } = require('./lead-enrichment');
+const { isLifecycleEvent, diffLeadSnapshots, buildLifecycleEvents } = require('./lead-lifecycle');
+const { LeadRules } = require('./lead-rules');
+const { PollingSchedule } = require('./polling-schedule');
+const { DigestScheduler } = require('./digest-scheduler');
+const { DIGEST_EVENT, buildDigestPayloads } = require('./digest-format');
+const { ResponseError, PollThrottle, classifyResponse, parseRetryAfter } = require('./poll-throttle');
+const { CookieJar } = require('./cookie-jar');
+const { createCookieStorage } = require('./cookie-storage');
+const { createLogger, createCorrelationId } = require('./logger');
+const { DEFAULTS, loadConfig } = require('./config');
 
-// Configuration
-const CONFIG = {
-  // Authentication
-  credentials: {
-    email: process.env.HIPAGES_EMAIL,
-    password: process.env.HIPAGES_PASSWORD
-  },
-  
-  // URLs
-  urls: {
-    leads: 'https://tradiecore.hipages.com.au/leads',
-    leadsData: 'https://tradiecore.hipages.com.au/leads.data?_routes=routes%2F_app%2Fleads%2F_leads'
-  },
-  
-  // Webhook
-  webhook: {
-    url: 'https://n8n.fy.studio/webhook/bbf85d2c-bc64-4693-a970-8a856cd8320a',
-    headers: {
-      'Content-Type': 'application/json'
-    }
-  },
-  
-  // Timing
-  timing: {
-    pollingInterval: 1000, // 1 second
-    baseBackoffDelay: 1000, // 1 second
-    maxBackoffDelay: 30000, // 30 seconds
-    pageLoadTimeout: 30000, // 30 seconds
-    loginRetryDelay: 60000 // 1 minute
-  },
-  
-  // Cookie storage
-  cookieStorage: {
-    enabled: true,
-    path: './cookies.json'
-  },
-  
-  // Change detection
-  changeDetection: {
-    // Fields to ignore when comparing lead data (timestamps, session tokens, etc.)
-    ignoreFields: ['timestamp', 'csrf', 'session', 'time', 'date', 'updated_at', 'created_at'],
-    // Only notify about actual new leads, not just any data change
-    onlyNotifyNewLeads: true,
-    // Minimum number of new leads required to trigger notification
-    minNewLeadsToNotify: 1,
-    // Deduplication window in milliseconds (to prevent duplicate notifications)
-    deduplicationWindow: 5000
-  }
+// Redirects followed by fetchLeadsData
+const MAX_REDIRECTS = 5;
+
+// Longest delay setTimeout supports (about 24.8 days)
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+// Log messages for poll failures that are the server's doing
+const POLL_STATE_MESSAGES = {
+  rate_limited: 'Rate limited by Tradiecore, slowing down',
+  challenged: 'Tradiecore served a bot challenge, slowing down',
+  server_error: 'Tradiecore server error, retrying',
+  empty_response: 'Tradiecore sent an empty response, retrying'
 };
 
-if (!process.env.HIPAGES_EMAIL || !process.env.HIPAGES_PASSWORD) {
-  throw new Error('Missing HIPAGES_EMAIL or HIPAGES_PASSWORD in environment variables.');
-}
+// Button texts on the lead page, used when leadRules.selectors are not set
+const LEAD_BUTTON_TEXTS = {
+  accept: ['accept', 'claim', "i'm interested"],
+  decline: ['decline', 'not interested', 'reject'],
+  confirm: ['confirm', 'yes']
+};
+
+const BROWSER_LAUNCH_OPTIONS = {
+  headless: 'new',
+  args: ['--no-sandbox', '--disable-setuid-sandbox']
+};
 
 /**
  * Main class for lead detection
@@ -83,17 +85,115 @@ if (!process.env.HIPAGES_EMAIL || !process.env.HIPAGES_PASSWORD) {
 class LeadDetector {
   constructor(config) {
     this.config = config;
+    // Set when the detector is one of several accounts (see config.resolveAccounts)
+    this.accountId = this.config.account ? this.config.account.id : null;
+    this.logger = this.accountId
+      ? createLogger(this.config.logging).child({ accountId: this.accountId })
+      : createLogger(this.config.logging);
+    this.registerLogSecrets();
     this.browser = null;
+    // Browser shared with other accounts, set by AccountManager; this
+    // detector then works in its own incognito context
+    this.sharedBrowser = null;
+    this.browserContext = null;
     this.page = null;
     this.previousLeadsData = null;
     this.previousLeadsArray = null;
+    // Leads added to previousLeadsArray from captured responses that no full
+    // poll has listed yet
+    this.capturedOnlyLeadKeys = new Set();
     this.retryCount = 0;
     this.loginRetryCount = 0;
     this.cookies = null;
+    // Session cookies for HTTP requests, refreshed by Set-Cookie headers
+    this.cookieJar = null;
     this.isRunning = false;
-    this.cookieStoragePath = path.resolve(process.cwd(), this.config.cookieStorage.path);
+    this.cookieStorage = createCookieStorage(this.config.cookieStorage, { logger: this.logger });
+    this.cookieStoragePath = this.cookieStorage.describe();
+    // Last deduplication check passed, and last delivery that succeeded
     this.lastNotificationTime = 0;
+    this.lastNotificationSentAt = null;
     this.lastNotifiedLeadIds = new Set();
+    this.paused = false;
+    this.pollTimer = null;
+    this.pollInProgress = false;
+    this.lastPollAt = null;
+    this.lastSuccessfulPollAt = null;
+    this.lastPollError = null;
+    this.sessionValid = false;
+    this.reloginPromise = null;
+    this.renewalPromise = null;
+    this.renewalTimer = null;
+    this.nextRenewalAt = null;
+    this.lastRenewalAttemptAt = null;
+    this.recentDetections = [];
+    this.controlServer = null;
+    this.lastBackoffDelay = 0;
+    // Class of the last poll response: ok, or the cause of the failure
+    this.pollState = 'ok';
+    this.pollThrottle = new PollThrottle(this.config.rateLimit || DEFAULTS.rateLimit);
+    this.cookiesObtainedAt = null;
+    this.stopNetworkCapture = null;
+    this.pushRecorder = null;
+    this.metrics = createDetectorMetrics(this);
+    this.leadStore = this.config.leadStore && this.config.leadStore.enabled
+      ? new LeadStore(this.config.leadStore.dataDir, undefined, { logger: this.logger })
+      : null;
+    // SMTP transports by timeout, so each destination gets its own
+    this.mailTransports = new Map();
+    this.outbox = this.config.outbox && this.config.outbox.enabled
+      ? this.createOutbox(this.config.outbox)
+      : null;
+    this.leadRules = this.config.leadRules && this.config.leadRules.enabled
+      ? new LeadRules({ ...this.config.leadRules, logger: this.logger })
+      : null;
+    // Lead rule batches, applied one after another in the background
+    this.ruleActions = Promise.resolve();
+    this.schedule = this.config.schedule && this.config.schedule.enabled
+      ? new PollingSchedule({ ...this.config.schedule, defaultInterval: this.config.timing.pollingInterval, logger: this.logger })
+      : null;
+    this.schedulePeriod = null;
+    // Notifications held during quiet hours: leads by key, lifecycle events
+    this.heldLeads = new Map();
+    this.heldLifecycleEvents = [];
+    this.digests = this.config.digests && this.config.digests.enabled
+      ? new DigestScheduler({ ...this.config.digests, logger: this.logger, send: (data, digest) => this.sendDigest(data, digest) })
+      : null;
+  }
+  
+  /**
+   * Mask configured credentials in every log line
+   */
+  registerLogSecrets() {
+    const { credentials = {}, webhook = {}, email = {}, controlServer = {}, cookieStorage = {} } = this.config;
+    const destinationSecrets = (webhook.destinations || []).map(destination => destination.secret);
+    
+    [credentials.password, webhook.secret, email.password, controlServer.token, cookieStorage.encryptionKey, ...destinationSecrets]
+      .forEach(secret => this.logger.addSecret(secret));
+  }
+  
+  /**
+   * Create the webhook outbox, delivering through this detector
+   */
+  createOutbox(outboxConfig) {
+    return new WebhookOutbox({
+      ...outboxConfig,
+      logger: this.logger,
+      deliver: (payload, delivery) => {
+        const destinations = this.getWebhookDestinations();
+        const destinationName = delivery.meta && delivery.meta.destination;
+        // Deliveries queued before destinations existed go to the first one
+        const destination = destinationName
+          ? destinations.find(candidate => candidate.name === destinationName)
+          : destinations[0];
+        
+        if (!destination) {
+          return Promise.reject(new Error(`Unknown webhook destination: ${destinationName}`));
+        }
+        
+        return this.deliverToDestination(payload, delivery.id, destination);
+      }
+    });
   }
   
   /**
@@ -101,60 +201,280 @@ class LeadDetector {
    */
   async initialize() {
     try {
-      console.log('Initializing lead detector...');
-      
-      // Launch browser
-      this.browser = await puppeteer.launch({
-        headless: 'new',
-        args: ['--no-sandbox', '--disable-setuid-sandbox']
-      });
+      this.logger.info('Initializing lead detector');
       
-      // Create new page
-      this.page = await this.browser.newPage();
+      if (this.config.cookieStorage.enabled && !this.cookieStorage.encrypted) {
+        this.logger.warn('Cookie storage is not encrypted; set COOKIE_ENCRYPTION_KEY or cookieStorage.keyFile', { path: this.cookieStoragePath });
+      }
       
-      // Set viewport
-      await this.page.setViewport({ width: 1280, height: 800 });
+      // Load the leads seen by previous runs
+      if (this.leadStore) {
+        this.leadStore.load();
+        this.logger.info('Lead store loaded', { knownLeads: this.leadStore.size });
+      }
       
-      // Try to load cookies from storage
-      const loadedCookies = await this.loadCookiesFromStorage();
+      // Resume deliveries left over from previous runs
+      if (this.outbox) {
+        this.outbox.start();
+      }
       
-      if (loadedCookies && loadedCookies.length > 0) {
-        console.log('Loaded cookies from storage, attempting to use existing session...');
-        await this.page.setCookie(...loadedCookies);
-        this.cookies = loadedCookies;
-        
-        // Try to access leads page directly
-        const sessionValid = await this.validateSession();
-        
-        if (sessionValid) {
-          console.log('Existing session is valid, skipping login');
-          // Start detection methods
-          await this.startDetection();
-          console.log('Lead detector initialized successfully with existing session');
-          return true;
-        } else {
-          console.log('Existing session is invalid, proceeding with login');
+      // Today's automated accepts count towards the daily limit
+      if (this.leadRules) {
+        this.leadRules.load();
+        this.logger.info('Lead rules loaded', {
+          rules: this.leadRules.rules.length,
+          dryRun: this.leadRules.dryRun,
+          acceptsToday: this.leadRules.getAcceptsToday()
+        });
+        if (!this.leadRules.dryRun && this.isBrowserless()) {
+          this.logger.warn('Lead rules cannot act without the browser; unset browser.closeAfterLogin');
         }
       }
       
+      // Leads collected for digests before a restart
+      if (this.digests) {
+        this.digests.load();
+        this.digests.start();
+        this.checkDigestDestinations();
+        this.logger.info('Digests scheduled', { pending: this.digests.getPendingCounts() });
+      }
+      
+      // Public holidays for the polling schedule
+      if (this.schedule) {
+        this.schedule.load();
+        this.logger.info('Polling schedule loaded', {
+          windows: this.schedule.windows.length,
+          quietHours: this.schedule.quietHours.length,
+          holidays: this.schedule.holidays.size
+        });
+      }
+      
+      // Start the control API first so health checks answer during login
+      if (this.config.controlServer && this.config.controlServer.enabled) {
+        await this.startControlServer();
+      }
+      
+      if (this.isBrowserless()) {
+        return await this.initializeBrowserless();
+      }
+      
+      await this.launchBrowser();
+      
+      // Try the session saved by a previous run
+      if (await this.restoreSession()) {
+        this.logger.info('Existing session is valid, skipping login');
+        // Start detection methods
+        await this.startDetection();
+        this.logger.info('Lead detector initialized successfully with existing session');
+        return true;
+      }
+      
       // Login using OAuth flow
-      const loginSuccess = await this.loginWithOAuth();
+      const loginSuccess = await this.login();
       
       if (!loginSuccess) {
-        console.error('Login failed');
+        this.logger.error('Login failed');
         return false;
       }
       
       // Start detection methods
       await this.startDetection();
       
-      console.log('Lead detector initialized successfully');
+      this.logger.info('Lead detector initialized successfully');
       return true;
     } catch (error) {
-      console.error('Error initializing lead detector:', error);
+      this.logger.error('Error initializing lead detector', error);
+      await this.cleanup();
+      return false;
+    }
+  }
+  
+  /**
+   * Start with the saved session, or log in with a browser that is closed
+   * again once the cookies are in the jar
+   */
+  async initializeBrowserless() {
+    if (await this.restoreSessionOverHttp()) {
+      this.logger.info('Existing session is valid, skipping login');
+    } else if (!(await this.withTemporaryBrowser(() => this.login()))) {
+      this.logger.error('Login failed');
+      return false;
+    }
+    
+    await this.startDetection();
+    this.logger.info('Lead detector initialized successfully without a browser');
+    return true;
+  }
+  
+  /**
+   * Whether the browser is closed after login (browser.closeAfterLogin)
+   */
+  isBrowserless() {
+    return Boolean(this.config.browser && this.config.browser.closeAfterLogin);
+  }
+  
+  /**
+   * Whether the browser is up, or not needed because it is closed after login
+   */
+  isBrowserHealthy() {
+    return this.isBrowserless() || Boolean(this.browser && this.browser.isConnected());
+  }
+  
+  /**
+   * Launch a browser, run `task` with it and close it again
+   */
+  async withTemporaryBrowser(task) {
+    try {
+      await this.launchBrowser();
+      return await task();
+    } finally {
       await this.cleanup();
+      this.logger.info('Browser closed after login');
+    }
+  }
+  
+  /**
+   * Launch the browser and open the page used for login and the DOM observer
+   *
+   * With a shared browser, open an incognito context in it instead so
+   * cookies and storage stay separate from the other accounts.
+   */
+  async launchBrowser() {
+    if (this.sharedBrowser) {
+      this.browser = this.sharedBrowser;
+      this.browserContext = await this.sharedBrowser.createBrowserContext();
+    } else {
+      this.browser = await puppeteer.launch(BROWSER_LAUNCH_OPTIONS);
+    }
+    
+    this.page = await this.openPage();
+  }
+  
+  /**
+   * Open a page in this detector's browser context
+   */
+  async openPage() {
+    const page = await (this.browserContext || this.browser).newPage();
+    
+    // Set viewport
+    await page.setViewport({ width: 1280, height: 800 });
+    return page;
+  }
+  
+  /**
+   * Load saved cookies for API requests, without a browser
+   *
+   * Returns false if no cookies are saved.
+   */
+  async loadSavedCookies() {
+    const saved = await this.loadCookiesFromStorage();
+    
+    if (!saved || saved.cookies.length === 0) {
+      return false;
+    }
+    
+    this.setSessionCookies(saved.cookies);
+    this.cookiesObtainedAt = saved.savedAt;
+    return true;
+  }
+  
+  /**
+   * Use the session cookies for HTTP requests
+   */
+  setSessionCookies(cookies) {
+    this.cookieJar = new CookieJar(cookies);
+    this.cookies = this.cookieJar.getCookies();
+    this.scheduleSessionRenewal();
+  }
+  
+  /**
+   * When the earliest auth cookie expires (ms since the epoch), or null if
+   * none of them has an expiry
+   */
+  getSessionExpiry() {
+    const { authCookiePatterns = [] } = this.config.sessionRenewal || {};
+    const isAuthCookie = cookie => authCookiePatterns.some(pattern =>
+      cookie.name.toLowerCase().includes(pattern.toLowerCase())
+    );
+    const expiry = this.cookieJar ? this.cookieJar.getEarliestExpiry(isAuthCookie) : null;
+    return expiry === null ? null : Math.round(expiry * 1000);
+  }
+  
+  /**
+   * Load saved cookies and check the session with a request to the leads
+   * endpoint, without a browser
+   *
+   * Returns false if no cookies are saved or the session has expired.
+   */
+  async restoreSessionOverHttp() {
+    if (!(await this.loadSavedCookies())) {
+      return false;
+    }
+    
+    this.logger.info('Loaded cookies from storage, attempting to use existing session');
+    
+    let sessionValid;
+    try {
+      sessionValid = (await this.fetchLeadsData()) !== null;
+    } catch (error) {
+      this.logger.error('Error validating session', error);
+      sessionValid = false;
+    }
+    this.metrics.loginAttempts.inc({ type: 'session_restore', outcome: sessionValid ? 'success' : 'failure' });
+    
+    if (sessionValid) {
+      this.sessionValid = true;
+    } else {
+      this.logger.info('Existing session is invalid');
+    }
+    
+    return sessionValid;
+  }
+  
+  /**
+   * Load saved cookies into the page and check the session is still valid
+   *
+   * Returns false if no cookies are saved or the session has expired.
+   */
+  async restoreSession() {
+    if (!(await this.loadSavedCookies())) {
       return false;
     }
+    
+    this.logger.info('Loaded cookies from storage, attempting to use existing session');
+    await this.page.setCookie(...this.cookies);
+    
+    // Try to access leads page directly
+    const sessionValid = await this.logger.withContext(
+      { loginId: createCorrelationId() },
+      () => this.validateSession()
+    );
+    this.metrics.loginAttempts.inc({ type: 'session_restore', outcome: sessionValid ? 'success' : 'failure' });
+    
+    if (!sessionValid) {
+      this.logger.info('Existing session is invalid');
+    }
+    
+    return sessionValid;
+  }
+  
+  /**
+   * Log in with the OAuth flow and count the attempt
+   */
+  async login() {
+    const loginSuccess = await this.logger.withContext(
+      { loginId: createCorrelationId() },
+      () => this.loginWithOAuth()
+    );
+    this.metrics.loginAttempts.inc({ type: 'login', outcome: loginSuccess ? 'success' : 'failure' });
+    return loginSuccess;
+  }
+  
+  /**
+   * Start the local HTTP control and status API
+   */
+  async startControlServer() {
+    this.controlServer = await startControlServer(this, { ...this.config.controlServer, logger: this.logger });
   }
   
   /**
@@ -162,7 +482,7 @@ class LeadDetector {
    */
   async validateSession() {
     try {
-      console.log('Validating session...');
+      this.logger.info('Validating session');
       
       // Navigate to leads page
       await this.page.goto(this.config.urls.leads, { 
@@ -175,7 +495,8 @@ class LeadDetector {
       const isLeadsPage = currentUrl.includes('/leads') && !currentUrl.includes('/login');
       
       if (isLeadsPage) {
-        console.log('Session is valid, already on leads page');
+        this.logger.info('Session is valid, already on leads page');
+        this.sessionValid = true;
         return true;
       }
       
@@ -183,38 +504,43 @@ class LeadDetector {
       const isLoginPage = currentUrl.includes('/login');
       
       if (isLoginPage) {
-        console.log('Session is invalid, redirected to login page');
+        this.logger.info('Session is invalid, redirected to login page');
         return false;
       }
       
-      console.log('Session validation inconclusive, current URL:', currentUrl);
+      this.logger.warn('Session validation inconclusive', { url: currentUrl });
       return false;
     } catch (error) {
-      console.error('Error validating session:', error);
+      this.logger.error('Error validating session', error);
       return false;
     }
   }
   
   /**
    * Login using OAuth flow
+   *
+   * @param {Object} page - Page to log in on; session renewal uses a page in
+   *   a fresh browser context
    */
-  async loginWithOAuth() {
+  async loginWithOAuth(page = this.page) {
     try {
-      console.log('Starting OAuth login flow...');
+      this.logger.info('Starting OAuth login flow');
       
       // First navigate to the leads page to trigger the OAuth redirect
-      await this.page.goto(this.config.urls.leads, { 
+      await page.goto(this.config.urls.leads, { 
         waitUntil: 'networkidle2',
         timeout: this.config.timing.pageLoadTimeout
       });
       
       // Check if we're already logged in
-      const currentUrl = this.page.url();
+      const currentUrl = page.url();
       if (currentUrl.includes('/leads') && !currentUrl.includes('/login')) {
-        console.log('Already logged in, skipping login process');
+        this.logger.info('Already logged in, skipping login process');
+        this.sessionValid = true;
         
         // Store cookies for API requests
-        this.cookies = await this.page.cookies();
+        this.setSessionCookies(await page.cookies());
+        this.cookiesObtainedAt = Date.now();
         
         // Save cookies to storage
         if (this.config.cookieStorage.enabled) {
@@ -225,55 +551,55 @@ class LeadDetector {
       }
       
       // We should now be on the login page with all the OAuth parameters
-      console.log('Redirected to login page, checking URL...');
+      this.logger.debug('Redirected to login page, checking URL');
       
       // Verify we're on the login page with OAuth parameters
       if (!currentUrl.includes('auth.hipages.com.au/login') || 
           !currentUrl.includes('state=') || 
           !currentUrl.includes('redirect_uri=')) {
-        console.error('Not redirected to proper OAuth login page, current URL:', currentUrl);
+        this.logger.error('Not redirected to proper OAuth login page', { url: currentUrl });
         return false;
       }
       
-      console.log('On OAuth login page, proceeding with login...');
+      this.logger.debug('On OAuth login page, proceeding with login');
       
       // Wait for email input field
       try {
-        await this.page.waitForSelector('input[type="email"], input[placeholder*="Email"], input[name="email"], input[id*="email"]', { 
+        await page.waitForSelector('input[type="email"], input[placeholder*="Email"], input[name="email"], input[id*="email"]', { 
           timeout: 5000 
         });
       } catch (error) {
-        console.error('Email input field not found on login page');
+        this.logger.error('Email input field not found on login page');
         return false;
       }
       
       // Enter email - try different selectors
       try {
-        await this.page.type('input[type="email"], input[placeholder*="Email"], input[name="email"], input[id*="email"]', 
+        await page.type('input[type="email"], input[placeholder*="Email"], input[name="email"], input[id*="email"]', 
           this.config.credentials.email
         );
       } catch (error) {
-        console.error('Failed to enter email:', error);
+        this.logger.error('Failed to enter email', error);
         return false;
       }
       
       // Wait for password input field
       try {
-        await this.page.waitForSelector('input[type="password"], input[placeholder*="Password"], input[name="password"], input[id*="password"]', { 
+        await page.waitForSelector('input[type="password"], input[placeholder*="Password"], input[name="password"], input[id*="password"]', { 
           timeout: 5000 
         });
       } catch (error) {
-        console.error('Password input field not found on login page');
+        this.logger.error('Password input field not found on login page');
         return false;
       }
       
       // Enter password - try different selectors
       try {
-        await this.page.type('input[type="password"], input[placeholder*="Password"], input[name="password"], input[id*="password"]', 
+        await page.type('input[type="password"], input[placeholder*="Password"], input[name="password"], input[id*="password"]', 
           this.config.credentials.password
         );
       } catch (error) {
-        console.error('Failed to enter password:', error);
+        this.logger.error('Failed to enter password', error);
         return false;
       }
       
@@ -283,17 +609,17 @@ class LeadDetector {
         const loginButtonSelector = 'button[type="submit"]';
         
         await Promise.all([
-          this.page.waitForNavigation({ waitUntil: 'networkidle2', timeout: 30000 }),
-          this.page.click(loginButtonSelector)
+          page.waitForNavigation({ waitUntil: 'networkidle2', timeout: 30000 }),
+          page.click(loginButtonSelector)
         ]);
       } catch (error) {
-        console.error('Error clicking login button:', error);
+        this.logger.warn('Error clicking login button', error);
         
         // Try alternative approach - evaluate in page context
         try {
           await Promise.all([
-            this.page.waitForNavigation({ waitUntil: 'networkidle2', timeout: 30000 }),
-            this.page.evaluate(() => {
+            page.waitForNavigation({ waitUntil: 'networkidle2', timeout: 30000 }),
+            page.evaluate(() => {
               const loginButtons = Array.from(document.querySelectorAll('button')).filter(button => {
                 const text = button.textContent.toLowerCase();
                 return text.includes('log in') || text.includes('login') || text.includes('sign in');
@@ -307,30 +633,32 @@ class LeadDetector {
             })
           ]);
         } catch (altError) {
-          console.error('Alternative login button click also failed:', altError);
+          this.logger.error('Alternative login button click also failed', altError);
           return false;
         }
       }
       
       // Check if login was successful
-      const postLoginUrl = this.page.url();
+      const postLoginUrl = page.url();
       if (!postLoginUrl.includes('tradiecore.hipages.com.au')) {
-        console.log('Login failed, redirected to:', postLoginUrl);
+        this.logger.error('Login failed', { url: postLoginUrl });
         return false;
       }
       
       // Store cookies for API requests
-      this.cookies = await this.page.cookies();
+      this.setSessionCookies(await page.cookies());
+      this.cookiesObtainedAt = Date.now();
       
       // Save cookies to storage
       if (this.config.cookieStorage.enabled) {
         await this.saveCookiesToStorage(this.cookies);
       }
       
-      console.log('Login successful');
+      this.sessionValid = true;
+      this.logger.info('Login successful');
       return true;
     } catch (error) {
-      console.error('Login error:', error);
+      this.logger.error('Login error', error);
       return false;
     }
   }
@@ -340,28 +668,30 @@ class LeadDetector {
    */
   async saveCookiesToStorage(cookies) {
     try {
-      fs.writeFileSync(this.cookieStoragePath, JSON.stringify(cookies, null, 2));
-      console.log('Cookies saved to storage');
+      this.cookieStorage.save(cookies);
+      const expiresAt = this.getSessionExpiry();
+      this.logger.debug('Cookies saved to storage', { sessionExpiresAt: expiresAt && new Date(expiresAt).toISOString() });
       return true;
     } catch (error) {
-      console.error('Error saving cookies to storage:', error);
+      this.logger.error('Error saving cookies to storage', error);
       return false;
     }
   }
   
   /**
    * Load cookies from storage
+   *
+   * @returns {{ cookies: Object[], savedAt: number }|null}
    */
   async loadCookiesFromStorage() {
     try {
-      if (fs.existsSync(this.cookieStoragePath)) {
-        const cookiesJson = fs.readFileSync(this.cookieStoragePath, 'utf8');
-        const cookies = JSON.parse(cookiesJson);
-        console.log('Cookies loaded from storage');
-        return cookies;
+      const saved = this.cookieStorage.load();
+      if (saved) {
+        this.logger.debug('Cookies loaded from storage', { encrypted: this.cookieStorage.encrypted });
+        return saved;
       }
     } catch (error) {
-      console.error('Error loading cookies from storage:', error);
+      this.logger.error('Error loading cookies from storage', error);
     }
     
     return null;
@@ -375,6 +705,18 @@ class LeadDetector {
     
     this.isRunning = true;
     
+    this.scheduleSessionRenewal();
+    
+    // Without a browser there is nothing to observe; polling does it all
+    if (this.isBrowserless()) {
+      this.startPollingFallback();
+      this.logger.info('Lead detection started', { browserless: true });
+      return;
+    }
+    
+    // Before navigating, so channels opened by the page load are seen
+    await this.startPushChannels();
+    
     // Navigate to leads page
     await this.page.goto(this.config.urls.leads, { 
       waitUntil: 'networkidle2',
@@ -384,20 +726,32 @@ class LeadDetector {
     // Start DOM mutation observer
     await this.startDomMutationObserver();
     
+    // Read lead data from the page's own network responses
+    this.startNetworkCapture();
+    
     // Start polling fallback
     this.startPollingFallback();
     
-    console.log('Lead detection started');
+    this.logger.info('Lead detection started');
   }
   
   /**
    * Inject and start DOM mutation observer
    */
   async startDomMutationObserver() {
-    console.log('Starting DOM mutation observer...');
+    this.logger.info('Starting DOM mutation observer');
+    
+    // Log lines from the page go through the detector's logger
+    await this.page.exposeFunction('leadDetectorLog', (level, message, fields) => {
+      this.logger.log(level, message, fields);
+    });
     
     // Inject the mutation observer script
     await this.page.evaluate(() => {
+      function log(level, message, fields) {
+        window.leadDetectorLog(level, message, fields);
+      }
+      
       // Find the lead container
       function findLeadContainer() {
         const potentialContainers = [
@@ -449,7 +803,7 @@ class LeadDetector {
       // Function to get all current leads
       function getCurrentLeads() {
         const leadElements = document.querySelectorAll('[class*="lead"], [id*="lead"], [data-testid*="lead"]');
-        console.log(`Found ${leadElements.length} potential lead elements`);
+        log('debug', 'Found potential lead elements', { count: leadElements.length });
         
         const leads = Array.from(leadElements).map(extractLeadData);
         return leads;
@@ -457,7 +811,7 @@ class LeadDetector {
       
       // Get the initial set of leads
       const initialLeads = getCurrentLeads();
-      console.log('Initial leads count:', initialLeads.length);
+      log('info', 'DOM observer found initial leads', { count: initialLeads.length });
       
       // Store the initial leads for comparison
       window.previousLeads = initialLeads;
@@ -494,18 +848,34 @@ class LeadDetector {
       
       // Create and configure the mutation observer
       const leadContainer = findLeadContainer();
-      console.log('Selected lead container:', leadContainer);
+      log('debug', 'Selected lead container', { tag: leadContainer.tagName, className: String(leadContainer.className) });
       
       const observer = new MutationObserver((mutations) => {
-        console.log('DOM mutations detected:', mutations.length);
+        log('debug', 'DOM mutations detected', { count: mutations.length });
         
         // Check if any of the mutations involve adding nodes
         const hasAddedNodes = mutations.some(mutation => 
           mutation.type === 'childList' && mutation.addedNodes.length > 0
         );
+        const hasRemovedNodes = mutations.some(mutation => 
+          mutation.type === 'childList' && mutation.removedNodes.length > 0
+        );
+        
+        if (hasRemovedNodes && window.previousLeads) {
+          const currentLeads = getCurrentLeads();
+          const removedIds = window.previousLeads
+            .filter(prevLead => prevLead.id && !currentLeads.some(currentLead => currentLead.id === prevLead.id))
+            .map(prevLead => prevLead.id);
+          
+          if (removedIds.length > 0) {
+            log('info', 'Leads removed from the DOM', { ids: removedIds });
+            window.previousLeads = currentLeads;
+            document.dispatchEvent(new CustomEvent('leadsRemovedDetected', { detail: removedIds }));
+          }
+        }
         
         if (hasAddedNodes) {
-          console.log('Nodes added to the DOM, checking for new leads...');
+          log('debug', 'Nodes added to the DOM, checking for new leads');
           
           // Get the current set of leads
           const currentLeads = getCurrentLeads();
@@ -514,7 +884,7 @@ class LeadDetector {
           const newLeads = detectNewLeads(currentLeads);
           
           if (newLeads.length > 0) {
-            console.log('New leads detected:', newLeads);
+            log('info', 'New leads detected in DOM', { count: newLeads.length, ids: newLeads.map(lead => lead.id).filter(Boolean) });
             
             // Update the stored leads
             window.previousLeads = currentLeads;
@@ -522,7 +892,7 @@ class LeadDetector {
             // Notify about new leads
             notifyNewLeads(newLeads);
           } else {
-            console.log('No new leads detected');
+            log('debug', 'No new leads detected');
           }
         }
       });
@@ -535,39 +905,149 @@ class LeadDetector {
         characterData: false // Don't watch for changes to text content
       });
       
-      console.log('DOM mutation observer started');
+      log('info', 'DOM mutation observer started');
     });
     
     // Listen for the custom event from the page
     await this.page.exposeFunction('sendWebhookNotification', async (newLeads) => {
-      // Check if we should deduplicate this notification
-      if (this.shouldSendNotification(newLeads.map(lead => lead.id || lead.name))) {
-        await this.sendWebhookNotification({
-          event: 'new_leads_detected',
-          method: 'dom_mutation',
-          leads: newLeads,
-          timestamp: new Date().toISOString()
-        });
-      } else {
-        console.log('Skipping duplicate notification for DOM mutation');
-      }
+      await this.notifyNewLeads(newLeads, 'dom_mutation');
+    });
+    
+    // The page only shows a summary of each lead, so removals are confirmed
+    // (and updates found) by polling
+    await this.page.exposeFunction('reportRemovedLeads', async (leadIds) => {
+      if (!this.config.lifecycle || !this.config.lifecycle.enabled) return;
+      
+      this.logger.info('Leads removed from the page, polling now', { leadIds });
+      await this.pollNow();
     });
     
-    // Set up the event listener
+    // Set up the event listeners
     await this.page.evaluate(() => {
       document.addEventListener('newLeadsDetected', (event) => {
         window.sendWebhookNotification(event.detail);
       });
+      document.addEventListener('leadsRemovedDetected', (event) => {
+        window.reportRemovedLeads(event.detail);
+      });
+    });
+    
+    this.logger.info('DOM mutation observer initialized');
+  }
+  
+  /**
+   * Capture lead data from the page's own loader and XHR responses
+   */
+  startNetworkCapture() {
+    const networkCapture = this.config.networkCapture;
+    if (!networkCapture || !networkCapture.enabled) return;
+    
+    // A new page after re-login replaces the old listener
+    if (this.stopNetworkCapture) {
+      this.stopNetworkCapture();
+    }
+    
+    this.stopNetworkCapture = captureLeadResponses(this.page, {
+      urlPatterns: networkCapture.urlPatterns,
+      logger: this.logger,
+      onData: (data, url) => this.logger.withContext(
+        { captureId: createCorrelationId() },
+        () => this.handleCapturedLeadData(data, url)
+      )
+    });
+    
+    this.logger.info('Network response capture started', { urlPatterns: networkCapture.urlPatterns });
+  }
+  
+  /**
+   * Notify about new leads found in a captured response
+   *
+   * A captured list may be partial (a filtered view or one page of results),
+   * so its new leads are added to the last known list rather than replacing
+   * it; the next poll replaces it with the full list. They are left out of
+   * lifecycle diffing until a poll lists them.
+   */
+  async handleCapturedLeadData(data, url, method = 'network_response') {
+    if (!this.isRunning) return;
+    
+    // The first poll sets the baseline
+    if (!Array.isArray(this.previousLeadsArray)) {
+      this.logger.debug('Ignoring captured response before the first poll', { url });
+      return;
+    }
+    
+    const leadsArray = this.findLeadList(data);
+    
+    if (!Array.isArray(leadsArray)) {
+      this.logger.debug('No lead list in captured response', { url });
+      return;
+    }
+    
+    const { newLeads } = this.detectLeadChangesFromArrays(this.previousLeadsArray, leadsArray);
+    
+    if (newLeads.length === 0) {
+      this.logger.debug('No new leads in captured response', { url });
+      return;
+    }
+    
+    this.previousLeadsArray = [...this.previousLeadsArray, ...newLeads];
+    newLeads.forEach(lead => this.capturedOnlyLeadKeys.add(this.getLeadKey(lead)));
+    
+    if (newLeads.length >= this.config.changeDetection.minNewLeadsToNotify) {
+      this.logger.info('New leads in captured response', { newLeads: newLeads.length, url, method });
+      await this.notifyNewLeads(newLeads, method);
+    }
+  }
+  
+  /**
+   * Record the page's WebSocket and SSE messages and act on the ones about leads
+   */
+  async startPushChannels() {
+    const pushChannels = this.config.pushChannels;
+    if (!pushChannels || !pushChannels.enabled) return;
+    
+    // A new page after re-login gets a new recorder
+    if (this.pushRecorder) {
+      await this.pushRecorder.stop();
+    }
+    
+    this.pushRecorder = new PushChannelRecorder({
+      urlPatterns: pushChannels.urlPatterns,
+      notificationPatterns: pushChannels.notificationPatterns,
+      logger: this.logger,
+      onMessage: message => this.logger.withContext(
+        { pushId: createCorrelationId() },
+        () => this.handlePushMessage(message)
+      )
     });
+    await this.pushRecorder.start(this.page);
+    
+    this.logger.info('Push channel recording started');
+  }
+  
+  /**
+   * Turn a push message into a detector event
+   *
+   * Messages with lead records go through the same change detection as
+   * captured responses. Notifications without lead data trigger a poll,
+   * which fetches the exact lead list.
+   */
+  async handlePushMessage(message) {
+    this.metrics.pushMessages.inc({ channel_type: message.channelType, kind: message.kind || 'other' });
     
-    console.log('DOM mutation observer initialized');
+    if (message.kind === 'lead') {
+      await this.handleCapturedLeadData(message.leads, message.url, 'push_message');
+    } else if (message.kind === 'notification' && this.config.pushChannels.pollOnNotification) {
+      this.logger.info('Push notification received, polling now', { eventName: message.eventName });
+      await this.pollNow();
+    }
   }
   
   /**
    * Start polling fallback mechanism
    */
   startPollingFallback() {
-    console.log('Starting polling fallback...');
+    this.logger.info('Starting polling fallback');
     this.pollLeadsData();
   }
   
@@ -575,37 +1055,64 @@ class LeadDetector {
    * Poll the leads.data endpoint for changes
    */
   async pollLeadsData() {
-    if (!this.isRunning) return;
+    if (!this.isRunning || this.paused || this.pollInProgress) return;
+    
+    return this.logger.withContext({ pollId: createCorrelationId() }, () => this.runPoll());
+  }
+  
+  /**
+   * Fetch leads.data once, notify about new leads and schedule the next poll
+   */
+  async runPoll() {
+    this.pollInProgress = true;
+    this.lastPollAt = Date.now();
     
     try {
-      console.log(`Polling leads data (attempt ${this.retryCount + 1})...`);
+      this.logger.debug('Polling leads data', { attempt: this.retryCount + 1 });
       
       // Fetch the leads data
-      const leadsData = await this.fetchLeadsData();
+      const fetchStartedAt = Date.now();
+      let leadsData;
+      try {
+        leadsData = await this.fetchLeadsData();
+      } finally {
+        this.metrics.pollDuration.observe({}, (Date.now() - fetchStartedAt) / 1000);
+      }
       
-      if (!leadsData) {
-        // Handle error case
+      if (leadsData === null) {
+        // The session expired; fetchWithSession() has started a re-login
+        this.metrics.polls.inc({ outcome: 'failure' });
+        this.metrics.pollFailures.inc({ cause: 'auth_expired' });
         this.retryCount++;
         const backoffDelay = this.getBackoffDelay(this.retryCount);
-        console.log(`Error fetching leads data, retrying in ${backoffDelay}ms...`);
-        setTimeout(() => this.pollLeadsData(), backoffDelay);
+        this.setPollState('auth_expired');
+        this.logger.warn('No leads data received, retrying', { state: this.pollState, retryInMs: Math.round(backoffDelay) });
+        this.lastPollError = 'No leads data received';
+        this.schedulePoll(backoffDelay);
         return;
       }
       
-      // Parse the leads data
-      let currentLeadsArray = null;
-      try {
-        currentLeadsArray = JSON.parse(leadsData);
-      } catch (e) {
-        console.log('Response is not valid JSON, using raw data for comparison');
+      this.metrics.polls.inc({ outcome: 'success' });
+      this.lastSuccessfulPollAt = Date.now();
+      this.lastPollError = null;
+      this.sessionValid = true;
+      this.setPollState('ok');
+      if (this.pollThrottle.recordSuccess()) {
+        this.logger.info('Polling speeding up again', { slowdown: this.pollThrottle.factor });
       }
       
-      // If this is the first poll, just store the data
+      // Send what was held overnight before anything new
+      await this.releaseHeldNotifications();
+      
+      // Decode the leads data into lead records
+      const currentLeadsArray = this.parseLeadsData(leadsData);
+      
+      // If this is the first poll, store the data and catch up on missed leads
       if (this.previousLeadsData === null) {
-        console.log('Initial leads data stored');
-        this.previousLeadsData = leadsData;
-        this.previousLeadsArray = currentLeadsArray;
-        setTimeout(() => this.pollLeadsData(), this.config.timing.pollingInterval);
+        this.logger.info('Initial leads data stored');
+        this.setPolledLeads(leadsData, currentLeadsArray);
+        await this.reportMissedLeads(currentLeadsArray);
+        this.schedulePoll(this.getPollingDelay());
         return;
       }
       
@@ -616,133 +1123,860 @@ class LeadDetector {
         this.previousLeadsArray, 
         currentLeadsArray
       );
+      // A lead only seen in a captured response was never in a full list, so
+      // its absence from this one is not a removal
+      const polledLeadsArray = Array.isArray(this.previousLeadsArray)
+        ? this.previousLeadsArray.filter(lead => !this.capturedOnlyLeadKeys.has(this.getLeadKey(lead)))
+        : this.previousLeadsArray;
+      const lifecycleEvents = this.detectLifecycleEvents(polledLeadsArray, currentLeadsArray);
       
       if (hasChanges && newLeads.length >= this.config.changeDetection.minNewLeadsToNotify) {
-        console.log(`Changes detected in leads data: ${newLeads.length} new leads`);
+        this.logger.info('Changes detected in leads data', { newLeads: newLeads.length });
         
-        // Check if we should deduplicate this notification
-        if (this.shouldSendNotification(newLeads.map(lead => lead.id || lead.uniqueKey))) {
-          // Send webhook notification
-          await this.sendWebhookNotification({
-            event: 'new_leads_detected',
-            method: 'polling',
-            leads: newLeads,
-            timestamp: new Date().toISOString()
-          });
-        } else {
-          console.log('Skipping duplicate notification for polling');
-        }
+        await this.notifyNewLeads(newLeads, 'polling');
         
         // Update the previous data
-        this.previousLeadsData = leadsData;
-        this.previousLeadsArray = currentLeadsArray;
+        this.setPolledLeads(leadsData, currentLeadsArray);
       } else if (hasChanges) {
-        console.log('Minor changes detected in leads data, but no new leads');
+        this.logger.debug('Minor changes detected in leads data, but no new leads');
         // Update the previous data to prevent future false positives
-        this.previousLeadsData = leadsData;
-        this.previousLeadsArray = currentLeadsArray;
-      } else {
-        console.log('No changes detected in leads data');
+        this.setPolledLeads(leadsData, currentLeadsArray);
+      } else if (lifecycleEvents.length === 0) {
+        this.logger.debug('No changes detected in leads data');
+      }
+      
+      if (lifecycleEvents.length > 0) {
+        await this.notifyLeadLifecycle(lifecycleEvents, 'polling');
+        this.setPolledLeads(leadsData, currentLeadsArray);
       }
       
       // Reset retry count on successful poll
       this.retryCount = 0;
       
       // Schedule the next poll
-      setTimeout(() => this.pollLeadsData(), this.config.timing.pollingInterval);
+      this.schedulePoll(this.getPollingDelay());
     } catch (error) {
-      console.error('Error in polling function:', error);
-      
-      // Implement exponential backoff
+      const cause = this.getPollFailureCause(error);
+      this.lastPollError = error.message;
+      this.metrics.polls.inc({ outcome: 'failure' });
+      this.metrics.pollFailures.inc({ cause });
       this.retryCount++;
-      const backoffDelay = this.getBackoffDelay(this.retryCount);
-      console.log(`Error in polling function, retrying in ${backoffDelay}ms...`);
-      setTimeout(() => this.pollLeadsData(), backoffDelay);
+      this.setPollState(cause);
+      
+      if (cause === 'rate_limited' || cause === 'challenged') {
+        this.pollThrottle.slowDown();
+      }
+      
+      const retryDelay = this.getRetryDelay(cause, error);
+      
+      if (POLL_STATE_MESSAGES[cause]) {
+        this.logger.warn(POLL_STATE_MESSAGES[cause], {
+          state: cause,
+          statusCode: error.statusCode,
+          retryAfterMs: error.retryAfter,
+          retryInMs: Math.round(retryDelay),
+          slowdown: this.pollThrottle.factor
+        });
+      } else {
+        this.logger.error('Error in polling function', error);
+        this.logger.warn('Polling failed, retrying', { state: cause, retryInMs: Math.round(retryDelay) });
+      }
+      this.schedulePoll(retryDelay);
+    } finally {
+      this.pollInProgress = false;
     }
   }
   
   /**
-   * Check if we should send a notification (deduplication)
+   * Classify a polling error for metrics
    */
-  shouldSendNotification(leadIds) {
-    const now = Date.now();
-    
-    // Check if we're within the deduplication window
-    if (now - this.lastNotificationTime < this.config.changeDetection.deduplicationWindow) {
-      // Check if any of the lead IDs were already notified
-      const hasOverlap = leadIds.some(id => this.lastNotifiedLeadIds.has(id));
-      if (hasOverlap) {
-        return false;
-      }
-    } else {
-      // Outside the window, clear the previous lead IDs
-      this.lastNotifiedLeadIds.clear();
+  getPollFailureCause(error) {
+    if (error instanceof ResponseError) return error.responseClass;
+    if (/^HTTP error/.test(error.message)) return 'http_error';
+    if (error.code === 'ETIMEDOUT' || error.code === 'ESOCKETTIMEDOUT') return 'timeout';
+    if (error.code) return 'network_error';
+    return 'processing_error';
+  }
+  
+  /**
+   * Delay before the next regular poll, following the polling schedule if
+   * there is one
+   */
+  getPollingDelay() {
+    if (!this.schedule) {
+      return this.pollThrottle.apply(this.config.timing.pollingInterval);
     }
     
-    // Update the last notification time and lead IDs
-    this.lastNotificationTime = now;
-    leadIds.forEach(id => this.lastNotifiedLeadIds.add(id));
+    const now = new Date();
+    const period = this.schedule.getPeriod(now);
+    const periodKey = [this.schedule.windows.indexOf(period.window), period.quiet, period.holiday].join('|');
     
-    return true;
+    if (periodKey !== this.schedulePeriod) {
+      this.schedulePeriod = periodKey;
+      this.logger.info('Polling schedule period started', {
+        window: period.window ? period.window.name || null : null,
+        pollingInterval: period.pollingInterval,
+        quietHours: period.quiet,
+        holiday: period.holiday
+      });
+    }
+    
+    return this.pollThrottle.apply(this.schedule.getPollingDelay(now));
   }
   
   /**
-   * Fetch leads data from the API
+   * Polling interval in effect now, including any slowdown
    */
-  async fetchLeadsData() {
-    try {
-      // Prepare cookies for the request
-      const cookieString = this.cookies
-        .map(cookie => `${cookie.name}=${cookie.value}`)
-        .join('; ');
-      
-      // Make the request using Node.js https module
-      return new Promise((resolve, reject) => {
-        const url = new URL(this.config.urls.leadsData);
-        const options = {
-          hostname: url.hostname,
-          path: url.pathname + url.search,
-          method: 'GET',
-          headers: {
-            'Cookie': cookieString
-          }
-        };
-        
-        const req = https.request(options, (res) => {
-          // Check if we need to re-login
-          if (res.statusCode === 401 || res.statusCode === 403 || 
-              res.headers.location && res.headers.location.includes('/login')) {
+  getPollingInterval() {
+    if (this.schedule) {
+      return this.pollThrottle.apply(this.schedule.getPeriod().pollingInterval);
+    }
+    return this.config.timing ? this.pollThrottle.apply(this.config.timing.pollingInterval) : null;
+  }
+  
+  /**
+   * Whether notifications are held for quiet hours
+   */
+  isQuietHours() {
+    return Boolean(this.schedule && this.schedule.isQuiet());
+  }
+  
+  /**
+   * Send the notifications held during quiet hours, once they are over
+   *
+   * Held leads go out as one new_leads_detected notification with method
+   * 'quiet_hours', followed by the held lifecycle events, one per type.
+   */
+  async releaseHeldNotifications() {
+    if (this.heldLeads.size === 0 && this.heldLifecycleEvents.length === 0) return;
+    if (this.isQuietHours()) return;
+    
+    const heldLeads = this.heldLeads;
+    const heldEvents = this.heldLifecycleEvents;
+    this.heldLeads = new Map();
+    this.heldLifecycleEvents = [];
+    
+    this.logger.info('Quiet hours over, sending held notifications', { leads: heldLeads.size, lifecycleEvents: heldEvents.length });
+    
+    if (heldLeads.size > 0) {
+      const sent = await this.sendWebhookNotification({
+        event: 'new_leads_detected',
+        method: 'quiet_hours',
+        leads: [...heldLeads.values()],
+        timestamp: new Date().toISOString()
+      });
+      
+      if (sent && this.leadStore) {
+        this.leadStore.markNotified([...heldLeads.keys()]);
+      }
+    }
+    
+    // One notification per event type, in the order they were first held
+    const leadsByEvent = new Map();
+    for (const { event, leads } of heldEvents) {
+      leadsByEvent.set(event, [...(leadsByEvent.get(event) || []), ...leads]);
+    }
+    for (const [event, leads] of leadsByEvent) {
+      await this.sendWebhookNotification({
+        event,
+        method: 'quiet_hours',
+        leads,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+  
+  /**
+   * Record the class of the latest poll, logging when it changes
+   */
+  setPollState(state) {
+    if (state === this.pollState) return;
+    
+    const previous = this.pollState;
+    this.pollState = state;
+    
+    if (state === 'ok') {
+      this.logger.info('Poll state changed', { from: previous, to: state, slowdown: this.pollThrottle.factor });
+    } else {
+      this.logger.warn('Poll state changed', { from: previous, to: state });
+    }
+  }
+  
+  /**
+   * Delay before retrying a failed poll
+   *
+   * Rate limits and challenges wait for Retry-After, or their own delay,
+   * doubled for each failure in a row; server errors wait for Retry-After if
+   * given. Everything else backs off exponentially.
+   */
+  getRetryDelay(cause, error) {
+    const rateLimit = this.config.rateLimit || DEFAULTS.rateLimit;
+    const retryAfter = error instanceof ResponseError ? error.retryAfter : null;
+    let delay;
+    
+    if (cause === 'rate_limited' || cause === 'challenged') {
+      const baseDelay = cause === 'rate_limited' ? rateLimit.retryDelay : rateLimit.challengeDelay;
+      delay = retryAfter !== null ? retryAfter : baseDelay * Math.pow(2, this.retryCount - 1);
+    } else if (retryAfter !== null) {
+      delay = retryAfter;
+    } else {
+      return this.getBackoffDelay(this.retryCount);
+    }
+    
+    this.lastBackoffDelay = Math.min(delay, rateLimit.maxRetryAfter);
+    return this.lastBackoffDelay;
+  }
+  
+  /**
+   * Schedule the next poll, replacing any poll already scheduled
+   */
+  schedulePoll(delay) {
+    clearTimeout(this.pollTimer);
+    this.pollTimer = null;
+    
+    if (!this.isRunning || this.paused) return;
+    
+    this.pollTimer = setTimeout(() => this.pollLeadsData(), delay);
+  }
+  
+  /**
+   * Poll immediately instead of waiting for the next scheduled poll
+   *
+   * Returns false if a poll is already running or polling is paused.
+   */
+  async pollNow() {
+    if (!this.isRunning || this.paused || this.pollInProgress) {
+      return false;
+    }
+    
+    clearTimeout(this.pollTimer);
+    this.pollTimer = null;
+    await this.pollLeadsData();
+    return true;
+  }
+  
+  /**
+   * Pause polling. The DOM mutation observer keeps running.
+   */
+  pausePolling() {
+    this.paused = true;
+    clearTimeout(this.pollTimer);
+    this.pollTimer = null;
+    this.logger.info('Polling paused');
+  }
+  
+  /**
+   * Resume polling after pausePolling()
+   */
+  resumePolling() {
+    if (!this.paused) return;
+    
+    this.paused = false;
+    this.logger.info('Polling resumed');
+    this.schedulePoll(0);
+  }
+  
+  /**
+   * Report leads that arrived while the detector was not running
+   */
+  async reportMissedLeads(currentLeadsArray) {
+    if (!this.leadStore || !Array.isArray(currentLeadsArray)) return;
+    
+    const currentLeads = this.extractLeadObjects(currentLeadsArray);
+    const leadsByKey = new Map(currentLeads.map(lead => [this.getLeadKey(lead), lead]));
+    
+    // First run with an empty store: everything on the list is the baseline
+    if (this.leadStore.size === 0) {
+      this.leadStore.recordSeen(leadsByKey);
+      this.leadStore.markNotified([...leadsByKey.keys()], { baseline: true });
+      this.logger.info('Lead store initialized with baseline leads', { baselineLeads: leadsByKey.size });
+      return;
+    }
+    
+    const missedLeads = currentLeads.filter(lead => !this.leadStore.isNotified(this.getLeadKey(lead)));
+    
+    if (missedLeads.length === 0) {
+      this.logger.info('No missed leads since last run');
+      return;
+    }
+    
+    this.logger.info('Found leads missed since last run', { missedLeads: missedLeads.length });
+    await this.notifyNewLeads(missedLeads, 'startup_sync');
+  }
+  
+  /**
+   * Notify about new leads, skipping any already notified
+   */
+  async notifyNewLeads(newLeads, method) {
+    // Drop leads that were already notified, including by a previous run
+    const pendingLeads = this.leadStore
+      ? newLeads.filter(lead => !this.leadStore.isNotified(this.getLeadKey(lead)))
+      : newLeads;
+    const leadKeys = pendingLeads.map(lead => this.getLeadKey(lead));
+    
+    if (pendingLeads.length === 0 || !this.shouldSendNotification(leadKeys)) {
+      this.logger.info('Skipping duplicate notification', { method });
+      return false;
+    }
+    
+    // Before lead rules, so the digests see their outcomes
+    if (this.digests) {
+      this.digests.recordLeads(pendingLeads, leadKeys, method);
+    }
+    
+    // Rules match on the lead list's fields, so they act before the details
+    // load. Neither the notification nor the poll waits for them; batches are
+    // handled in turn.
+    this.ruleActions = this.ruleActions.then(() => this.applyLeadRules(pendingLeads));
+    
+    const leads = await this.enrichLeadDetails(pendingLeads);
+    
+    this.recordDetections(leads, method);
+    
+    if (this.digests && leads !== pendingLeads) {
+      this.digests.recordLeads(leads, leadKeys, method);
+    }
+    
+    if (this.leadStore) {
+      this.leadStore.recordSeen(new Map(leads.map((lead, i) => [leadKeys[i], lead])));
+    }
+    
+    // Leads are marked notified when the held batch is sent, so a restart
+    // during quiet hours reports them again
+    if (this.isQuietHours()) {
+      leads.forEach((lead, i) => this.heldLeads.set(leadKeys[i], lead));
+      this.logger.info('Quiet hours, holding notification', { method, leads: leads.length, heldLeads: this.heldLeads.size });
+      return false;
+    }
+    
+    const sent = await this.sendWebhookNotification({
+      event: 'new_leads_detected',
+      method,
+      leads,
+      timestamp: new Date().toISOString()
+    });
+    
+    if (sent && this.leadStore) {
+      this.leadStore.markNotified(leadKeys);
+    }
+    
+    return sent;
+  }
+  
+  /**
+   * Accept or decline new leads that match a lead rule
+   *
+   * Leads are handled one at a time. Every decision is written to the rules
+   * audit log; failures are logged and never thrown.
+   */
+  async applyLeadRules(leads) {
+    if (!this.leadRules) return;
+    
+    for (const lead of leads) {
+      const leadKey = this.getLeadKey(lead);
+      
+      try {
+        const decision = this.leadRules.decide(lead, leadKey);
+        if (!decision) continue;
+        
+        let outcome;
+        let error = null;
+        
+        if (decision.capped) {
+          outcome = 'daily_cap';
+        } else if (this.leadRules.dryRun) {
+          outcome = 'dry_run';
+        } else {
+          try {
+            await this.performLeadAction(lead, decision.action);
+            outcome = decision.action === 'accept' ? 'accepted' : 'declined';
+          } catch (actionError) {
+            outcome = 'failed';
+            error = actionError;
+          }
+        }
+        
+        const entry = this.leadRules.record(lead, leadKey, decision, outcome, error);
+        this.metrics.ruleActions.inc({ action: decision.action, outcome });
+        if (this.digests) {
+          this.digests.recordAction(leadKey, { rule: entry.rule, action: entry.action, outcome });
+        }
+        
+        if (error) {
+          this.logger.error('Automated lead action failed', entry);
+        } else {
+          this.logger.info('Automated lead action', entry);
+        }
+      } catch (error) {
+        this.logger.error('Error applying lead rules', { leadKey, error });
+      }
+    }
+  }
+  
+  /**
+   * Open a lead's page and click its accept or decline button, then the
+   * confirmation if one is shown
+   */
+  async performLeadAction(lead, action) {
+    if (this.isBrowserless() || !this.browser) {
+      throw new Error('Lead actions need the browser, which is closed after login');
+    }
+    
+    const leadUrl = this.getLeadUrl(lead);
+    if (leadUrl === this.config.urls.leads) {
+      throw new Error('Lead has no ID to open');
+    }
+    
+    const selectors = this.config.leadRules.selectors || {};
+    const page = await this.openPage();
+    
+    try {
+      await page.goto(leadUrl, {
+        waitUntil: 'networkidle2',
+        timeout: this.config.timing.pageLoadTimeout
+      });
+      
+      if (page.url().includes('/login')) {
+        throw new Error('Session expired');
+      }
+      
+      if (!await this.clickLeadButton(page, selectors[action], LEAD_BUTTON_TEXTS[action])) {
+        throw new Error(`No ${action} button found on the lead page`);
+      }
+      
+      await page.waitForNetworkIdle({ idleTime: 500, timeout: 10000 }).catch(() => {});
+      
+      if (await this.clickLeadButton(page, selectors.confirm, LEAD_BUTTON_TEXTS.confirm)) {
+        await page.waitForNetworkIdle({ idleTime: 500, timeout: 10000 }).catch(() => {});
+      }
+    } finally {
+      await page.close().catch(() => {});
+    }
+  }
+  
+  /**
+   * Click the first enabled button matching a selector, or else whose text
+   * starts with one of the given texts
+   *
+   * @returns {Promise<boolean>} False if there is no such button
+   */
+  async clickLeadButton(page, selector, texts) {
+    return page.evaluate((selector, texts) => {
+      const candidates = selector
+        ? Array.from(document.querySelectorAll(selector))
+        : Array.from(document.querySelectorAll('button, [role="button"]')).filter(element => {
+          const text = element.textContent.trim().toLowerCase();
+          return texts.some(candidate => text.startsWith(candidate));
+        });
+      const button = candidates.find(element => !element.disabled);
+      
+      if (!button) return false;
+      button.click();
+      return true;
+    }, selector || null, texts);
+  }
+  
+  /**
+   * Keep a full lead list from a poll as the baseline for the next one
+   */
+  setPolledLeads(leadsData, leadsArray) {
+    this.previousLeadsData = leadsData;
+    this.previousLeadsArray = leadsArray;
+    this.capturedOnlyLeadKeys.clear();
+  }
+  
+  /**
+   * Compare two full lead lists for lifecycle events (updated, status
+   * changed, removed), if they are enabled
+   *
+   * @returns {Object[]} Events, each { event, leads }
+   */
+  detectLifecycleEvents(previousArray, currentArray) {
+    const lifecycle = this.config.lifecycle;
+    
+    if (!lifecycle || !lifecycle.enabled || !Array.isArray(previousArray) || !Array.isArray(currentArray)) {
+      return [];
+    }
+    
+    const changes = diffLeadSnapshots(this.extractLeadObjects(previousArray), this.extractLeadObjects(currentArray), {
+      getKey: lead => this.getLeadKey(lead),
+      ignoreFields: [...this.config.changeDetection.ignoreFields, 'uniqueKey'],
+      statusField: lifecycle.statusField,
+      transitions: lifecycle.transitions
+    });
+    
+    return buildLifecycleEvents(changes);
+  }
+  
+  /**
+   * Send lifecycle events, one notification per event type, or hold them
+   * during quiet hours
+   */
+  async notifyLeadLifecycle(events, method) {
+    const quiet = this.isQuietHours();
+    
+    for (const { event, leads } of events) {
+      this.logger.info('Lead lifecycle event', { event, leads: leads.length, leadKeys: leads.map(lead => this.getLeadKey(lead)), held: quiet });
+      this.metrics.lifecycleEvents.inc({ event }, leads.length);
+      
+      if (quiet) {
+        this.heldLifecycleEvents.push({ event, leads });
+        continue;
+      }
+      
+      await this.sendWebhookNotification({
+        event,
+        method,
+        leads,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+  
+  /**
+   * Add each lead's detail (description, job size, timing, photos and
+   * attachments) if enrichment is enabled
+   *
+   * Waits at most enrichment.timeout; leads without details by then are
+   * returned with `enriched: false`.
+   */
+  async enrichLeadDetails(leads) {
+    const enrichment = this.config.enrichment;
+    
+    if (!enrichment || !enrichment.enabled) {
+      return leads;
+    }
+    
+    const result = await enrichLeads(leads, {
+      loadDetail: (lead, signal) => this.loadLeadDetail(lead, signal),
+      timeout: enrichment.timeout,
+      maxLeads: enrichment.maxLeads,
+      concurrency: enrichment.concurrency,
+      logger: this.logger
+    });
+    
+    result.outcomes.forEach(outcome => this.metrics.enrichments.inc({ outcome }));
+    this.logger.debug('Lead details loaded', {
+      leads: leads.length,
+      enriched: result.outcomes.filter(outcome => outcome === 'success').length
+    });
+    
+    return result.leads;
+  }
+  
+  /**
+   * Load a lead's record from its detail route
+   *
+   * Resolves with null if the lead has no detail link or its record is not
+   * in the loader data. Aborting the signal ends the request or closes the
+   * page.
+   */
+  async loadLeadDetail(lead, signal) {
+    const { source, routeId } = this.config.enrichment;
+    const leadId = lead.id || lead.leadId || lead.jobId;
+    const detailUrl = this.getLeadUrl(lead);
+    
+    if (detailUrl === this.config.urls.leads) {
+      return null;
+    }
+    
+    let loaderData;
+    
+    if (source === 'page' && !this.isBrowserless() && this.browser) {
+      loaderData = await this.readPageLoaderData(detailUrl, signal);
+    } else {
+      const dataUrl = getDetailDataUrl(detailUrl, routeId);
+      const body = await this.fetchWithSession(dataUrl, { signal });
+      
+      if (body === null) {
+        throw new Error('Session expired');
+      }
+      loaderData = decodeResponseBody(body, dataUrl);
+    }
+    
+    if (loaderData && routeId) {
+      loaderData = loaderData[routeId];
+    }
+    
+    return findLeadDetail(loaderData, leadId);
+  }
+  
+  /**
+   * Open a page in the browser and read its Remix loader data, by route ID
+   */
+  async readPageLoaderData(pageUrl, signal) {
+    const page = await this.openPage();
+    // Closing the page ends a load that is still running when aborted
+    const closePage = () => page.close().catch(() => {});
+    
+    if (signal) {
+      signal.addEventListener('abort', closePage, { once: true });
+    }
+    
+    try {
+      if (signal) signal.throwIfAborted();
+      
+      await page.goto(pageUrl, {
+        waitUntil: 'domcontentloaded',
+        timeout: this.config.enrichment.timeout
+      });
+      
+      return await page.evaluate(() => {
+        const state = (window.__remixRouter && window.__remixRouter.state) ||
+          (window.__remixContext && window.__remixContext.state);
+        return state ? state.loaderData : null;
+      });
+    } finally {
+      if (signal) signal.removeEventListener('abort', closePage);
+      await closePage();
+    }
+  }
+  
+  /**
+   * Keep a short history of detected leads for the control API
+   */
+  recordDetections(leads, method) {
+    const detectedAt = new Date().toISOString();
+    const limit = (this.config.controlServer && this.config.controlServer.recentLeadsLimit) || 100;
+    
+    leads.forEach(lead => {
+      this.recentDetections.unshift({ key: this.getLeadKey(lead), method, detectedAt, lead });
+    });
+    this.metrics.leadsDetected.inc({ method }, leads.length);
+    this.recentDetections.length = Math.min(this.recentDetections.length, limit);
+  }
+  
+  /**
+   * Get the key used to identify a lead across polls and restarts
+   */
+  getLeadKey(lead) {
+    return String(lead.id || lead.uniqueKey || lead.name);
+  }
+  
+  /**
+   * Check if we should send a notification (deduplication)
+   */
+  shouldSendNotification(leadIds) {
+    const now = Date.now();
+    
+    // Check if we're within the deduplication window
+    if (now - this.lastNotificationTime < this.config.changeDetection.deduplicationWindow) {
+      // Check if any of the lead IDs were already notified
+      const hasOverlap = leadIds.some(id => this.lastNotifiedLeadIds.has(id));
+      if (hasOverlap) {
+        return false;
+      }
+    } else {
+      // Outside the window, clear the previous lead IDs
+      this.lastNotifiedLeadIds.clear();
+    }
+    
+    // Update the last notification time and lead IDs
+    this.lastNotificationTime = now;
+    leadIds.forEach(id => this.lastNotifiedLeadIds.add(id));
+    
+    return true;
+  }
+  
+  /**
+   * Fetch leads data from the API
+   *
+   * Resolves with null if the session has expired.
+   */
+  async fetchLeadsData() {
+    return this.fetchWithSession(this.config.urls.leadsData);
+  }
+  
+  /**
+   * Fetch a Tradiecore URL with the session cookies
+   *
+   * Redirects are followed, and Set-Cookie headers on every response go into
+   * the cookie jar, so the session refreshes itself as the browser's would.
+   * Resolves with null if the session has expired.
+   *
+   * @param {string} url
+   * @param {Object} options
+   * @param {AbortSignal} options.signal - Aborts the request
+   */
+  async fetchWithSession(url, options = {}) {
+    let requestUrl = url;
+    
+    try {
+      for (let redirects = 0; ; redirects++) {
+        const response = await this.requestWithCookies(requestUrl, options);
+        const { statusCode, headers } = response;
+        const responseClass = classifyResponse(response);
+        
+        // Check if we need to re-login
+        if (responseClass === 'auth_expired') {
+          // One-off fetches (e.g. the poll-once command) just report the expired session
+          if (this.isRunning) {
             this.handleRelogin();
-            resolve(null);
-            return;
           }
-          
-          // Check if the request was successful
-          if (res.statusCode < 200 || res.statusCode >= 300) {
-            reject(new Error(`HTTP error: ${res.statusCode}`));
-            return;
+          return null;
+        }
+        
+        if (responseClass === 'redirect') {
+          if (redirects >= MAX_REDIRECTS) {
+            throw new Error(`Too many redirects fetching ${url}`);
           }
-          
-          let data = '';
-          res.on('data', (chunk) => {
-            data += chunk;
-          });
-          
-          res.on('end', () => {
-            resolve(data);
-          });
-        });
+          requestUrl = new URL(headers.location, requestUrl).toString();
+          continue;
+        }
+        
+        // Rate limits, challenges and other errors, with any server hint
+        if (responseClass !== 'ok') {
+          throw new ResponseError(responseClass, statusCode, parseRetryAfter(headers['retry-after']));
+        }
+        
+        return response.body;
+      }
+    } finally {
+      await this.saveRefreshedCookies();
+    }
+  }
+  
+  /**
+   * Send a GET request with the cookies in the jar and store the cookies it
+   * sets
+   *
+   * Rejects with an ETIMEDOUT error if the connection is idle for
+   * timing.requestTimeout, or an AbortError if options.signal is aborted.
+   *
+   * @returns {Promise<{statusCode: number, headers: Object, body: string}>}
+   */
+  requestWithCookies(requestUrl, { signal } = {}) {
+    const url = new URL(requestUrl);
+    const client = url.protocol === 'http:' ? http : https;
+    const timeout = this.config.timing.requestTimeout;
+    const headers = {};
+    const cookieHeader = this.cookieJar ? this.cookieJar.getCookieHeader(requestUrl) : '';
+    
+    if (cookieHeader) {
+      headers.Cookie = cookieHeader;
+    }
+    
+    return new Promise((resolve, reject) => {
+      const req = client.request(url, { method: 'GET', headers, timeout, signal }, (res) => {
+        if (this.cookieJar) {
+          this.cookieJar.setCookiesFromResponse(res.headers['set-cookie'], requestUrl);
+        }
         
-        req.on('error', (error) => {
-          reject(error);
+        let body = '';
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => {
+          body += chunk;
         });
         
-        req.end();
+        res.on('end', () => {
+          resolve({ statusCode: res.statusCode, headers: res.headers, body });
+        });
+        res.on('error', reject);
+      });
+      
+      // A stalled connection would otherwise hold up polling for good
+      req.on('timeout', () => {
+        const error = Object.assign(new Error(`Request timed out after ${timeout}ms`), { code: 'ETIMEDOUT' });
+        reject(error);
+        req.destroy(error);
+      });
+      
+      req.on('error', (error) => {
+        reject(error);
       });
+      
+      req.end();
+    });
+  }
+  
+  /**
+   * Save the cookie jar if responses have refreshed it
+   */
+  async saveRefreshedCookies() {
+    if (!this.cookieJar || !this.cookieJar.changed) return;
+    
+    this.cookieJar.changed = false;
+    this.cookies = this.cookieJar.getCookies();
+    this.logger.debug('Session cookies refreshed', { cookies: this.cookies.length });
+    this.scheduleSessionRenewal();
+    
+    if (this.config.cookieStorage.enabled) {
+      await this.saveCookiesToStorage(this.cookies);
+    }
+  }
+  
+  /**
+   * Decode a leads.data response into an array of lead records
+   *
+   * The endpoint returns a Remix turbo-stream; plain JSON is still accepted.
+   * Returns null if no lead list can be found, in which case detection falls
+   * back to string comparison.
+   */
+  parseLeadsData(leadsData) {
+    const routeId = new URL(this.config.urls.leadsData).searchParams.get('_routes');
+    let loaderData;
+    
+    try {
+      loaderData = decodeRouteData(leadsData, routeId);
     } catch (error) {
-      console.error('Error fetching leads data:', error);
+      try {
+        loaderData = JSON.parse(leadsData);
+      } catch (e) {
+        this.logger.warn('Response could not be decoded, using raw data for comparison');
+        return null;
+      }
+    }
+    
+    const leads = this.findLeadList(loaderData);
+    
+    if (!leads) {
+      this.logger.warn('No lead list found in leads data, using raw data for comparison');
+    }
+    
+    return leads;
+  }
+  
+  /**
+   * Find the array of lead records inside decoded loader data
+   */
+  findLeadList(data) {
+    if (Array.isArray(data)) {
+      return data;
+    }
+    
+    if (!data || typeof data !== 'object') {
       return null;
     }
+    
+    const isRecordList = (value) => Array.isArray(value) &&
+      value.every(item => item && typeof item === 'object' && item.id !== undefined);
+    
+    // Breadth-first so the top-level list wins over nested arrays (attachments etc.)
+    const queue = [data];
+    const seen = new Set(queue);
+    let fallback = null;
+    
+    while (queue.length > 0) {
+      const current = queue.shift();
+      
+      for (const [key, value] of Object.entries(current)) {
+        if (isRecordList(value)) {
+          if (/lead/i.test(key)) {
+            return value;
+          }
+          if (!fallback && value.length > 0) {
+            fallback = value;
+          }
+        }
+        
+        if (value && typeof value === 'object' && !(value instanceof Date) && !seen.has(value)) {
+          seen.add(value);
+          queue.push(value);
+        }
+      }
+    }
+    
+    return fallback;
   }
   
   /**
@@ -956,47 +2190,283 @@ class LeadDetector {
     return leadIds;
   }
   
+  /**
+   * Get the configured webhook destinations
+   *
+   * Without a `destinations` list the single `webhook.url` is used as a
+   * destination named "default". Headers, timeout, secret, body template and
+   * events not set on a destination are taken from `webhook`.
+   */
+  getWebhookDestinations() {
+    const webhook = this.config.webhook;
+    const destinations = Array.isArray(webhook.destinations) && webhook.destinations.length > 0
+      ? webhook.destinations
+      : [{ name: 'default', url: webhook.url }];
+    
+    return destinations.map((destination, index) => ({
+      name: destination.name || `destination-${index + 1}`,
+      type: destination.type || 'webhook',
+      url: destination.url,
+      headers: destination.headers || webhook.headers || { 'Content-Type': 'application/json' },
+      timeout: destination.timeout || webhook.timeout || 10000,
+      secret: destination.secret !== undefined ? destination.secret : webhook.secret,
+      body: destination.body || webhook.body || null,
+      filter: destination.filter || null,
+      events: destination.events || webhook.events || null,
+      // Email destinations
+      to: destination.to,
+      from: destination.from || (this.config.email && this.config.email.from),
+      subject: destination.subject,
+      mode: destination.mode
+    }));
+  }
+  
+  /**
+   * Get the Tradiecore link for a lead
+   */
+  getLeadUrl(lead) {
+    const leadId = lead.id || lead.leadId || lead.jobId;
+    
+    if (!leadId || !this.config.urls.leadDetail) {
+      return this.config.urls.leads;
+    }
+    
+    return this.config.urls.leadDetail.replace('{id}', encodeURIComponent(leadId));
+  }
+  
   /**
    * Send webhook notification
+   *
+   * Each destination gets only the leads that match its filter, shaped by
+   * its body template or chat format, as its own delivery (or one delivery
+   * per lead). With the outbox enabled deliveries are persisted and sent in
+   * the background (with retries), so this returns true once they are queued.
+   *
+   * @param {Object} data - { event, method, leads, timestamp, ... }
+   * @param {Object} options
+   * @param {string[]} options.destinations - Send to these destinations only,
+   *   whatever their `events`
+   * @param {boolean} options.sendEmpty - Send even if no leads match
    */
-  async sendWebhookNotification(data) {
-    try {
-      console.log('Sending webhook notification...');
+  async sendWebhookNotification(data, options = {}) {
+    const deliveries = [];
+    
+    for (const destination of this.getWebhookDestinations()) {
+      const receives = options.destinations
+        ? options.destinations.includes(destination.name)
+        : this.destinationReceives(destination, data.event);
+      if (!receives) continue;
       
-      // Make the request using Node.js https module
-      return new Promise((resolve, reject) => {
-        const url = new URL(this.config.webhook.url);
-        const postData = JSON.stringify(data);
-        
-        const options = {
-          hostname: url.hostname,
-          path: url.pathname + url.search,
-          method: 'POST',
-          headers: {
-            ...this.config.webhook.headers,
-            'Content-Length': Buffer.byteLength(postData)
-          }
-        };
-        
-        const protocol = url.protocol === 'https:' ? https : http;
-        
-        const req = protocol.request(options, (res) => {
-          console.log('Webhook notification sent:', res.statusCode);
-          resolve(res.statusCode >= 200 && res.statusCode < 300);
-        });
-        
-        req.on('error', (error) => {
-          console.error('Error sending webhook notification:', error);
-          reject(error);
-        });
-        
-        req.write(postData);
-        req.end();
+      const leads = Array.isArray(data.leads)
+        ? data.leads.filter(lead => matchesLeadFilter(lead, destination.filter))
+        : data.leads;
+      
+      if (Array.isArray(leads) && leads.length === 0 && !options.sendEmpty) {
+        this.logger.debug('No leads match the destination filter', { destination: destination.name });
+        continue;
+      }
+      
+      for (const payload of this.buildPayloads(destination, { ...data, leads })) {
+        deliveries.push({ destination, payload });
+      }
+    }
+    
+    if (this.outbox) {
+      deliveries.forEach(({ destination, payload }) => {
+        this.outbox.enqueue(payload, { destination: destination.name });
       });
+      return true;
+    }
+    
+    // Send to every destination even if some fail
+    const results = await Promise.allSettled(deliveries.map(({ destination, payload }) =>
+      this.deliverToDestination(payload, crypto.randomUUID(), destination)
+    ));
+    
+    return results.every(result => result.status === 'fulfilled' && result.value >= 200 && result.value < 300);
+  }
+  
+  /**
+   * Send a digest to the destinations it names
+   */
+  async sendDigest(data, digest) {
+    const sent = await this.sendWebhookNotification(data, { destinations: digest.destinations, sendEmpty: digest.sendEmpty });
+    this.metrics.digests.inc({ digest: digest.name });
+    return sent;
+  }
+  
+  /**
+   * Warn about digests sent to destinations that do not exist
+   */
+  checkDigestDestinations() {
+    const names = this.getWebhookDestinations().map(destination => destination.name);
+    
+    for (const digest of this.digests.digests) {
+      const unknown = digest.destinations.filter(name => !names.includes(name));
+      if (unknown.length > 0) {
+        this.logger.warn('Digest destinations not found', { digest: digest.name, destinations: unknown });
+      }
+    }
+  }
+  
+  /**
+   * Whether a destination receives an event
+   *
+   * Without an `events` list, webhook destinations receive every event and
+   * chat and email destinations all but lifecycle events.
+   */
+  destinationReceives(destination, event) {
+    if (destination.events) {
+      return destination.events.includes(event);
+    }
+    return destination.type === 'webhook' || !isLifecycleEvent(event);
+  }
+  
+  /**
+   * Shape a notification for a destination: email messages, chat messages or
+   * webhook bodies, depending on its type
+   *
+   * With several accounts, every payload carries the account ID.
+   */
+  buildPayloads(destination, data) {
+    const getLeadUrl = lead => this.getLeadUrl(lead);
+    
+    if (this.accountId) {
+      data = { ...data, accountId: this.accountId };
+    }
+    
+    if (data.event === DIGEST_EVENT) {
+      return buildDigestPayloads(destination, data, getLeadUrl);
+    }
+    if (destination.type === 'email') {
+      return buildEmailMessages(data, destination, getLeadUrl);
+    }
+    if (CHAT_TYPES.includes(destination.type)) {
+      return buildChatMessages(destination.type, data, getLeadUrl);
+    }
+    return buildWebhookBodies(data, destination.body);
+  }
+  
+  /**
+   * Deliver one payload to a destination using its transport
+   */
+  deliverToDestination(payload, deliveryId, destination) {
+    return this.logger.withContext({ deliveryId }, () => this.deliverAndRecord(payload, deliveryId, destination));
+  }
+  
+  /**
+   * Deliver one payload and count the outcome
+   */
+  async deliverAndRecord(payload, deliveryId, destination) {
+    try {
+      const statusCode = destination.type === 'email'
+        ? await this.deliverEmail(payload, deliveryId, destination)
+        : await this.deliverWebhook(payload, deliveryId, destination);
+      this.metrics.deliveries.inc({ destination: destination.name, status_code: String(statusCode) });
+      if (statusCode >= 200 && statusCode < 300) {
+        this.lastNotificationSentAt = Date.now();
+      }
+      return statusCode;
     } catch (error) {
-      console.error('Error sending webhook notification:', error);
-      return false;
+      this.metrics.deliveries.inc({ destination: destination.name, status_code: 'error' });
+      throw error;
+    }
+  }
+  
+  /**
+   * Send one email message and resolve with the SMTP reply code (250 on success)
+   */
+  async deliverEmail(message, deliveryId, destination) {
+    this.logger.info('Sending email notification', { destination: destination.name });
+    
+    const info = await this.getMailTransport(destination.timeout).sendMail({
+      ...message,
+      headers: { 'X-Lead-Detector-Delivery': deliveryId }
+    });
+    
+    this.logger.info('Email notification sent', { destination: destination.name, response: info.response });
+    return parseInt(info.response, 10) || 250;
+  }
+  
+  /**
+   * Get the SMTP transport for a destination timeout, creating it on first use
+   */
+  getMailTransport(timeout) {
+    if (!this.mailTransports.has(timeout)) {
+      const email = this.config.email || {};
+      
+      if (!email.host) {
+        throw new Error('SMTP host is not configured for email notifications');
+      }
+      
+      this.mailTransports.set(timeout, nodemailer.createTransport({
+        host: email.host,
+        port: email.port,
+        secure: email.secure,
+        requireTLS: email.requireTLS,
+        auth: email.user ? { user: email.user, pass: email.password } : undefined,
+        connectionTimeout: timeout,
+        greetingTimeout: timeout,
+        socketTimeout: timeout
+      }));
     }
+    
+    return this.mailTransports.get(timeout);
+  }
+  
+  /**
+   * Make a single webhook request and resolve with the response status code
+   *
+   * The delivery ID stays the same across retries so receivers can drop
+   * replays of a delivery they already accepted.
+   */
+  deliverWebhook(data, deliveryId = crypto.randomUUID(), destination = this.getWebhookDestinations()[0]) {
+    this.logger.info('Sending webhook notification', { destination: destination.name });
+    
+    // Make the request using Node.js https module
+    return new Promise((resolve, reject) => {
+      const url = new URL(destination.url);
+      const postData = JSON.stringify(data);
+      
+      // Sign the exact body being sent, with a fresh timestamp per attempt
+      const signatureHeaders = destination.secret
+        ? createSignatureHeaders(destination.secret, deliveryId, postData)
+        : { 'X-Lead-Detector-Delivery': deliveryId };
+      
+      const options = {
+        hostname: url.hostname,
+        port: url.port,
+        path: url.pathname + url.search,
+        method: 'POST',
+        headers: {
+          ...destination.headers,
+          ...signatureHeaders,
+          'Content-Length': Buffer.byteLength(postData)
+        },
+        timeout: destination.timeout
+      };
+      
+      const protocol = url.protocol === 'https:' ? https : http;
+      
+      const req = protocol.request(options, (res) => {
+        this.logger.info('Webhook notification sent', { destination: destination.name, statusCode: res.statusCode });
+        // Drain the response so the socket is released
+        res.resume();
+        resolve(res.statusCode);
+      });
+      
+      req.on('timeout', () => {
+        req.destroy(new Error(`Webhook request timed out after ${options.timeout}ms`));
+      });
+      
+      req.on('error', (error) => {
+        this.logger.error('Error sending webhook notification', { destination: destination.name, error });
+        reject(error);
+      });
+      
+      req.write(postData);
+      req.end();
+    });
   }
   
   /**
@@ -1008,34 +2478,66 @@ class LeadDetector {
   
   /**
    * Handle re-login if needed
+   *
+   * Concurrent callers (e.g. several polls hitting a 401) share one attempt.
    */
-  async handleRelogin() {
-    console.log('Session expired, attempting to re-login...');
+  handleRelogin() {
+    if (!this.reloginPromise) {
+      this.sessionValid = false;
+      this.reloginPromise = this.logger.withContext(
+        { loginId: createCorrelationId() },
+        // A renewal in progress may already bring a valid session
+        async () => (this.renewalPromise && await this.renewalPromise) || this.performRelogin()
+      ).finally(() => {
+        this.reloginPromise = null;
+      });
+    }
+    
+    return this.reloginPromise;
+  }
+  
+  /**
+   * Close the page, log in again and restart the DOM mutation observer
+   */
+  async performRelogin() {
+    this.logger.warn('Session expired, attempting to re-login');
     
     // Increment login retry count
     this.loginRetryCount++;
     
     // If we've tried too many times, wait longer before trying again
     if (this.loginRetryCount > 3) {
-      console.log(`Login retry count exceeded (${this.loginRetryCount}), waiting longer before next attempt...`);
+      this.logger.warn('Login retry count exceeded, waiting longer before next attempt', { loginRetryCount: this.loginRetryCount });
       await new Promise(resolve => setTimeout(resolve, this.config.timing.loginRetryDelay));
     }
     
     try {
+      if (this.isBrowserless()) {
+        const loginSuccess = await this.withTemporaryBrowser(() => this.loginWithOAuth());
+        this.metrics.loginAttempts.inc({ type: 'relogin', outcome: loginSuccess ? 'success' : 'failure' });
+        
+        if (!loginSuccess) {
+          this.logger.error('Re-login failed');
+          return false;
+        }
+        
+        this.logger.info('Re-login successful');
+        return true;
+      }
+      
       // Close existing page
       await this.page.close();
       
       // Create new page
-      this.page = await this.browser.newPage();
-      
-      // Set viewport
-      await this.page.setViewport({ width: 1280, height: 800 });
+      this.page = await this.openPage();
+      await this.startPushChannels();
       
       // Login using OAuth flow
       const loginSuccess = await this.loginWithOAuth();
+      this.metrics.loginAttempts.inc({ type: 'relogin', outcome: loginSuccess ? 'success' : 'failure' });
       
       if (!loginSuccess) {
-        console.error('Re-login failed');
+        this.logger.error('Re-login failed');
         return false;
       }
       
@@ -1045,17 +2547,147 @@ class LeadDetector {
         timeout: this.config.timing.pageLoadTimeout
       });
       
-      // Restart DOM mutation observer
+      // Restart DOM mutation observer and network capture on the new page
       await this.startDomMutationObserver();
+      this.startNetworkCapture();
       
-      console.log('Re-login successful');
+      this.sessionValid = true;
+      this.logger.info('Re-login successful');
       return true;
     } catch (error) {
-      console.error('Re-login error:', error);
+      this.logger.error('Re-login error', error);
+      this.metrics.loginAttempts.inc({ type: 'relogin', outcome: 'error' });
       return false;
     }
   }
   
+  /**
+   * Schedule the session renewal for `renewBefore` ahead of the earliest auth
+   * cookie expiry
+   *
+   * Called whenever the cookies change. Attempts are at least
+   * `loginRetryDelay` apart, so a login that does not extend the session (or
+   * fails) does not run in a loop.
+   */
+  scheduleSessionRenewal() {
+    clearTimeout(this.renewalTimer);
+    this.renewalTimer = null;
+    this.nextRenewalAt = null;
+    
+    const renewal = this.config.sessionRenewal;
+    if (!this.isRunning || !renewal || !renewal.enabled) return;
+    
+    const expiresAt = this.getSessionExpiry();
+    if (expiresAt === null) {
+      this.logger.debug('Session cookies have no expiry, renewal not scheduled');
+      return;
+    }
+    
+    const now = Date.now();
+    this.nextRenewalAt = Math.max(
+      expiresAt - renewal.renewBefore,
+      this.lastRenewalAttemptAt === null ? now : this.lastRenewalAttemptAt + this.config.timing.loginRetryDelay,
+      now
+    );
+    
+    this.renewalTimer = setTimeout(() => {
+      // Long delays are capped, so check the time before renewing
+      if (Date.now() < this.nextRenewalAt) {
+        this.scheduleSessionRenewal();
+      } else {
+        this.renewSession();
+      }
+    }, Math.min(this.nextRenewalAt - now, MAX_TIMER_DELAY));
+    
+    this.logger.debug('Session renewal scheduled', {
+      sessionExpiresAt: new Date(expiresAt).toISOString(),
+      renewAt: new Date(this.nextRenewalAt).toISOString()
+    });
+  }
+  
+  /**
+   * Renew the session in the background
+   *
+   * Polling and the DOM observer keep using the current cookies until the new
+   * ones are ready. Skipped while a re-login is running.
+   */
+  renewSession() {
+    if (this.reloginPromise) {
+      return this.reloginPromise;
+    }
+    
+    if (!this.renewalPromise) {
+      this.renewalPromise = this.logger.withContext(
+        { loginId: createCorrelationId() },
+        () => this.performSessionRenewal()
+      ).finally(() => {
+        this.renewalPromise = null;
+      });
+    }
+    
+    return this.renewalPromise;
+  }
+  
+  /**
+   * Log in again, without closing the page, and swap in the new cookies
+   */
+  async performSessionRenewal() {
+    const expiresAt = this.getSessionExpiry();
+    this.lastRenewalAttemptAt = Date.now();
+    this.logger.info('Renewing session before it expires', {
+      sessionExpiresAt: expiresAt && new Date(expiresAt).toISOString()
+    });
+    
+    let renewed;
+    try {
+      renewed = this.isBrowserless()
+        ? await this.withTemporaryBrowser(() => this.loginWithOAuth())
+        : await this.loginInNewContext();
+      this.metrics.loginAttempts.inc({ type: 'renewal', outcome: renewed ? 'success' : 'failure' });
+    } catch (error) {
+      this.logger.error('Session renewal error', error);
+      this.metrics.loginAttempts.inc({ type: 'renewal', outcome: 'error' });
+      renewed = false;
+    }
+    
+    if (renewed) {
+      const renewedExpiresAt = this.getSessionExpiry();
+      this.logger.info('Session renewed', {
+        sessionExpiresAt: renewedExpiresAt && new Date(renewedExpiresAt).toISOString()
+      });
+    } else {
+      this.logger.warn('Session renewal failed, polling continues with the current session', {
+        sessionExpiresAt: expiresAt && new Date(expiresAt).toISOString()
+      });
+    }
+    
+    // Retry a failed renewal, or follow the new cookies' expiry
+    this.scheduleSessionRenewal();
+    return renewed;
+  }
+  
+  /**
+   * Log in on a page in a new incognito context, then give the new cookies
+   * to the detector's page
+   *
+   * The detector's page keeps its session while the login runs.
+   */
+  async loginInNewContext() {
+    const context = await this.browser.createBrowserContext();
+    
+    try {
+      const page = await context.newPage();
+      const loginSuccess = await this.loginWithOAuth(page);
+      
+      if (loginSuccess && this.page) {
+        await this.page.setCookie(...this.cookies);
+      }
+      return loginSuccess;
+    } finally {
+      await context.close();
+    }
+  }
+  
   /**
    * Calculate backoff delay for retries
    */
@@ -1065,24 +2697,54 @@ class LeadDetector {
       this.config.timing.maxBackoffDelay
     );
     // Add some jitter to avoid thundering herd problem
-    return delay + Math.random() * 1000;
+    this.lastBackoffDelay = delay + Math.random() * 1000;
+    return this.lastBackoffDelay;
   }
   
   /**
    * Stop the detector
    */
   async stop() {
-    console.log('Stopping lead detector...');
+    this.logger.info('Stopping lead detector');
+    if (this.heldLeads.size > 0 || this.heldLifecycleEvents.length > 0) {
+      this.logger.warn('Notifications held for quiet hours were not sent', { leads: this.heldLeads.size, lifecycleEvents: this.heldLifecycleEvents.length });
+    }
     this.isRunning = false;
+    clearTimeout(this.pollTimer);
+    this.pollTimer = null;
+    clearTimeout(this.renewalTimer);
+    this.renewalTimer = null;
+    if (this.digests) {
+      this.digests.stop();
+    }
+    if (this.outbox) {
+      this.outbox.stop();
+    }
+    if (this.controlServer) {
+      this.controlServer.close();
+      this.controlServer = null;
+    }
+    this.mailTransports.forEach(transport => transport.close());
+    this.mailTransports.clear();
+    // Let lead actions in progress finish before the browser closes
+    await this.ruleActions;
     await this.cleanup();
-    console.log('Lead detector stopped');
+    this.logger.info('Lead detector stopped');
   }
   
   /**
    * Clean up resources
    */
   async cleanup() {
-    if (this.browser) {
+    if (this.browserContext) {
+      // The shared browser is closed by its owner
+      if (this.browser.isConnected()) {
+        await this.browserContext.close();
+      }
+      this.browserContext = null;
+      this.browser = null;
+      this.page = null;
+    } else if (this.browser) {
       await this.browser.close();
       this.browser = null;
       this.page = null;
@@ -1090,40 +2752,15 @@ class LeadDetector {
   }
 }
 
-/**
- * Main function to start the lead detector
- */
-async function main() {
-  const detector = new LeadDetector(CONFIG);
-  
-  // Handle process termination
-  process.on('SIGINT', async () => {
-    console.log('Received SIGINT, shutting down...');
-    await detector.stop();
-    process.exit(0);
-  });
-  
-  process.on('SIGTERM', async () => {
-    console.log('Received SIGTERM, shutting down...');
-    await detector.stop();
-    process.exit(0);
-  });
-  
-  // Initialize and start the detector
-  const success = await detector.initialize();
-  
-  if (!success) {
-    console.error('Failed to initialize lead detector');
-    process.exit(1);
-  }
-}
+module.exports = { LeadDetector, BROWSER_LAUNCH_OPTIONS, createWebhookVerifier, loadConfig };
 
-// Start the application
+// Start the application; see cli.js for the commands
 if (require.main === module) {
-  main().catch(error => {
-    console.error('Unhandled error:', error);
+  require('./cli').main(process.argv.slice(2)).then(exitCode => {
+    // null: the detector keeps running
+    if (exitCode !== null) process.exit(exitCode);
+  }).catch(error => {
+    createLogger().error('Unhandled error', error);
     process.exit(1);
   });
 }
-
-module.exports = { LeadDetector };
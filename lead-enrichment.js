@@ -0,0 +1,220 @@
+/**
+ * Lead detail enrichment
+ *
+ * The lead list only carries a summary of each lead. Before a notification is
+ * sent, the detector can load each new lead's detail route and merge in what
+ * dispatchers need to decide whether to call:
+ *
+ * - `description`: the customer's full description
+ * - `jobSize` and `timing`: as labelled by Tradiecore
+ * - `photosCount`
+ * - `attachments`: `{ name, url, type }` for each file
+ *
+ * Enriched leads get `enriched: true`. Enrichment runs under a deadline. A
+ * lead whose detail could not be loaded in time is sent as it is, with
+ * `enriched: false`.
+ */
+
+// Keys the detail fields are read from, in order of preference
+const DETAIL_KEYS = {
+  description: ['description', 'jobDescription', 'details', 'summary'],
+  jobSize: ['jobSize', 'size', 'budget', 'estimatedBudget', 'estimatedCost', 'jobValue'],
+  timing: ['timing', 'timeframe', 'timeFrame', 'whenRequired', 'requiredBy', 'preferredTime', 'startDate']
+};
+const PHOTO_KEYS = ['photos', 'images', 'media'];
+const PHOTO_COUNT_KEYS = ['photosCount', 'photoCount', 'imageCount'];
+const ATTACHMENT_KEYS = ['attachments', 'files', 'documents'];
+
+/**
+ * URL of the `.data` loader for a lead's detail page
+ *
+ * @param {string} detailUrl - e.g. https://tradiecore.hipages.com.au/leads/123
+ * @param {string|null} routeId - Loader route to request (all if null)
+ */
+function getDetailDataUrl(detailUrl, routeId) {
+  const url = new URL(detailUrl);
+  url.pathname = `${url.pathname.replace(/\/$/, '')}.data`;
+  if (routeId) {
+    url.searchParams.set('_routes', routeId);
+  }
+  return url.toString();
+}
+
+/**
+ * Find the lead's record in a detail route's loader data: an object with the
+ * lead's ID, or else the object under a `lead` or `job` key
+ */
+function findLeadDetail(loaderData, leadId) {
+  if (!loaderData || typeof loaderData !== 'object') {
+    return null;
+  }
+
+  const queue = [loaderData];
+  const seen = new Set(queue);
+  let fallback = null;
+
+  while (queue.length > 0) {
+    const current = queue.shift();
+
+    if (!Array.isArray(current) && leadId !== undefined && leadId !== null &&
+        ['id', 'leadId', 'jobId'].some(key => current[key] !== undefined && String(current[key]) === String(leadId))) {
+      return current;
+    }
+
+    for (const [key, value] of Object.entries(current)) {
+      if (!value || typeof value !== 'object' || seen.has(value)) continue;
+
+      if (!fallback && !Array.isArray(value) && /^(lead|job)$/i.test(key)) {
+        fallback = value;
+      }
+      seen.add(value);
+      queue.push(value);
+    }
+  }
+
+  return fallback;
+}
+
+/**
+ * Read a display value: strings and numbers as they are, labelled objects
+ * ({ label, value }) by their label
+ */
+function toDisplayValue(value) {
+  if (typeof value === 'string' || typeof value === 'number') {
+    return value;
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (value && typeof value === 'object') {
+    const label = value.label || value.name || value.text || value.value;
+    return typeof label === 'string' || typeof label === 'number' ? label : null;
+  }
+  return null;
+}
+
+function firstValue(detail, keys) {
+  for (const key of keys) {
+    const value = toDisplayValue(detail[key]);
+    if (value !== null && value !== '') return value;
+  }
+  return null;
+}
+
+function firstArray(detail, keys) {
+  const key = keys.find(candidate => Array.isArray(detail[candidate]));
+  return key ? detail[key] : null;
+}
+
+/**
+ * Pick the enrichment fields out of a lead's detail record
+ *
+ * Fields that are not in the record are left out.
+ */
+function extractLeadDetails(detail) {
+  const details = {};
+
+  for (const [field, keys] of Object.entries(DETAIL_KEYS)) {
+    const value = firstValue(detail, keys);
+    if (value !== null) details[field] = value;
+  }
+
+  const attachments = firstArray(detail, ATTACHMENT_KEYS);
+  if (attachments) {
+    details.attachments = attachments
+      .filter(file => file && typeof file === 'object')
+      .map(file => ({
+        name: file.name || file.fileName || file.filename || file.title || null,
+        url: file.url || file.href || file.downloadUrl || null,
+        type: file.type || file.mimeType || file.contentType || null
+      }));
+  }
+
+  const photos = firstArray(detail, PHOTO_KEYS);
+  const photoCountKey = PHOTO_COUNT_KEYS.find(key => typeof detail[key] === 'number');
+  if (photos) {
+    details.photosCount = photos.length;
+  } else if (photoCountKey) {
+    details.photosCount = detail[photoCountKey];
+  } else if (details.attachments) {
+    // Photos uploaded as attachments
+    details.photosCount = details.attachments.filter(file => /^image\//.test(file.type || '')).length;
+  }
+
+  return details;
+}
+
+/**
+ * Enrich leads with their details, within a deadline
+ *
+ * At most `concurrency` details load at once. At the deadline the signal
+ * passed to loadDetail is aborted, so requests and pages still open are
+ * closed, and leads not started yet are not loaded.
+ *
+ * @param {Object[]} leads
+ * @param {Object} options
+ * @param {Function} options.loadDetail - (lead, signal) => detail record, or
+ *   null if there is none
+ * @param {number} options.timeout - Longest wait for all details, in ms
+ * @param {number} options.maxLeads - Leads enriched; the rest are sent as they are
+ * @param {number} options.concurrency - Details loaded at once
+ * @returns {Promise<{ leads: Object[], outcomes: string[] }>} Leads in the same
+ *   order, and per lead: success, not_found, failure, timeout or skipped
+ */
+async function enrichLeads(leads, options) {
+  const { loadDetail, timeout, maxLeads = leads.length, concurrency = maxLeads } = options;
+  const results = leads.map(lead => ({ lead: { ...lead, enriched: false }, outcome: 'skipped' }));
+  const controller = new AbortController();
+  const queue = leads.slice(0, maxLeads).map((lead, i) => ({ lead, i }));
+  queue.forEach(({ i }) => { results[i].outcome = 'timeout'; });
+
+  const enrichLead = async ({ lead, i }) => {
+    let outcome;
+    let enrichedLead = null;
+
+    try {
+      const detail = await loadDetail(lead, controller.signal);
+      if (detail) {
+        enrichedLead = { ...lead, ...extractLeadDetails(detail), enriched: true };
+        outcome = 'success';
+      } else {
+        outcome = 'not_found';
+      }
+    } catch (error) {
+      outcome = 'failure';
+      if (options.logger && !controller.signal.aborted) {
+        options.logger.warn('Could not load lead detail', { leadId: lead.id, error: error.message });
+      }
+    }
+
+    // Too late: the notification has gone without it
+    if (controller.signal.aborted) return;
+
+    results[i].outcome = outcome;
+    if (enrichedLead) results[i].lead = enrichedLead;
+  };
+
+  // Each worker loads the next lead in the queue until it is empty
+  const worker = async () => {
+    while (queue.length > 0 && !controller.signal.aborted) {
+      await enrichLead(queue.shift());
+    }
+  };
+  const workers = Array.from({ length: Math.min(concurrency, queue.length) }, worker);
+
+  let timer;
+  const deadline = new Promise(resolve => {
+    timer = setTimeout(resolve, timeout);
+  });
+
+  await Promise.race([Promise.all(workers), deadline]);
+  clearTimeout(timer);
+  controller.abort();
+
+  return {
+    leads: results.map(result => result.lead),
+    outcomes: results.map(result => result.outcome)
+  };
+}
+
+module.exports = { getDetailDataUrl, findLeadDetail, extractLeadDetails, enrichLeads };
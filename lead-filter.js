@@ -0,0 +1,114 @@
+/**
+ * Lead field normalization and filtering
+ *
+ * Leads reach the detector in different shapes: decoded loader records carry
+ * `jobType`, `suburb` and `postcode` (sometimes nested under `category` or
+ * `location`), while DOM-scraped leads only have a free-text `location` such
+ * as "Parramatta, 2150". `getLeadFields()` reduces both to the same fields so
+ * filters can be written once.
+ */
+
+/**
+ * Read the first non-empty string from a list of candidate values
+ */
+function firstString(...candidates) {
+  for (const candidate of candidates) {
+    if (typeof candidate === 'string' && candidate.trim()) return candidate.trim();
+    if (typeof candidate === 'number') return String(candidate);
+    if (candidate && typeof candidate === 'object' && typeof candidate.name === 'string') {
+      return candidate.name.trim();
+    }
+  }
+  return '';
+}
+
+/**
+ * Extract the fields used for filtering from any lead shape
+ */
+function getLeadFields(lead) {
+  const location = firstString(lead.location, lead.address);
+  // Free-text locations look like "Suburb, 2150" or "Suburb NSW 2150"
+  const locationPostcode = (location.match(/\b\d{4}\b/) || [''])[0];
+  const locationSuburb = location.split(',')[0].replace(/\b(NSW|VIC|QLD|SA|WA|TAS|NT|ACT)\b|\b\d{4}\b/g, '').trim();
+
+  const fields = {
+    name: firstString(lead.name, lead.customerName, lead.customer && lead.customer.firstName, lead.customer, lead.title),
+    jobType: firstString(lead.jobType, lead.category, lead.job, lead.type),
+    suburb: firstString(lead.suburb, lead.location && lead.location.suburb, locationSuburb),
+    postcode: firstString(lead.postcode, lead.location && lead.location.postcode, locationPostcode)
+  };
+
+  // Everything searchable by keyword filters
+  fields.text = [
+    fields.jobType,
+    fields.suburb,
+    fields.name,
+    firstString(lead.title),
+    firstString(lead.description),
+    location
+  ].join(' ').toLowerCase();
+
+  return fields;
+}
+
+/**
+ * Check a lead against a filter
+ *
+ * Each filter key takes a list of values; a lead matches a key if it matches
+ * any value in the list (case-insensitive), and matches the filter if it
+ * matches every key that is set. An empty or missing filter matches all leads.
+ *
+ * @param {Object} lead
+ * @param {Object} filter
+ * @param {string[]} filter.jobTypes - Job types or categories
+ * @param {string[]} filter.suburbs - Suburb names
+ * @param {string[]} filter.postcodes - Postcodes, or ranges like "2000-2234"
+ * @param {string[]} filter.keywords - Words to find anywhere in the lead
+ */
+function matchesLeadFilter(lead, filter) {
+  if (!filter) return true;
+
+  const fields = getLeadFields(lead);
+  const normalize = (values) => (Array.isArray(values) ? values : [values])
+    .map(value => String(value).trim().toLowerCase())
+    .filter(Boolean);
+
+  const jobTypes = normalize(filter.jobTypes || []);
+  if (jobTypes.length > 0 && !jobTypes.includes(fields.jobType.toLowerCase())) {
+    return false;
+  }
+
+  const suburbs = normalize(filter.suburbs || []);
+  if (suburbs.length > 0 && !suburbs.includes(fields.suburb.toLowerCase())) {
+    return false;
+  }
+
+  const postcodes = normalize(filter.postcodes || []);
+  if (postcodes.length > 0 && !postcodes.some(postcode => matchesPostcode(fields.postcode, postcode))) {
+    return false;
+  }
+
+  const keywords = normalize(filter.keywords || []);
+  if (keywords.length > 0 && !keywords.some(keyword => fields.text.includes(keyword))) {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Match a postcode against a single postcode or an inclusive range
+ */
+function matchesPostcode(postcode, pattern) {
+  if (!postcode) return false;
+
+  const range = pattern.match(/^(\d{4})\s*-\s*(\d{4})$/);
+  if (range) {
+    const value = Number(postcode);
+    return value >= Number(range[1]) && value <= Number(range[2]);
+  }
+
+  return postcode === pattern;
+}
+
+module.exports = { getLeadFields, matchesLeadFilter };
@@ -0,0 +1,166 @@
+/**
+ * Lead lifecycle events
+ *
+ * Compares two snapshots of the lead list and describes what happened to the
+ * leads that were already on it, as events sent alongside
+ * `new_leads_detected`:
+ *
+ * - `lead_updated`: fields changed; each lead carries `changes`, e.g.
+ *   `{ "customer.phone": { "from": null, "to": "0412..." } }`
+ * - `lead_<transition>` (e.g. `lead_claimed`, `lead_expired`): the status
+ *   changed to one listed under that transition
+ * - `lead_status_changed`: the status changed to any other value
+ * - `lead_removed`: the lead is no longer on the list
+ *
+ * Status events carry `previousStatus` on each lead. Status changes are not
+ * repeated in `lead_updated`.
+ */
+
+/**
+ * Whether an event describes leads already seen (and not a new lead)
+ */
+function isLifecycleEvent(event) {
+  return typeof event === 'string' && event.startsWith('lead_');
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+}
+
+function getPath(object, pathExpression) {
+  return pathExpression.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), object);
+}
+
+function sameValue(a, b) {
+  return a === b || JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Compare two versions of a lead field by field
+ *
+ * Nested objects are compared key by key; arrays as a whole. Keys named in
+ * ignoreFields are skipped at any depth.
+ *
+ * @returns {Object} Changes by dotted path: { path: { from, to } }
+ */
+function diffLeadFields(previous, current, ignoreFields = [], prefix = '') {
+  const changes = {};
+  const keys = new Set([...Object.keys(previous || {}), ...Object.keys(current || {})]);
+
+  for (const key of keys) {
+    if (ignoreFields.includes(key)) continue;
+
+    const path = prefix ? `${prefix}.${key}` : key;
+    const from = previous ? previous[key] : undefined;
+    const to = current ? current[key] : undefined;
+
+    if (isPlainObject(from) && isPlainObject(to)) {
+      Object.assign(changes, diffLeadFields(from, to, ignoreFields, path));
+    } else if (!sameValue(from, to)) {
+      changes[path] = { from: from === undefined ? null : from, to: to === undefined ? null : to };
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Read a lead's status; labelled statuses ({ label, value }) by their value
+ */
+function getLeadStatus(lead, statusField) {
+  const status = getPath(lead, statusField);
+
+  if (isPlainObject(status)) {
+    const value = status.value || status.code || status.name || status.label;
+    return value === undefined ? null : value;
+  }
+  return status === undefined ? null : status;
+}
+
+/**
+ * Name of the transition a status belongs to, or null
+ */
+function getTransition(status, transitions) {
+  if (status === null) return null;
+
+  const normalized = String(status).toUpperCase();
+  const match = Object.entries(transitions || {})
+    .find(([, statuses]) => statuses.some(candidate => String(candidate).toUpperCase() === normalized));
+  return match ? match[0] : null;
+}
+
+/**
+ * Compare the leads in two snapshots of the full lead list
+ *
+ * @param {Object[]} previousLeads
+ * @param {Object[]} currentLeads
+ * @param {Object} options
+ * @param {Function} options.getKey - Lead identity across snapshots
+ * @param {string[]} options.ignoreFields - Fields whose changes are not updates
+ * @param {string} options.statusField - Dotted path of the status field
+ * @param {Object} options.transitions - Transition names to lists of statuses
+ * @returns {{ updatedLeads: Object[], statusChanges: Object[], removedLeads: Object[] }}
+ *   updatedLeads: { lead, previous, changes }; statusChanges: { lead, from, to, transition }
+ */
+function diffLeadSnapshots(previousLeads, currentLeads, options) {
+  const { getKey, ignoreFields = [], statusField = 'status', transitions = {} } = options;
+  const previousByKey = new Map(previousLeads.map(lead => [getKey(lead), lead]));
+  const currentKeys = new Set();
+  const updatedLeads = [];
+  const statusChanges = [];
+
+  for (const lead of currentLeads) {
+    const key = getKey(lead);
+    const previous = previousByKey.get(key);
+    currentKeys.add(key);
+
+    if (!previous) continue;
+
+    const from = getLeadStatus(previous, statusField);
+    const to = getLeadStatus(lead, statusField);
+    if (!sameValue(from, to)) {
+      statusChanges.push({ lead, from, to, transition: getTransition(to, transitions) });
+    }
+
+    const changes = diffLeadFields(previous, lead, ignoreFields);
+    Object.keys(changes)
+      .filter(path => path === statusField || path.startsWith(`${statusField}.`))
+      .forEach(path => delete changes[path]);
+
+    if (Object.keys(changes).length > 0) {
+      updatedLeads.push({ lead, previous, changes });
+    }
+  }
+
+  const removedLeads = previousLeads.filter(lead => !currentKeys.has(getKey(lead)));
+
+  return { updatedLeads, statusChanges, removedLeads };
+}
+
+/**
+ * Turn a snapshot diff into events, each `{ event, leads }`
+ */
+function buildLifecycleEvents({ updatedLeads = [], statusChanges = [], removedLeads = [] }) {
+  const events = [];
+
+  if (updatedLeads.length > 0) {
+    events.push({ event: 'lead_updated', leads: updatedLeads.map(({ lead, changes }) => ({ ...lead, changes })) });
+  }
+
+  // One event per transition, in the order they first appear
+  const byEvent = new Map();
+  for (const { lead, from, transition } of statusChanges) {
+    const event = transition ? `lead_${transition}` : 'lead_status_changed';
+    if (!byEvent.has(event)) byEvent.set(event, []);
+    byEvent.get(event).push({ ...lead, previousStatus: from });
+  }
+  byEvent.forEach((leads, event) => events.push({ event, leads }));
+
+  if (removedLeads.length > 0) {
+    events.push({ event: 'lead_removed', leads: removedLeads });
+  }
+
+  return events;
+}
+
+module.exports = { isLifecycleEvent, diffLeadFields, getLeadStatus, diffLeadSnapshots, buildLifecycleEvents };
@@ -0,0 +1,181 @@
+/**
+ * Lead rules
+ *
+ * Rules accept or decline new leads automatically, before anyone has had a
+ * chance to react. Each rule has an `action` ('accept' or 'decline') and a
+ * `match`: the lead filter keys (`jobTypes`, `suburbs`, `postcodes`,
+ * `keywords`, see lead-filter.js) plus `hours`, the time of day it applies
+ * (`{ from: '07:00', to: '19:00' }`, in the configured time zone; a range
+ * past midnight such as 22:00-06:00 wraps). The first matching rule decides.
+ *
+ * Accepts are capped per day. In dry-run mode nothing is clicked, but every
+ * decision is made and recorded as if it were.
+ *
+ * Every automated action is appended to an audit log, `rules-audit.jsonl` in
+ * the data directory, one JSON entry per line:
+ *
+ *   { "at", "day", "leadKey", "leadId", "rule", "action", "dryRun", "outcome", "error" }
+ *
+ * with outcome `accepted`, `declined`, `dry_run`, `daily_cap` or `failed`.
+ * The log also carries the daily count and the leads already acted on across
+ * restarts.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { matchesLeadFilter } = require('./lead-filter');
+const { getLocalTime, withinHours } = require('./local-time');
+const { createLogger } = require('./logger');
+
+/**
+ * Check a lead against a rule's match at a given time
+ */
+function matchesRule(lead, rule, localTime) {
+  const { hours, ...filter } = rule.match || {};
+  return withinHours(localTime.minutes, hours) && matchesLeadFilter(lead, filter);
+}
+
+class LeadRules {
+  /**
+   * @param {Object} options
+   * @param {Object[]} options.rules - { name, action, match }
+   * @param {boolean} options.dryRun - Decide and record, but do not act
+   * @param {number} options.dailyAcceptLimit - Accepts per day
+   * @param {string} options.timeZone - For `hours` and the daily limit
+   * @param {string} options.dataDir - Directory for the audit log
+   * @param {Logger} options.logger
+   */
+  constructor(options) {
+    this.rules = options.rules || [];
+    this.dryRun = options.dryRun !== false;
+    this.dailyAcceptLimit = options.dailyAcceptLimit;
+    this.timeZone = options.timeZone || 'Australia/Sydney';
+    this.dataDir = path.resolve(process.cwd(), options.dataDir || './data');
+    this.filePath = path.join(this.dataDir, 'rules-audit.jsonl');
+    this.logger = options.logger || createLogger();
+    // Accepts (or dry-run accepts) by day, including ones in progress
+    this.acceptsByDay = new Map();
+    this.actedLeadKeys = new Set();
+  }
+
+  /**
+   * Read the audit log of previous runs
+   */
+  load() {
+    fs.mkdirSync(this.dataDir, { recursive: true });
+    this.acceptsByDay.clear();
+    this.actedLeadKeys.clear();
+
+    if (!fs.existsSync(this.filePath)) {
+      return this;
+    }
+
+    for (const line of fs.readFileSync(this.filePath, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        this.logger.warn('Skipping unreadable rules audit entry');
+        continue;
+      }
+      this.applyEntry(entry);
+    }
+
+    return this;
+  }
+
+  /**
+   * Count an audit entry towards the daily limit and the leads acted on
+   */
+  applyEntry(entry) {
+    if (entry.dryRun !== this.dryRun) return;
+
+    if (entry.outcome !== 'failed' && entry.outcome !== 'daily_cap') {
+      this.actedLeadKeys.add(entry.leadKey);
+    }
+    if (entry.action === 'accept' && (entry.outcome === 'accepted' || entry.outcome === 'dry_run')) {
+      this.acceptsByDay.set(entry.day, (this.acceptsByDay.get(entry.day) || 0) + 1);
+    }
+  }
+
+  getAcceptsToday(now = new Date()) {
+    return this.acceptsByDay.get(getLocalTime(now, this.timeZone).day) || 0;
+  }
+
+  /**
+   * Decide what to do with a lead
+   *
+   * An accept counts towards the daily limit straight away, so leads decided
+   * at the same time cannot exceed it; call `record()` with the outcome.
+   *
+   * @returns {{ rule: Object, action: string, day: string, capped: boolean }|null}
+   *   Null if no rule matches or the lead was already acted on
+   */
+  decide(lead, leadKey, now = new Date()) {
+    if (this.actedLeadKeys.has(leadKey)) {
+      return null;
+    }
+
+    const localTime = getLocalTime(now, this.timeZone);
+    const rule = this.rules.find(candidate => matchesRule(lead, candidate, localTime));
+
+    if (!rule) {
+      return null;
+    }
+
+    const decision = { rule, action: rule.action, day: localTime.day, capped: false };
+
+    if (rule.action === 'accept') {
+      const acceptsToday = this.acceptsByDay.get(localTime.day) || 0;
+      if (acceptsToday >= this.dailyAcceptLimit) {
+        decision.capped = true;
+      } else {
+        this.acceptsByDay.set(localTime.day, acceptsToday + 1);
+      }
+    }
+
+    this.actedLeadKeys.add(leadKey);
+    return decision;
+  }
+
+  /**
+   * Append the outcome of a decision to the audit log
+   *
+   * @param {Object} lead
+   * @param {string} leadKey
+   * @param {Object} decision - From decide()
+   * @param {string} outcome - accepted, declined, dry_run, daily_cap or failed
+   * @param {Error} error - For failed actions
+   */
+  record(lead, leadKey, decision, outcome, error = null) {
+    const entry = {
+      at: new Date().toISOString(),
+      day: decision.day,
+      leadKey,
+      leadId: lead.id || lead.leadId || lead.jobId || null,
+      rule: decision.rule.name || null,
+      action: decision.action,
+      dryRun: this.dryRun,
+      outcome
+    };
+    if (error) {
+      entry.error = error.message;
+    }
+
+    // A failed or capped lead can be tried again by a later decision
+    if (outcome === 'failed' || outcome === 'daily_cap') {
+      this.actedLeadKeys.delete(leadKey);
+    }
+    if (outcome === 'failed' && decision.action === 'accept') {
+      this.acceptsByDay.set(decision.day, Math.max(0, (this.acceptsByDay.get(decision.day) || 0) - 1));
+    }
+
+    fs.mkdirSync(this.dataDir, { recursive: true });
+    fs.appendFileSync(this.filePath, JSON.stringify(entry) + '\n');
+    return entry;
+  }
+}
+
+module.exports = { LeadRules, matchesRule };
@@ -0,0 +1,163 @@
+/**
+ * Persistent lead store
+ *
+ * Keeps a record of every lead the detector has seen, and whether a
+ * notification was sent for it, in an append-only JSON Lines file under the
+ * configured data directory. The detector uses it to report leads that arrived
+ * while it was not running and to avoid re-sending leads after a restart.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('./logger');
+
+class LeadStore {
+  /**
+   * @param {string} dataDir - Directory for the store file
+   * @param {string} fileName - Store file name
+   * @param {Object} options
+   * @param {Logger} options.logger
+   */
+  constructor(dataDir, fileName = 'leads.jsonl', options = {}) {
+    this.dataDir = path.resolve(process.cwd(), dataDir);
+    this.filePath = path.join(this.dataDir, fileName);
+    this.records = new Map();
+    this.logger = options.logger || createLogger();
+  }
+
+  /**
+   * Load existing records from disk
+   */
+  load() {
+    fs.mkdirSync(this.dataDir, { recursive: true });
+    this.records.clear();
+
+    if (!fs.existsSync(this.filePath)) {
+      return this;
+    }
+
+    const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+    let entryCount = 0;
+
+    for (const line of lines) {
+      if (!line.trim()) continue;
+
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        // A partial last line is left behind if the process died mid-write
+        this.logger.warn('Skipping unreadable lead store entry', { file: this.filePath });
+        continue;
+      }
+
+      entryCount++;
+      this.applyEntry(entry);
+    }
+
+    // Rewrite the file once it is mostly superseded entries
+    if (entryCount > this.records.size * 2) {
+      this.compact();
+    }
+
+    return this;
+  }
+
+  /**
+   * Apply a single log entry to the in-memory records
+   */
+  applyEntry(entry) {
+    const existing = this.records.get(entry.key);
+
+    if (entry.type === 'seen') {
+      this.records.set(entry.key, {
+        key: entry.key,
+        lead: entry.lead,
+        firstSeenAt: existing ? existing.firstSeenAt : entry.at,
+        notifiedAt: existing ? existing.notifiedAt : null,
+        baseline: existing ? existing.baseline : false
+      });
+    } else if (entry.type === 'notified' && existing) {
+      existing.notifiedAt = entry.at;
+      existing.baseline = Boolean(entry.baseline);
+    }
+  }
+
+  /**
+   * Append entries to the log and apply them
+   */
+  append(entries) {
+    if (entries.length === 0) return;
+
+    const data = entries.map(entry => JSON.stringify(entry) + '\n').join('');
+    fs.appendFileSync(this.filePath, data);
+    entries.forEach(entry => this.applyEntry(entry));
+  }
+
+  /**
+   * Rewrite the log with one entry per record
+   */
+  compact() {
+    const entries = [];
+
+    for (const record of this.records.values()) {
+      entries.push({ type: 'seen', key: record.key, lead: record.lead, at: record.firstSeenAt });
+      if (record.notifiedAt) {
+        entries.push({ type: 'notified', key: record.key, baseline: record.baseline, at: record.notifiedAt });
+      }
+    }
+
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, entries.map(entry => JSON.stringify(entry) + '\n').join(''));
+    fs.renameSync(tempPath, this.filePath);
+    this.logger.info('Lead store compacted', { leads: this.records.size });
+  }
+
+  get size() {
+    return this.records.size;
+  }
+
+  has(key) {
+    return this.records.has(key);
+  }
+
+  get(key) {
+    return this.records.get(key) || null;
+  }
+
+  isNotified(key) {
+    const record = this.records.get(key);
+    return Boolean(record && record.notifiedAt);
+  }
+
+  /**
+   * Record leads as seen. Leads already in the store keep their first-seen time.
+   */
+  recordSeen(leadsByKey) {
+    const at = new Date().toISOString();
+    const entries = [];
+
+    for (const [key, lead] of leadsByKey) {
+      if (!this.records.has(key)) {
+        entries.push({ type: 'seen', key, lead, at });
+      }
+    }
+
+    this.append(entries);
+  }
+
+  /**
+   * Mark leads as notified. Baseline leads were present when the store was
+   * first created and were never actually sent.
+   */
+  markNotified(keys, { baseline = false } = {}) {
+    const at = new Date().toISOString();
+    const entries = keys
+      .filter(key => this.records.has(key))
+      .map(key => ({ type: 'notified', key, baseline, at }));
+
+    this.append(entries);
+  }
+}
+
+module.exports = { LeadStore };
@@ -0,0 +1,86 @@
+/**
+ * Local time helpers
+ *
+ * Lead rules and the polling schedule are written in local time ("07:30" on
+ * a Monday in Australia/Sydney) while the detector runs in UTC. These turn an
+ * instant into the calendar day, weekday and time of day in a time zone, and
+ * match times of day against `{ from, to }` ranges.
+ */
+
+const TIME_OF_DAY = /^(\d{2}):(\d{2})$/;
+
+const WEEKDAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+
+// Formatters by time zone; creating one is slow
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-CA', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Whether a string is an IANA time zone such as "Australia/Sydney"
+ */
+function isTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-AU', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Minutes since midnight for "HH:MM" (up to "24:00"), or null if invalid
+ */
+function parseTimeOfDay(text) {
+  const match = TIME_OF_DAY.exec(String(text));
+  if (!match || Number(match[2]) >= 60) return null;
+
+  const minutes = Number(match[1]) * 60 + Number(match[2]);
+  return minutes <= 24 * 60 ? minutes : null;
+}
+
+/**
+ * The calendar day ("YYYY-MM-DD"), weekday ("mon" to "sun") and minutes since
+ * midnight of an instant in a time zone
+ */
+function getLocalTime(date, timeZone) {
+  const parts = Object.fromEntries(getFormatter(timeZone).formatToParts(date).map(part => [part.type, part.value]));
+
+  return {
+    day: `${parts.year}-${parts.month}-${parts.day}`,
+    weekday: parts.weekday.slice(0, 3).toLowerCase(),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute)
+  };
+}
+
+/**
+ * Check a time of day (minutes since midnight) against `{ from, to }`
+ *
+ * A range past midnight, such as 22:00-06:00, wraps.
+ */
+function withinHours(minutes, hours) {
+  if (!hours) return true;
+
+  const from = parseTimeOfDay(hours.from || '00:00');
+  const to = parseTimeOfDay(hours.to || '24:00');
+
+  return from <= to
+    ? minutes >= from && minutes < to
+    : minutes >= from || minutes < to;
+}
+
+module.exports = { WEEKDAYS, isTimeZone, parseTimeOfDay, getLocalTime, withinHours };
@@ -0,0 +1,307 @@
+/**
+ * Prometheus metrics
+ *
+ * A minimal metrics registry (counters, gauges and histograms with labels)
+ * rendered in the Prometheus text exposition format, plus the set of metrics
+ * the detector reports. Served by the control API at GET /metrics.
+ */
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels || {});
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+/**
+ * Counter or gauge: one value per label set
+ */
+class Metric {
+  constructor(type, name, help, collect) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.collect = collect;
+    this.values = new Map();
+  }
+
+  key(labels) {
+    return JSON.stringify(labels || {});
+  }
+
+  inc(labels = {}, value = 1) {
+    const key = this.key(labels);
+    const current = this.values.get(key);
+    this.values.set(key, { labels, value: (current ? current.value : 0) + value });
+  }
+
+  set(labels, value) {
+    this.values.set(this.key(labels), { labels, value });
+  }
+
+  get(labels = {}) {
+    const current = this.values.get(this.key(labels));
+    return current ? current.value : 0;
+  }
+
+  header() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+  }
+
+  /**
+   * Sample lines, with `extraLabels` added to every label set
+   */
+  samples(extraLabels = {}) {
+    // Gauges with a collect callback are read at scrape time
+    if (this.collect) {
+      this.collect(this);
+    }
+
+    const lines = [];
+    for (const { labels, value } of this.values.values()) {
+      if (value === null || value === undefined || Number.isNaN(value)) continue;
+      lines.push(`${this.name}${formatLabels({ ...extraLabels, ...labels })} ${formatValue(value)}`);
+    }
+    return lines;
+  }
+
+  render() {
+    return [...this.header(), ...this.samples()].join('\n');
+  }
+}
+
+/**
+ * Histogram with cumulative buckets
+ */
+class Histogram {
+  constructor(name, help, buckets) {
+    this.type = 'histogram';
+    this.name = name;
+    this.help = help;
+    this.buckets = [...buckets].sort((a, b) => a - b);
+    this.series = new Map();
+  }
+
+  observe(labels = {}, value) {
+    const key = JSON.stringify(labels);
+    let series = this.series.get(key);
+
+    if (!series) {
+      series = { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+      this.series.set(key, series);
+    }
+
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) series.counts[i]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  header() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+  }
+
+  samples(extraLabels = {}) {
+    const lines = [];
+
+    for (const { labels: seriesLabels, counts, sum, count } of this.series.values()) {
+      const labels = { ...extraLabels, ...seriesLabels };
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    }
+
+    return lines;
+  }
+
+  render() {
+    return [...this.header(), ...this.samples()].join('\n');
+  }
+}
+
+class MetricsRegistry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  counter(name, help) {
+    return this.register(new Metric('counter', name, help));
+  }
+
+  gauge(name, help, collect) {
+    return this.register(new Metric('gauge', name, help, collect));
+  }
+
+  histogram(name, help, buckets) {
+    return this.register(new Histogram(name, help, buckets));
+  }
+
+  register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  /**
+   * Render all metrics in the Prometheus text format
+   */
+  render() {
+    return this.metrics.map(metric => metric.render()).join('\n') + '\n';
+  }
+}
+
+/**
+ * Render several registries with the same metrics as one scrape
+ *
+ * Each entry's `labels` (e.g. the account) are added to its samples, so
+ * detectors running in one process share each metric's HELP and TYPE lines.
+ *
+ * @param {Array<{ registry: MetricsRegistry, labels: Object }>} entries
+ */
+function renderRegistries(entries) {
+  const [first] = entries;
+
+  return first.registry.metrics.map((metric, i) => [
+    ...metric.header(),
+    ...entries.flatMap(({ registry, labels }) => registry.metrics[i].samples(labels))
+  ].join('\n')).join('\n') + '\n';
+}
+
+/**
+ * Register the detector's metrics
+ *
+ * Counters and histograms are updated by the detector as things happen;
+ * gauges are read from the detector when /metrics is scraped.
+ */
+function createDetectorMetrics(detector) {
+  const registry = new MetricsRegistry();
+  const seconds = (time) => (time ? time / 1000 : null);
+
+  return {
+    registry,
+    polls: registry.counter(
+      'lead_detector_polls_total',
+      'Polls of the leads.data endpoint by outcome'
+    ),
+    pollDuration: registry.histogram(
+      'lead_detector_poll_duration_seconds',
+      'Latency of fetchLeadsData() requests',
+      [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30]
+    ),
+    pollFailures: registry.counter(
+      'lead_detector_poll_failures_total',
+      'Failed polls by cause'
+    ),
+    loginAttempts: registry.counter(
+      'lead_detector_login_attempts_total',
+      'Login and re-login attempts by outcome'
+    ),
+    leadsDetected: registry.counter(
+      'lead_detector_leads_detected_total',
+      'Leads detected by detection method'
+    ),
+    pushMessages: registry.counter(
+      'lead_detector_push_messages_total',
+      'WebSocket and SSE messages received by channel type and kind'
+    ),
+    lifecycleEvents: registry.counter(
+      'lead_detector_lifecycle_events_total',
+      'Leads in lifecycle events (updated, status changed, removed) by event'
+    ),
+    ruleActions: registry.counter(
+      'lead_detector_rule_actions_total',
+      'Automated lead actions by action and outcome'
+    ),
+    digests: registry.counter(
+      'lead_detector_digests_sent_total',
+      'Digests sent by digest name'
+    ),
+    enrichments: registry.counter(
+      'lead_detector_enrichments_total',
+      'Lead detail lookups by outcome'
+    ),
+    deliveries: registry.counter(
+      'lead_detector_deliveries_total',
+      'Notification delivery attempts by destination and status code'
+    ),
+    backoffDelay: registry.gauge(
+      'lead_detector_backoff_delay_seconds',
+      'Delay before the next poll after the most recent failure (0 when polling normally)',
+      gauge => gauge.set({}, detector.retryCount > 0 ? detector.lastBackoffDelay / 1000 : 0)
+    ),
+    retryCount: registry.gauge(
+      'lead_detector_poll_retry_count',
+      'Consecutive failed polls',
+      gauge => gauge.set({}, detector.retryCount)
+    ),
+    loginRetryCount: registry.gauge(
+      'lead_detector_login_retry_count',
+      'Re-login attempts since the detector started',
+      gauge => gauge.set({}, detector.loginRetryCount)
+    ),
+    lastSuccessfulPoll: registry.gauge(
+      'lead_detector_last_successful_poll_timestamp_seconds',
+      'Unix time of the last successful poll',
+      gauge => gauge.set({}, seconds(detector.lastSuccessfulPollAt))
+    ),
+    lastNotification: registry.gauge(
+      'lead_detector_last_notification_timestamp_seconds',
+      'Unix time of the last notification sent',
+      gauge => gauge.set({}, seconds(detector.lastNotificationSentAt))
+    ),
+    sessionValid: registry.gauge(
+      'lead_detector_session_valid',
+      'Whether the Tradiecore session is currently valid (1) or not (0)',
+      gauge => gauge.set({}, detector.sessionValid ? 1 : 0)
+    ),
+    paused: registry.gauge(
+      'lead_detector_polling_paused',
+      'Whether polling is paused (1) or not (0)',
+      gauge => gauge.set({}, detector.paused ? 1 : 0)
+    ),
+    cookieAge: registry.gauge(
+      'lead_detector_session_cookie_age_seconds',
+      'Time since the current session cookies were obtained',
+      gauge => gauge.set({}, detector.cookiesObtainedAt ? (Date.now() - detector.cookiesObtainedAt) / 1000 : null)
+    ),
+    sessionExpiry: registry.gauge(
+      'lead_detector_session_expiry_timestamp_seconds',
+      'Unix time when the earliest auth cookie expires',
+      gauge => gauge.set({}, seconds(detector.getSessionExpiry()))
+    ),
+    pendingDeliveries: registry.gauge(
+      'lead_detector_outbox_pending_deliveries',
+      'Deliveries waiting in the outbox',
+      gauge => gauge.set({}, detector.outbox ? detector.outbox.listDeliveries().length : null)
+    ),
+    pollingInterval: registry.gauge(
+      'lead_detector_polling_interval_seconds',
+      'Polling interval currently in effect, after the polling schedule and any slowdown',
+      gauge => gauge.set({}, seconds(detector.getPollingInterval()))
+    ),
+    pollSlowdown: registry.gauge(
+      'lead_detector_poll_slowdown_factor',
+      'Factor regular polling is slowed down by after rate limits or challenges (1 when not slowed)',
+      gauge => gauge.set({}, detector.pollThrottle.factor)
+    ),
+    heldLeads: registry.gauge(
+      'lead_detector_held_leads',
+      'New leads whose notification is held until quiet hours end',
+      gauge => gauge.set({}, detector.heldLeads.size)
+    )
+  };
+}
+
+module.exports = { MetricsRegistry, createDetectorMetrics, renderRegistries };
@@ -0,0 +1,120 @@
+/**
+ * Network response capture
+ *
+ * Listens to the responses the Tradiecore page receives itself (through
+ * Puppeteer's response events, which come from the CDP Network domain) and
+ * picks out the loader and XHR responses that carry lead data. The detector
+ * gets the decoded data the moment the SPA does, instead of scraping it back
+ * out of the DOM.
+ *
+ * Remix `.data` responses are turbo-streams with one entry per route in
+ * `_routes`; anything else is read as JSON.
+ */
+
+const { decodeTurboStream } = require('./turbo-stream');
+
+// Requests made by the page's scripts; documents, images etc. are skipped
+const CAPTURED_RESOURCE_TYPES = ['fetch', 'xhr'];
+
+/**
+ * Check whether a response might carry lead data
+ *
+ * @param {Object} response - Puppeteer HTTPResponse
+ * @param {string[]} urlPatterns - Substrings of the URL path to capture
+ */
+function isCandidateResponse(response, urlPatterns) {
+  if (!CAPTURED_RESOURCE_TYPES.includes(response.request().resourceType())) {
+    return false;
+  }
+
+  const status = response.status();
+  if (status < 200 || status >= 300) {
+    return false;
+  }
+
+  const pathname = new URL(response.url()).pathname;
+  return urlPatterns.some(pattern => pathname.includes(pattern));
+}
+
+/**
+ * Decode a captured response body
+ *
+ * Returns the loader data keyed by route ID for `.data` responses, the parsed
+ * JSON otherwise, or null if the body could not be decoded.
+ */
+function decodeResponseBody(text, responseUrl) {
+  const url = new URL(responseUrl);
+
+  if (url.pathname.endsWith('.data')) {
+    let decoded;
+    try {
+      decoded = decodeTurboStream(text);
+    } catch (error) {
+      return null;
+    }
+    if (!decoded || typeof decoded !== 'object') {
+      return null;
+    }
+
+    const routeIds = (url.searchParams.get('_routes') || '').split(',').filter(Boolean);
+    const routes = routeIds.length > 0 ? routeIds : Object.keys(decoded);
+
+    // Skip routes whose loader threw or redirected
+    return Object.fromEntries(routes
+      .filter(routeId => decoded[routeId] && typeof decoded[routeId] === 'object' && 'data' in decoded[routeId])
+      .map(routeId => [routeId, decoded[routeId].data]));
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Capture lead responses on a page
+ *
+ * @param {Object} page - Puppeteer page
+ * @param {Object} options
+ * @param {string[]} options.urlPatterns - Substrings of the URL path to capture
+ * @param {Function} options.onData - Called with (data, url) for each decoded response
+ * @param {Logger} options.logger
+ * @returns {Function} Stops capturing
+ */
+function captureLeadResponses(page, options) {
+  const { urlPatterns, onData, logger } = options;
+
+  const listener = async (response) => {
+    if (!isCandidateResponse(response, urlPatterns)) return;
+
+    const url = response.url();
+    let text;
+
+    try {
+      text = await response.text();
+    } catch (error) {
+      // Bodies of redirects and evicted responses are not available
+      logger.debug('Captured response has no body', { url, error: error.message });
+      return;
+    }
+
+    const data = decodeResponseBody(text, url);
+
+    if (data === null) {
+      logger.debug('Captured response could not be decoded', { url });
+      return;
+    }
+
+    try {
+      await onData(data, url);
+    } catch (error) {
+      logger.error('Error handling captured response', { url, error });
+    }
+  };
+
+  page.on('response', listener);
+  return () => page.off('response', listener);
+}
+
+module.exports = { isCandidateResponse, decodeResponseBody, captureLeadResponses };
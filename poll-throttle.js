@@ -0,0 +1,155 @@
+/**
+ * Poll response classes and throttling
+ *
+ * Each Tradiecore response is put in a class, and the poller handles each
+ * class in its own way:
+ *
+ * - `ok`: a 2xx response with data
+ * - `empty_response`: a 2xx response with an empty body; not an expired
+ *   session, so it is retried without logging in again
+ * - `redirect`: a 3xx response to follow
+ * - `auth_expired`: 401, 403 or a redirect to the login page; log in again
+ * - `challenged`: a Cloudflare bot challenge page (by the `cf-mitigated`
+ *   header or the page itself), whatever its status. It is not an expired
+ *   session, so logging in again would not help.
+ * - `rate_limited`: 429
+ * - `server_error`: 5xx
+ * - `http_error`: any other status
+ *
+ * `Retry-After` (seconds or an HTTP date) is read from every failed response.
+ * Rate limits and challenges also slow regular polling down by a factor that
+ * recovers step by step while polls succeed.
+ */
+
+// Markers of Cloudflare challenge and block pages
+const CHALLENGE_MARKERS = [
+  /<title>Just a moment\.\.\.<\/title>/i,
+  /<title>Attention Required! \| Cloudflare<\/title>/i,
+  /challenges\.cloudflare\.com/i,
+  /window\._cf_chl_opt/,
+  /cf-chl-/
+];
+
+class ResponseError extends Error {
+  /**
+   * @param {string} responseClass - From classifyResponse()
+   * @param {number} statusCode
+   * @param {number|null} retryAfter - Server hint in ms, null if none
+   */
+  constructor(responseClass, statusCode, retryAfter = null) {
+    super(responseClass === 'empty_response'
+      ? `Empty response body (HTTP ${statusCode})`
+      : `HTTP error: ${statusCode}${responseClass === 'challenged' ? ' (bot challenge)' : ''}`);
+    this.name = 'ResponseError';
+    this.responseClass = responseClass;
+    this.statusCode = statusCode;
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * Whether a response is a Cloudflare challenge instead of the page asked for
+ */
+function isChallengeResponse({ headers = {}, body = '' }) {
+  if (String(headers['cf-mitigated'] || '').toLowerCase() === 'challenge') {
+    return true;
+  }
+  return /html/i.test(headers['content-type'] || '') && CHALLENGE_MARKERS.some(marker => marker.test(body));
+}
+
+/**
+ * Put a response in one of the classes above
+ *
+ * @param {{ statusCode: number, headers: Object, body: string }} response
+ */
+function classifyResponse(response) {
+  const { statusCode, headers = {} } = response;
+
+  if (isChallengeResponse(response)) return 'challenged';
+  if (statusCode === 401 || statusCode === 403 || (headers.location && headers.location.includes('/login'))) {
+    return 'auth_expired';
+  }
+  if (statusCode >= 300 && statusCode < 400 && headers.location) return 'redirect';
+  if (statusCode === 429) return 'rate_limited';
+  if (statusCode >= 500) return 'server_error';
+  if (statusCode < 200 || statusCode >= 300) return 'http_error';
+  if (!String(response.body || '').trim()) return 'empty_response';
+  return 'ok';
+}
+
+/**
+ * Read a Retry-After header, in seconds or as an HTTP date
+ *
+ * @returns {number|null} Milliseconds to wait, null if missing or invalid
+ */
+function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null) return null;
+
+  const text = String(value).trim();
+  if (/^\d+$/.test(text)) {
+    return Number(text) * 1000;
+  }
+
+  // Otherwise an HTTP date, which names the day and month; Date.parse()
+  // would also take numbers such as "1.5"
+  const date = Date.parse(text);
+  return Number.isNaN(date) || !/[a-z]/i.test(text) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Slowdown factor for regular polling
+ *
+ * Every rate limit or challenge multiplies the factor (up to maxSlowdown);
+ * every `recoverAfter` successful polls in a row divide it again, down to 1.
+ */
+class PollThrottle {
+  /**
+   * @param {Object} options
+   * @param {number} options.slowdownFactor - Multiplier per rate limit or challenge
+   * @param {number} options.maxSlowdown - Largest factor
+   * @param {number} options.recoverAfter - Successful polls per recovery step
+   */
+  constructor(options = {}) {
+    this.slowdownFactor = options.slowdownFactor || 2;
+    this.maxSlowdown = options.maxSlowdown || 8;
+    this.recoverAfter = options.recoverAfter || 20;
+    this.factor = 1;
+    this.successes = 0;
+  }
+
+  /**
+   * Slow down after a rate limit or challenge
+   *
+   * @returns {number} The new factor
+   */
+  slowDown() {
+    this.factor = Math.min(this.factor * this.slowdownFactor, this.maxSlowdown);
+    this.successes = 0;
+    return this.factor;
+  }
+
+  /**
+   * Count a successful poll
+   *
+   * @returns {boolean} Whether the factor went down
+   */
+  recordSuccess() {
+    if (this.factor === 1) return false;
+
+    this.successes++;
+    if (this.successes < this.recoverAfter) return false;
+
+    this.factor = Math.max(1, this.factor / this.slowdownFactor);
+    this.successes = 0;
+    return true;
+  }
+
+  /**
+   * Apply the factor to a polling delay
+   */
+  apply(delay) {
+    return delay * this.factor;
+  }
+}
+
+module.exports = { ResponseError, PollThrottle, classifyResponse, isChallengeResponse, parseRetryAfter };
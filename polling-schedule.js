@@ -0,0 +1,174 @@
+/**
+ * Polling schedule
+ *
+ * A weekly schedule, in local time, that sets how often leads.data is polled
+ * and when notifications are held back:
+ *
+ * - windows: `{ name, days, from, to, pollingInterval }`. The first window
+ *   covering the current time sets the polling interval; outside every window
+ *   timing.pollingInterval applies.
+ * - quietHours: `{ days, from, to }`. Leads are still detected, but the
+ *   detector holds their notifications until quiet hours end.
+ *
+ * `days` lists 'mon' to 'sun' and 'holiday' (every day if left out); `from`
+ * and `to` are "HH:MM", and a range past midnight such as 22:00-06:00 wraps.
+ * A range belongs to the day it starts on, so Friday 22:00-06:00 runs from
+ * Friday 22:00 to Saturday 06:00. On a public holiday only entries listing
+ * 'holiday' (or no days) start.
+ *
+ * Public holidays are read from a local file, either a JSON list of dates
+ * ("2025-12-25" or { "date", "name" }) or text with one date per line,
+ * optionally followed by its name; `#` starts a comment.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { WEEKDAYS, getLocalTime, parseTimeOfDay, withinHours } = require('./local-time');
+const { createLogger } = require('./logger');
+
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Parse a holidays file into a Map of date ("YYYY-MM-DD") to name
+ *
+ * @throws {Error} If an entry is not a date
+ */
+function parseHolidays(text) {
+  const holidays = new Map();
+  const add = (date, name, where) => {
+    if (!DATE.test(date)) {
+      throw new Error(`${where}: "${date}" is not a date such as 2025-12-25`);
+    }
+    holidays.set(date, name || null);
+  };
+
+  if (text.trim().startsWith('[')) {
+    JSON.parse(text).forEach((entry, i) => {
+      const date = typeof entry === 'string' ? entry : entry && entry.date;
+      add(String(date), entry && entry.name, `Entry ${i + 1}`);
+    });
+    return holidays;
+  }
+
+  text.split('\n').forEach((line, i) => {
+    const content = line.replace(/#.*/, '').trim();
+    if (!content) return;
+
+    const [date, ...name] = content.split(/\s+/);
+    add(date, name.join(' '), `Line ${i + 1}`);
+  });
+  return holidays;
+}
+
+// The calendar day ("YYYY-MM-DD") before another
+function getPreviousDay(day) {
+  return new Date(Date.parse(`${day}T00:00:00Z`) - 24 * 60 * MINUTE).toISOString().slice(0, 10);
+}
+
+/**
+ * Whether a window or quiet hours entry covers a local time
+ *
+ * @param {Object} dayKeys - { today, yesterday }; the part of a range past
+ *   midnight is checked against yesterday, the day it started on
+ */
+function coversTime(entry, localTime, dayKeys) {
+  if (!withinHours(localTime.minutes, entry)) return false;
+  if (!entry.days) return true;
+
+  const from = parseTimeOfDay(entry.from || '00:00');
+  const to = parseTimeOfDay(entry.to || '24:00');
+  const startedYesterday = from > to && localTime.minutes < to;
+
+  return entry.days.includes(startedYesterday ? dayKeys.yesterday : dayKeys.today);
+}
+
+class PollingSchedule {
+  /**
+   * @param {Object} options
+   * @param {string} options.timeZone - Time zone of the windows and holidays
+   * @param {Object[]} options.windows - { name, days, from, to, pollingInterval }
+   * @param {Object[]} options.quietHours - { days, from, to }
+   * @param {string} options.holidaysFile - Public holidays, read by load()
+   * @param {number} options.defaultInterval - Polling interval outside the windows
+   * @param {Logger} options.logger
+   */
+  constructor(options) {
+    this.timeZone = options.timeZone || 'Australia/Sydney';
+    this.windows = options.windows || [];
+    this.quietHours = options.quietHours || [];
+    this.holidaysFile = options.holidaysFile ? path.resolve(process.cwd(), options.holidaysFile) : null;
+    this.defaultInterval = options.defaultInterval;
+    this.logger = options.logger || createLogger();
+    this.holidays = new Map();
+  }
+
+  /**
+   * Read the holidays file
+   *
+   * @throws {Error} If the file cannot be read or parsed
+   */
+  load() {
+    if (!this.holidaysFile) {
+      return this;
+    }
+
+    try {
+      this.holidays = parseHolidays(fs.readFileSync(this.holidaysFile, 'utf8'));
+    } catch (error) {
+      throw new Error(`Cannot read holidays file ${this.holidaysFile}: ${error.message}`);
+    }
+    return this;
+  }
+
+  /**
+   * The window, quiet hours and holiday in effect at a time
+   *
+   * @returns {{ window: Object|null, quiet: boolean, holiday: string|null, pollingInterval: number }}
+   *   holiday is the holiday's name (or its date if unnamed)
+   */
+  getPeriod(now = new Date()) {
+    const localTime = getLocalTime(now, this.timeZone);
+    const isHoliday = this.holidays.has(localTime.day);
+    const yesterday = getPreviousDay(localTime.day);
+    const dayKeys = {
+      today: isHoliday ? 'holiday' : localTime.weekday,
+      yesterday: this.holidays.has(yesterday) ? 'holiday' : WEEKDAYS[(WEEKDAYS.indexOf(localTime.weekday) + 6) % 7]
+    };
+    const window = this.windows.find(candidate => coversTime(candidate, localTime, dayKeys)) || null;
+
+    return {
+      window,
+      quiet: this.quietHours.some(entry => coversTime(entry, localTime, dayKeys)),
+      holiday: isHoliday ? this.holidays.get(localTime.day) || localTime.day : null,
+      pollingInterval: window ? window.pollingInterval : this.defaultInterval
+    };
+  }
+
+  isQuiet(now = new Date()) {
+    return this.getPeriod(now).quiet;
+  }
+
+  /**
+   * Delay before the next poll: the current polling interval, or less if the
+   * window or quiet hours change before then, so a faster window or the end
+   * of quiet hours is not missed
+   */
+  getPollingDelay(now = new Date()) {
+    const period = this.getPeriod(now);
+    const startedAt = now.getTime();
+
+    // Windows start and end on the minute
+    for (let time = (Math.floor(startedAt / MINUTE) + 1) * MINUTE; time - startedAt < period.pollingInterval; time += MINUTE) {
+      const next = this.getPeriod(new Date(time));
+      if (next.window !== period.window || next.quiet !== period.quiet) {
+        return time - startedAt;
+      }
+    }
+
+    return period.pollingInterval;
+  }
+}
+
+module.exports = { PollingSchedule, parseHolidays };
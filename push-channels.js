@@ -0,0 +1,278 @@
+/**
+ * Realtime push channels (WebSocket and Server-Sent Events)
+ *
+ * Records the WebSocket frames and EventSource messages the leads page
+ * receives, through a CDP session on the page (`Network.webSocketFrameReceived`,
+ * `Network.eventSourceMessageReceived`). Each text message is decoded (JSON,
+ * socket.io packets, JSON-encoded `data` fields as sent by Pusher) and
+ * classified:
+ *
+ * - `lead`: the message carries lead records
+ * - `notification`: its event name matches one of the notification patterns
+ * - null: anything else (heartbeats, presence, ...)
+ *
+ * The recorder also keeps a summary of every channel with sample messages,
+ * which the discover-channels command saves for analysis.
+ */
+
+const { redact } = require('./logger');
+
+const DEFAULT_NOTIFICATION_PATTERNS = ['lead', 'job', 'notification'];
+
+// Nested JSON strings are decoded this many levels deep
+const MAX_NESTED_JSON = 3;
+
+function parseNestedJson(value, depth = 0) {
+  if (typeof value === 'string') {
+    const trimmed = value.trim();
+    if (depth < MAX_NESTED_JSON && (trimmed.startsWith('{') || trimmed.startsWith('['))) {
+      try {
+        return parseNestedJson(JSON.parse(trimmed), depth + 1);
+      } catch (error) {
+        return value;
+      }
+    }
+    return value;
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => parseNestedJson(item, depth));
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, parseNestedJson(item, depth)]));
+  }
+
+  return value;
+}
+
+/**
+ * Decode a text message
+ *
+ * Returns the parsed value, or the text itself if it is not JSON.
+ */
+function parseMessage(text) {
+  // socket.io packets start with their packet type, e.g. 42["event",{...}]
+  const body = text.replace(/^\d+(?=[[{])/, '');
+
+  try {
+    return parseNestedJson(JSON.parse(body));
+  } catch (error) {
+    return text;
+  }
+}
+
+/**
+ * Get the event name of a decoded message: socket.io ["event", data], or an
+ * event, type or name field
+ */
+function getEventName(payload) {
+  if (Array.isArray(payload)) {
+    return typeof payload[0] === 'string' ? payload[0] : null;
+  }
+  if (payload && typeof payload === 'object') {
+    const name = payload.event || payload.type || payload.name || payload.eventName;
+    return typeof name === 'string' ? name : null;
+  }
+  return null;
+}
+
+/**
+ * Find lead records in a decoded message: a list or object with an `id`
+ * under a key that mentions leads or jobs
+ *
+ * @returns {Object[]|null}
+ */
+function findLeadRecords(payload) {
+  if (!payload || typeof payload !== 'object') {
+    return null;
+  }
+
+  const isRecord = value => value && typeof value === 'object' && !Array.isArray(value) && value.id !== undefined;
+  const queue = [payload];
+  const seen = new Set(queue);
+
+  while (queue.length > 0) {
+    const current = queue.shift();
+
+    for (const [key, value] of Object.entries(current)) {
+      if (/lead|job/i.test(key)) {
+        if (isRecord(value)) return [value];
+        if (Array.isArray(value) && value.length > 0 && value.every(isRecord)) return value;
+      }
+
+      if (value && typeof value === 'object' && !seen.has(value)) {
+        seen.add(value);
+        queue.push(value);
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Classify a decoded message
+ *
+ * @returns {{ kind: string|null, eventName: string|null, leads: Object[]|null }}
+ */
+function classifyMessage(payload, eventName, notificationPatterns = DEFAULT_NOTIFICATION_PATTERNS) {
+  const name = eventName || getEventName(payload);
+  const leads = findLeadRecords(payload);
+
+  if (leads) {
+    return { kind: 'lead', eventName: name, leads };
+  }
+
+  const isNotification = Boolean(name) &&
+    notificationPatterns.some(pattern => name.toLowerCase().includes(pattern.toLowerCase()));
+
+  return { kind: isNotification ? 'notification' : null, eventName: name, leads: null };
+}
+
+/**
+ * Records push channels on a page and reports their messages
+ */
+class PushChannelRecorder {
+  /**
+   * @param {Object} options
+   * @param {string[]} options.urlPatterns - Only report messages from channels whose URL contains one of these (all if empty)
+   * @param {string[]} options.notificationPatterns - Event names that count as notifications
+   * @param {Function} options.onMessage - Called with each decoded text message
+   * @param {number} options.sampleLimit - Sample messages kept per channel
+   * @param {number} options.sampleSize - Longest sample kept, in characters
+   * @param {Logger} options.logger
+   */
+  constructor(options = {}) {
+    this.urlPatterns = options.urlPatterns || [];
+    this.notificationPatterns = options.notificationPatterns || DEFAULT_NOTIFICATION_PATTERNS;
+    this.onMessage = options.onMessage || null;
+    this.sampleLimit = options.sampleLimit !== undefined ? options.sampleLimit : 20;
+    this.sampleSize = options.sampleSize || 4096;
+    this.logger = options.logger;
+    this.session = null;
+    this.channels = new Map();
+  }
+
+  /**
+   * Start recording on a page
+   *
+   * Start before navigating, or channels opened by the page load are seen
+   * without their URL.
+   */
+  async start(page) {
+    this.session = await page.createCDPSession();
+
+    this.session.on('Network.webSocketCreated', ({ requestId, url }) => {
+      this.openChannel(requestId, 'websocket', url);
+    });
+    this.session.on('Network.webSocketClosed', ({ requestId }) => {
+      const channel = this.channels.get(requestId);
+      if (channel) channel.closedAt = new Date().toISOString();
+    });
+    this.session.on('Network.requestWillBeSent', ({ requestId, type, request }) => {
+      if (type === 'EventSource') this.openChannel(requestId, 'eventsource', request.url);
+    });
+    this.session.on('Network.webSocketFrameReceived', ({ requestId, response }) => {
+      // Opcode 1 is a text frame; binary frames are only counted
+      this.receive(requestId, 'websocket', response.opcode === 1 ? response.payloadData : null, null);
+    });
+    this.session.on('Network.eventSourceMessageReceived', ({ requestId, eventName, data }) => {
+      this.receive(requestId, 'eventsource', data, eventName && eventName !== 'message' ? eventName : null);
+    });
+
+    await this.session.send('Network.enable');
+  }
+
+  /**
+   * Stop recording
+   */
+  async stop() {
+    if (!this.session) return;
+
+    const session = this.session;
+    this.session = null;
+    try {
+      await session.detach();
+    } catch (error) {
+      // The page is already closed
+    }
+  }
+
+  openChannel(requestId, type, url) {
+    const channel = this.getChannel(requestId, type);
+    channel.url = url;
+    this.logger.info('Push channel opened', { type, url });
+  }
+
+  getChannel(requestId, type) {
+    if (!this.channels.has(requestId)) {
+      this.channels.set(requestId, {
+        type,
+        url: null,
+        openedAt: new Date().toISOString(),
+        closedAt: null,
+        messages: 0,
+        binaryMessages: 0,
+        kinds: {},
+        eventNames: {},
+        samples: []
+      });
+    }
+    return this.channels.get(requestId);
+  }
+
+  matchesChannel(channel) {
+    return this.urlPatterns.length === 0 ||
+      (channel.url !== null && this.urlPatterns.some(pattern => channel.url.includes(pattern)));
+  }
+
+  receive(requestId, type, text, eventName) {
+    const channel = this.getChannel(requestId, type);
+    channel.messages++;
+
+    if (text === null) {
+      channel.binaryMessages++;
+      return;
+    }
+
+    const payload = parseMessage(text);
+    const message = classifyMessage(payload, eventName, this.notificationPatterns);
+    const kind = message.kind || 'other';
+
+    channel.kinds[kind] = (channel.kinds[kind] || 0) + 1;
+    if (message.eventName) {
+      channel.eventNames[message.eventName] = (channel.eventNames[message.eventName] || 0) + 1;
+    }
+    if (channel.samples.length < this.sampleLimit) {
+      // Samples are saved to disk, so personal details are masked like log lines
+      channel.samples.push({
+        receivedAt: new Date().toISOString(),
+        eventName: message.eventName,
+        kind: message.kind,
+        data: redact(text.length > this.sampleSize ? `${text.substring(0, this.sampleSize)}...` : text)
+      });
+    }
+
+    if (!this.onMessage || !this.matchesChannel(channel)) return;
+
+    Promise.resolve()
+      .then(() => this.onMessage({ ...message, channelType: type, url: channel.url, payload }))
+      .catch(error => this.logger.error('Error handling push message', { url: channel.url, error }));
+  }
+
+  /**
+   * Summaries of every channel seen, with sample messages
+   */
+  getChannels() {
+    return [...this.channels.values()];
+  }
+}
+
+module.exports = {
+  DEFAULT_NOTIFICATION_PATTERNS,
+  PushChannelRecorder,
+  parseMessage,
+  classifyMessage,
+  findLeadRecords
+};
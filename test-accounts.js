@@ -0,0 +1,234 @@
+/**
+ * Test script for running several accounts in one process
+ *
+ * This script resolves and validates per-account configs, then runs two
+ * accounts through the AccountManager with a stubbed shared browser, stubbed
+ * leads.data requests and deliveries, and checks the incognito contexts,
+ * account IDs on payloads and log lines, and the account-aware control API.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { AccountManager } = require('./account-manager');
+const { loadConfig, resolveAccounts, ConfigError } = require('./config');
+
+function createFakeBrowser() {
+  const browser = {
+    contexts: [],
+    closed: false,
+    isConnected: () => !browser.closed,
+    createBrowserContext: async () => {
+      const context = {
+        closed: false,
+        newPage: async () => ({ setViewport: async () => {}, close: async () => {} }),
+        close: async () => { context.closed = true; }
+      };
+      browser.contexts.push(context);
+      return context;
+    },
+    close: async () => { browser.closed = true; }
+  };
+  return browser;
+}
+
+function testResolveAccounts() {
+  const env = { WEBHOOK_URL: 'https://hooks.example.com/leads' };
+  const { config } = loadConfig({
+    env,
+    cwd: os.tmpdir(),
+    overrides: {
+      webhook: { destinations: [{ name: 'shared', url: 'https://shared.example.com/hook' }] },
+      accounts: [
+        { id: 'plumbing', credentials: { email: 'plumbing@example.com', password: 'plumbing-pass' } },
+        {
+          id: 'roofing',
+          credentials: { email: 'roofing@example.com', password: 'roofing-pass' },
+          webhook: { url: 'https://roofing.example.com/hook' },
+          timing: { pollingInterval: 5000 },
+          cookieStorage: { path: './roofing-session.json' }
+        }
+      ]
+    }
+  });
+
+  const [plumbing, roofing] = resolveAccounts(config);
+  assert.deepStrictEqual(plumbing.account, { id: 'plumbing' });
+  assert.strictEqual(plumbing.credentials.email, 'plumbing@example.com');
+  assert.strictEqual(plumbing.cookieStorage.path, './cookies-plumbing.json');
+  assert.strictEqual(plumbing.leadStore.dataDir, path.join('data', 'plumbing'));
+  assert.strictEqual(plumbing.outbox.dataDir, path.join('data', 'plumbing'));
+  assert.strictEqual(plumbing.webhook.destinations[0].name, 'shared');
+  assert.strictEqual(plumbing.timing.pollingInterval, 1000);
+  assert.ok(!('accounts' in plumbing));
+
+  // Its own URL replaces the shared destinations
+  assert.strictEqual(roofing.webhook.url, 'https://roofing.example.com/hook');
+  assert.deepStrictEqual(roofing.webhook.destinations, []);
+  assert.strictEqual(roofing.timing.pollingInterval, 5000);
+  assert.strictEqual(roofing.timing.maxBackoffDelay, 30000);
+  assert.strictEqual(roofing.cookieStorage.path, './roofing-session.json');
+
+  // Without accounts the config is used as is
+  const { config: single } = loadConfig({
+    env: { ...env, HIPAGES_EMAIL: 'tradie@example.com', HIPAGES_PASSWORD: 'correct-horse-battery' },
+    cwd: os.tmpdir()
+  });
+  const resolved = resolveAccounts(single);
+  assert.strictEqual(resolved.length, 1);
+  assert.strictEqual(resolved[0].account, undefined);
+  assert.strictEqual(resolved[0].cookieStorage.path, './cookies.json');
+
+  // Per-account problems name the account
+  try {
+    loadConfig({
+      env,
+      cwd: os.tmpdir(),
+      overrides: {
+        accounts: [
+          { id: 'plumbing', credentials: { email: 'plumbing@example.com', password: 'plumbing-pass' } },
+          { id: 'plumbing', credentials: { email: 'other@example.com' }, logging: { level: 'debug' } },
+          { id: 'has space', credentials: { email: 'x@example.com', password: 'x-pass' }, timing: { pollingInterval: 0 } }
+        ]
+      }
+    });
+    assert.fail('Expected a ConfigError');
+  } catch (error) {
+    assert.ok(error instanceof ConfigError, error.message);
+    assert.deepStrictEqual(error.errors, [
+      'accounts[1].id "plumbing" is used by another account',
+      'accounts[1].logging cannot be set per account',
+      'accounts[1].credentials.password is required',
+      'accounts[2].id must be letters, digits, - and _ only (got "has space")',
+      'accounts[2].timing.pollingInterval must be at least 1 (got 0)'
+    ]);
+  }
+}
+
+/**
+ * Run the test
+ */
+async function runTest() {
+  console.log('Starting test of multiple accounts...');
+
+  testResolveAccounts();
+
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lead-detector-accounts-'));
+  const logLines = [];
+  const browser = createFakeBrowser();
+  const manager = new AccountManager({
+    urls: {
+      leads: 'https://tradiecore.hipages.com.au/leads',
+      leadsData: 'https://tradiecore.hipages.com.au/leads.data?_routes=routes%2F_app%2Fleads%2F_leads',
+      leadDetail: 'https://tradiecore.hipages.com.au/leads/{id}'
+    },
+    webhook: { destinations: [{ name: 'crm', url: 'http://127.0.0.1:1/hook' }] },
+    cookieStorage: { enabled: false, path: path.join(dataDir, 'cookies.json') },
+    leadStore: { enabled: true, dataDir },
+    controlServer: { enabled: true, host: '127.0.0.1', port: 0, token: 'control-token' },
+    changeDetection: { minNewLeadsToNotify: 1, deduplicationWindow: 5000 },
+    logging: { level: 'info', stdout: { write: line => logLines.push(JSON.parse(line)) } },
+    // Long interval so only forced polls run
+    timing: { pollingInterval: 600000, baseBackoffDelay: 600000, maxBackoffDelay: 600000 },
+    accounts: [
+      { id: 'plumbing', credentials: { email: 'plumbing@example.com', password: 'plumbing-pass' } },
+      { id: 'roofing', credentials: { email: 'roofing@example.com', password: 'roofing-pass' } }
+    ]
+  }, { launchBrowser: async () => browser });
+
+  // Stub the session, the leads endpoint and webhook delivery
+  const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+  const responses = {
+    plumbing: [fixture('leads-data-initial.txt'), fixture('leads-data-new-lead.txt')],
+    roofing: [fixture('leads-data-initial.txt'), fixture('leads-data-initial.txt')]
+  };
+  const delivered = [];
+
+  for (const detector of manager.detectors) {
+    detector.restoreSession = async () => true;
+    detector.startDetection = async () => { detector.isRunning = true; };
+    detector.fetchLeadsData = async () => responses[detector.accountId].shift();
+    detector.deliverWebhook = async (payload) => {
+      delivered.push(payload);
+      return 204;
+    };
+  }
+
+  try {
+    assert.strictEqual(await manager.initialize(), true);
+
+    // One browser, one incognito context per account
+    assert.strictEqual(browser.contexts.length, 2);
+    assert.strictEqual(manager.getDetector('plumbing').browserContext, browser.contexts[0]);
+    assert.strictEqual(manager.getDetector('roofing').browserContext, browser.contexts[1]);
+    assert.strictEqual(manager.getDetector('roofing').leadStore.filePath, path.join(dataDir, 'roofing', 'leads.jsonl'));
+
+    const baseUrl = `http://127.0.0.1:${manager.controlServer.address().port}`;
+    const post = (pathname) => fetch(`${baseUrl}${pathname}`, {
+      method: 'POST',
+      headers: { Authorization: 'Bearer control-token' }
+    });
+
+    // Baseline, then a new lead for plumbing only
+    let res = await post('/poll');
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(Object.keys((await res.json()).accounts), ['plumbing', 'roofing']);
+    res = await post('/poll');
+    assert.strictEqual(res.status, 200);
+
+    assert.strictEqual(delivered.length, 1);
+    assert.strictEqual(delivered[0].accountId, 'plumbing');
+    assert.strictEqual(delivered[0].leads.length, 1);
+
+    // Pause one account
+    res = await post('/pause?account=roofing');
+    assert.deepStrictEqual(await res.json(), { accounts: { roofing: { paused: true } } });
+    assert.strictEqual(manager.getDetector('roofing').paused, true);
+    assert.strictEqual(manager.getDetector('plumbing').paused, false);
+    res = await post('/pause?account=painting');
+    assert.strictEqual(res.status, 404);
+    assert.deepStrictEqual(await res.json(), { error: 'unknown_account', account: 'painting' });
+
+    res = await fetch(`${baseUrl}/state`);
+    const state = await res.json();
+    assert.strictEqual(state.accounts.roofing.paused, true);
+    assert.strictEqual(state.accounts.plumbing.knownLeads, 3);
+
+    res = await fetch(`${baseUrl}/healthz`);
+    assert.deepStrictEqual(await res.json(), { status: 'ok', browserAlive: true });
+
+    // Metrics are labelled by account
+    res = await fetch(`${baseUrl}/metrics`);
+    const text = await res.text();
+    assert.ok(text.includes('lead_detector_polls_total{account="plumbing",outcome="success"} 2\n'));
+    assert.ok(text.includes('lead_detector_polls_total{account="roofing",outcome="success"} 2\n'));
+    assert.ok(text.includes('lead_detector_leads_detected_total{account="plumbing",method="polling"} 1\n'));
+    assert.strictEqual(text.match(/# TYPE lead_detector_polls_total counter/g).length, 1);
+
+    // Every detector log line names its account
+    const detectorLines = logLines.filter(line => line.pollId || line.message === 'Initializing lead detector');
+    assert.ok(detectorLines.length >= 6);
+    assert.ok(detectorLines.every(line => ['plumbing', 'roofing'].includes(line.accountId)));
+    assert.ok(!JSON.stringify(logLines).includes('plumbing-pass'));
+
+    await manager.stop();
+    assert.ok(browser.contexts.every(context => context.closed));
+    assert.strictEqual(browser.closed, true);
+    assert.strictEqual(manager.controlServer, null);
+
+    console.log('Test completed successfully');
+  } finally {
+    await manager.stop();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+}
+
+// Run the test
+if (require.main === module) {
+  runTest().catch(error => {
+    console.error('Test failed:', error);
+    process.exit(1);
+  });
+}
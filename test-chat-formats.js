@@ -0,0 +1,122 @@
+/**
+ * Test script for Slack, Discord and Teams notification formats
+ *
+ * This script builds chat messages for decoded and DOM-scraped leads and for
+ * lifecycle events, and posts them through chat destinations to a local
+ * HTTP server.
+ */
+
+const assert = require('assert');
+const http = require('http');
+
+const { LeadDetector } = require('./lead-detector');
+const { buildChatMessages } = require('./chat-formats');
+
+const DATA = {
+  event: 'new_leads_detected',
+  method: 'polling',
+  timestamp: '2025-04-25T02:39:56.000Z',
+  leads: [
+    { id: 48213377, customer: { firstName: 'Sarah' }, jobType: 'Plumbing', suburb: 'Parramatta', postcode: '2150', description: 'Leaking tap <kitchen>' },
+    { id: 'lead-2', name: 'Tom', location: 'Ryde, 2112', jobType: 'Gas Fitting' }
+  ]
+};
+
+const getLeadUrl = (lead) => `https://tradiecore.hipages.com.au/leads/${lead.id}`;
+
+/**
+ * Run the test
+ */
+async function runTest() {
+  console.log('Starting test of chat notification formats...');
+
+  const [slack] = buildChatMessages('slack', DATA, getLeadUrl);
+  assert.strictEqual(slack.blocks[0].text.text, '2 new Hipages leads');
+  assert.strictEqual(slack.blocks[1].text.text,
+    '*<https://tradiecore.hipages.com.au/leads/48213377|Sarah>*\nPlumbing · Parramatta 2150\nLeaking tap &lt;kitchen&gt;');
+  assert.strictEqual(slack.blocks[2].accessory.url, 'https://tradiecore.hipages.com.au/leads/lead-2');
+  assert.ok(slack.text.includes('Gas Fitting in Ryde 2112: Tom'));
+
+  const [discord] = buildChatMessages('discord', DATA, getLeadUrl);
+  assert.strictEqual(discord.embeds.length, 2);
+  assert.strictEqual(discord.embeds[1].title, 'Tom');
+  assert.deepStrictEqual(discord.embeds[1].fields.map(field => field.value), ['Gas Fitting', 'Ryde 2112']);
+
+  const [teams] = buildChatMessages('teams', DATA, getLeadUrl);
+  assert.strictEqual(teams['@type'], 'MessageCard');
+  assert.strictEqual(teams.sections[0].activityTitle, 'Sarah');
+  assert.strictEqual(teams.sections[0].potentialAction[0].targets[0].uri, 'https://tradiecore.hipages.com.au/leads/48213377');
+
+  // Large batches are split over several messages
+  const manyLeads = Array.from({ length: 23 }, (_, i) => ({ id: i + 1, jobType: 'Plumbing' }));
+  assert.deepStrictEqual(
+    buildChatMessages('discord', { ...DATA, leads: manyLeads }, getLeadUrl).map(message => message.embeds.length),
+    [10, 10, 3]
+  );
+  assert.throws(() => buildChatMessages('pager', DATA, getLeadUrl), /Unknown chat notification type/);
+
+  // Lifecycle events say what happened to the lead, not that it is new
+  const headlines = {
+    lead_updated: 'Hipages lead updated',
+    lead_claimed: 'Hipages lead claimed',
+    lead_expired: 'Hipages lead expired',
+    lead_status_changed: 'Hipages lead changed status',
+    lead_removed: 'Hipages lead removed'
+  };
+  for (const [event, headline] of Object.entries(headlines)) {
+    const data = { ...DATA, event, leads: DATA.leads.slice(0, 1) };
+    assert.strictEqual(buildChatMessages('slack', data, getLeadUrl)[0].blocks[0].text.text, headline);
+    assert.strictEqual(buildChatMessages('discord', data, getLeadUrl)[0].content, headline);
+    assert.strictEqual(buildChatMessages('teams', data, getLeadUrl)[0].title, headline);
+  }
+  assert.strictEqual(buildChatMessages('slack', { ...DATA, event: 'lead_removed' }, getLeadUrl)[0].blocks[0].text.text, '2 Hipages leads removed');
+
+  // Chat destinations sit next to the generic webhook
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ path: req.url, body: JSON.parse(body) });
+      res.writeHead(req.url === '/discord' ? 204 : 200);
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const detector = new LeadDetector({
+    urls: { leads: 'https://tradiecore.hipages.com.au/leads', leadDetail: 'https://tradiecore.hipages.com.au/leads/{id}' },
+    webhook: {
+      headers: { 'Content-Type': 'application/json' },
+      destinations: [
+        { name: 'n8n', url: `${baseUrl}/webhook` },
+        { name: 'slack', type: 'slack', url: `${baseUrl}/slack` },
+        { name: 'discord', type: 'discord', url: `${baseUrl}/discord` },
+        { name: 'teams', type: 'teams', url: `${baseUrl}/teams`, filter: { jobTypes: ['Gas Fitting'] } }
+      ]
+    },
+    cookieStorage: { enabled: false, path: './test-cookies.json' }
+  });
+
+  try {
+    assert.strictEqual(await detector.sendWebhookNotification(DATA), true);
+    const byPath = Object.fromEntries(received.map(request => [request.path, request.body]));
+    assert.strictEqual(byPath['/webhook'].event, 'new_leads_detected');
+    assert.strictEqual(byPath['/slack'].blocks[1].accessory.url, 'https://tradiecore.hipages.com.au/leads/48213377');
+    assert.strictEqual(byPath['/discord'].embeds.length, 2);
+    assert.deepStrictEqual(byPath['/teams'].sections.map(section => section.activityTitle), ['Tom']);
+
+    console.log('Test completed successfully');
+  } finally {
+    server.close();
+  }
+}
+
+// Run the test
+if (require.main === module) {
+  runTest().catch(error => {
+    console.error('Test failed:', error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,165 @@
+/**
+ * Test script for the command-line interface
+ *
+ * This script runs the one-off commands against a detector whose browser and
+ * leads.data request are stubbed, with local HTTP servers as webhook
+ * destinations and a lead store in a temporary directory.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+const { LeadDetector } = require('./lead-detector');
+const { SAMPLE_LEAD, runCommand } = require('./cli');
+const { LeadStore } = require('./lead-store');
+
+function startServer(statusCode, received) {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push(JSON.parse(body));
+      res.writeHead(statusCode);
+      res.end();
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+function createOutput() {
+  const chunks = [];
+  return { write: chunk => chunks.push(chunk), text: () => chunks.join('') };
+}
+
+/**
+ * Run the test
+ */
+async function runTest() {
+  console.log('Starting test of CLI commands...');
+
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lead-detector-cli-'));
+  const crm = [];
+  const broken = [];
+  const servers = [await startServer(200, crm), await startServer(500, broken)];
+  const urlFor = (server) => `http://127.0.0.1:${server.address().port}/webhook`;
+
+  const createDetector = () => new LeadDetector({
+    urls: {
+      leads: 'https://tradiecore.hipages.com.au/leads',
+      leadsData: 'https://tradiecore.hipages.com.au/leads.data?_routes=routes%2F_app%2Fleads%2F_leads',
+      leadDetail: 'https://tradiecore.hipages.com.au/leads/{id}'
+    },
+    webhook: {
+      destinations: [
+        { name: 'crm', url: urlFor(servers[0]) },
+        { name: 'broken', url: urlFor(servers[1]), filter: { jobTypes: ['Roofing'] } }
+      ]
+    },
+    cookieStorage: { enabled: true, path: path.join(dataDir, 'cookies.json') },
+    leadStore: { enabled: true, dataDir },
+    logging: { level: 'silent' }
+  });
+
+  const run = async (name, args, setup = () => {}) => {
+    const detector = createDetector();
+    setup(detector);
+    const stdout = createOutput();
+    const exitCode = await runCommand(name, { detector, args, stdout });
+    return { exitCode, output: stdout.text() };
+  };
+
+  // Stub the browser for login and check-session
+  let cleanups = 0;
+  const stubBrowser = (sessionValid) => (detector) => {
+    detector.launchBrowser = async () => {};
+    detector.cleanup = async () => { cleanups++; };
+    detector.login = async () => {
+      await detector.saveCookiesToStorage([{ name: 'session', value: 'abc' }]);
+      return true;
+    };
+    detector.validateSession = async () => sessionValid;
+    detector.page = { setCookie: async () => {} };
+  };
+
+  try {
+    // No saved session yet
+    let result = await run('check-session', [], stubBrowser(true));
+    assert.strictEqual(result.exitCode, 1);
+    assert.strictEqual(result.output, 'No saved session; run the login command\n');
+    result = await run('poll-once', []);
+    assert.strictEqual(result.exitCode, 1);
+
+    result = await run('login', [], stubBrowser(true));
+    assert.strictEqual(result.exitCode, 0);
+    assert.ok(fs.existsSync(path.join(dataDir, 'cookies.json')));
+
+    result = await run('check-session', [], stubBrowser(true));
+    assert.deepStrictEqual(result, { exitCode: 0, output: 'Session is valid\n' });
+    result = await run('check-session', [], stubBrowser(false));
+    assert.deepStrictEqual(result, { exitCode: 1, output: 'Session has expired; run the login command\n' });
+    assert.strictEqual(cleanups, 4);
+
+    // poll-once prints the decoded leads
+    const fixture = fs.readFileSync(path.join(__dirname, 'fixtures', 'leads-data-initial.txt'), 'utf8');
+    result = await run('poll-once', [], detector => {
+      detector.fetchLeadsData = async () => fixture;
+    });
+    assert.strictEqual(result.exitCode, 0);
+    const polled = JSON.parse(result.output);
+    assert.strictEqual(polled.count, 2);
+    assert.deepStrictEqual(polled.leads.map(lead => lead.id), [48213377, 48213120]);
+
+    result = await run('poll-once', [], detector => {
+      detector.fetchLeadsData = async () => null;
+    });
+    assert.deepStrictEqual(result, { exitCode: 1, output: 'Session has expired; run the login command\n' });
+
+    // test-webhook ignores filters and reports each destination
+    result = await run('test-webhook', []);
+    assert.strictEqual(result.exitCode, 1);
+    assert.strictEqual(result.output, 'crm: OK (200)\nbroken: FAILED (500)\n');
+    assert.strictEqual(crm[0].event, 'test');
+    assert.deepStrictEqual(crm[0].leads, [SAMPLE_LEAD]);
+
+    result = await run('test-webhook', ['crm']);
+    assert.deepStrictEqual(result, { exitCode: 0, output: 'crm: OK (200)\n' });
+    result = await run('test-webhook', ['nope']);
+    assert.strictEqual(result.exitCode, 1);
+
+    // replay re-sends a stored lead through the destination filters
+    const store = new LeadStore(dataDir).load();
+    const storedLead = { id: 48213377, jobType: 'Plumbing', suburb: 'Parramatta' };
+    store.recordSeen([['48213377', storedLead]]);
+    store.markNotified(['48213377']);
+
+    crm.length = 0;
+    broken.length = 0;
+    result = await run('replay', ['48213377']);
+    assert.deepStrictEqual(result, { exitCode: 0, output: 'Lead 48213377 re-sent\n' });
+    assert.strictEqual(crm.length, 1);
+    assert.strictEqual(crm[0].method, 'replay');
+    assert.deepStrictEqual(crm[0].leads, [storedLead]);
+    assert.strictEqual(broken.length, 0);
+
+    result = await run('replay', ['99999999']);
+    assert.deepStrictEqual(result, { exitCode: 1, output: 'Lead 99999999 is not in the lead store\n' });
+    result = await run('replay', []);
+    assert.strictEqual(result.exitCode, 1);
+
+    console.log('Test completed successfully');
+  } finally {
+    servers.forEach(server => server.close());
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+}
+
+// Run the test
+if (require.main === module) {
+  runTest().catch(error => {
+    console.error('Test failed:', error);
+    process.exit(1);
+  });
+}
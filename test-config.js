@@ -0,0 +1,165 @@
+/**
+ * Test script for the layered configuration
+ *
+ * This script loads config from defaults, YAML and JSON files, environment
+ * variables and CLI flags in a temporary directory, and checks precedence,
+ * type conversion, validation errors and secret masking.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig, formatConfig, ConfigError, DEFAULTS } = require('./config');
+
+const BASE_ENV = {
+  HIPAGES_EMAIL: 'tradie@example.com',
+  HIPAGES_PASSWORD: 'correct-horse-battery',
+  WEBHOOK_URL: 'https://hooks.example.com/leads'
+};
+
+function expectErrors(options, expected) {
+  try {
+    loadConfig(options);
+  } catch (error) {
+    assert.ok(error instanceof ConfigError, error.message);
+    for (const message of expected) {
+      assert.ok(error.errors.includes(message), `missing "${message}" in:\n${error.message}`);
+    }
+    return error;
+  }
+  assert.fail('Expected a ConfigError');
+}
+
+/**
+ * Run the test
+ */
+async function runTest() {
+  console.log('Starting test of layered configuration...');
+
+  const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'lead-detector-config-'));
+
+  try {
+    // Defaults plus environment
+    let { config, configFile } = loadConfig({ env: BASE_ENV, cwd });
+    assert.strictEqual(configFile, null);
+    assert.strictEqual(config.timing.pollingInterval, DEFAULTS.timing.pollingInterval);
+    assert.strictEqual(config.credentials.email, 'tradie@example.com');
+    assert.strictEqual(config.webhook.url, 'https://hooks.example.com/leads');
+
+    // YAML file found in the working directory, overridden by env, then CLI
+    fs.writeFileSync(path.join(cwd, 'lead-detector.config.yaml'), [
+      'timing:',
+      '  pollingInterval: 5000',
+      '  maxBackoffDelay: 60000',
+      'webhook:',
+      '  destinations:',
+      '    - name: crm',
+      '      url: https://crm.example.com/hook',
+      '      filter:',
+      '        postcodes: ["2000-2234"]',
+      'controlServer:',
+      '  port: 9000',
+      ''
+    ].join('\n'));
+
+    ({ config, configFile } = loadConfig({
+      env: { ...BASE_ENV, CONTROL_PORT: '9100', SMTP_SECURE: 'true', LEAD_DETECTOR_DATA_DIR: '/var/lib/leads' },
+      argv: ['--timing.pollingInterval=2500', '--controlServer.port', '9200', 'run'],
+      cwd
+    }));
+    assert.strictEqual(configFile, path.join(cwd, 'lead-detector.config.yaml'));
+    assert.strictEqual(config.timing.pollingInterval, 2500);
+    assert.strictEqual(config.timing.maxBackoffDelay, 60000);
+    assert.strictEqual(config.timing.baseBackoffDelay, DEFAULTS.timing.baseBackoffDelay);
+    assert.strictEqual(config.controlServer.port, 9200);
+    assert.strictEqual(config.email.secure, true);
+    assert.strictEqual(config.outbox.dataDir, '/var/lib/leads');
+    assert.strictEqual(config.leadStore.dataDir, '/var/lib/leads');
+    assert.deepStrictEqual(config.webhook.destinations[0].filter, { postcodes: ['2000-2234'] });
+    assert.deepStrictEqual(config.webhook.headers, DEFAULTS.webhook.headers);
+
+    // Positional arguments and --print-config are passed through
+    const loaded = loadConfig({ env: BASE_ENV, argv: ['redrive', '--print-config'], cwd });
+    assert.deepStrictEqual(loaded.positionals, ['redrive']);
+    assert.strictEqual(loaded.printConfig, true);
+
+    // Explicit JSON file
+    const jsonPath = path.join(cwd, 'custom.json');
+    fs.writeFileSync(jsonPath, JSON.stringify({ logging: { level: 'debug', format: 'text' } }));
+    ({ config } = loadConfig({ env: { ...BASE_ENV, LEAD_DETECTOR_CONFIG: 'custom.json' }, cwd }));
+    assert.strictEqual(config.logging.level, 'debug');
+    assert.strictEqual(config.timing.pollingInterval, DEFAULTS.timing.pollingInterval);
+
+    // Programmatic overrides win over everything
+    ({ config } = loadConfig({ env: BASE_ENV, argv: ['--timing.pollingInterval=2500'], cwd, overrides: { timing: { pollingInterval: 3000 } } }));
+    assert.strictEqual(config.timing.pollingInterval, 3000);
+
+    // Every problem is reported at once
+    expectErrors({
+      env: { HIPAGES_EMAIL: 'tradie@example.com' },
+      argv: [
+        '--timing.pollingInterval=-5',
+        '--webhook.url=not a url',
+        '--controlServer.port=http',
+        '--logging.level=loud',
+        '--timing.pollingIntervall=5'
+      ],
+      cwd: os.tmpdir()
+    }, [
+      'Unknown option --timing.pollingIntervall',
+      'credentials.password is required',
+      'webhook.url must be a valid URL (got "not a url")',
+      'controlServer.port must be an integer (got "http")',
+      'logging.level must be one of debug, info, warn, error, silent (got "loud")',
+      'timing.pollingInterval must be at least 1 (got -5)'
+    ]);
+
+    // Unknown keys, bad destinations and a missing webhook in files
+    fs.writeFileSync(jsonPath, JSON.stringify({
+      timing: { pollingIntreval: 5000 },
+      webhook: { destinations: [{ name: 'ops', type: 'email' }, { type: 'fax', url: 'ftp://example.com' }] }
+    }));
+    expectErrors({ env: { ...BASE_ENV, WEBHOOK_URL: '' }, argv: ['--config', jsonPath], cwd }, [
+      'timing.pollingIntreval is not a known config key',
+      'webhook.destinations[0].to is required for email destinations',
+      'webhook.destinations[1].type must be one of webhook, slack, discord, teams, email (got "fax")',
+      'webhook.destinations[1].url must be an http or https URL (got "ftp://example.com")'
+    ]);
+
+    fs.writeFileSync(jsonPath, JSON.stringify({ webhook: { destinations: [] } }));
+    expectErrors({ env: { ...BASE_ENV, WEBHOOK_URL: '' }, argv: ['--config', jsonPath], cwd }, [
+      'webhook.url or webhook.destinations is required'
+    ]);
+
+    fs.writeFileSync(path.join(cwd, 'broken.yaml'), 'timing: [unclosed');
+    const error = expectErrors({ env: BASE_ENV, argv: ['--config', 'broken.yaml'], cwd }, []);
+    assert.ok(error.errors[0].startsWith(path.join(cwd, 'broken.yaml')));
+    expectErrors({ env: BASE_ENV, argv: ['--config', 'missing.yaml'], cwd }, [
+      `Config file not found: ${path.join(cwd, 'missing.yaml')}`
+    ]);
+
+    // Printed config masks secrets
+    ({ config } = loadConfig({
+      env: { ...BASE_ENV, WEBHOOK_SECRET: 'whsec-123456', CONTROL_TOKEN: 'control-123456', SMTP_PASSWORD: 'smtp-123456' },
+      cwd: os.tmpdir()
+    }));
+    const printed = formatConfig(config);
+    for (const secret of ['correct-horse-battery', 'whsec-123456', 'control-123456', 'smtp-123456', 'tradie@']) {
+      assert.ok(!printed.includes(secret), `${secret} should be masked`);
+    }
+    assert.strictEqual(JSON.parse(printed).timing.pollingInterval, DEFAULTS.timing.pollingInterval);
+
+    console.log('Test completed successfully');
+  } finally {
+    fs.rmSync(cwd, { recursive: true, force: true });
+  }
+}
+
+// Run the test
+if (require.main === module) {
+  runTest().catch(error => {
+    console.error('Test failed:', error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,125 @@
+/**
+ * Test script for the local HTTP control and status API
+ *
+ * This script runs the control server against a detector whose browser and
+ * leads.data requests are stubbed, and exercises every endpoint.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+
+const { LeadDetector } = require('./lead-detector');
+
+const TOKEN = 'test-control-token';
+
+/**
+ * Run the test
+ */
+async function runTest() {
+  console.log('Starting test of control API...');
+
+  const detector = new LeadDetector({
+    urls: {
+      leads: 'https://tradiecore.hipages.com.au/leads',
+      leadsData: 'https://tradiecore.hipages.com.au/leads.data?_routes=routes%2F_app%2Fleads%2F_leads'
+    },
+    cookieStorage: { enabled: false, path: './test-cookies.json' },
+    controlServer: { enabled: true, host: '127.0.0.1', port: 0, token: TOKEN, readyMaxPollAge: 60000 },
+    changeDetection: { minNewLeadsToNotify: 1, deduplicationWindow: 5000 },
+    webhook: { url: 'https://hooks.example.com/leads' },
+    // Long interval so only forced polls run
+    timing: { pollingInterval: 600000, baseBackoffDelay: 600000, maxBackoffDelay: 600000 }
+  });
+
+  // Stub the browser, the leads endpoint, re-login and notifications
+  let connected = true;
+  detector.browser = { isConnected: () => connected };
+  const responses = ['leads-data-initial.txt', 'leads-data-new-lead.txt']
+    .map(name => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8'));
+  detector.fetchLeadsData = async () => responses.shift() || null;
+  let relogins = 0;
+  detector.performRelogin = async () => {
+    relogins++;
+    detector.sessionValid = true;
+    return true;
+  };
+  detector.deliverWebhook = async () => 200;
+
+  await detector.startControlServer();
+  const baseUrl = `http://127.0.0.1:${detector.controlServer.address().port}`;
+  const request = async (method, pathname, token = TOKEN) => {
+    const res = await fetch(`${baseUrl}${pathname}`, {
+      method,
+      headers: token ? { Authorization: `Bearer ${token}` } : {}
+    });
+    return { status: res.status, body: await res.json() };
+  };
+
+  try {
+    detector.isRunning = true;
+
+    // Alive but not ready before the first poll
+    assert.strictEqual((await request('GET', '/healthz')).status, 200);
+    let ready = await request('GET', '/readyz');
+    assert.strictEqual(ready.status, 503);
+    assert.strictEqual(ready.body.sessionValid, false);
+
+    // Forced polls: baseline, then one new lead
+    assert.strictEqual((await request('POST', '/poll')).status, 200);
+    ready = await request('GET', '/readyz');
+    assert.strictEqual(ready.status, 200);
+    assert.strictEqual(ready.body.browserAlive, true);
+
+    assert.strictEqual((await request('POST', '/poll')).status, 200);
+    const leads = await request('GET', '/leads');
+    assert.deepStrictEqual(leads.body.recent.map(detection => detection.lead.id), [48214001]);
+    assert.strictEqual(leads.body.recent[0].method, 'polling');
+    assert.strictEqual(leads.body.current.length, 3);
+
+    let state = await request('GET', '/state');
+    assert.strictEqual(state.body.retryCount, 0);
+    assert.ok(state.body.lastNotificationAt);
+
+    // Pause and resume
+    assert.strictEqual((await request('POST', '/pause', null)).status, 401);
+    assert.strictEqual((await request('POST', '/pause')).status, 200);
+    assert.deepStrictEqual((await request('POST', '/poll')).body, { polled: false, reason: 'paused' });
+    state = await request('GET', '/state');
+    assert.strictEqual(state.body.paused, true);
+    assert.strictEqual((await request('POST', '/resume')).status, 200);
+    assert.strictEqual(detector.paused, false);
+
+    // Resuming polls straight away; this poll fails and shows up in state
+    await new Promise(resolve => setTimeout(resolve, 50));
+    state = await request('GET', '/state');
+    assert.strictEqual(state.body.retryCount, 1);
+    assert.strictEqual(state.body.lastPollError, 'No leads data received');
+
+    // Forced re-login
+    assert.deepStrictEqual((await request('POST', '/relogin')).body, { success: true });
+    assert.strictEqual(relogins, 1);
+
+    // Browser gone
+    connected = false;
+    assert.strictEqual((await request('GET', '/healthz')).status, 503);
+    assert.strictEqual((await request('GET', '/readyz')).status, 503);
+
+    assert.strictEqual((await request('GET', '/nope')).status, 404);
+    assert.strictEqual((await request('GET', '/pause')).status, 405);
+
+    console.log('Test completed successfully');
+  } finally {
+    detector.isRunning = false;
+    clearTimeout(detector.pollTimer);
+    detector.controlServer.close();
+  }
+}
+
+// Run the test
+if (require.main === module) {
+  runTest().catch(error => {
+    console.error('Test failed:', error);
+    process.exit(1);
+  });
+}
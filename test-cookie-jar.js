@@ -0,0 +1,229 @@
+/**
+ * Test script for the cookie jar and browserless polling
+ *
+ * This script checks Set-Cookie parsing and cookie matching, then points a
+ * detector at a local HTTP server that refreshes its session cookie and
+ * redirects, and runs the closeAfterLogin start-up and re-login paths with a
+ * stubbed browser.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+const { CookieJar, parseSetCookie } = require('./cookie-jar');
+const { LeadDetector } = require('./lead-detector');
+
+const FUTURE = Date.now() / 1000 + 3600;
+
+function testParsing() {
+  const url = 'https://tradiecore.hipages.com.au/api/leads';
+
+  let cookie = parseSetCookie('session=abc=123; Domain=.hipages.com.au; Path=/; Max-Age=60; Secure; HttpOnly; SameSite=lax', url);
+  assert.strictEqual(cookie.name, 'session');
+  assert.strictEqual(cookie.value, 'abc=123');
+  assert.strictEqual(cookie.domain, '.hipages.com.au');
+  assert.strictEqual(cookie.path, '/');
+  assert.ok(Math.abs(cookie.expires - (Date.now() / 1000 + 60)) < 5);
+  assert.strictEqual(cookie.session, false);
+  assert.strictEqual(cookie.secure, true);
+  assert.strictEqual(cookie.httpOnly, true);
+  assert.strictEqual(cookie.sameSite, 'Lax');
+
+  // Host-only with the default path
+  cookie = parseSetCookie('csrf=xyz', url);
+  assert.strictEqual(cookie.domain, 'tradiecore.hipages.com.au');
+  assert.strictEqual(cookie.path, '/api');
+  assert.strictEqual(cookie.expires, -1);
+  assert.strictEqual(cookie.session, true);
+
+  cookie = parseSetCookie('a=1; Expires=Wed, 21 Oct 2037 07:28:00 GMT', url);
+  assert.strictEqual(cookie.expires, Date.parse('Wed, 21 Oct 2037 07:28:00 GMT') / 1000);
+
+  // Another site's domain and malformed headers are dropped
+  assert.strictEqual(parseSetCookie('a=1; Domain=example.com', url), null);
+  assert.strictEqual(parseSetCookie('novalue', url), null);
+}
+
+function testMatching() {
+  const jar = new CookieJar([
+    { name: 'shared', value: '1', domain: '.hipages.com.au', path: '/', expires: FUTURE },
+    { name: 'host', value: '2', domain: 'tradiecore.hipages.com.au', path: '/', expires: -1 },
+    { name: 'api', value: '3', domain: 'tradiecore.hipages.com.au', path: '/api', expires: -1 },
+    { name: 'secure', value: '4', domain: 'tradiecore.hipages.com.au', path: '/', expires: -1, secure: true },
+    { name: 'old', value: '5', domain: '.hipages.com.au', path: '/', expires: 1 }
+  ]);
+  assert.strictEqual(jar.changed, false);
+  assert.strictEqual(jar.getCookies().length, 4);
+
+  assert.strictEqual(jar.getCookieHeader('https://tradiecore.hipages.com.au/api/leads'), 'api=3; shared=1; host=2; secure=4');
+  assert.strictEqual(jar.getCookieHeader('http://tradiecore.hipages.com.au/apis'), 'shared=1; host=2');
+  assert.strictEqual(jar.getCookieHeader('https://auth.hipages.com.au/login'), 'shared=1');
+  assert.strictEqual(jar.getCookieHeader('https://example.com/'), '');
+
+  // Refreshing a value marks the jar changed; an expired cookie deletes it
+  jar.setCookiesFromResponse(['host=22; Path=/'], 'https://tradiecore.hipages.com.au/leads');
+  assert.strictEqual(jar.changed, true);
+  jar.changed = false;
+  jar.setCookiesFromResponse('host=22; Path=/', 'https://tradiecore.hipages.com.au/leads');
+  assert.strictEqual(jar.changed, false);
+  jar.setCookiesFromResponse('api=; Path=/api; Max-Age=0', 'https://tradiecore.hipages.com.au/api');
+  assert.strictEqual(jar.changed, true);
+  assert.deepStrictEqual(jar.toJSON().map(cookie => `${cookie.name}=${cookie.value}`), ['shared=1', 'secure=4', 'host=22']);
+}
+
+async function waitFor(condition) {
+  for (let i = 0; i < 100 && !condition(); i++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  assert.ok(condition());
+}
+
+function startServer(handler) {
+  const server = http.createServer(handler);
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+function createDetector(baseUrl, dataDir, overrides = {}) {
+  return new LeadDetector({
+    urls: {
+      leads: `${baseUrl}/leads`,
+      leadsData: `${baseUrl}/leads.data?_routes=routes%2F_app%2Fleads%2F_leads`,
+      leadDetail: `${baseUrl}/leads/{id}`
+    },
+    webhook: { url: 'http://127.0.0.1:1/hook' },
+    cookieStorage: { enabled: true, path: path.join(dataDir, 'cookies.json') },
+    logging: { level: 'silent' },
+    timing: { pollingInterval: 600000, baseBackoffDelay: 600000, maxBackoffDelay: 600000, loginRetryDelay: 0 },
+    browser: { closeAfterLogin: true },
+    ...overrides
+  });
+}
+
+async function testFetch(baseUrl, requests, dataDir) {
+  const detector = createDetector(baseUrl, dataDir);
+  detector.setSessionCookies([{ name: 'session', value: 'old', domain: '127.0.0.1', path: '/', expires: FUTURE }]);
+
+  // The refreshed cookie is sent after the redirect and saved
+  assert.strictEqual(await detector.fetchLeadsData(), 'leads body');
+  assert.deepStrictEqual(requests.map(req => [req.url, req.headers.cookie]), [
+    ['/leads.data?_routes=routes%2F_app%2Fleads%2F_leads', 'session=old'],
+    ['/leads.data?_routes=routes%2F_app%2Fleads%2F_leads&step=2', 'session=new']
+  ]);
+  assert.deepStrictEqual(detector.cookies.map(cookie => cookie.value), ['new']);
+  const saved = JSON.parse(fs.readFileSync(path.join(dataDir, 'cookies.json'), 'utf8'));
+  assert.deepStrictEqual(saved.map(cookie => cookie.value), ['new']);
+
+  // A redirect to the login page means the session has expired
+  detector.setSessionCookies([{ name: 'session', value: 'expired', domain: '127.0.0.1', path: '/', expires: FUTURE }]);
+  assert.strictEqual(await detector.fetchLeadsData(), null);
+
+  detector.setSessionCookies([{ name: 'session', value: 'loop', domain: '127.0.0.1', path: '/', expires: FUTURE }]);
+  await assert.rejects(() => detector.fetchLeadsData(), /Too many redirects/);
+
+  detector.setSessionCookies([{ name: 'session', value: 'broken', domain: '127.0.0.1', path: '/', expires: FUTURE }]);
+  await assert.rejects(() => detector.fetchLeadsData(), /HTTP error: 500/);
+}
+
+async function testBrowserless(baseUrl, dataDir) {
+  fs.rmSync(path.join(dataDir, 'cookies.json'), { force: true });
+  const detector = createDetector(baseUrl, dataDir);
+  const events = [];
+
+  // Stubbed browser: logging in sets the session cookie
+  detector.launchBrowser = async () => {
+    events.push('launch');
+    detector.browser = { isConnected: () => true };
+  };
+  detector.loginWithOAuth = async () => {
+    events.push('login');
+    detector.setSessionCookies([{ name: 'session', value: 'old', domain: '127.0.0.1', path: '/', expires: FUTURE }]);
+    detector.sessionValid = true;
+    return true;
+  };
+  detector.cleanup = async () => {
+    events.push('close');
+    detector.browser = null;
+  };
+
+  try {
+    // No saved session: log in, close the browser, then poll without it
+    assert.strictEqual(await detector.initialize(), true);
+    assert.deepStrictEqual(events, ['launch', 'login', 'close']);
+    assert.strictEqual(detector.isRunning, true);
+    assert.strictEqual(detector.page, null);
+    assert.strictEqual(detector.isBrowserHealthy(), true);
+
+    // The first poll refreshes and saves the session cookie
+    await waitFor(() => detector.lastSuccessfulPollAt !== null);
+    assert.deepStrictEqual(detector.cookies.map(cookie => cookie.value), ['new']);
+
+    // An expired session opens the browser again just to log in
+    events.length = 0;
+    assert.strictEqual(await detector.performRelogin(), true);
+    assert.deepStrictEqual(events, ['launch', 'login', 'close']);
+    await detector.stop();
+
+    // The saved session is checked over HTTP without a browser
+    const restarted = createDetector(baseUrl, dataDir, { controlServer: { enabled: false } });
+    restarted.launchBrowser = async () => { throw new Error('browser launched'); };
+    assert.strictEqual(await restarted.initialize(), true);
+    assert.strictEqual(restarted.sessionValid, true);
+    assert.ok(restarted.metrics.registry.render().includes('lead_detector_login_attempts_total{type="session_restore",outcome="success"} 1\n'));
+    await restarted.stop();
+  } finally {
+    detector.isRunning = false;
+    clearTimeout(detector.pollTimer);
+  }
+}
+
+/**
+ * Run the test
+ */
+async function runTest() {
+  console.log('Starting test of the cookie jar...');
+
+  testParsing();
+  testMatching();
+
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lead-detector-cookies-'));
+  const requests = [];
+  const server = await startServer((req, res) => {
+    requests.push(req);
+    const cookie = req.headers.cookie || '';
+
+    if (cookie.includes('session=expired')) {
+      res.writeHead(302, { Location: '/login?next=/leads' });
+    } else if (cookie.includes('session=loop')) {
+      res.writeHead(302, { Location: req.url });
+    } else if (cookie.includes('session=broken')) {
+      res.writeHead(500);
+    } else if (!req.url.includes('step=2')) {
+      res.writeHead(302, { Location: `${req.url}&step=2`, 'Set-Cookie': 'session=new; Path=/; HttpOnly' });
+    } else {
+      res.writeHead(200, { 'Content-Type': 'text/x-script' });
+      res.write('leads body');
+    }
+    res.end();
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    await testFetch(baseUrl, requests, dataDir);
+    await testBrowserless(baseUrl, dataDir);
+    console.log('Test completed successfully');
+  } finally {
+    server.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+}
+
+// Run the test
+if (require.main === module) {
+  runTest().catch(error => {
+    console.error('Test failed:', error);
+    process.exit(1);
+  });
+}
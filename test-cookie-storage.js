@@ -0,0 +1,183 @@
+/**
+ * Test script for encrypted cookie storage
+ *
+ * This script saves and loads cookies in a temporary directory with a key
+ * from config and from a key file, migrates a plaintext cookie file, checks
+ * file permissions and the directory backend, and checks the errors for a
+ * wrong or missing key.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createCookieStorage, CookieStorageError } = require('./cookie-storage');
+const { LeadDetector } = require('./lead-detector');
+const { loadConfig, ConfigError } = require('./config');
+
+const COOKIES = [
+  { name: 'hip_session', value: 'secret-session-value', domain: '.hipages.com.au', path: '/', expires: 1893456000, httpOnly: true, secure: true, session: false }
+];
+const KEY = 'correct-horse-battery-staple';
+
+function silentLogger() {
+  return { info: () => {}, addSecret: () => {} };
+}
+
+function testEncryption(dir) {
+  const filePath = path.join(dir, 'cookies.json');
+  const storage = createCookieStorage({ path: filePath, encryptionKey: KEY }, { logger: silentLogger() });
+  assert.strictEqual(storage.encrypted, true);
+
+  storage.save(COOKIES);
+  const text = fs.readFileSync(filePath, 'utf8');
+  assert.ok(!text.includes('secret-session-value'));
+  const envelope = JSON.parse(text);
+  assert.strictEqual(envelope.format, 'lead-detector-cookies');
+  assert.strictEqual(envelope.algorithm, 'aes-256-gcm');
+  assert.strictEqual(fs.statSync(filePath).mode & 0o777, 0o600);
+  assert.deepStrictEqual(fs.readdirSync(dir), ['cookies.json']);
+
+  // A new process with the same key reads it
+  const loaded = createCookieStorage({ path: filePath, encryptionKey: KEY }).load();
+  assert.deepStrictEqual(loaded.cookies, COOKIES);
+  assert.strictEqual(loaded.savedAt, Date.parse(envelope.savedAt));
+
+  // Wrong key, no key, tampered data
+  assert.throws(() => createCookieStorage({ path: filePath, encryptionKey: 'wrong' }).load(), CookieStorageError);
+  assert.throws(() => createCookieStorage({ path: filePath }).load(), /no key is configured/);
+  fs.writeFileSync(filePath, JSON.stringify({ ...envelope, data: Buffer.from('tampered').toString('base64') }));
+  assert.throws(() => createCookieStorage({ path: filePath, encryptionKey: KEY }).load(), /could not be decrypted/);
+  // Truncated file, e.g. after a full disk
+  fs.writeFileSync(filePath, JSON.stringify(envelope).slice(0, 40));
+  assert.throws(() => createCookieStorage({ path: filePath, encryptionKey: KEY }).load(), error =>
+    error instanceof CookieStorageError && error.message.startsWith(`${filePath} is not valid JSON`));
+
+  assert.strictEqual(createCookieStorage({ path: path.join(dir, 'missing.json'), encryptionKey: KEY }).load(), null);
+}
+
+function testMigration(dir) {
+  const filePath = path.join(dir, 'cookies.json');
+  fs.writeFileSync(filePath, JSON.stringify(COOKIES, null, 2));
+
+  // Without a key the plaintext file is read and left as it is
+  assert.deepStrictEqual(createCookieStorage({ path: filePath }).load().cookies, COOKIES);
+  assert.ok(fs.readFileSync(filePath, 'utf8').includes('secret-session-value'));
+
+  // With a key it is read once and rewritten encrypted
+  const messages = [];
+  const logger = { info: message => messages.push(message), addSecret: () => {} };
+  const keyFile = path.join(dir, 'cookie.key');
+  fs.writeFileSync(keyFile, `${KEY}\n`);
+
+  assert.deepStrictEqual(createCookieStorage({ path: filePath, keyFile }, { logger }).load().cookies, COOKIES);
+  assert.deepStrictEqual(messages, ['Plaintext cookie file migrated to encrypted storage']);
+  assert.ok(!fs.readFileSync(filePath, 'utf8').includes('secret-session-value'));
+  assert.strictEqual(fs.statSync(filePath).mode & 0o777, 0o600);
+
+  // The key file and the key string are interchangeable
+  assert.deepStrictEqual(createCookieStorage({ path: filePath, encryptionKey: KEY }).load().cookies, COOKIES);
+  assert.throws(() => createCookieStorage({ path: filePath, keyFile: path.join(dir, 'missing.key') }).load(), /Cannot read cookie key file/);
+}
+
+function testDirectoryBackend(dir) {
+  const secretsDir = path.join(dir, 'secrets');
+  const storage = createCookieStorage({ backend: 'directory', directory: secretsDir, path: './cookies-plumbing.json', encryptionKey: KEY });
+
+  assert.strictEqual(storage.describe(), path.join(secretsDir, 'cookies-plumbing.json'));
+  storage.save(COOKIES);
+  assert.deepStrictEqual(fs.readdirSync(secretsDir), ['cookies-plumbing.json']);
+
+  // Read-only, like a Docker secrets mount: the saved session is still
+  // read, and saving warns once
+  const warnings = [];
+  const logger = { warn: message => warnings.push(message), info: () => {}, addSecret: () => {} };
+  const readOnly = createCookieStorage({ backend: 'directory', directory: secretsDir, path: './cookies-plumbing.json', encryptionKey: KEY }, { logger });
+  const writeFileSync = fs.writeFileSync;
+  fs.writeFileSync = () => {
+    throw Object.assign(new Error('read-only file system'), { code: 'EROFS' });
+  };
+  try {
+    readOnly.save(COOKIES);
+    readOnly.save(COOKIES);
+  } finally {
+    fs.writeFileSync = writeFileSync;
+  }
+  assert.deepStrictEqual(warnings, ['Cookie directory is read-only; refreshed cookies are kept in memory only']);
+  assert.deepStrictEqual(readOnly.load().cookies, COOKIES);
+
+  assert.throws(() => createCookieStorage({ backend: 's3', path: './cookies.json' }), /Unknown cookie storage backend/);
+}
+
+async function testDetector(dir) {
+  const filePath = path.join(dir, 'detector-cookies.json');
+  const lines = [];
+  const detector = new LeadDetector({
+    cookieStorage: { enabled: true, path: filePath, encryptionKey: KEY },
+    logging: { level: 'debug', stdout: { write: line => lines.push(line) }, stderr: { write: line => lines.push(line) } }
+  });
+
+  assert.strictEqual(detector.cookieStoragePath, filePath);
+  assert.strictEqual(await detector.saveCookiesToStorage(COOKIES), true);
+  assert.strictEqual(await detector.loadSavedCookies(), true);
+  assert.deepStrictEqual(detector.cookies.map(cookie => cookie.value), ['secret-session-value']);
+
+  // The key never appears in logs
+  detector.logger.info('Key check', { note: `key is ${KEY}` });
+  assert.ok(lines.length > 0);
+  assert.ok(lines.every(line => !line.includes(KEY)));
+
+  // An unreadable file is reported and treated as no session
+  fs.writeFileSync(filePath, '{"format":"lead-detector-cookies","version":1,"algorithm":"aes-256-gcm","salt":"","iv":"","tag":"","data":""}');
+  assert.strictEqual(await detector.loadSavedCookies(), false);
+}
+
+function testConfig(dir) {
+  const env = {
+    HIPAGES_EMAIL: 'tradie@example.com',
+    HIPAGES_PASSWORD: 'correct-horse-battery',
+    WEBHOOK_URL: 'https://hooks.example.com/leads'
+  };
+
+  const { config } = loadConfig({ env: { ...env, COOKIE_BACKEND: 'directory', COOKIE_STORAGE_DIR: '/run/secrets', COOKIE_ENCRYPTION_KEY: KEY }, cwd: dir });
+  assert.strictEqual(config.cookieStorage.backend, 'directory');
+  assert.strictEqual(config.cookieStorage.directory, '/run/secrets');
+  assert.strictEqual(config.cookieStorage.encryptionKey, KEY);
+
+  try {
+    loadConfig({ env: { ...env, COOKIE_BACKEND: 'directory' }, cwd: dir });
+    assert.fail('Expected a ConfigError');
+  } catch (error) {
+    assert.ok(error instanceof ConfigError, error.message);
+    assert.deepStrictEqual(error.errors, ['cookieStorage.directory is required for the directory backend']);
+  }
+}
+
+/**
+ * Run the test
+ */
+async function runTest() {
+  console.log('Starting test of cookie storage...');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lead-detector-cookie-storage-'));
+
+  try {
+    testEncryption(fs.mkdtempSync(path.join(dir, 'encryption-')));
+    testMigration(fs.mkdtempSync(path.join(dir, 'migration-')));
+    testDirectoryBackend(dir);
+    await testDetector(dir);
+    testConfig(dir);
+    console.log('Test completed successfully');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+// Run the test
+if (require.main === module) {
+  runTest().catch(error => {
+    console.error('Test failed:', error);
+    process.exit(1);
+  });
+}
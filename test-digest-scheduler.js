@@ -0,0 +1,270 @@
+/**
+ * Test script for lead digests
+ *
+ * This script checks cron schedules in Sydney time, collects leads and rule
+ * outcomes into an hourly and an end-of-day digest across a restart, renders
+ * the digest for webhook, chat and email destinations, and sends one from a
+ * detector to the destination it names only.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { DigestScheduler, parseCron, matchesCron } = require('./digest-scheduler');
+const { groupLeads, buildDigestPayloads } = require('./digest-format');
+const { getLocalTime } = require('./local-time');
+const { LeadDetector } = require('./lead-detector');
+const { loadConfig, ConfigError } = require('./config');
+
+// Sydney is UTC+10 in late April; 25 April 2025 is a Friday
+const sydney = (day, time) => new Date(`2025-04-${day}T${time}+10:00`);
+
+const SCHEDULES = [
+  { name: 'hourly', schedule: '0 * * * *', destinations: ['owner'] },
+  { name: 'end-of-day', schedule: '0 18 * * mon-fri', destinations: ['owner'] }
+];
+
+const LEADS = [
+  { id: 301, jobType: 'Plumbing', suburb: 'Manly', customer: { firstName: 'Priya' } },
+  { id: 302, jobType: 'Electrical', suburb: 'Bondi', customer: { firstName: 'Tom' } },
+  { id: 303, jobType: 'Plumbing', suburb: 'Manly', customer: { firstName: 'Ana' } },
+  { id: 304, jobType: 'Plumbing', suburb: 'Ryde', customer: { firstName: 'Lee' } }
+];
+
+const getLeadUrl = lead => `https://tradiecore.hipages.com.au/leads/${lead.id}`;
+
+function testCron() {
+  const matches = (expression, day, time) => matchesCron(parseCron(expression), getLocalTime(sydney(day, time), 'Australia/Sydney'));
+
+  assert.strictEqual(matches('0 * * * *', 25, '14:00:00'), true);
+  assert.strictEqual(matches('0 * * * *', 25, '14:01:00'), false);
+  assert.strictEqual(matches('@hourly', 25, '09:00:30'), true);
+  assert.strictEqual(matches('0 18 * * 1-5', 25, '18:00:00'), true);
+  assert.strictEqual(matches('0 18 * * mon-fri', 26, '18:00:00'), false);
+  assert.strictEqual(matches('0 17 * * 7', 27, '17:00:00'), true);
+  assert.strictEqual(matches('*/15 9-17 * * *', 25, '09:45:00'), true);
+  assert.strictEqual(matches('*/15 9-17 * * *', 25, '09:50:00'), false);
+  assert.strictEqual(matches('30 8 1,15 4 *', 15, '08:30:00'), true);
+  // With both day fields restricted, either matches
+  assert.strictEqual(matches('0 9 1 * mon', 28, '09:00:00'), true);
+  assert.strictEqual(matches('0 9 1 * mon', 29, '09:00:00'), false);
+
+  assert.throws(() => parseCron('61 * * * *'), /minute "61" is not in 0-59/);
+  assert.throws(() => parseCron('0 18 * *'), /does not have 5 fields/);
+  assert.throws(() => parseCron('0 18 * * fri-mon'), /runs backwards/);
+  assert.throws(() => parseCron('*/0 * * * *'), /step "0"/);
+}
+
+async function testScheduler(dataDir) {
+  const sent = [];
+  const createScheduler = () => new DigestScheduler({
+    schedules: SCHEDULES,
+    timeZone: 'Australia/Sydney',
+    dataDir,
+    send: async (data, digest) => {
+      sent.push({ data, digest: digest.name });
+      return true;
+    }
+  }).load();
+
+  const scheduler = createScheduler();
+  scheduler.recordLeads(LEADS.slice(0, 3), ['301', '302', '303'], 'polling');
+  scheduler.recordAction('301', { rule: 'plumbing', action: 'accept', outcome: 'accepted' });
+  // Seen again, by the DOM observer: still one lead, first detection kept
+  scheduler.recordLeads([{ ...LEADS[0], description: 'Leaking tap' }], ['301'], 'dom_mutation');
+  assert.deepStrictEqual(scheduler.getPendingCounts(), { hourly: 3, 'end-of-day': 3 });
+
+  // 14:00 on Friday: the hourly digest, once per minute
+  await scheduler.tick(sydney(25, '14:00:01'));
+  await scheduler.tick(sydney(25, '14:00:40'));
+  assert.deepStrictEqual(sent.map(({ digest }) => digest), ['hourly']);
+
+  const { data } = sent[0];
+  assert.strictEqual(data.event, 'leads_digest');
+  assert.strictEqual(data.period.to, sydney(25, '14:00:01').toISOString());
+  assert.deepStrictEqual(data.leads.map(lead => [lead.id, lead.detectedVia, lead.autoHandled]), [
+    [301, 'polling', true],
+    [302, 'polling', false],
+    [303, 'polling', false]
+  ]);
+  assert.strictEqual(data.leads[0].description, 'Leaking tap');
+  assert.deepStrictEqual(data.leads[0].ruleAction, { rule: 'plumbing', action: 'accept', outcome: 'accepted' });
+  assert.deepStrictEqual(scheduler.getPendingCounts(), { hourly: 0, 'end-of-day': 3 });
+
+  // An empty hour is not sent
+  await scheduler.tick(sydney(25, '15:00:00'));
+  assert.strictEqual(sent.length, 1);
+
+  // A digest still goes if its new period cannot be saved
+  scheduler.recordLeads([LEADS[3]], ['304'], 'polling');
+  const save = scheduler.save;
+  const errors = [];
+  scheduler.save = () => { throw new Error('ENOSPC: no space left on device'); };
+  scheduler.logger.error = message => errors.push(message);
+  assert.strictEqual(await scheduler.flush(scheduler.digests[0], sydney(25, '15:30:00')), true);
+  assert.deepStrictEqual(sent.pop().data.leads.map(lead => lead.id), [304]);
+  assert.deepStrictEqual(errors, ['Could not save digests']);
+  scheduler.save = save;
+
+  // After a restart the end-of-day digest still has the day's leads
+  scheduler.stop();
+  const restarted = createScheduler();
+  restarted.recordLeads([LEADS[3]], ['304'], 'startup_sync');
+  await restarted.tick(sydney(25, '18:00:00'));
+  assert.deepStrictEqual(sent.slice(1).map(({ digest, data: digestData }) => [digest, digestData.leads.map(lead => lead.id)]), [
+    ['hourly', [304]],
+    ['end-of-day', [301, 302, 303, 304]]
+  ]);
+
+  return sent[2].data;
+}
+
+function testFormats(data) {
+  assert.deepStrictEqual(groupLeads(data.leads).map(group => [group.jobType, group.count, group.suburbs.map(({ suburb, count }) => [suburb, count])]), [
+    ['Plumbing', 3, [['Manly', 2], ['Ryde', 1]]],
+    ['Electrical', 1, [['Bondi', 1]]]
+  ]);
+
+  const [webhook] = buildDigestPayloads({ type: 'webhook' }, data, getLeadUrl);
+  assert.strictEqual(webhook.count, 4);
+  assert.strictEqual(webhook.autoHandled, 1);
+  assert.deepStrictEqual(webhook.groups[0], {
+    jobType: 'Plumbing',
+    count: 3,
+    suburbs: [{ suburb: 'Manly', count: 2, leadKeys: ['301', '303'] }, { suburb: 'Ryde', count: 1, leadKeys: ['304'] }]
+  });
+
+  const [slack] = buildDigestPayloads({ type: 'slack' }, data, getLeadUrl);
+  assert.strictEqual(slack.text, 'Hipages lead digest (end-of-day): 4 leads, 1 auto-handled');
+  assert.strictEqual(slack.blocks[2].text.text, [
+    '*Plumbing* (3)',
+    '• Manly (2): <https://tradiecore.hipages.com.au/leads/301|Priya> _auto-accepted_, <https://tradiecore.hipages.com.au/leads/303|Ana>',
+    '• Ryde (1): <https://tradiecore.hipages.com.au/leads/304|Lee>'
+  ].join('\n'));
+
+  const [discord] = buildDigestPayloads({ type: 'discord' }, data, getLeadUrl);
+  assert.deepStrictEqual(discord.embeds.map(embed => embed.title), ['Plumbing (3)', 'Electrical (1)']);
+  const [teams] = buildDigestPayloads({ type: 'teams' }, data, getLeadUrl);
+  assert.strictEqual(teams.sections[1].text, 'Bondi (1): [Tom](https://tradiecore.hipages.com.au/leads/302)');
+
+  const [email] = buildDigestPayloads({ type: 'email', to: 'owner@example.com', from: 'leads@example.com' }, { ...data, leads: [{ ...LEADS[1], suburb: 'Bondi <Beach>' }] }, getLeadUrl);
+  assert.strictEqual(email.subject, 'Hipages lead digest (end-of-day): 1 lead');
+  assert.ok(email.text.includes('Electrical (1)\n  Bondi <Beach> (1): Tom <https://tradiecore.hipages.com.au/leads/302>'));
+  assert.ok(email.html.includes('<li>Bondi &lt;Beach&gt; (1): <a href="https://tradiecore.hipages.com.au/leads/302">Tom</a></li>'));
+
+  const [empty] = buildDigestPayloads({ type: 'email', to: 'owner@example.com' }, { ...data, leads: [] }, getLeadUrl);
+  assert.ok(empty.text.endsWith('No new leads.'));
+}
+
+async function testDetector(dataDir) {
+  const detector = new LeadDetector({
+    urls: {
+      leads: 'https://tradiecore.hipages.com.au/leads',
+      leadsData: 'https://tradiecore.hipages.com.au/leads.data',
+      leadDetail: 'https://tradiecore.hipages.com.au/leads/{id}'
+    },
+    webhook: {
+      destinations: [
+        { name: 'crm', url: 'https://crm.example.com/leads' },
+        // Digests only
+        { name: 'owner', type: 'email', to: 'owner@example.com', from: 'leads@example.com', events: ['leads_digest'] }
+      ]
+    },
+    cookieStorage: { enabled: false, path: './test-cookies.json' },
+    changeDetection: { deduplicationWindow: 0 },
+    logging: { level: 'silent' },
+    leadRules: {
+      enabled: true,
+      dryRun: true,
+      dailyAcceptLimit: 5,
+      timeZone: 'Australia/Sydney',
+      dataDir,
+      rules: [{ name: 'plumbing', action: 'accept', match: { jobTypes: ['Plumbing'] } }]
+    },
+    digests: { enabled: true, timeZone: 'Australia/Sydney', dataDir, schedules: SCHEDULES }
+  });
+  detector.leadRules.load();
+  detector.digests.load();
+
+  const sent = [];
+  detector.deliverToDestination = async (payload, deliveryId, destination) => {
+    sent.push({ destination: destination.name, payload });
+    return 200;
+  };
+
+  await detector.notifyNewLeads(LEADS.slice(0, 2), 'polling');
+  assert.deepStrictEqual(sent.map(({ destination, payload }) => [destination, payload.event]), [['crm', 'new_leads_detected']]);
+
+  sent.length = 0;
+  await detector.digests.flush(detector.digests.digests[0]);
+  assert.deepStrictEqual(sent.map(({ destination }) => destination), ['owner']);
+  assert.strictEqual(sent[0].payload.subject, 'Hipages lead digest (hourly): 2 leads');
+  assert.ok(sent[0].payload.text.includes('Manly (1): Priya [would accept (dry run)]'));
+  assert.ok(detector.metrics.registry.render().includes('lead_detector_digests_sent_total{digest="hourly"} 1\n'));
+}
+
+function testConfig() {
+  const env = {
+    HIPAGES_EMAIL: 'tradie@example.com',
+    HIPAGES_PASSWORD: 'correct-horse-battery',
+    WEBHOOK_URL: 'https://hooks.example.com/leads'
+  };
+
+  const { config } = loadConfig({ env: { ...env, LEAD_DETECTOR_DATA_DIR: '/var/lib/lead-detector' }, cwd: __dirname, overrides: { digests: { enabled: true, schedules: SCHEDULES } } });
+  assert.strictEqual(config.digests.dataDir, '/var/lib/lead-detector');
+
+  try {
+    loadConfig({
+      env,
+      cwd: __dirname,
+      overrides: {
+        digests: {
+          schedules: [
+            { name: 'hourly', schedule: '0 * * *', destinations: ['default'] },
+            { name: 'hourly', schedule: '0 25 * * *', destinations: [] }
+          ]
+        }
+      }
+    });
+    assert.fail('Expected a ConfigError');
+  } catch (error) {
+    assert.ok(error instanceof ConfigError, error.message);
+    assert.deepStrictEqual(error.errors.sort(), [
+      'digests.schedules[0].schedule must be a cron expression such as "0 * * * *": "0 * * *" does not have 5 fields',
+      'digests.schedules[1].destinations must name at least one destination',
+      'digests.schedules[1].name "hourly" is used by another digest',
+      'digests.schedules[1].schedule must be a cron expression such as "0 * * * *": hour "25" is not in 0-23'
+    ]);
+  }
+}
+
+/**
+ * Run the test
+ */
+async function runTest() {
+  console.log('Starting test of lead digests...');
+
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'digests-'));
+
+  try {
+    testCron();
+    const endOfDay = await testScheduler(path.join(tempDir, 'scheduler'));
+    testFormats(endOfDay);
+    await testDetector(path.join(tempDir, 'detector'));
+    testConfig();
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+
+  console.log('Test completed successfully');
+}
+
+// Run the test
+if (require.main === module) {
+  runTest().catch(error => {
+    console.error('Test failed:', error);
+    process.exit(1);
+  });
+}
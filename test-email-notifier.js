@@ -0,0 +1,186 @@
+/**
+ * Test script for SMTP email notifications
+ *
+ * This script runs a minimal SMTP stand-in on localhost and verifies that
+ * email destinations authenticate, send HTML and plain-text messages with
+ * templated subjects, and go through the same dedup rules as webhooks, and
+ * that lifecycle events are not worded as new leads.
+ */
+
+const assert = require('assert');
+const net = require('net');
+
+const { LeadDetector } = require('./lead-detector');
+const { buildEmailMessages } = require('./email-format');
+
+const LEADS = [
+  { id: 48213377, customer: { firstName: 'Sarah' }, jobType: 'Plumbing', suburb: 'Parramatta', postcode: '2150', description: 'Leaking tap & <drain>' },
+  { id: 48213120, customer: { firstName: 'Tom' }, jobType: 'Gas Fitting', suburb: 'Ryde', postcode: '2112' }
+];
+
+/**
+ * Start a local SMTP stand-in that records authenticated messages
+ */
+function startSmtpServer(messages) {
+  const server = net.createServer(socket => {
+    let buffer = '';
+    let inData = false;
+    let message = null;
+
+    socket.write('220 localhost ESMTP test\r\n');
+
+    socket.on('data', chunk => {
+      buffer += chunk.toString();
+
+      while (true) {
+        if (inData) {
+          const end = buffer.indexOf('\r\n.\r\n');
+          if (end === -1) return;
+          message.data = buffer.substring(0, end);
+          buffer = buffer.substring(end + 5);
+          inData = false;
+          messages.push(message);
+          socket.write('250 OK queued\r\n');
+          continue;
+        }
+
+        const lineEnd = buffer.indexOf('\r\n');
+        if (lineEnd === -1) return;
+        const line = buffer.substring(0, lineEnd);
+        buffer = buffer.substring(lineEnd + 2);
+
+        if (/^EHLO/i.test(line)) {
+          socket.write('250-localhost\r\n250 AUTH PLAIN\r\n');
+        } else if (/^AUTH PLAIN /i.test(line)) {
+          const [, user, password] = Buffer.from(line.substring(11), 'base64').toString().split('\0');
+          message = { user, password, recipients: [] };
+          socket.write('235 Authentication successful\r\n');
+        } else if (/^MAIL FROM/i.test(line)) {
+          message = { ...message, recipients: [] };
+          socket.write('250 OK\r\n');
+        } else if (/^RCPT TO/i.test(line)) {
+          message.recipients.push(line.match(/<(.*)>/)[1]);
+          socket.write('250 OK\r\n');
+        } else if (/^DATA/i.test(line)) {
+          inData = true;
+          socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+        } else if (/^QUIT/i.test(line)) {
+          socket.end('221 Bye\r\n');
+        } else {
+          socket.write('250 OK\r\n');
+        }
+      }
+    });
+  });
+
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+/**
+ * Check the headline and default subject of lifecycle event emails
+ */
+function testLifecycleEvents() {
+  const getLeadUrl = lead => `https://tradiecore.hipages.com.au/leads/${lead.id}`;
+  const data = { method: 'polling', timestamp: '2025-04-25T02:39:56.000Z', leads: [LEADS[1]] };
+  const headlines = {
+    lead_updated: 'Hipages lead updated',
+    lead_claimed: 'Hipages lead claimed',
+    lead_expired: 'Hipages lead expired',
+    lead_status_changed: 'Hipages lead changed status',
+    lead_removed: 'Hipages lead removed'
+  };
+
+  for (const [event, headline] of Object.entries(headlines)) {
+    const [message] = buildEmailMessages({ ...data, event }, { to: 'office@example.com' }, getLeadUrl);
+    assert.strictEqual(message.subject, `${headline}: Gas Fitting in Ryde 2112`);
+    assert.ok(message.text.startsWith(`${headline}\n`));
+    assert.ok(message.html.includes(`<h2>${headline}</h2>`));
+  }
+
+  const [batch] = buildEmailMessages({ ...data, event: 'lead_removed', leads: LEADS }, { to: 'office@example.com' }, getLeadUrl);
+  assert.strictEqual(batch.subject, '2 Hipages leads removed: Plumbing in Parramatta 2150');
+  // A configured subject is used as it is
+  const [custom] = buildEmailMessages({ ...data, event: 'lead_claimed' }, { to: 'office@example.com', subject: '{{event}}: {{lead.name}}' }, getLeadUrl);
+  assert.strictEqual(custom.subject, 'lead_claimed: Tom');
+}
+
+/**
+ * Run the test
+ */
+async function runTest() {
+  console.log('Starting test of email notifications...');
+
+  testLifecycleEvents();
+
+  const messages = [];
+  const server = await startSmtpServer(messages);
+
+  const detector = new LeadDetector({
+    urls: { leads: 'https://tradiecore.hipages.com.au/leads', leadDetail: 'https://tradiecore.hipages.com.au/leads/{id}' },
+    webhook: {
+      destinations: [
+        { name: 'office', type: 'email', to: ['office@example.com', 'boss@example.com'] },
+        {
+          name: 'gas-crew',
+          type: 'email',
+          to: 'gas@example.com',
+          mode: 'per_lead',
+          timeout: 3000,
+          subject: '[{{method}}] {{lead.name}} needs {{lead.jobType}}',
+          filter: { jobTypes: ['Gas Fitting'] }
+        }
+      ]
+    },
+    email: {
+      host: '127.0.0.1',
+      port: server.address().port,
+      secure: false,
+      requireTLS: false,
+      user: 'smtp-user',
+      password: 'smtp-pass',
+      from: 'Lead Detector <leads@example.com>'
+    },
+    cookieStorage: { enabled: false, path: './test-cookies.json' },
+    changeDetection: { deduplicationWindow: 5000 }
+  });
+
+  try {
+    assert.strictEqual(await detector.notifyNewLeads(LEADS, 'polling'), true);
+    assert.strictEqual(messages.length, 2);
+
+    const office = messages.find(message => message.recipients.includes('office@example.com'));
+    assert.deepStrictEqual(office.recipients, ['office@example.com', 'boss@example.com']);
+    assert.strictEqual(office.user, 'smtp-user');
+    assert.strictEqual(office.password, 'smtp-pass');
+    assert.match(office.data, /Subject: 2 new Hipages lead\(s\): Plumbing in Parramatta 2150/);
+    assert.match(office.data, /Content-Type: text\/plain/);
+    assert.match(office.data, /Content-Type: text\/html/);
+    assert.match(office.data, /Leaking tap &amp; &lt;drain&gt;/);
+    assert.match(office.data, /https:\/\/tradiecore\.hipages\.com\.au\/leads\/48213120/);
+    assert.match(office.data, /X-Lead-Detector-Delivery: /);
+
+    const gas = messages.find(message => message.recipients.includes('gas@example.com'));
+    assert.match(gas.data, /Subject: \[polling\] Tom needs Gas Fitting/);
+    assert.doesNotMatch(gas.data, /Sarah/);
+
+    // Each destination's timeout applies to its own messages
+    assert.deepStrictEqual([...detector.mailTransports].map(([timeout, transport]) => [timeout, transport.options.socketTimeout]).sort(), [[10000, 10000], [3000, 3000]]);
+
+    // Same dedup rules as webhooks
+    assert.strictEqual(await detector.notifyNewLeads(LEADS, 'dom_mutation'), false);
+    assert.strictEqual(messages.length, 2);
+
+    console.log('Test completed successfully');
+  } finally {
+    detector.mailTransports.forEach(transport => transport.close());
+    server.close();
+  }
+}
+
+// Run the test
+if (require.main === module) {
+  runTest().catch(error => {
+    console.error('Test failed:', error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,246 @@
+/**
+ * Test script for lead detail enrichment
+ *
+ * This script reads a lead's details out of a recorded detail route
+ * (fixtures/lead-detail.txt), then points a detector at a local HTTP server
+ * serving that route, one that never answers and one that fails, and checks
+ * that the notification waits no longer than the timeout and carries the
+ * details it got.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+
+const { decodeTurboStream } = require('./turbo-stream');
+const { getDetailDataUrl, findLeadDetail, extractLeadDetails, enrichLeads } = require('./lead-enrichment');
+const { LeadDetector } = require('./lead-detector');
+
+const FIXTURE = fs.readFileSync(path.join(__dirname, 'fixtures', 'lead-detail.txt'), 'utf8');
+const ROUTE_ID = 'routes/_app/leads/$leadId';
+
+const EXPECTED_DETAILS = {
+  description: 'Kitchen sink and laundry drain both blocked, water backing up into the shower. Tried a plunger already.',
+  jobSize: 'Medium',
+  timing: 'Within 48 hours',
+  attachments: [
+    { name: 'floor-plan.pdf', url: 'https://cdn.hipages.com.au/attachments/floor-plan.pdf', type: 'application/pdf' }
+  ],
+  photosCount: 2
+};
+
+function testExtraction() {
+  assert.strictEqual(
+    getDetailDataUrl('https://tradiecore.hipages.com.au/leads/48214001', ROUTE_ID),
+    'https://tradiecore.hipages.com.au/leads/48214001.data?_routes=routes%2F_app%2Fleads%2F%24leadId'
+  );
+  assert.strictEqual(getDetailDataUrl('https://tradiecore.hipages.com.au/leads/7/', null), 'https://tradiecore.hipages.com.au/leads/7.data');
+
+  // The lead is found by its ID, past the user record of the parent route
+  const decoded = decodeTurboStream(FIXTURE);
+  const detail = findLeadDetail(decoded, '48214001');
+  assert.strictEqual(detail.jobType, 'Blocked Drains');
+  assert.deepStrictEqual(extractLeadDetails(detail), EXPECTED_DETAILS);
+
+  // Without a matching ID, the record under a `lead` key
+  assert.strictEqual(findLeadDetail(decoded, 'other'), detail);
+  assert.strictEqual(findLeadDetail({ user: { id: 1 } }, 2), null);
+  assert.strictEqual(findLeadDetail(null, 2), null);
+
+  // Other shapes: plain values, a photo count, photos among the attachments
+  assert.deepStrictEqual(extractLeadDetails({ details: 'Fix tap', budget: 500, photoCount: 3 }), {
+    description: 'Fix tap',
+    jobSize: 500,
+    photosCount: 3
+  });
+  assert.deepStrictEqual(extractLeadDetails({
+    files: [{ filename: 'tap.jpg', href: 'https://cdn.example.com/tap.jpg', contentType: 'image/jpeg' }]
+  }), {
+    attachments: [{ name: 'tap.jpg', url: 'https://cdn.example.com/tap.jpg', type: 'image/jpeg' }],
+    photosCount: 1
+  });
+  assert.deepStrictEqual(extractLeadDetails({}), {});
+}
+
+async function testDeadline() {
+  const leads = [{ id: 1 }, { id: 2 }, { id: 3 }, { id: 4 }, { id: 5 }];
+  const started = Date.now();
+
+  const result = await enrichLeads(leads, {
+    loadDetail: async lead => {
+      if (lead.id === 1) return { description: 'Quick' };
+      if (lead.id === 2) return null;
+      if (lead.id === 3) throw new Error('boom');
+      return new Promise(resolve => setTimeout(() => resolve({ description: 'Too late' }), 300));
+    },
+    timeout: 50,
+    maxLeads: 4
+  });
+
+  assert.ok(Date.now() - started < 250);
+  assert.deepStrictEqual(result.outcomes, ['success', 'not_found', 'failure', 'timeout', 'skipped']);
+  assert.deepStrictEqual(result.leads, [
+    { id: 1, description: 'Quick', enriched: true },
+    { id: 2, enriched: false },
+    { id: 3, enriched: false },
+    { id: 4, enriched: false },
+    { id: 5, enriched: false }
+  ]);
+  // The leads passed in are not changed
+  assert.deepStrictEqual(leads[0], { id: 1 });
+
+  // A late result does not change what was returned
+  await new Promise(resolve => setTimeout(resolve, 300));
+  assert.strictEqual(result.leads[3].enriched, false);
+
+  // Two at a time; the lead still loading at the deadline is aborted
+  let running = 0;
+  let mostRunning = 0;
+  const signals = [];
+  const limited = await enrichLeads(leads, {
+    loadDetail: (lead, signal) => {
+      running++;
+      mostRunning = Math.max(mostRunning, running);
+      signals.push(signal);
+      return new Promise(resolve => setTimeout(() => {
+        running--;
+        resolve({ description: `Lead ${lead.id}` });
+      }, lead.id === 5 ? 500 : 10));
+    },
+    timeout: 150,
+    concurrency: 2
+  });
+  assert.deepStrictEqual(limited.outcomes, ['success', 'success', 'success', 'success', 'timeout']);
+  assert.strictEqual(mostRunning, 2);
+  assert.strictEqual(signals.length, 5);
+  assert.strictEqual(signals[4].aborted, true);
+}
+
+function startServer(handler) {
+  const server = http.createServer(handler);
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+async function testDetector(baseUrl, requests) {
+  const detector = new LeadDetector({
+    urls: {
+      leads: `${baseUrl}/leads`,
+      leadsData: `${baseUrl}/leads.data`,
+      leadDetail: `${baseUrl}/leads/{id}`
+    },
+    cookieStorage: { enabled: false, path: './test-cookies.json' },
+    changeDetection: { deduplicationWindow: 0 },
+    logging: { level: 'silent' },
+    timing: { requestTimeout: 1000 },
+    enrichment: { enabled: true, source: 'data', routeId: ROUTE_ID, timeout: 200, maxLeads: 10 }
+  });
+  detector.setSessionCookies([{ name: 'session', value: 'abc', domain: '127.0.0.1', path: '/', expires: -1 }]);
+
+  const notifications = [];
+  detector.sendWebhookNotification = async data => {
+    notifications.push(data);
+    return true;
+  };
+
+  const started = Date.now();
+  const leads = [
+    { id: 48214001, jobType: 'Blocked Drains' },
+    { id: 2, jobType: 'Hot Water' },
+    { id: 3, jobType: 'Roofing' }
+  ];
+  assert.strictEqual(await detector.notifyNewLeads(leads, 'polling'), true);
+  assert.ok(Date.now() - started < 1000);
+
+  assert.deepStrictEqual(requests.map(req => [req.url, req.headers.cookie]).sort(), [
+    ['/leads/2.data?_routes=routes%2F_app%2Fleads%2F%24leadId', 'session=abc'],
+    ['/leads/3.data?_routes=routes%2F_app%2Fleads%2F%24leadId', 'session=abc'],
+    ['/leads/48214001.data?_routes=routes%2F_app%2Fleads%2F%24leadId', 'session=abc']
+  ]);
+
+  const sentLeads = notifications[0].leads;
+  assert.deepStrictEqual(sentLeads[0], { id: 48214001, jobType: 'Blocked Drains', ...EXPECTED_DETAILS, enriched: true });
+  assert.deepStrictEqual(sentLeads[1], { id: 2, jobType: 'Hot Water', enriched: false });
+  assert.deepStrictEqual(sentLeads[2], { id: 3, jobType: 'Roofing', enriched: false });
+  assert.strictEqual(detector.recentDetections[2].lead.enriched, true);
+
+  // The request that missed the deadline is closed, not left running
+  const stalled = requests.find(req => req.url.startsWith('/leads/2.data'));
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.strictEqual(stalled.destroyed, true);
+
+  const metrics = detector.metrics.registry.render();
+  assert.ok(metrics.includes('lead_detector_enrichments_total{outcome="success"} 1\n'));
+  assert.ok(metrics.includes('lead_detector_enrichments_total{outcome="timeout"} 1\n'));
+  assert.ok(metrics.includes('lead_detector_enrichments_total{outcome="failure"} 1\n'));
+
+  // From the page: tabs still loading at the deadline are closed
+  const pages = [];
+  detector.config.enrichment = { enabled: true, source: 'page', timeout: 100, maxLeads: 10, concurrency: 1 };
+  detector.browser = { isConnected: () => true };
+  detector.openPage = async () => {
+    const page = {
+      closed: false,
+      goto: () => new Promise((resolve, reject) => { page.reject = reject; }),
+      close: async () => {
+        page.closed = true;
+        page.reject(new Error('Target closed'));
+      }
+    };
+    pages.push(page);
+    return page;
+  };
+  await detector.notifyNewLeads([{ id: 5, jobType: 'Tiling' }, { id: 6, jobType: 'Tiling' }], 'polling');
+  assert.deepStrictEqual(pages.map(page => page.closed), [true]);
+  detector.browser = null;
+
+  // Disabled, the leads are sent as they are without any requests
+  requests.length = 0;
+  detector.config.enrichment.enabled = false;
+  assert.strictEqual(await detector.notifyNewLeads([{ id: 4, jobType: 'Fencing' }], 'polling'), true);
+  assert.deepStrictEqual(notifications[2].leads, [{ id: 4, jobType: 'Fencing' }]);
+  assert.strictEqual(requests.length, 0);
+}
+
+/**
+ * Run the test
+ */
+async function runTest() {
+  console.log('Starting test of lead enrichment...');
+
+  testExtraction();
+  await testDeadline();
+
+  const requests = [];
+  const pending = [];
+  const server = await startServer((req, res) => {
+    requests.push(req);
+
+    if (req.url.startsWith('/leads/48214001.data')) {
+      res.writeHead(200, { 'Content-Type': 'text/x-script' });
+      res.end(FIXTURE);
+    } else if (req.url.startsWith('/leads/2.data')) {
+      // Never answers in time
+      pending.push(res);
+    } else {
+      res.writeHead(500);
+      res.end();
+    }
+  });
+
+  try {
+    await testDetector(`http://127.0.0.1:${server.address().port}`, requests);
+    console.log('Test completed successfully');
+  } finally {
+    pending.forEach(res => res.destroy());
+    server.close();
+  }
+}
+
+// Run the test
+if (require.main === module) {
+  runTest().catch(error => {
+    console.error('Test failed:', error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,223 @@
+/**
+ * Test script for lead lifecycle events
+ *
+ * This script diffs lead snapshots field by field, then polls a detector
+ * through a list where one lead is updated, one is claimed, one is removed
+ * and one is new, and checks which events each destination receives.
+ */
+
+const assert = require('assert');
+
+const { diffLeadFields, getLeadStatus, diffLeadSnapshots, buildLifecycleEvents, isLifecycleEvent } = require('./lead-lifecycle');
+const { LeadDetector } = require('./lead-detector');
+const { loadConfig, ConfigError } = require('./config');
+
+const TRANSITIONS = { claimed: ['CLAIMED', 'TAKEN'], expired: ['EXPIRED'] };
+
+function testDiff() {
+  assert.deepStrictEqual(diffLeadFields(
+    { id: 1, customer: { firstName: 'Priya', phone: null }, tags: ['a'], updated_at: 'x' },
+    { id: 1, customer: { firstName: 'Priya', phone: '0412 000 000' }, tags: ['a', 'b'], updated_at: 'y', quotes: 2 },
+    ['updated_at']
+  ), {
+    'customer.phone': { from: null, to: '0412 000 000' },
+    tags: { from: ['a'], to: ['a', 'b'] },
+    quotes: { from: null, to: 2 }
+  });
+  assert.deepStrictEqual(diffLeadFields({ a: { b: 1 } }, { a: { b: 1 } }), {});
+
+  assert.strictEqual(getLeadStatus({ status: 'NEW' }, 'status'), 'NEW');
+  assert.strictEqual(getLeadStatus({ status: { label: 'Claimed', value: 'CLAIMED' } }, 'status'), 'CLAIMED');
+  assert.strictEqual(getLeadStatus({ job: { state: 'OPEN' } }, 'job.state'), 'OPEN');
+  assert.strictEqual(getLeadStatus({}, 'status'), null);
+
+  const previous = [
+    { id: 1, status: 'NEW', suburb: 'Manly' },
+    { id: 2, status: 'NEW', suburb: 'Bondi' },
+    { id: 3, status: { value: 'NEW' }, suburb: 'Ryde' },
+    { id: 4, status: 'NEW', suburb: 'Penrith' },
+    { id: 5, status: 'NEW', suburb: 'Mosman' }
+  ];
+  const current = [
+    { id: 1, status: 'NEW', suburb: 'Manly Vale' },
+    { id: 2, status: 'taken', suburb: 'Bondi' },
+    { id: 3, status: { value: 'EXPIRED' }, suburb: 'Ryde' },
+    { id: 4, status: 'VIEWED', suburb: 'Penrith' },
+    { id: 6, status: 'NEW', suburb: 'Cronulla' }
+  ];
+  const changes = diffLeadSnapshots(previous, current, { getKey: lead => String(lead.id), statusField: 'status', transitions: TRANSITIONS });
+
+  assert.deepStrictEqual(changes.updatedLeads.map(({ lead, changes: fields }) => [lead.id, fields]), [
+    [1, { suburb: { from: 'Manly', to: 'Manly Vale' } }]
+  ]);
+  assert.deepStrictEqual(changes.statusChanges.map(({ lead, from, to, transition }) => [lead.id, from, to, transition]), [
+    [2, 'NEW', 'taken', 'claimed'],
+    [3, 'NEW', 'EXPIRED', 'expired'],
+    [4, 'NEW', 'VIEWED', null]
+  ]);
+  assert.deepStrictEqual(changes.removedLeads.map(lead => lead.id), [5]);
+
+  const events = buildLifecycleEvents(changes);
+  assert.deepStrictEqual(events.map(({ event, leads }) => [event, leads.map(lead => lead.id)]), [
+    ['lead_updated', [1]],
+    ['lead_claimed', [2]],
+    ['lead_expired', [3]],
+    ['lead_status_changed', [4]],
+    ['lead_removed', [5]]
+  ]);
+  assert.deepStrictEqual(events[0].leads[0].changes, { suburb: { from: 'Manly', to: 'Manly Vale' } });
+  assert.strictEqual(events[1].leads[0].previousStatus, 'NEW');
+  assert.deepStrictEqual(buildLifecycleEvents({}), []);
+
+  assert.strictEqual(isLifecycleEvent('lead_removed'), true);
+  assert.strictEqual(isLifecycleEvent('new_leads_detected'), false);
+  assert.strictEqual(isLifecycleEvent('test'), false);
+}
+
+function leadsBody(leads) {
+  return JSON.stringify({ leads });
+}
+
+async function testDetector() {
+  const detector = new LeadDetector({
+    urls: {
+      leads: 'https://tradiecore.hipages.com.au/leads',
+      leadsData: 'https://tradiecore.hipages.com.au/leads.data?_routes=routes%2F_app%2Fleads%2F_leads',
+      leadDetail: 'https://tradiecore.hipages.com.au/leads/{id}'
+    },
+    webhook: {
+      destinations: [
+        { name: 'everything', url: 'https://hooks.example.com/all' },
+        { name: 'chat', type: 'slack', url: 'https://hooks.slack.com/services/T/B/X' },
+        { name: 'crm', url: 'https://crm.example.com/leads', events: ['lead_claimed', 'lead_removed'] }
+      ]
+    },
+    cookieStorage: { enabled: false, path: './test-cookies.json' },
+    changeDetection: { ignoreFields: ['updated_at'], minNewLeadsToNotify: 1, deduplicationWindow: 0 },
+    lifecycle: { enabled: true, statusField: 'status', transitions: TRANSITIONS },
+    logging: { level: 'silent' },
+    // Long interval so only forced polls run
+    timing: { pollingInterval: 600000, baseBackoffDelay: 600000, maxBackoffDelay: 600000 }
+  });
+
+  const polls = [
+    leadsBody([
+      { id: 101, status: 'NEW', jobType: 'Plumbing', suburb: 'Manly', customer: { phone: null }, updated_at: '1' },
+      { id: 102, status: 'NEW', jobType: 'Electrical', suburb: 'Bondi', updated_at: '1' },
+      { id: 103, status: 'NEW', jobType: 'Roofing', suburb: 'Ryde', updated_at: '1' }
+    ]),
+    leadsBody([
+      { id: 101, status: 'NEW', jobType: 'Plumbing', suburb: 'Manly', customer: { phone: '0412 000 000' }, updated_at: '2' },
+      { id: 102, status: 'CLAIMED', jobType: 'Electrical', suburb: 'Bondi', updated_at: '2' },
+      { id: 104, status: 'NEW', jobType: 'Fencing', suburb: 'Cronulla', updated_at: '2' }
+    ]),
+    // Only an ignored field changes
+    leadsBody([
+      { id: 101, status: 'NEW', jobType: 'Plumbing', suburb: 'Manly', customer: { phone: '0412 000 000' }, updated_at: '3' },
+      { id: 102, status: 'CLAIMED', jobType: 'Electrical', suburb: 'Bondi', updated_at: '3' },
+      { id: 104, status: 'NEW', jobType: 'Fencing', suburb: 'Cronulla', updated_at: '3' }
+    ]),
+    // Without the lead only a filtered view listed
+    leadsBody([
+      { id: 101, status: 'NEW', jobType: 'Plumbing', suburb: 'Manly', customer: { phone: '0412 000 000' }, updated_at: '3' },
+      { id: 102, status: 'CLAIMED', jobType: 'Electrical', suburb: 'Bondi', updated_at: '3' },
+      { id: 104, status: 'NEW', jobType: 'Fencing', suburb: 'Cronulla', updated_at: '3' }
+    ])
+  ];
+  const sent = [];
+  detector.fetchLeadsData = async () => polls.shift();
+  detector.deliverToDestination = async (payload, deliveryId, destination) => {
+    sent.push({ destination: destination.name, event: payload.event || 'chat', payload });
+    return 200;
+  };
+
+  try {
+    detector.isRunning = true;
+
+    await detector.pollNow();
+    assert.strictEqual(sent.length, 0);
+
+    await detector.pollNow();
+    const received = name => sent.filter(delivery => delivery.destination === name).map(delivery => delivery.event);
+    assert.deepStrictEqual(received('everything'), ['new_leads_detected', 'lead_updated', 'lead_claimed', 'lead_removed']);
+    // Chat destinations only get new leads unless they list other events
+    assert.deepStrictEqual(received('chat'), ['chat']);
+    assert.deepStrictEqual(received('crm'), ['lead_claimed', 'lead_removed']);
+
+    const payloads = Object.fromEntries(sent
+      .filter(delivery => delivery.destination === 'everything')
+      .map(delivery => [delivery.event, delivery.payload]));
+    assert.deepStrictEqual(payloads.new_leads_detected.leads.map(lead => lead.id), [104]);
+    assert.deepStrictEqual(payloads.lead_updated.leads.map(lead => [lead.id, lead.changes]), [
+      [101, { 'customer.phone': { from: null, to: '0412 000 000' } }]
+    ]);
+    assert.strictEqual(payloads.lead_updated.method, 'polling');
+    assert.deepStrictEqual(payloads.lead_claimed.leads.map(lead => [lead.id, lead.previousStatus, lead.status]), [[102, 'NEW', 'CLAIMED']]);
+    assert.deepStrictEqual(payloads.lead_removed.leads.map(lead => lead.id), [103]);
+
+    const metrics = detector.metrics.registry.render();
+    assert.ok(metrics.includes('lead_detector_lifecycle_events_total{event="lead_removed"} 1\n'));
+    assert.ok(metrics.includes('lead_detector_lifecycle_events_total{event="lead_claimed"} 1\n'));
+
+    // Nothing new on the next poll
+    sent.length = 0;
+    await detector.pollNow();
+    assert.deepStrictEqual(sent, []);
+
+    // A lead from a captured, filtered list that the full list does not have
+    // was never there to be removed
+    await detector.handleCapturedLeadData({ leads: [{ id: 105, status: 'NEW', jobType: 'Gas Fitting', suburb: 'Manly' }] }, 'https://tradiecore.hipages.com.au/leads.data?jobType=gas');
+    assert.deepStrictEqual(sent.map(delivery => delivery.event), ['new_leads_detected', 'chat']);
+    sent.length = 0;
+    await detector.pollNow();
+    assert.deepStrictEqual(sent, []);
+  } finally {
+    detector.isRunning = false;
+    clearTimeout(detector.pollTimer);
+  }
+
+  // Disabled, only new leads are reported
+  const disabled = new LeadDetector({ ...detector.config, lifecycle: { enabled: false, statusField: 'status', transitions: {} } });
+  assert.deepStrictEqual(disabled.detectLifecycleEvents([{ id: 1, status: 'NEW' }], []), []);
+}
+
+function testConfig() {
+  const env = {
+    HIPAGES_EMAIL: 'tradie@example.com',
+    HIPAGES_PASSWORD: 'correct-horse-battery',
+    WEBHOOK_URL: 'https://hooks.example.com/leads'
+  };
+
+  const { config } = loadConfig({ env: { ...env, LEAD_LIFECYCLE_EVENTS: 'true' }, cwd: __dirname });
+  assert.strictEqual(config.lifecycle.enabled, true);
+  assert.deepStrictEqual(config.lifecycle.transitions.claimed, ['CLAIMED', 'TAKEN', 'UNAVAILABLE']);
+
+  try {
+    loadConfig({ env, cwd: __dirname, overrides: { lifecycle: { transitions: { claimed: 'CLAIMED' } } } });
+    assert.fail('Expected a ConfigError');
+  } catch (error) {
+    assert.ok(error instanceof ConfigError, error.message);
+    assert.deepStrictEqual(error.errors, ['lifecycle.transitions.claimed must be a list of statuses']);
+  }
+}
+
+/**
+ * Run the test
+ */
+async function runTest() {
+  console.log('Starting test of lead lifecycle events...');
+
+  testDiff();
+  await testDetector();
+  testConfig();
+
+  console.log('Test completed successfully');
+}
+
+// Run the test
+if (require.main === module) {
+  runTest().catch(error => {
+    console.error('Test failed:', error);
+    process.exit(1);
+  });
+}
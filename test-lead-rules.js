@@ -0,0 +1,301 @@
+/**
+ * Test script for the lead rules engine
+ *
+ * This script checks rule matching by lead fields and time of day, the daily
+ * accept limit and the audit log, then lets a detector with a stubbed browser
+ * accept and decline leads, in dry-run mode and for real.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { LeadRules, matchesRule } = require('./lead-rules');
+const { withinHours, getLocalTime, parseTimeOfDay } = require('./local-time');
+const { LeadDetector } = require('./lead-detector');
+const { loadConfig, ConfigError } = require('./config');
+
+// 2025-04-25 10:30 in Sydney (UTC+10)
+const MORNING = new Date('2025-04-25T00:30:00Z');
+// 2025-04-25 23:15 in Sydney
+const NIGHT = new Date('2025-04-25T13:15:00Z');
+
+const RULES = [
+  { name: 'no-roofing', action: 'decline', match: { jobTypes: ['Roofing'] } },
+  { name: 'local-drains', action: 'accept', match: { jobTypes: ['Blocked Drains'], postcodes: ['2060-2069'], hours: { from: '07:00', to: '19:00' } } },
+  { name: 'urgent', action: 'accept', match: { keywords: ['burst pipe'] } }
+];
+
+function readAudit(dataDir) {
+  return fs.readFileSync(path.join(dataDir, 'rules-audit.jsonl'), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+}
+
+function testMatching() {
+  assert.strictEqual(parseTimeOfDay('07:30'), 450);
+  assert.strictEqual(parseTimeOfDay('24:00'), 1440);
+  assert.strictEqual(parseTimeOfDay('7:30'), null);
+  assert.strictEqual(parseTimeOfDay('12:60'), null);
+
+  assert.deepStrictEqual(getLocalTime(MORNING, 'Australia/Sydney'), { day: '2025-04-25', weekday: 'fri', minutes: 630 });
+  assert.deepStrictEqual(getLocalTime(new Date('2025-04-25T14:30:00Z'), 'Australia/Sydney'), { day: '2025-04-26', weekday: 'sat', minutes: 30 });
+
+  assert.strictEqual(withinHours(630, { from: '07:00', to: '19:00' }), true);
+  assert.strictEqual(withinHours(1140, { from: '07:00', to: '19:00' }), false);
+  // Past midnight
+  assert.strictEqual(withinHours(1395, { from: '22:00', to: '06:00' }), true);
+  assert.strictEqual(withinHours(300, { from: '22:00', to: '06:00' }), true);
+  assert.strictEqual(withinHours(630, { from: '22:00', to: '06:00' }), false);
+  assert.strictEqual(withinHours(630, undefined), true);
+
+  const drains = { id: 1, jobType: 'Blocked Drains', suburb: 'Chatswood', postcode: '2067' };
+  assert.strictEqual(matchesRule(drains, RULES[1], getLocalTime(MORNING, 'Australia/Sydney')), true);
+  assert.strictEqual(matchesRule(drains, RULES[1], getLocalTime(NIGHT, 'Australia/Sydney')), false);
+  assert.strictEqual(matchesRule({ ...drains, postcode: '2150' }, RULES[1], getLocalTime(MORNING, 'Australia/Sydney')), false);
+}
+
+function testDailyLimit(dataDir) {
+  const rules = new LeadRules({ rules: RULES, dryRun: false, dailyAcceptLimit: 2, timeZone: 'Australia/Sydney', dataDir }).load();
+  const lead = id => ({ id, jobType: 'Plumbing', description: 'Burst pipe in the kitchen' });
+
+  // Two accepts a day; the third is capped and left for a person
+  const first = rules.decide(lead(1), '1', MORNING);
+  assert.strictEqual(first.rule.name, 'urgent');
+  assert.strictEqual(first.capped, false);
+  const second = rules.decide(lead(2), '2', MORNING);
+  const third = rules.decide(lead(3), '3', MORNING);
+  assert.strictEqual(third.capped, true);
+  rules.record(lead(1), '1', first, 'accepted');
+  rules.record(lead(3), '3', third, 'daily_cap');
+
+  // A failed accept frees its place
+  rules.record(lead(2), '2', second, 'failed', new Error('No accept button found on the lead page'));
+  assert.strictEqual(rules.getAcceptsToday(MORNING), 1);
+
+  // A lead is acted on once; declines don't count towards the limit
+  assert.strictEqual(rules.decide(lead(1), '1', MORNING), null);
+  const decline = rules.decide({ id: 4, jobType: 'Roofing' }, '4', MORNING);
+  assert.strictEqual(decline.action, 'decline');
+  rules.record({ id: 4 }, '4', decline, 'declined');
+  assert.strictEqual(rules.getAcceptsToday(MORNING), 1);
+  assert.strictEqual(rules.decide({ id: 5, jobType: 'Fencing' }, '5', MORNING), null);
+
+  assert.deepStrictEqual(readAudit(dataDir).map(entry => [entry.leadId, entry.rule, entry.action, entry.outcome, entry.dryRun]), [
+    [1, 'urgent', 'accept', 'accepted', false],
+    [3, 'urgent', 'accept', 'daily_cap', false],
+    [2, 'urgent', 'accept', 'failed', false],
+    [4, 'no-roofing', 'decline', 'declined', false]
+  ]);
+  assert.strictEqual(readAudit(dataDir)[2].error, 'No accept button found on the lead page');
+
+  // After a restart the day's count and the leads acted on are kept
+  const restarted = new LeadRules({ rules: RULES, dryRun: false, dailyAcceptLimit: 2, timeZone: 'Australia/Sydney', dataDir }).load();
+  assert.strictEqual(restarted.getAcceptsToday(MORNING), 1);
+  assert.strictEqual(restarted.getAcceptsToday(new Date('2025-04-26T00:30:00Z')), 0);
+  assert.strictEqual(restarted.decide(lead(1), '1', MORNING), null);
+  assert.strictEqual(restarted.decide(lead(2), '2', MORNING).capped, false);
+
+  // Dry runs are counted separately
+  const dryRun = new LeadRules({ rules: RULES, dryRun: true, dailyAcceptLimit: 2, timeZone: 'Australia/Sydney', dataDir }).load();
+  assert.strictEqual(dryRun.getAcceptsToday(MORNING), 0);
+  assert.notStrictEqual(dryRun.decide(lead(1), '1', MORNING), null);
+}
+
+function createPage(actions, buttons) {
+  let currentUrl = 'about:blank';
+  return {
+    goto: async (url) => {
+      currentUrl = url;
+      actions.push(['goto', url]);
+    },
+    url: () => currentUrl,
+    evaluate: async (fn, selector, texts) => {
+      const button = buttons.shift();
+      actions.push(['click', selector, texts[0], button]);
+      return button;
+    },
+    waitForNetworkIdle: async () => {},
+    close: async () => actions.push(['close'])
+  };
+}
+
+async function testDetector(dataDir) {
+  const leads = [
+    { id: 201, jobType: 'Roofing', suburb: 'Ryde', postcode: '2112' },
+    { id: 202, jobType: 'Blocked Drains', suburb: 'Chatswood', postcode: '2067' },
+    { id: 203, jobType: 'Plumbing', suburb: 'Bondi', postcode: '2026', description: 'Burst pipe under the house' },
+    { id: 204, jobType: 'Fencing', suburb: 'Manly', postcode: '2095' }
+  ];
+  const createDetector = (dryRun) => new LeadDetector({
+    urls: {
+      leads: 'https://tradiecore.hipages.com.au/leads',
+      leadsData: 'https://tradiecore.hipages.com.au/leads.data',
+      leadDetail: 'https://tradiecore.hipages.com.au/leads/{id}'
+    },
+    cookieStorage: { enabled: false, path: './test-cookies.json' },
+    changeDetection: { deduplicationWindow: 0 },
+    timing: { pageLoadTimeout: 1000 },
+    logging: { level: 'silent' },
+    // Every hour of the day, so the test passes at any time
+    leadRules: {
+      enabled: true,
+      dryRun,
+      dailyAcceptLimit: 1,
+      timeZone: 'Australia/Sydney',
+      dataDir,
+      selectors: { accept: '[data-testid="accept-lead"]' },
+      rules: RULES.map(rule => ({ ...rule, match: { ...rule.match, hours: undefined } }))
+    }
+  });
+
+  // Dry run: decisions are audited, nothing is clicked
+  const dryRun = createDetector(true);
+  dryRun.leadRules.load();
+  dryRun.openPage = async () => { throw new Error('page opened'); };
+  dryRun.sendWebhookNotification = async () => true;
+  await dryRun.notifyNewLeads(leads, 'polling');
+  await dryRun.ruleActions;
+  assert.deepStrictEqual(readAudit(dataDir).map(entry => [entry.leadId, entry.outcome, entry.dryRun]), [
+    [201, 'dry_run', true],
+    [202, 'dry_run', true],
+    [203, 'daily_cap', true]
+  ]);
+
+  // For real: the notification goes out while the leads are handled
+  fs.rmSync(path.join(dataDir, 'rules-audit.jsonl'));
+  const detector = createDetector(false);
+  const actions = [];
+  const notifications = [];
+  detector.leadRules.load();
+  detector.browser = { isConnected: () => true };
+  // Decline and its confirmation, then an accept with no confirmation
+  detector.openPage = async () => createPage(actions, actions.length === 0 ? [true, true] : [true, false]);
+  detector.sendWebhookNotification = async (data) => {
+    notifications.push(data);
+    return true;
+  };
+
+  assert.strictEqual(await detector.notifyNewLeads(leads, 'polling'), true);
+  assert.strictEqual(notifications[0].leads.length, 4);
+  await detector.ruleActions;
+  assert.deepStrictEqual(actions, [
+    ['goto', 'https://tradiecore.hipages.com.au/leads/201'],
+    ['click', null, 'decline', true],
+    ['click', null, 'confirm', true],
+    ['close'],
+    ['goto', 'https://tradiecore.hipages.com.au/leads/202'],
+    ['click', '[data-testid="accept-lead"]', 'accept', true],
+    ['click', null, 'confirm', false],
+    ['close']
+  ]);
+  assert.deepStrictEqual(readAudit(dataDir).map(entry => [entry.leadId, entry.action, entry.outcome]), [
+    [201, 'decline', 'declined'],
+    [202, 'accept', 'accepted'],
+    [203, 'accept', 'daily_cap']
+  ]);
+
+  const metrics = detector.metrics.registry.render();
+  assert.ok(metrics.includes('lead_detector_rule_actions_total{action="accept",outcome="accepted"} 1\n'));
+  assert.ok(metrics.includes('lead_detector_rule_actions_total{action="accept",outcome="daily_cap"} 1\n'));
+
+  // A missing button is a failed action, and the lead can be tried again
+  const failing = createDetector(false);
+  failing.leadRules.load();
+  failing.browser = { isConnected: () => true };
+  failing.openPage = async () => createPage([], [false]);
+  failing.sendWebhookNotification = async () => true;
+  await failing.notifyNewLeads([{ id: 205, jobType: 'Roofing' }], 'polling');
+  await failing.ruleActions;
+  const failed = readAudit(dataDir).pop();
+  assert.deepStrictEqual([failed.leadId, failed.outcome, failed.error], [205, 'failed', 'No decline button found on the lead page']);
+
+  // Rules act before the lead details load, and the poll does not wait for them
+  const quick = createDetector(false);
+  const events = [];
+  let finishEnrichment;
+  let finishAction;
+  quick.leadRules.load();
+  quick.enrichLeadDetails = newLeads => new Promise(resolve => { finishEnrichment = () => resolve(newLeads); });
+  quick.performLeadAction = (lead, action) => {
+    events.push(['action', lead.id, action]);
+    return new Promise(resolve => { finishAction = resolve; });
+  };
+  quick.sendWebhookNotification = async () => {
+    events.push(['notify']);
+    return true;
+  };
+  const notified = quick.notifyNewLeads([{ id: 206, jobType: 'Roofing' }], 'polling');
+  await new Promise(resolve => setImmediate(resolve));
+  assert.deepStrictEqual(events, [['action', 206, 'decline']]);
+  finishEnrichment();
+  assert.strictEqual(await notified, true);
+  assert.deepStrictEqual(events, [['action', 206, 'decline'], ['notify']]);
+  finishAction();
+  await quick.ruleActions;
+  assert.strictEqual(readAudit(dataDir).pop().outcome, 'declined');
+
+  // Without the browser nothing can be clicked
+  const browserless = createDetector(false);
+  browserless.config.browser = { closeAfterLogin: true };
+  await assert.rejects(() => browserless.performLeadAction(leads[0], 'decline'), /need the browser/);
+}
+
+function testConfig(dataDir) {
+  const env = {
+    HIPAGES_EMAIL: 'tradie@example.com',
+    HIPAGES_PASSWORD: 'correct-horse-battery',
+    WEBHOOK_URL: 'https://hooks.example.com/leads'
+  };
+
+  const { config } = loadConfig({ env: { ...env, LEAD_RULES_DRY_RUN: 'false', LEAD_DETECTOR_DATA_DIR: '/var/lib/leads' }, cwd: dataDir });
+  assert.strictEqual(config.leadRules.dryRun, false);
+  assert.strictEqual(config.leadRules.dataDir, '/var/lib/leads');
+
+  try {
+    loadConfig({
+      env,
+      cwd: dataDir,
+      overrides: {
+        leadRules: {
+          timeZone: 'Sydney',
+          rules: [{ action: 'accept', match: { hours: { from: '7am', to: '19:00' } } }, { action: 'ignore' }]
+        }
+      }
+    });
+    assert.fail('Expected a ConfigError');
+  } catch (error) {
+    assert.ok(error instanceof ConfigError, error.message);
+    assert.deepStrictEqual(error.errors, [
+      'leadRules.rules[0].match.hours.from must be a time of day such as "07:30"',
+      'leadRules.rules[1].action must be one of accept, decline (got "ignore")',
+      'leadRules.timeZone must be an IANA time zone such as "Australia/Sydney"'
+    ]);
+  }
+}
+
+/**
+ * Run the test
+ */
+async function runTest() {
+  console.log('Starting test of lead rules...');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lead-detector-rules-'));
+
+  try {
+    testMatching();
+    testDailyLimit(fs.mkdtempSync(path.join(dir, 'limit-')));
+    await testDetector(fs.mkdtempSync(path.join(dir, 'detector-')));
+    testConfig(dir);
+    console.log('Test completed successfully');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+// Run the test
+if (require.main === module) {
+  runTest().catch(error => {
+    console.error('Test failed:', error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,89 @@
+/**
+ * Test script for the persistent lead store
+ *
+ * This script simulates two runs of the detector against a temporary data
+ * directory and verifies that leads missed between runs are reported once.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { LeadStore } = require('./lead-store');
+const { LeadDetector } = require('./lead-detector');
+
+function createDetector(dataDir, sent) {
+  const detector = new LeadDetector({
+    urls: {
+      leadsData: 'https://tradiecore.hipages.com.au/leads.data?_routes=routes%2F_app%2Fleads%2F_leads'
+    },
+    cookieStorage: { enabled: false, path: './test-cookies.json' },
+    leadStore: { enabled: true, dataDir },
+    changeDetection: { deduplicationWindow: 5000 }
+  });
+
+  // Record notifications instead of sending them
+  detector.sendWebhookNotification = async (data) => {
+    sent.push(data);
+    return true;
+  };
+
+  detector.leadStore.load();
+  return detector;
+}
+
+/**
+ * Run the test
+ */
+async function runTest() {
+  console.log('Starting test of persistent lead store...');
+
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lead-store-'));
+  const sent = [];
+
+  try {
+    // First run: the existing list becomes the baseline
+    const firstRun = createDetector(dataDir, sent);
+    await firstRun.reportMissedLeads([{ id: 1, name: 'Sarah' }, { id: 2, name: 'Tom' }]);
+    assert.strictEqual(sent.length, 0);
+    assert.strictEqual(firstRun.leadStore.size, 2);
+
+    await firstRun.notifyNewLeads([{ id: 3, name: 'Priya' }], 'polling');
+    assert.strictEqual(sent.length, 1);
+
+    // Second run: lead 4 arrived while stopped, lead 3 was already sent
+    const secondRun = createDetector(dataDir, sent);
+    assert.strictEqual(secondRun.leadStore.size, 3);
+    assert.ok(secondRun.leadStore.isNotified('3'));
+
+    await secondRun.reportMissedLeads([{ id: 4, name: 'Ali' }, { id: 3, name: 'Priya' }, { id: 1, name: 'Sarah' }]);
+    assert.strictEqual(sent.length, 2);
+    assert.strictEqual(sent[1].method, 'startup_sync');
+    assert.deepStrictEqual(sent[1].leads.map(lead => lead.id), [4]);
+
+    // Already notified leads are not sent again outside the dedup window
+    secondRun.lastNotificationTime = 0;
+    assert.strictEqual(await secondRun.notifyNewLeads([{ id: 3, name: 'Priya' }], 'polling'), false);
+    assert.strictEqual(sent.length, 2);
+
+    // A truncated last line is skipped and the log is compacted
+    fs.appendFileSync(path.join(dataDir, 'leads.jsonl'), '{"type":"seen","key":"5"');
+    const store = new LeadStore(dataDir).load();
+    assert.strictEqual(store.size, 4);
+    assert.ok(store.get('4').notifiedAt);
+    assert.strictEqual(store.get('1').baseline, true);
+
+    console.log('Test completed successfully');
+  } finally {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+}
+
+// Run the test
+if (require.main === module) {
+  runTest().catch(error => {
+    console.error('Test failed:', error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,116 @@
+/**
+ * Test script for the structured logger
+ *
+ * This script checks level filtering, JSON and text output, correlation
+ * context across async calls, and redaction of credentials and customer
+ * details.
+ */
+
+const assert = require('assert');
+const { createLogger, redact } = require('./logger');
+
+function createStreams() {
+  const stdout = [];
+  const stderr = [];
+  return {
+    stdout: { write: line => stdout.push(line) },
+    stderr: { write: line => stderr.push(line) },
+    lines: () => [...stdout, ...stderr],
+    stdoutLines: stdout,
+    stderrLines: stderr
+  };
+}
+
+/**
+ * Run the test
+ */
+async function runTest() {
+  console.log('Starting test of logger...');
+
+  // Levels and streams
+  let streams = createStreams();
+  let logger = createLogger({ level: 'info', stdout: streams.stdout, stderr: streams.stderr });
+  logger.debug('hidden');
+  logger.info('shown', { count: 2 });
+  logger.error('failed', new Error('boom'));
+
+  assert.strictEqual(streams.stdoutLines.length, 1);
+  assert.strictEqual(streams.stderrLines.length, 1);
+  const info = JSON.parse(streams.stdoutLines[0]);
+  assert.strictEqual(info.level, 'info');
+  assert.strictEqual(info.message, 'shown');
+  assert.strictEqual(info.count, 2);
+  assert.ok(!Number.isNaN(Date.parse(info.time)));
+  const error = JSON.parse(streams.stderrLines[0]);
+  assert.strictEqual(error.error.message, 'boom');
+  assert.ok(error.error.stack.includes('test-logger.js'));
+
+  assert.throws(() => createLogger({ level: 'verbose' }), /Unknown log level/);
+
+  // Text format
+  streams = createStreams();
+  logger = createLogger({ format: 'text', stdout: streams.stdout, stderr: streams.stderr });
+  logger.info('Lead store loaded', { knownLeads: 3, file: 'data/leads.jsonl' });
+  assert.ok(/^\S+ INFO  Lead store loaded knownLeads=3 file=data\/leads.jsonl\n$/.test(streams.lines()[0]));
+
+  // Correlation context follows async calls and can be replaced
+  streams = createStreams();
+  logger = createLogger({ stdout: streams.stdout, stderr: streams.stderr }).child({ account: 'main' });
+  await logger.withContext({ pollId: 'poll-1' }, async () => {
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await logger.withContext({ deliveryId: 'delivery-1' }, async () => logger.info('nested'));
+    await logger.withNewContext({ deliveryId: 'delivery-2' }, async () => logger.info('fresh'));
+  });
+  logger.info('outside');
+
+  const [nested, fresh, outside] = streams.lines().map(line => JSON.parse(line));
+  assert.deepStrictEqual([nested.account, nested.pollId, nested.deliveryId], ['main', 'poll-1', 'delivery-1']);
+  assert.deepStrictEqual([fresh.pollId, fresh.deliveryId], [undefined, 'delivery-2']);
+  assert.deepStrictEqual([outside.pollId, outside.deliveryId], [undefined, undefined]);
+
+  // Redaction
+  streams = createStreams();
+  logger = createLogger({ stdout: streams.stdout, stderr: streams.stderr });
+  logger.addSecret('hunter2-password');
+  logger.info('Lead from jane.citizen@example.com, call 0412 345 678 or (02) 9876 5432', {
+    password: 'hunter2-password',
+    cookies: [{ name: 'session', value: 'abc' }],
+    headers: { Authorization: 'Bearer abc.def', 'Content-Type': 'application/json' },
+    url: 'https://auth.hipages.com.au/login?state=xyz&redirect_uri=https%3A%2F%2Ftradiecore',
+    note: 'typed hunter2-password into the form',
+    leadId: 48213377,
+    sessionValid: true
+  });
+
+  const line = streams.lines()[0];
+  assert.ok(!line.includes('hunter2'));
+  assert.ok(!line.includes('jane.citizen'));
+  assert.ok(!line.includes('0412'));
+  assert.ok(!line.includes('9876'));
+  assert.ok(!line.includes('abc'));
+  assert.ok(!line.includes('xyz'));
+  const record = JSON.parse(line);
+  assert.strictEqual(record.message, 'Lead from j***@example.com, call [PHONE] or [PHONE]');
+  assert.strictEqual(record.password, '[REDACTED]');
+  assert.strictEqual(record.cookies, '[REDACTED]');
+  assert.strictEqual(record.headers.Authorization, '[REDACTED]');
+  assert.strictEqual(record.headers['Content-Type'], 'application/json');
+  assert.strictEqual(record.note, 'typed [REDACTED] into the form');
+  assert.strictEqual(record.leadId, 48213377);
+  assert.strictEqual(record.sessionValid, true);
+
+  // Circular values don't throw
+  const circular = { name: 'loop' };
+  circular.self = circular;
+  assert.deepStrictEqual(redact(circular), { name: 'loop', self: '[Circular]' });
+
+  console.log('Test completed successfully');
+}
+
+// Run the test
+if (require.main === module) {
+  runTest().catch(error => {
+    console.error('Test failed:', error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,131 @@
+/**
+ * Test script for the Prometheus metrics
+ *
+ * This script checks the text format rendered by the metrics registry, then
+ * runs a detector with stubbed leads.data requests and deliveries and scrapes
+ * GET /metrics from the control server.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+
+const { LeadDetector } = require('./lead-detector');
+const { MetricsRegistry } = require('./metrics');
+
+function testRegistry() {
+  const registry = new MetricsRegistry();
+  const requests = registry.counter('test_requests_total', 'Requests');
+  const temperature = registry.gauge('test_temperature', 'Temperature', gauge => gauge.set({}, 21.5));
+  const latency = registry.histogram('test_latency_seconds', 'Latency', [0.5, 1]);
+
+  requests.inc({ code: '200' });
+  requests.inc({ code: '200' }, 2);
+  requests.inc({ code: 'say "hi"' });
+  latency.observe({}, 0.2);
+  latency.observe({}, 0.7);
+  latency.observe({}, 3);
+
+  assert.strictEqual(requests.get({ code: '200' }), 3);
+  assert.strictEqual(temperature.get(), 0);
+
+  const text = registry.render();
+  assert.ok(text.includes('# TYPE test_requests_total counter\n'));
+  assert.ok(text.includes('test_requests_total{code="200"} 3\n'));
+  assert.ok(text.includes('test_requests_total{code="say \\"hi\\""} 1\n'));
+  assert.ok(text.includes('# TYPE test_temperature gauge\ntest_temperature 21.5\n'));
+  assert.ok(text.includes('test_latency_seconds_bucket{le="0.5"} 1\n'));
+  assert.ok(text.includes('test_latency_seconds_bucket{le="1"} 2\n'));
+  assert.ok(text.includes('test_latency_seconds_bucket{le="+Inf"} 3\n'));
+  assert.ok(text.includes('test_latency_seconds_count 3\n'));
+  assert.ok(text.endsWith('\n'));
+}
+
+/**
+ * Run the test
+ */
+async function runTest() {
+  console.log('Starting test of metrics...');
+
+  testRegistry();
+
+  const detector = new LeadDetector({
+    urls: {
+      leads: 'https://tradiecore.hipages.com.au/leads',
+      leadsData: 'https://tradiecore.hipages.com.au/leads.data?_routes=routes%2F_app%2Fleads%2F_leads',
+      leadDetail: 'https://tradiecore.hipages.com.au/leads/{id}'
+    },
+    cookieStorage: { enabled: false, path: './test-cookies.json' },
+    controlServer: { enabled: true, host: '127.0.0.1', port: 0 },
+    changeDetection: { minNewLeadsToNotify: 1, deduplicationWindow: 5000 },
+    webhook: {
+      destinations: [{ name: 'crm', url: 'http://127.0.0.1:1/hook' }]
+    },
+    // Long interval so only forced polls run
+    timing: { pollingInterval: 600000, baseBackoffDelay: 600000, maxBackoffDelay: 600000 }
+  });
+
+  // Stub the browser, the leads endpoint and webhook delivery
+  detector.browser = { isConnected: () => true };
+  detector.cookiesObtainedAt = Date.now() - 5000;
+  const responses = ['leads-data-initial.txt', 'leads-data-new-lead.txt']
+    .map(name => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8'));
+  detector.fetchLeadsData = async () => {
+    if (responses.length === 0) throw new Error('HTTP error! Status: 500');
+    return responses.shift();
+  };
+  detector.deliverWebhook = async () => 204;
+
+  await detector.startControlServer();
+  const baseUrl = `http://127.0.0.1:${detector.controlServer.address().port}`;
+
+  try {
+    detector.isRunning = true;
+
+    // Baseline, one new lead, then a failed poll
+    await detector.pollNow();
+    await detector.pollNow();
+    await detector.pollNow();
+
+    const res = await fetch(`${baseUrl}/metrics`);
+    assert.strictEqual(res.status, 200);
+    assert.ok(res.headers.get('content-type').startsWith('text/plain; version=0.0.4'));
+    const text = await res.text();
+
+    assert.ok(text.includes('lead_detector_polls_total{outcome="success"} 2\n'));
+    assert.ok(text.includes('lead_detector_polls_total{outcome="failure"} 1\n'));
+    assert.ok(text.includes('lead_detector_poll_failures_total{cause="http_error"} 1\n'));
+    assert.ok(text.includes('lead_detector_poll_duration_seconds_count 3\n'));
+    assert.ok(text.includes('lead_detector_leads_detected_total{method="polling"} 1\n'));
+    assert.ok(text.includes('lead_detector_deliveries_total{destination="crm",status_code="204"} 1\n'));
+    assert.ok(text.includes('lead_detector_poll_retry_count 1\n'));
+    assert.ok(/lead_detector_backoff_delay_seconds [1-9]/.test(text));
+    assert.ok(text.includes('lead_detector_session_valid 1\n'));
+    assert.ok(text.includes('lead_detector_polling_paused 0\n'));
+    assert.ok(/lead_detector_last_successful_poll_timestamp_seconds \d+/.test(text));
+    assert.ok(/lead_detector_session_cookie_age_seconds [5-9]/.test(text));
+    assert.ok(/lead_detector_last_notification_timestamp_seconds \d+/.test(text));
+
+    // Only deliveries that succeed count as sent
+    const lastSentAt = detector.lastNotificationSentAt;
+    detector.deliverWebhook = async () => 500;
+    // So a new time would differ
+    await new Promise(resolve => setTimeout(resolve, 5));
+    assert.strictEqual(await detector.sendWebhookNotification({ event: 'new_leads_detected', leads: [{ id: 9 }] }), false);
+    assert.strictEqual(detector.lastNotificationSentAt, lastSentAt);
+
+    console.log('Test completed successfully');
+  } finally {
+    detector.isRunning = false;
+    clearTimeout(detector.pollTimer);
+    detector.controlServer.close();
+  }
+}
+
+// Run the test
+if (require.main === module) {
+  runTest().catch(error => {
+    console.error('Test failed:', error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,156 @@
+/**
+ * Test script for network response capture
+ *
+ * This script feeds fake Puppeteer responses (the recorded leads.data
+ * fixtures and a JSON XHR) to a detector through a stubbed page, and checks
+ * which responses are read and that new leads go through the same change
+ * detection and notification as polling.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+
+const { LeadDetector } = require('./lead-detector');
+const { isCandidateResponse, decodeResponseBody } = require('./network-capture');
+
+const LEADS_DATA_URL = 'https://tradiecore.hipages.com.au/leads.data?_routes=routes%2F_app%2Fleads%2F_leads';
+
+function loadFixture(name) {
+  return fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+}
+
+function createResponse(url, body, options = {}) {
+  const { status = 200, resourceType = 'fetch' } = options;
+  return {
+    url: () => url,
+    status: () => status,
+    request: () => ({ resourceType: () => resourceType }),
+    text: async () => {
+      if (body instanceof Error) throw body;
+      return body;
+    }
+  };
+}
+
+// Page stub that waits for every response listener to finish
+function createPage() {
+  const listeners = [];
+  return {
+    on: (event, listener) => listeners.push(listener),
+    off: (event, listener) => listeners.splice(listeners.indexOf(listener), 1),
+    respond: response => Promise.all(listeners.map(listener => listener(response))),
+    listenerCount: () => listeners.length
+  };
+}
+
+function testResponseFilter() {
+  const patterns = ['/leads.data'];
+  assert.strictEqual(isCandidateResponse(createResponse(LEADS_DATA_URL, ''), patterns), true);
+  assert.strictEqual(isCandidateResponse(createResponse(LEADS_DATA_URL, '', { resourceType: 'xhr' }), patterns), true);
+  assert.strictEqual(isCandidateResponse(createResponse(LEADS_DATA_URL, '', { resourceType: 'document' }), patterns), false);
+  assert.strictEqual(isCandidateResponse(createResponse(LEADS_DATA_URL, '', { status: 302 }), patterns), false);
+  assert.strictEqual(isCandidateResponse(createResponse('https://tradiecore.hipages.com.au/account.data', ''), patterns), false);
+
+  // Loader data is keyed by route; routes without data are dropped
+  const decoded = decodeResponseBody(loadFixture('leads-data-initial.txt'),
+    'https://tradiecore.hipages.com.au/leads.data?_routes=routes%2F_app%2Fleads%2F_leads,routes%2F_app');
+  assert.deepStrictEqual(Object.keys(decoded), ['routes/_app/leads/_leads']);
+  assert.strictEqual(decoded['routes/_app/leads/_leads'].leads.length, 2);
+
+  assert.deepStrictEqual(decodeResponseBody('{"leads":[]}', 'https://tradiecore.hipages.com.au/api/leads'), { leads: [] });
+  assert.strictEqual(decodeResponseBody('<html>', 'https://tradiecore.hipages.com.au/api/leads'), null);
+  assert.strictEqual(decodeResponseBody('<html>', LEADS_DATA_URL), null);
+}
+
+/**
+ * Run the test
+ */
+async function runTest() {
+  console.log('Starting test of network response capture...');
+
+  testResponseFilter();
+
+  const detector = new LeadDetector({
+    urls: {
+      leads: 'https://tradiecore.hipages.com.au/leads',
+      leadsData: LEADS_DATA_URL,
+      leadDetail: 'https://tradiecore.hipages.com.au/leads/{id}'
+    },
+    webhook: { url: 'http://127.0.0.1:1/hook' },
+    cookieStorage: { enabled: false, path: './test-cookies.json' },
+    changeDetection: { minNewLeadsToNotify: 1, deduplicationWindow: 5000 },
+    networkCapture: { enabled: true, urlPatterns: ['/leads.data', '/api/leads'] },
+    logging: { level: 'silent' },
+    // Long interval so only forced polls run
+    timing: { pollingInterval: 600000, baseBackoffDelay: 600000, maxBackoffDelay: 600000 }
+  });
+
+  const page = createPage();
+  const notifications = [];
+  const polls = [loadFixture('leads-data-initial.txt'), loadFixture('leads-data-new-lead.txt')];
+  detector.page = page;
+  detector.fetchLeadsData = async () => polls.shift();
+  detector.deliverWebhook = async (payload) => {
+    notifications.push(payload);
+    return 204;
+  };
+
+  try {
+    detector.isRunning = true;
+    detector.startNetworkCapture();
+    assert.strictEqual(page.listenerCount(), 1);
+
+    // Nothing is reported before the first poll sets the baseline
+    await page.respond(createResponse(LEADS_DATA_URL, loadFixture('leads-data-new-lead.txt')));
+    assert.strictEqual(notifications.length, 0);
+
+    await detector.pollNow();
+    assert.strictEqual(notifications.length, 0);
+
+    // The SPA revalidates and receives a new lead
+    await page.respond(createResponse(LEADS_DATA_URL, loadFixture('leads-data-new-lead.txt')));
+    assert.strictEqual(notifications.length, 1);
+    assert.strictEqual(notifications[0].method, 'network_response');
+    assert.deepStrictEqual(notifications[0].leads.map(lead => lead.id), [48214001]);
+    assert.strictEqual(notifications[0].leads[0].customer.firstName, 'Priya');
+    assert.strictEqual(detector.recentDetections[0].method, 'network_response');
+
+    // The next poll sees the same lead and does not report it again
+    await detector.pollNow();
+    assert.strictEqual(notifications.length, 1);
+
+    // A partial JSON list adds its new lead without dropping the others
+    const known = detector.previousLeadsArray.length;
+    await page.respond(createResponse('https://tradiecore.hipages.com.au/api/leads?page=2', JSON.stringify({
+      leads: [{ id: 48215555, jobType: 'Roofing', suburb: 'Manly' }]
+    }), { resourceType: 'xhr' }));
+    assert.strictEqual(notifications.length, 2);
+    assert.deepStrictEqual(notifications[1].leads.map(lead => lead.id), [48215555]);
+    assert.strictEqual(detector.previousLeadsArray.length, known + 1);
+
+    // Ignored: other resource types, failed requests, unreadable bodies and unrelated URLs
+    await page.respond(createResponse(LEADS_DATA_URL, loadFixture('leads-data-new-lead.txt'), { resourceType: 'document' }));
+    await page.respond(createResponse('https://tradiecore.hipages.com.au/api/leads', new Error('No resource with given identifier')));
+    await page.respond(createResponse('https://tradiecore.hipages.com.au/api/leads', '{"leads":[{"id":1}]}', { status: 500 }));
+    await page.respond(createResponse('https://tradiecore.hipages.com.au/api/notifications', '[{"id":2}]'));
+    assert.strictEqual(notifications.length, 2);
+
+    // Restarting on a new page replaces the listener
+    detector.startNetworkCapture();
+    assert.strictEqual(page.listenerCount(), 1);
+
+    console.log('Test completed successfully');
+  } finally {
+    detector.isRunning = false;
+    clearTimeout(detector.pollTimer);
+  }
+}
+
+// Run the test
+if (require.main === module) {
+  runTest().catch(error => {
+    console.error('Test failed:', error);
+    process.exit(1);
+  });
+}
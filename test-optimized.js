@@ -5,58 +5,37 @@
  * to verify that it correctly handles change detection and deduplication.
  */
 
-const { LeadDetector } = require('./lead-detector');
+const { LeadDetector, loadConfig } = require('./lead-detector');
 
-// Test configuration
-const TEST_CONFIG = {
-  // Authentication
-  credentials: {
-    email: 'info@alldirectplumbing.com.au',
-    password: 'y6729WhV'
-  },
-  
-  // URLs
-  urls: {
-    leads: 'https://tradiecore.hipages.com.au/leads',
-    leadsData: 'https://tradiecore.hipages.com.au/leads.data?_routes=routes%2F_app%2Fleads%2F_leads'
-  },
-  
-  // Webhook - Using a test webhook service for validation
-  webhook: {
-    url: 'https://n8n.fy.studio/webhook/bbf85d2c-bc64-4693-a970-8a856cd8320a',
-    headers: {
-      'Content-Type': 'application/json',
-      'X-Test-Mode': 'true'
+// Test configuration: defaults, config file and .env, with shorter intervals.
+// Credentials come from HIPAGES_EMAIL and HIPAGES_PASSWORD.
+const { config: TEST_CONFIG } = loadConfig({
+  overrides: {
+    // Webhook - Using a test webhook service for validation
+    webhook: {
+      url: process.env.WEBHOOK_URL || 'https://n8n.fy.studio/webhook/bbf85d2c-bc64-4693-a970-8a856cd8320a',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Test-Mode': 'true'
+      }
+    },
+    
+    // Timing - Shorter intervals for testing
+    timing: {
+      pollingInterval: 3000, // 3 seconds
+      baseBackoffDelay: 1000, // 1 second
+      maxBackoffDelay: 10000, // 10 seconds
+      pageLoadTimeout: 30000, // 30 seconds
+      loginRetryDelay: 10000 // 10 seconds
+    },
+    
+    // Cookie storage
+    cookieStorage: {
+      enabled: true,
+      path: './test-cookies.json'
     }
-  },
-  
-  // Timing - Shorter intervals for testing
-  timing: {
-    pollingInterval: 3000, // 3 seconds
-    baseBackoffDelay: 1000, // 1 second
-    maxBackoffDelay: 10000, // 10 seconds
-    pageLoadTimeout: 30000, // 30 seconds
-    loginRetryDelay: 10000 // 10 seconds
-  },
-  
-  // Cookie storage
-  cookieStorage: {
-    enabled: true,
-    path: './test-cookies.json'
-  },
-  
-  // Change detection
-  changeDetection: {
-    // Fields to ignore when comparing lead data (timestamps, session tokens, etc.)
-    ignoreFields: ['timestamp', 'csrf', 'session', 'time', 'date', 'updated_at', 'created_at'],
-    // Only notify about actual new leads, not just any data change
-    onlyNotifyNewLeads: true,
-    // Minimum number of new leads required to trigger notification
-    minNewLeadsToNotify: 1,
-    // Deduplication window in milliseconds (to prevent duplicate notifications)
-    deduplicationWindow: 5000
   }
-};
+});
 
 /**
  * Run the test
@@ -0,0 +1,225 @@
+/**
+ * Test script for poll response classes and throttling
+ *
+ * This script classifies responses, reads Retry-After and steps the slowdown
+ * factor, then points a detector at a local HTTP server that rate limits,
+ * challenges, fails and stalls, and checks the poll states, retry delays and
+ * recovery.
+ */
+
+const assert = require('assert');
+const http = require('http');
+
+const { ResponseError, PollThrottle, classifyResponse, parseRetryAfter } = require('./poll-throttle');
+const { LeadDetector } = require('./lead-detector');
+const { DEFAULTS, loadConfig, ConfigError } = require('./config');
+
+const CHALLENGE_PAGE = '<!DOCTYPE html><html><head><title>Just a moment...</title></head><body><script src="/cdn-cgi/challenge-platform/h/b/orchestrate/chl_page/v1"></script><script>window._cf_chl_opt={}</script></body></html>';
+
+function testClassification() {
+  const html = { 'content-type': 'text/html; charset=UTF-8' };
+
+  assert.strictEqual(classifyResponse({ statusCode: 200, headers: {}, body: '[]' }), 'ok');
+  assert.strictEqual(classifyResponse({ statusCode: 302, headers: { location: '/leads' } }), 'redirect');
+  assert.strictEqual(classifyResponse({ statusCode: 302, headers: { location: 'https://auth.hipages.com.au/login' } }), 'auth_expired');
+  assert.strictEqual(classifyResponse({ statusCode: 401, headers: {} }), 'auth_expired');
+  assert.strictEqual(classifyResponse({ statusCode: 403, headers: {}, body: 'Forbidden' }), 'auth_expired');
+  assert.strictEqual(classifyResponse({ statusCode: 429, headers: {} }), 'rate_limited');
+  assert.strictEqual(classifyResponse({ statusCode: 503, headers: {} }), 'server_error');
+  assert.strictEqual(classifyResponse({ statusCode: 404, headers: {} }), 'http_error');
+  assert.strictEqual(classifyResponse({ statusCode: 200, headers: {}, body: '' }), 'empty_response');
+  assert.strictEqual(classifyResponse({ statusCode: 204, headers: {} }), 'empty_response');
+
+  // Challenges, by header or page, are not expired sessions
+  assert.strictEqual(classifyResponse({ statusCode: 403, headers: html, body: CHALLENGE_PAGE }), 'challenged');
+  assert.strictEqual(classifyResponse({ statusCode: 403, headers: { 'cf-mitigated': 'challenge' }, body: '' }), 'challenged');
+  assert.strictEqual(classifyResponse({ statusCode: 200, headers: html, body: CHALLENGE_PAGE }), 'challenged');
+  // The page markers only count in HTML
+  assert.strictEqual(classifyResponse({ statusCode: 200, headers: { 'content-type': 'text/x-script' }, body: '"cf-chl-"' }), 'ok');
+
+  const now = Date.parse('2025-04-25T00:30:00Z');
+  assert.strictEqual(parseRetryAfter('120', now), 120000);
+  assert.strictEqual(parseRetryAfter('Fri, 25 Apr 2025 00:30:45 GMT', now), 45000);
+  assert.strictEqual(parseRetryAfter('Fri, 25 Apr 2025 00:29:00 GMT', now), 0);
+  assert.strictEqual(parseRetryAfter('1.5', now), null);
+  assert.strictEqual(parseRetryAfter('soon', now), null);
+  assert.strictEqual(parseRetryAfter(undefined, now), null);
+
+  const error = new ResponseError('challenged', 403);
+  assert.strictEqual(error.message, 'HTTP error: 403 (bot challenge)');
+  assert.strictEqual(error.retryAfter, null);
+}
+
+function testThrottle() {
+  const throttle = new PollThrottle({ slowdownFactor: 2, maxSlowdown: 8, recoverAfter: 3 });
+
+  assert.strictEqual(throttle.recordSuccess(), false);
+  assert.strictEqual(throttle.slowDown(), 2);
+  assert.strictEqual(throttle.slowDown(), 4);
+  assert.strictEqual(throttle.slowDown(), 8);
+  assert.strictEqual(throttle.slowDown(), 8);
+  assert.strictEqual(throttle.apply(1000), 8000);
+
+  // Three successes in a row per step back
+  assert.strictEqual(throttle.recordSuccess(), false);
+  assert.strictEqual(throttle.recordSuccess(), false);
+  assert.strictEqual(throttle.recordSuccess(), true);
+  assert.strictEqual(throttle.factor, 4);
+  throttle.recordSuccess();
+  throttle.slowDown();
+  assert.strictEqual(throttle.factor, 8);
+  assert.strictEqual(throttle.successes, 0);
+}
+
+function startServer(handler) {
+  const server = http.createServer(handler);
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+async function testDetector() {
+  const responses = [];
+  const server = await startServer((req, res) => {
+    const { statusCode, headers = {}, body = '', hang = false } = responses.shift();
+    // Never answers
+    if (hang) return;
+    res.writeHead(statusCode, headers);
+    res.end(body);
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const detector = new LeadDetector({
+    urls: {
+      leads: `${baseUrl}/leads`,
+      leadsData: `${baseUrl}/leads.data`,
+      leadDetail: `${baseUrl}/leads/{id}`
+    },
+    cookieStorage: { enabled: false, path: './test-cookies.json' },
+    changeDetection: { ignoreFields: [], minNewLeadsToNotify: 1, deduplicationWindow: 0 },
+    logging: { level: 'silent' },
+    timing: { pollingInterval: 1000, baseBackoffDelay: 1000, maxBackoffDelay: 30000, requestTimeout: 200 },
+    rateLimit: { retryDelay: 60000, challengeDelay: 300000, maxRetryAfter: 900000, slowdownFactor: 2, maxSlowdown: 8, recoverAfter: 2 }
+  });
+
+  const delays = [];
+  const logs = [];
+  detector.schedulePoll = delay => delays.push(delay);
+  detector.handleRelogin = () => assert.fail('A challenge is not an expired session');
+  detector.logger.log = (level, message, fields) => logs.push({ level, message, fields });
+
+  const poll = async (response) => {
+    responses.push(response);
+    await detector.pollNow();
+    return [detector.pollState, Math.round(delays[delays.length - 1]), detector.pollThrottle.factor];
+  };
+  const leads = { statusCode: 200, headers: { 'content-type': 'text/x-script' }, body: JSON.stringify({ leads: [{ id: 1 }] }) };
+
+  try {
+    detector.isRunning = true;
+
+    assert.deepStrictEqual(await poll(leads), ['ok', 1000, 1]);
+    // Retry-After is honoured
+    assert.deepStrictEqual(await poll({ statusCode: 429, headers: { 'retry-after': '120' } }), ['rate_limited', 120000, 2]);
+    // Without it the wait doubles for each failure in a row
+    assert.deepStrictEqual(await poll({ statusCode: 429 }), ['rate_limited', 120000, 4]);
+    // 300000 * 4, capped at maxRetryAfter
+    assert.deepStrictEqual(await poll({ statusCode: 403, headers: { 'content-type': 'text/html' }, body: CHALLENGE_PAGE }), ['challenged', 900000, 8]);
+    assert.deepStrictEqual(await poll({ statusCode: 503, headers: { 'retry-after': '30' } }), ['server_error', 30000, 8]);
+    assert.strictEqual(detector.lastPollError, 'HTTP error: 503');
+
+    // Recovery: back to the polling interval in steps
+    assert.deepStrictEqual(await poll(leads), ['ok', 8000, 8]);
+    assert.deepStrictEqual(await poll(leads), ['ok', 4000, 4]);
+    assert.strictEqual(detector.retryCount, 0);
+    assert.strictEqual(detector.getPollingInterval(), 4000);
+
+    // Each class is its own state in the logs
+    assert.deepStrictEqual(logs
+      .filter(entry => entry.message === 'Poll state changed')
+      .map(entry => [entry.level, entry.fields.from, entry.fields.to]), [
+      ['warn', 'ok', 'rate_limited'],
+      ['warn', 'rate_limited', 'challenged'],
+      ['warn', 'challenged', 'server_error'],
+      ['info', 'server_error', 'ok']
+    ]);
+    const rateLimited = logs.find(entry => entry.message === 'Rate limited by Tradiecore, slowing down');
+    assert.deepStrictEqual(rateLimited.fields, { state: 'rate_limited', statusCode: 429, retryAfterMs: 120000, retryInMs: 120000, slowdown: 2 });
+    assert.ok(logs.some(entry => entry.message === 'Polling speeding up again' && entry.fields.slowdown === 4));
+
+    const metrics = detector.metrics.registry.render();
+    assert.ok(metrics.includes('lead_detector_poll_failures_total{cause="rate_limited"} 2\n'));
+    assert.ok(metrics.includes('lead_detector_poll_failures_total{cause="challenged"} 1\n'));
+    assert.ok(metrics.includes('lead_detector_poll_failures_total{cause="server_error"} 1\n'));
+    assert.ok(metrics.includes('lead_detector_poll_slowdown_factor 4\n'));
+
+    // A server that never answers times out, and polling carries on
+    await poll({ hang: true });
+    assert.strictEqual(detector.pollInProgress, false);
+    assert.strictEqual(detector.lastPollError, 'Request timed out after 200ms');
+    assert.ok(detector.metrics.registry.render().includes('lead_detector_poll_failures_total{cause="timeout"} 1\n'));
+    assert.deepStrictEqual(await poll(leads), ['ok', 4000, 4]);
+
+    // An empty body is retried, not taken for an expired session
+    assert.strictEqual((await poll({ statusCode: 200, headers: { 'content-type': 'text/x-script' } }))[0], 'empty_response');
+    assert.strictEqual(detector.lastPollError, 'Empty response body (HTTP 200)');
+    assert.ok(detector.metrics.registry.render().includes('lead_detector_poll_failures_total{cause="empty_response"} 1\n'));
+    assert.ok(!detector.metrics.registry.render().includes('cause="auth_expired"'));
+    // and does not slow polling down
+    assert.deepStrictEqual(await poll(leads), ['ok', 2000, 2]);
+
+    // Without rateLimit settings the defaults apply
+    const defaults = new LeadDetector({ ...detector.config, rateLimit: undefined });
+    defaults.schedulePoll = delay => delays.push(delay);
+    defaults.isRunning = true;
+    responses.push({ statusCode: 429 });
+    await defaults.pollNow();
+    defaults.isRunning = false;
+    assert.strictEqual(defaults.pollState, 'rate_limited');
+    assert.strictEqual(delays[delays.length - 1], DEFAULTS.rateLimit.retryDelay);
+    assert.strictEqual(defaults.pollThrottle.factor, DEFAULTS.rateLimit.slowdownFactor);
+  } finally {
+    detector.isRunning = false;
+    server.close();
+  }
+}
+
+function testConfig() {
+  const env = {
+    HIPAGES_EMAIL: 'tradie@example.com',
+    HIPAGES_PASSWORD: 'correct-horse-battery',
+    WEBHOOK_URL: 'https://hooks.example.com/leads'
+  };
+
+  const { config } = loadConfig({ env, cwd: __dirname });
+  assert.strictEqual(config.rateLimit.retryDelay, 60000);
+  assert.strictEqual(config.rateLimit.maxSlowdown, 8);
+
+  try {
+    loadConfig({ env, cwd: __dirname, overrides: { rateLimit: { maxSlowdown: 0 } } });
+    assert.fail('Expected a ConfigError');
+  } catch (error) {
+    assert.ok(error instanceof ConfigError, error.message);
+    assert.deepStrictEqual(error.errors, ['rateLimit.maxSlowdown must be at least 1 (got 0)']);
+  }
+}
+
+/**
+ * Run the test
+ */
+async function runTest() {
+  console.log('Starting test of poll throttling...');
+
+  testClassification();
+  testThrottle();
+  await testDetector();
+  testConfig();
+
+  console.log('Test completed successfully');
+}
+
+// Run the test
+if (require.main === module) {
+  runTest().catch(error => {
+    console.error('Test failed:', error);
+    process.exit(1);
+  });
+}
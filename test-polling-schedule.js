@@ -0,0 +1,252 @@
+/**
+ * Test script for the polling schedule
+ *
+ * This script checks which window, quiet hours and holiday apply through a
+ * week in Sydney, the delay before the next poll around window changes and
+ * the holidays file, then holds a detector's notifications through quiet
+ * hours and checks the batch sent when they end.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { PollingSchedule, parseHolidays } = require('./polling-schedule');
+const { LeadDetector } = require('./lead-detector');
+const { loadConfig, ConfigError } = require('./config');
+
+const WINDOWS = [
+  { name: 'business', days: ['mon', 'tue', 'wed', 'thu', 'fri'], from: '07:00', to: '19:00', pollingInterval: 1000 },
+  { name: 'holiday', days: ['holiday'], from: '09:00', to: '17:00', pollingInterval: 10000 },
+  { name: 'evening', from: '19:00', to: '22:00', pollingInterval: 5000 }
+];
+const QUIET_HOURS = [{ from: '22:00', to: '06:00' }];
+
+// Sydney is UTC+10 in late April
+const sydney = (day, time) => new Date(`2025-04-${day}T${time}+10:00`);
+
+function createSchedule(holidaysFile = null) {
+  return new PollingSchedule({
+    timeZone: 'Australia/Sydney',
+    windows: WINDOWS,
+    quietHours: QUIET_HOURS,
+    holidaysFile,
+    defaultInterval: 60000
+  }).load();
+}
+
+function testHolidays(tempDir) {
+  assert.deepStrictEqual([...parseHolidays('["2025-04-25", { "date": "2025-12-25", "name": "Christmas Day" }]')], [
+    ['2025-04-25', null],
+    ['2025-12-25', 'Christmas Day']
+  ]);
+  assert.deepStrictEqual([...parseHolidays('# NSW\n2025-04-25 Anzac Day\n\n2025-12-26  Boxing Day # observed\n')], [
+    ['2025-04-25', 'Anzac Day'],
+    ['2025-12-26', 'Boxing Day']
+  ]);
+  assert.throws(() => parseHolidays('2025-04-25\n25/12/2025 Christmas Day\n'), /Line 2: "25\/12\/2025" is not a date/);
+
+  const missing = new PollingSchedule({ holidaysFile: path.join(tempDir, 'missing.txt') });
+  assert.throws(() => missing.load(), /Cannot read holidays file/);
+}
+
+function testPeriods(holidaysFile) {
+  const schedule = createSchedule();
+  const period = (day, time) => {
+    const { window, quiet, pollingInterval } = schedule.getPeriod(sydney(day, time));
+    return [window && window.name, quiet, pollingInterval];
+  };
+
+  // Thursday 24 April
+  assert.deepStrictEqual(period(24, '03:00:00'), [null, true, 60000]);
+  assert.deepStrictEqual(period(24, '06:30:00'), [null, false, 60000]);
+  assert.deepStrictEqual(period(24, '10:30:00'), ['business', false, 1000]);
+  assert.deepStrictEqual(period(24, '19:00:00'), ['evening', false, 5000]);
+  assert.deepStrictEqual(period(24, '23:15:00'), [null, true, 60000]);
+  // Saturday 26 April
+  assert.deepStrictEqual(period(26, '10:30:00'), [null, false, 60000]);
+
+  // Friday 25 April is Anzac Day
+  const withHolidays = createSchedule(holidaysFile);
+  const anzacDay = withHolidays.getPeriod(sydney(25, '10:30:00'));
+  assert.strictEqual(anzacDay.window.name, 'holiday');
+  assert.strictEqual(anzacDay.holiday, 'Anzac Day');
+  assert.strictEqual(withHolidays.getPeriod(sydney(25, '19:30:00')).window.name, 'evening');
+  assert.strictEqual(withHolidays.getPeriod(sydney(24, '10:30:00')).holiday, null);
+}
+
+function testOvernightDays(holidaysFile) {
+  const schedule = new PollingSchedule({
+    timeZone: 'Australia/Sydney',
+    windows: [{ name: 'late', days: ['fri'], from: '20:00', to: '02:00', pollingInterval: 2000 }],
+    quietHours: [{ days: ['fri'], from: '22:00', to: '06:00' }],
+    defaultInterval: 60000
+  }).load();
+  const quiet = (day, time) => schedule.isQuiet(sydney(day, time));
+  const windowName = (day, time) => (schedule.getPeriod(sydney(day, time)).window || {}).name;
+
+  // Friday night runs into Saturday morning
+  assert.strictEqual(quiet(25, '23:00:00'), true);
+  assert.strictEqual(quiet(26, '03:00:00'), true);
+  assert.strictEqual(windowName(26, '01:00:00'), 'late');
+  // Early Friday is the end of Thursday night
+  assert.strictEqual(quiet(25, '03:00:00'), false);
+  assert.strictEqual(windowName(25, '01:00:00'), undefined);
+
+  // Weeknights: Sunday night is not quiet, Friday night is
+  const weeknights = new PollingSchedule({
+    timeZone: 'Australia/Sydney',
+    quietHours: [{ days: ['mon', 'tue', 'wed', 'thu', 'fri'], from: '22:00', to: '06:00' }],
+    defaultInterval: 60000
+  }).load();
+  assert.strictEqual(weeknights.isQuiet(sydney(28, '03:00:00')), false);
+  assert.strictEqual(weeknights.isQuiet(sydney(28, '23:00:00')), true);
+  assert.strictEqual(weeknights.isQuiet(sydney(26, '03:00:00')), true);
+
+  // After a holiday night, the entries for holidays apply until morning
+  const holidayNight = new PollingSchedule({
+    timeZone: 'Australia/Sydney',
+    quietHours: [{ days: ['holiday'], from: '22:00', to: '06:00' }],
+    holidaysFile,
+    defaultInterval: 60000
+  }).load();
+  assert.strictEqual(holidayNight.isQuiet(sydney(26, '03:00:00')), true);
+  assert.strictEqual(holidayNight.isQuiet(sydney(25, '03:00:00')), false);
+}
+
+function testPollingDelay() {
+  const schedule = createSchedule();
+
+  assert.strictEqual(schedule.getPollingDelay(sydney(24, '10:30:00')), 1000);
+  // A minute polling interval stops at the start of the business window
+  assert.strictEqual(schedule.getPollingDelay(sydney(24, '06:59:30')), 30000);
+  // And at the end of quiet hours
+  assert.strictEqual(schedule.getPollingDelay(sydney(24, '05:59:45')), 15000);
+  assert.strictEqual(schedule.getPollingDelay(sydney(24, '04:00:00')), 60000);
+  assert.strictEqual(schedule.isQuiet(sydney(24, '04:00:00')), true);
+}
+
+async function testQuietHours(dataDir) {
+  const detector = new LeadDetector({
+    urls: {
+      leads: 'https://tradiecore.hipages.com.au/leads',
+      leadsData: 'https://tradiecore.hipages.com.au/leads.data',
+      leadDetail: 'https://tradiecore.hipages.com.au/leads/{id}'
+    },
+    cookieStorage: { enabled: false, path: './test-cookies.json' },
+    leadStore: { enabled: true, dataDir },
+    changeDetection: { ignoreFields: [], minNewLeadsToNotify: 1, deduplicationWindow: 0 },
+    lifecycle: { enabled: true, statusField: 'status', transitions: {} },
+    logging: { level: 'silent' },
+    // Quiet all day, so the test passes at any time
+    schedule: { enabled: true, timeZone: 'Australia/Sydney', windows: [], quietHours: [{ from: '00:00', to: '24:00' }] },
+    timing: { pollingInterval: 600000, baseBackoffDelay: 600000, maxBackoffDelay: 600000 }
+  });
+
+  detector.leadStore.load();
+
+  const leadsBody = ids => JSON.stringify({ leads: ids.map(id => ({ id, status: 'NEW', jobType: 'Plumbing', suburb: 'Manly' })) });
+  const polls = [leadsBody([101, 102]), leadsBody([102, 103]), leadsBody([102, 103, 104]), leadsBody([102, 103, 104])];
+  const sent = [];
+  detector.fetchLeadsData = async () => polls.shift();
+  detector.sendWebhookNotification = async (payload) => {
+    sent.push(payload);
+    return true;
+  };
+
+  try {
+    detector.isRunning = true;
+
+    // Baseline, then a new lead and a removed one, then another new lead
+    await detector.pollNow();
+    await detector.pollNow();
+    await detector.pollNow();
+    assert.deepStrictEqual(sent, []);
+    assert.deepStrictEqual([...detector.heldLeads.keys()], ['103', '104']);
+    assert.strictEqual(detector.leadStore.isNotified('103'), false);
+    assert.ok(detector.metrics.registry.render().includes('lead_detector_held_leads 2\n'));
+
+    // Quiet hours end
+    detector.schedule.quietHours = [];
+    await detector.pollNow();
+    assert.deepStrictEqual(sent.map(payload => [payload.event, payload.method, payload.leads.map(lead => lead.id)]), [
+      ['new_leads_detected', 'quiet_hours', [103, 104]],
+      ['lead_removed', 'quiet_hours', [101]]
+    ]);
+    assert.strictEqual(detector.heldLeads.size, 0);
+    assert.strictEqual(detector.leadStore.isNotified('104'), true);
+    assert.ok(detector.metrics.registry.render().includes('lead_detector_polling_interval_seconds 600\n'));
+  } finally {
+    detector.isRunning = false;
+    clearTimeout(detector.pollTimer);
+  }
+}
+
+function testConfig(holidaysFile) {
+  const env = {
+    HIPAGES_EMAIL: 'tradie@example.com',
+    HIPAGES_PASSWORD: 'correct-horse-battery',
+    WEBHOOK_URL: 'https://hooks.example.com/leads'
+  };
+
+  const { config } = loadConfig({ env: { ...env, HOLIDAYS_FILE: holidaysFile }, cwd: __dirname, overrides: { schedule: { enabled: true, windows: WINDOWS, quietHours: QUIET_HOURS } } });
+  assert.strictEqual(config.schedule.holidaysFile, holidaysFile);
+  assert.strictEqual(config.schedule.timeZone, 'Australia/Sydney');
+
+  try {
+    loadConfig({
+      env,
+      cwd: __dirname,
+      overrides: {
+        schedule: {
+          timeZone: 'Sydney',
+          windows: [{ days: ['weekdays'], from: '7:00', to: '19:00' }],
+          quietHours: [{ from: '22:00', to: '25:00' }]
+        }
+      }
+    });
+    assert.fail('Expected a ConfigError');
+  } catch (error) {
+    assert.ok(error instanceof ConfigError, error.message);
+    assert.deepStrictEqual(error.errors.sort(), [
+      'schedule.quietHours[0].to must be a time of day such as "07:30"',
+      'schedule.timeZone must be an IANA time zone such as "Australia/Sydney"',
+      'schedule.windows[0].days[0] must be one of mon, tue, wed, thu, fri, sat, sun, holiday (got "weekdays")',
+      'schedule.windows[0].from must be a time of day such as "07:30"',
+      'schedule.windows[0].pollingInterval is required'
+    ]);
+  }
+}
+
+/**
+ * Run the test
+ */
+async function runTest() {
+  console.log('Starting test of the polling schedule...');
+
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'polling-schedule-'));
+  const holidaysFile = path.join(tempDir, 'holidays.txt');
+  fs.writeFileSync(holidaysFile, '2025-04-25 Anzac Day\n2025-12-25 Christmas Day\n');
+
+  try {
+    testHolidays(tempDir);
+    testPeriods(holidaysFile);
+    testOvernightDays(holidaysFile);
+    testPollingDelay();
+    await testQuietHours(path.join(tempDir, 'data'));
+    testConfig(holidaysFile);
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+
+  console.log('Test completed successfully');
+}
+
+// Run the test
+if (require.main === module) {
+  runTest().catch(error => {
+    console.error('Test failed:', error);
+    process.exit(1);
+  });
+}
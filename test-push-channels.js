@@ -0,0 +1,243 @@
+/**
+ * Test script for realtime push channels
+ *
+ * This script decodes and classifies sample WebSocket and SSE messages, then
+ * emits CDP Network events through a stubbed page to check the recorder's
+ * channel summaries, the detector events they turn into, and the
+ * discover-channels command.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EventEmitter } = require('events');
+
+const { LeadDetector } = require('./lead-detector');
+const { PushChannelRecorder, parseMessage, classifyMessage } = require('./push-channels');
+const { runCommand } = require('./cli');
+
+const SOCKET_URL = 'wss://realtime.hipages.com.au/socket.io/?EIO=4&transport=websocket';
+const SSE_URL = 'https://tradiecore.hipages.com.au/notifications/stream';
+
+function createPage(onGoto = () => {}) {
+  const session = new EventEmitter();
+  session.sent = [];
+  session.detached = false;
+  session.send = async (method) => { session.sent.push(method); };
+  session.detach = async () => { session.detached = true; };
+
+  return {
+    session,
+    createCDPSession: async () => session,
+    goto: async () => onGoto(session)
+  };
+}
+
+function openChannels(session) {
+  session.emit('Network.webSocketCreated', { requestId: 'ws-1', url: SOCKET_URL });
+  session.emit('Network.requestWillBeSent', { requestId: 'sse-1', type: 'EventSource', request: { url: SSE_URL } });
+  session.emit('Network.requestWillBeSent', { requestId: 'xhr-1', type: 'XHR', request: { url: 'https://tradiecore.hipages.com.au/api/me' } });
+}
+
+function frame(session, requestId, payloadData, opcode = 1) {
+  session.emit('Network.webSocketFrameReceived', { requestId, timestamp: 1, response: { opcode, mask: false, payloadData } });
+}
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 20));
+
+function testClassification() {
+  // socket.io event with a lead
+  let payload = parseMessage('42["lead:new",{"lead":{"id":48219999,"jobType":"Roofing"}}]');
+  let message = classifyMessage(payload);
+  assert.strictEqual(message.kind, 'lead');
+  assert.strictEqual(message.eventName, 'lead:new');
+  assert.deepStrictEqual(message.leads, [{ id: 48219999, jobType: 'Roofing' }]);
+
+  // Pusher sends data as a JSON string
+  payload = parseMessage(JSON.stringify({ event: 'jobs.created', channel: 'private-tradie', data: JSON.stringify({ jobs: [{ id: 1 }, { id: 2 }] }) }));
+  message = classifyMessage(payload);
+  assert.strictEqual(message.kind, 'lead');
+  assert.deepStrictEqual(message.leads.map(lead => lead.id), [1, 2]);
+
+  // Notifications without lead data
+  message = classifyMessage(parseMessage('{"type":"NOTIFICATION_CREATED","data":{"unread":3}}'));
+  assert.strictEqual(message.kind, 'notification');
+  message = classifyMessage(parseMessage('{"unread":3}'), 'new-lead');
+  assert.strictEqual(message.kind, 'notification');
+
+  // Anything else
+  assert.strictEqual(classifyMessage(parseMessage('{"type":"ping"}')).kind, null);
+  assert.strictEqual(classifyMessage(parseMessage('3')).kind, null);
+  assert.strictEqual(classifyMessage(parseMessage('pong')).kind, null);
+  assert.strictEqual(classifyMessage(parseMessage('{"jobs":[{"id":1}]}'), null, ['appointment']).kind, 'lead');
+}
+
+async function testRecorder() {
+  const page = createPage();
+  const messages = [];
+  const logger = { info: () => {}, error: () => {} };
+  const recorder = new PushChannelRecorder({ urlPatterns: ['socket.io'], sampleLimit: 2, logger, onMessage: message => messages.push(message) });
+
+  await recorder.start(page);
+  assert.deepStrictEqual(page.session.sent, ['Network.enable']);
+
+  openChannels(page.session);
+  frame(page.session, 'ws-1', '2');
+  frame(page.session, 'ws-1', '42["lead:new",{"lead":{"id":7,"email":"customer@example.com"}}]');
+  frame(page.session, 'ws-1', 'AAEC', 2);
+  frame(page.session, 'ws-1', '42["presence",{"online":4}]');
+  page.session.emit('Network.eventSourceMessageReceived', { requestId: 'sse-1', eventName: 'notification', eventId: '1', data: '{"unread":1}' });
+  page.session.emit('Network.webSocketClosed', { requestId: 'ws-1' });
+  await flush();
+
+  // Only the socket.io channel is reported
+  assert.deepStrictEqual(messages.map(message => message.kind), [null, 'lead', null]);
+  assert.strictEqual(messages[1].channelType, 'websocket');
+  assert.strictEqual(messages[1].url, SOCKET_URL);
+
+  const [socket, sse] = recorder.getChannels();
+  assert.strictEqual(recorder.getChannels().length, 2);
+  assert.strictEqual(socket.type, 'websocket');
+  assert.strictEqual(socket.messages, 4);
+  assert.strictEqual(socket.binaryMessages, 1);
+  assert.deepStrictEqual(socket.kinds, { other: 2, lead: 1 });
+  assert.deepStrictEqual(socket.eventNames, { 'lead:new': 1, presence: 1 });
+  assert.ok(socket.closedAt);
+  assert.strictEqual(socket.samples.length, 2);
+  assert.ok(!socket.samples[1].data.includes('customer@example.com'));
+  assert.strictEqual(sse.type, 'eventsource');
+  assert.strictEqual(sse.url, SSE_URL);
+  assert.deepStrictEqual(sse.eventNames, { notification: 1 });
+  assert.strictEqual(sse.samples[0].kind, 'notification');
+
+  await recorder.stop();
+  assert.strictEqual(page.session.detached, true);
+}
+
+async function testDetectorEvents() {
+  const detector = new LeadDetector({
+    urls: {
+      leads: 'https://tradiecore.hipages.com.au/leads',
+      leadsData: 'https://tradiecore.hipages.com.au/leads.data?_routes=routes%2F_app%2Fleads%2F_leads',
+      leadDetail: 'https://tradiecore.hipages.com.au/leads/{id}'
+    },
+    webhook: { url: 'http://127.0.0.1:1/hook' },
+    cookieStorage: { enabled: false, path: './test-cookies.json' },
+    changeDetection: { minNewLeadsToNotify: 1, deduplicationWindow: 5000 },
+    pushChannels: { enabled: true, urlPatterns: [], notificationPatterns: ['lead', 'notification'], pollOnNotification: true },
+    logging: { level: 'silent' },
+    // Long interval so only forced polls run
+    timing: { pollingInterval: 600000, baseBackoffDelay: 600000, maxBackoffDelay: 600000 }
+  });
+
+  const page = createPage();
+  const notifications = [];
+  let fetches = 0;
+  const fixture = fs.readFileSync(path.join(__dirname, 'fixtures', 'leads-data-initial.txt'), 'utf8');
+  detector.page = page;
+  detector.fetchLeadsData = async () => {
+    fetches++;
+    return fixture;
+  };
+  detector.deliverWebhook = async (payload) => {
+    notifications.push(payload);
+    return 204;
+  };
+
+  try {
+    detector.isRunning = true;
+    await detector.startPushChannels();
+    openChannels(page.session);
+    await detector.pollNow();
+    assert.strictEqual(fetches, 1);
+
+    // A frame with a lead is reported straight away
+    frame(page.session, 'ws-1', '42["lead:new",{"lead":{"id":48219999,"jobType":"Roofing","suburb":"Manly"}}]');
+    await flush();
+    assert.strictEqual(notifications.length, 1);
+    assert.strictEqual(notifications[0].method, 'push_message');
+    assert.deepStrictEqual(notifications[0].leads.map(lead => lead.id), [48219999]);
+
+    // The same lead again is not
+    frame(page.session, 'ws-1', '42["lead:new",{"lead":{"id":48219999,"jobType":"Roofing","suburb":"Manly"}}]');
+    await flush();
+    assert.strictEqual(notifications.length, 1);
+
+    // A notification without lead data triggers a poll
+    page.session.emit('Network.eventSourceMessageReceived', { requestId: 'sse-1', eventName: 'notification', eventId: '2', data: '{"unread":2}' });
+    await flush();
+    assert.strictEqual(fetches, 2);
+
+    const metrics = detector.metrics.registry.render();
+    assert.ok(metrics.includes('lead_detector_push_messages_total{channel_type="websocket",kind="lead"} 2\n'));
+    assert.ok(metrics.includes('lead_detector_push_messages_total{channel_type="eventsource",kind="notification"} 1\n'));
+    assert.ok(metrics.includes('lead_detector_leads_detected_total{method="push_message"} 1\n'));
+  } finally {
+    detector.isRunning = false;
+    clearTimeout(detector.pollTimer);
+  }
+}
+
+async function testDiscoverCommand() {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lead-detector-push-'));
+  const detector = new LeadDetector({
+    urls: { leads: 'https://tradiecore.hipages.com.au/leads' },
+    cookieStorage: { enabled: false, path: path.join(dataDir, 'cookies.json') },
+    leadStore: { enabled: false, dataDir },
+    timing: { pageLoadTimeout: 1000 },
+    logging: { level: 'silent' }
+  });
+  const chunks = [];
+  let cleanedUp = false;
+
+  // The page opens its channels and receives a frame while loading
+  detector.launchBrowser = async () => {
+    detector.page = createPage(session => {
+      openChannels(session);
+      frame(session, 'ws-1', '42["lead:new",{"lead":{"id":1}}]');
+    });
+  };
+  detector.restoreSession = async () => true;
+  detector.cleanup = async () => { cleanedUp = true; };
+
+  try {
+    const exitCode = await runCommand('discover-channels', { detector, args: ['0'], stdout: { write: chunk => chunks.push(chunk) } });
+    assert.strictEqual(exitCode, 0);
+    assert.strictEqual(cleanedUp, true);
+
+    const [fileName] = fs.readdirSync(dataDir);
+    assert.ok(/^push-channels-.*\.json$/.test(fileName));
+    assert.strictEqual(chunks.join(''), `Recorded 2 channel(s) and 1 message(s) to ${path.join(dataDir, fileName)}\n`);
+
+    const saved = JSON.parse(fs.readFileSync(path.join(dataDir, fileName), 'utf8'));
+    assert.deepStrictEqual(saved.channels.map(channel => channel.url), [SOCKET_URL, SSE_URL]);
+    assert.strictEqual(saved.channels[0].samples[0].kind, 'lead');
+
+    assert.strictEqual(await runCommand('discover-channels', { detector, args: ['soon'], stdout: { write: () => {} } }), 1);
+  } finally {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Run the test
+ */
+async function runTest() {
+  console.log('Starting test of push channels...');
+
+  testClassification();
+  await testRecorder();
+  await testDetectorEvents();
+  await testDiscoverCommand();
+
+  console.log('Test completed successfully');
+}
+
+// Run the test
+if (require.main === module) {
+  runTest().catch(error => {
+    console.error('Test failed:', error);
+    process.exit(1);
+  });
+}
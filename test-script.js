@@ -5,45 +5,33 @@
  * It verifies that the detector can log in using the OAuth flow, set up detection methods, and handle webhook notifications.
  */
 
-const { LeadDetector } = require('./lead-detector');
+const { LeadDetector, loadConfig } = require('./lead-detector');
 
-// Configuration for testing
-const TEST_CONFIG = {
-  // Authentication
-  credentials: {
-    email: 'info@alldirectplumbing.com.au',
-    password: 'y6729WhV'
-  },
-  
-  // URLs
-  urls: {
-    leads: 'https://tradiecore.hipages.com.au/leads',
-    leadsData: 'https://tradiecore.hipages.com.au/leads.data?_routes=routes%2F_app%2Fleads%2F_leads'
-  },
-  
-  // Webhook - Using a test webhook service for validation
-  webhook: {
-    url: 'https://n8n.fy.studio/webhook/bbf85d2c-bc64-4693-a970-8a856cd8320a',
-    headers: {
-      'Content-Type': 'application/json'
+// Configuration for testing: defaults, config file and .env, with shorter intervals.
+// Credentials come from HIPAGES_EMAIL and HIPAGES_PASSWORD.
+const { config: TEST_CONFIG } = loadConfig({
+  overrides: {
+    // Webhook - Using a test webhook service for validation
+    webhook: {
+      url: process.env.WEBHOOK_URL || 'https://n8n.fy.studio/webhook/bbf85d2c-bc64-4693-a970-8a856cd8320a'
+    },
+    
+    // Timing - Shorter intervals for testing
+    timing: {
+      pollingInterval: 2000, // 2 seconds
+      baseBackoffDelay: 1000, // 1 second
+      maxBackoffDelay: 10000, // 10 seconds
+      pageLoadTimeout: 30000, // 30 seconds
+      loginRetryDelay: 10000 // 10 seconds
+    },
+    
+    // Cookie storage
+    cookieStorage: {
+      enabled: true,
+      path: './test-cookies-oauth.json'
     }
-  },
-  
-  // Timing - Shorter intervals for testing
-  timing: {
-    pollingInterval: 2000, // 2 seconds
-    baseBackoffDelay: 1000, // 1 second
-    maxBackoffDelay: 10000, // 10 seconds
-    pageLoadTimeout: 30000, // 30 seconds
-    loginRetryDelay: 10000 // 10 seconds
-  },
-  
-  // Cookie storage
-  cookieStorage: {
-    enabled: true,
-    path: './test-cookies-oauth.json'
   }
-};
+});
 
 /**
  * Run the test
@@ -0,0 +1,175 @@
+/**
+ * Test script for proactive session renewal
+ *
+ * This script gives a detector session cookies that are about to expire and
+ * checks that it logs in again in the background: in a new incognito context
+ * while the browser is open, or in a temporary browser with
+ * browser.closeAfterLogin. Logins are stubbed.
+ */
+
+const assert = require('assert');
+
+const { LeadDetector } = require('./lead-detector');
+
+const HOUR = 3600 * 1000;
+
+function sessionCookie(value, expiresInMs) {
+  return { name: 'hip_session', value, domain: '.hipages.com.au', path: '/', expires: (Date.now() + expiresInMs) / 1000 };
+}
+
+function createDetector(overrides = {}) {
+  return new LeadDetector({
+    urls: { leads: 'https://tradiecore.hipages.com.au/leads' },
+    cookieStorage: { enabled: false, path: './test-cookies.json' },
+    sessionRenewal: { enabled: true, renewBefore: 60000, authCookiePatterns: ['session'] },
+    logging: { level: 'silent' },
+    timing: { loginRetryDelay: 50 },
+    ...overrides
+  });
+}
+
+async function waitFor(condition) {
+  for (let i = 0; i < 100 && !condition(); i++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  assert.ok(condition());
+}
+
+async function testRenewalInNewContext() {
+  const detector = createDetector();
+  const contexts = [];
+  const pageCookies = [];
+  let loginResult = true;
+  let logins = 0;
+
+  detector.page = { setCookie: async (...cookies) => pageCookies.push(...cookies) };
+  detector.browser = {
+    createBrowserContext: async () => {
+      const context = { closed: false, newPage: async () => ({ context }), close: async () => { context.closed = true; } };
+      contexts.push(context);
+      return context;
+    },
+    close: async () => {}
+  };
+  detector.loginWithOAuth = async (page) => {
+    logins++;
+    assert.notStrictEqual(page, detector.page);
+    if (loginResult) detector.setSessionCookies([sessionCookie('renewed', HOUR)]);
+    return loginResult;
+  };
+
+  try {
+    detector.isRunning = true;
+
+    // Only the auth cookie counts; the analytics cookie expires sooner
+    const expiresAt = Date.now() + 30000;
+    detector.setSessionCookies([
+      { name: '_gat', value: '1', domain: '.hipages.com.au', path: '/', expires: (Date.now() + 5000) / 1000 },
+      { ...sessionCookie('old', 0), expires: expiresAt / 1000 }
+    ]);
+    assert.ok(Math.abs(detector.getSessionExpiry() - expiresAt) <= 1);
+
+    // Already within renewBefore, so the renewal runs straight away
+    await waitFor(() => logins === 1 && !detector.renewalPromise);
+    assert.deepStrictEqual(detector.cookies.map(cookie => cookie.value), ['renewed']);
+    assert.deepStrictEqual(pageCookies.map(cookie => cookie.value), ['renewed']);
+    assert.strictEqual(contexts.length, 1);
+    assert.strictEqual(contexts[0].closed, true);
+
+    // The next renewal follows the new expiry
+    assert.ok(Math.abs(detector.nextRenewalAt - (detector.getSessionExpiry() - 60000)) <= 1);
+
+    const metrics = detector.metrics.registry.render();
+    assert.ok(metrics.includes('lead_detector_login_attempts_total{type="renewal",outcome="success"} 1\n'));
+    assert.ok(metrics.includes(`lead_detector_session_expiry_timestamp_seconds ${detector.getSessionExpiry() / 1000}\n`));
+
+    // A failed renewal is retried after loginRetryDelay, not in a loop
+    loginResult = false;
+    detector.setSessionCookies([sessionCookie('old', 30000)]);
+    await waitFor(() => logins === 2 && !detector.renewalPromise);
+    assert.ok(detector.nextRenewalAt >= detector.lastRenewalAttemptAt + 50);
+    assert.deepStrictEqual(detector.cookies.map(cookie => cookie.value), ['old']);
+    await waitFor(() => logins === 3);
+    assert.ok(detector.metrics.registry.render().includes('lead_detector_login_attempts_total{type="renewal",outcome="failure"} 2\n'));
+
+    // A re-login during a successful renewal uses the renewed session
+    await waitFor(() => !detector.renewalPromise);
+    loginResult = true;
+    let relogins = 0;
+    detector.performRelogin = async () => { relogins++; return true; };
+    const renewal = detector.renewSession();
+    assert.strictEqual(await detector.handleRelogin(), true);
+    assert.strictEqual(await renewal, true);
+    assert.strictEqual(relogins, 0);
+
+    // Stopping cancels the timer
+    await detector.stop();
+    assert.strictEqual(detector.renewalTimer, null);
+  } finally {
+    detector.isRunning = false;
+    clearTimeout(detector.renewalTimer);
+  }
+}
+
+async function testBrowserlessRenewal() {
+  const detector = createDetector({ browser: { closeAfterLogin: true } });
+  const events = [];
+
+  detector.launchBrowser = async () => { events.push('launch'); };
+  detector.loginWithOAuth = async () => {
+    events.push('login');
+    detector.setSessionCookies([sessionCookie('renewed', HOUR)]);
+    return true;
+  };
+  detector.cleanup = async () => { events.push('close'); };
+
+  try {
+    detector.isRunning = true;
+    detector.setSessionCookies([sessionCookie('old', 30000)]);
+    await waitFor(() => events.length === 3 && !detector.renewalPromise);
+    assert.deepStrictEqual(events, ['launch', 'login', 'close']);
+    assert.deepStrictEqual(detector.cookies.map(cookie => cookie.value), ['renewed']);
+  } finally {
+    detector.isRunning = false;
+    clearTimeout(detector.renewalTimer);
+  }
+}
+
+function testNotScheduled() {
+  // Session cookies without an expiry, renewal turned off, or not running
+  const detector = createDetector();
+  detector.isRunning = true;
+  detector.setSessionCookies([{ name: 'hip_session', value: 'a', domain: '.hipages.com.au', path: '/', expires: -1 }]);
+  assert.strictEqual(detector.getSessionExpiry(), null);
+  assert.strictEqual(detector.renewalTimer, null);
+
+  const disabled = createDetector({ sessionRenewal: { enabled: false, renewBefore: 60000, authCookiePatterns: ['session'] } });
+  disabled.isRunning = true;
+  disabled.setSessionCookies([sessionCookie('a', HOUR)]);
+  assert.strictEqual(disabled.renewalTimer, null);
+
+  const idle = createDetector();
+  idle.setSessionCookies([sessionCookie('a', HOUR)]);
+  assert.strictEqual(idle.renewalTimer, null);
+}
+
+/**
+ * Run the test
+ */
+async function runTest() {
+  console.log('Starting test of session renewal...');
+
+  await testRenewalInNewContext();
+  await testBrowserlessRenewal();
+  testNotScheduled();
+
+  console.log('Test completed successfully');
+}
+
+// Run the test
+if (require.main === module) {
+  runTest().catch(error => {
+    console.error('Test failed:', error);
+    process.exit(1);
+  });
+}
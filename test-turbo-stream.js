@@ -0,0 +1,99 @@
+/**
+ * Test script for the turbo-stream decoder
+ *
+ * This script decodes the recorded leads.data fixtures and verifies that the
+ * detector's change detection sees real lead records with stable IDs.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+
+const { decodeTurboStream, decodeRouteData } = require('./turbo-stream');
+const { LeadDetector } = require('./lead-detector');
+
+const ROUTE_ID = 'routes/_app/leads/_leads';
+
+const TEST_CONFIG = {
+  urls: {
+    leads: 'https://tradiecore.hipages.com.au/leads',
+    leadsData: 'https://tradiecore.hipages.com.au/leads.data?_routes=routes%2F_app%2Fleads%2F_leads'
+  },
+  cookieStorage: {
+    enabled: false,
+    path: './test-cookies.json'
+  }
+};
+
+function loadFixture(name) {
+  return fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+}
+
+/**
+ * Run the test
+ */
+function runTest() {
+  console.log('Starting test of turbo-stream decoder...');
+
+  // Primitives, special values and typed values
+  const decoded = decodeTurboStream(
+    '[{"_1":2,"_3":-5,"_4":-7,"_5":6,"_7":8,"_9":10},"a",1,"b","c","s",["S",2],"m",["M",1,2],"d",["D",0]]'
+  );
+  assert.strictEqual(decoded.a, 1);
+  assert.strictEqual(decoded.b, null);
+  assert.ok('c' in decoded && decoded.c === undefined);
+  assert.deepStrictEqual([...decoded.s], [1]);
+  assert.strictEqual(decoded.m.get('a'), 1);
+  assert.strictEqual(decoded.d.getTime(), 0);
+
+  assert.throws(() => decodeTurboStream(''), SyntaxError);
+  assert.throws(() => decodeTurboStream('{"leads":[]}'), SyntaxError);
+  assert.throws(() => decodeTurboStream('[{"id":"lead-1"}]'), /Invalid turbo-stream object key: id/);
+  assert.throws(() => decodeRouteData('[1,2]', ROUTE_ID), /not single-fetch route data/);
+
+  // Recorded leads list
+  const initial = decodeRouteData(loadFixture('leads-data-initial.txt'), ROUTE_ID);
+  assert.deepStrictEqual(initial.leads.map(lead => lead.id), [48213377, 48213120]);
+  assert.strictEqual(initial.leads[0].customer.firstName, 'Sarah');
+  assert.strictEqual(initial.leads[1].jobType, 'Gas Fitting');
+  assert.ok(initial.leads[0].createdAt instanceof Date);
+
+  // Deferred leads resolved on a later line
+  const deferred = decodeRouteData(loadFixture('leads-data-deferred.txt'), ROUTE_ID);
+  assert.deepStrictEqual(deferred.leads, initial.leads);
+
+  assert.strictEqual(decodeRouteData(loadFixture('leads-data-initial.txt'), 'routes/other'), null);
+
+  // Change detection on decoded records
+  const detector = new LeadDetector(TEST_CONFIG);
+  const previousArray = detector.parseLeadsData(loadFixture('leads-data-initial.txt'));
+  const currentArray = detector.parseLeadsData(loadFixture('leads-data-new-lead.txt'));
+  assert.strictEqual(previousArray.length, 2);
+  assert.strictEqual(currentArray.length, 3);
+
+  const { hasChanges, newLeads } = detector.detectLeadChanges(
+    loadFixture('leads-data-initial.txt'),
+    loadFixture('leads-data-new-lead.txt'),
+    previousArray,
+    currentArray
+  );
+  assert.strictEqual(hasChanges, true);
+  assert.deepStrictEqual(newLeads.map(lead => lead.id), [48214001]);
+
+  // Plain JSON is still accepted
+  assert.deepStrictEqual(detector.parseLeadsData('{"leads":[{"id":"lead-1"}]}'), [{ id: 'lead-1' }]);
+  assert.deepStrictEqual(detector.parseLeadsData('[{"id":"lead-1"},{"id":"lead-2"}]'), [{ id: 'lead-1' }, { id: 'lead-2' }]);
+  assert.strictEqual(detector.parseLeadsData('<html></html>'), null);
+
+  console.log('Test completed successfully');
+}
+
+// Run the test
+if (require.main === module) {
+  try {
+    runTest();
+  } catch (error) {
+    console.error('Test failed:', error);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,117 @@
+/**
+ * Test script for multiple webhook destinations
+ *
+ * This script routes leads to several local HTTP servers with different
+ * filters, one of which always fails, and verifies each destination gets only
+ * its leads and is tracked as a separate delivery.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+const { LeadDetector } = require('./lead-detector');
+const { getLeadFields, matchesLeadFilter } = require('./lead-filter');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const LEADS = [
+  { id: 1, jobType: 'Plumbing', suburb: 'Parramatta', postcode: '2150', description: 'Leaking tap' },
+  { id: 2, category: { id: 7, name: 'Gas Fitting' }, suburb: 'Ryde', postcode: '2112', description: 'Install gas cooktop' },
+  { id: 'lead-3', name: 'Hot water', location: 'Chatswood, 2067', jobType: 'Plumbing' }
+];
+
+function startServer(statusCode, received) {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push(JSON.parse(body));
+      res.writeHead(statusCode);
+      res.end();
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+/**
+ * Run the test
+ */
+async function runTest() {
+  console.log('Starting test of webhook destinations...');
+
+  // Lead field normalization and filters
+  assert.deepStrictEqual(
+    { ...getLeadFields(LEADS[2]), text: undefined },
+    { name: 'Hot water', jobType: 'Plumbing', suburb: 'Chatswood', postcode: '2067', text: undefined }
+  );
+  assert.strictEqual(getLeadFields(LEADS[1]).jobType, 'Gas Fitting');
+  assert.ok(matchesLeadFilter(LEADS[0], null));
+  assert.ok(matchesLeadFilter(LEADS[0], { jobTypes: ['plumbing'], postcodes: ['2000-2199'] }));
+  assert.ok(!matchesLeadFilter(LEADS[0], { jobTypes: ['plumbing'], postcodes: ['2200-2299'] }));
+  assert.ok(matchesLeadFilter(LEADS[1], { keywords: ['cooktop'] }));
+  assert.ok(!matchesLeadFilter(LEADS[1], { suburbs: ['Parramatta', 'Chatswood'] }));
+
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhook-destinations-'));
+  const plumbing = [];
+  const gas = [];
+  const crm = [];
+  const servers = [
+    await startServer(200, plumbing),
+    await startServer(500, gas),
+    await startServer(200, crm)
+  ];
+  const urlFor = (server) => `http://127.0.0.1:${server.address().port}/webhook`;
+
+  const detector = new LeadDetector({
+    webhook: {
+      headers: { 'Content-Type': 'application/json' },
+      destinations: [
+        { name: 'plumbing-crew', url: urlFor(servers[0]), filter: { jobTypes: ['Plumbing'] } },
+        { name: 'gas-crew', url: urlFor(servers[1]), timeout: 2000, filter: { jobTypes: ['Gas Fitting'] } },
+        { name: 'crm', url: urlFor(servers[2]) }
+      ]
+    },
+    cookieStorage: { enabled: false, path: './test-cookies.json' },
+    outbox: { enabled: true, dataDir, maxAttempts: 2, checkInterval: 20 }
+  });
+  detector.outbox.getRetryDelay = () => 10;
+
+  try {
+    detector.outbox.start();
+    await detector.sendWebhookNotification({ event: 'new_leads_detected', method: 'polling', leads: LEADS });
+    await sleep(300);
+
+    assert.deepStrictEqual(plumbing.map(payload => payload.leads.map(lead => lead.id)), [[1, 'lead-3']]);
+    assert.deepStrictEqual(crm.map(payload => payload.leads.length), [3]);
+
+    // The failing destination is retried and dead-lettered on its own
+    assert.strictEqual(gas.length, 2);
+    const deadLetters = fs.readFileSync(path.join(dataDir, 'dead-letter.jsonl'), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    assert.strictEqual(deadLetters.length, 1);
+    assert.strictEqual(deadLetters[0].meta.destination, 'gas-crew');
+
+    // Without the outbox, every destination is still attempted
+    detector.outbox.stop();
+    detector.outbox = null;
+    assert.strictEqual(await detector.sendWebhookNotification({ event: 'new_leads_detected', leads: [LEADS[1]] }), false);
+    assert.strictEqual(gas.length, 3);
+    assert.strictEqual(crm.length, 2);
+
+    console.log('Test completed successfully');
+  } finally {
+    if (detector.outbox) detector.outbox.stop();
+    servers.forEach(server => server.close());
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+}
+
+// Run the test
+if (require.main === module) {
+  runTest().catch(error => {
+    console.error('Test failed:', error);
+    process.exit(1);
+  });
+}
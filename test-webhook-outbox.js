@@ -0,0 +1,122 @@
+/**
+ * Test script for the durable webhook outbox
+ *
+ * This script delivers notifications to a local HTTP server that fails on
+ * purpose, and verifies retries, attempt history, dead-lettering and redrive.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+const { LeadDetector } = require('./lead-detector');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Run the test
+ */
+async function runTest() {
+  console.log('Starting test of webhook outbox...');
+
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhook-outbox-'));
+  const received = [];
+  let failuresLeft = 2;
+
+  // Answers 503 until failuresLeft runs out
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      if (failuresLeft > 0) {
+        failuresLeft--;
+        res.writeHead(503);
+        res.end();
+        return;
+      }
+      received.push(JSON.parse(body));
+      res.writeHead(200);
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  const detector = new LeadDetector({
+    webhook: {
+      url: `http://127.0.0.1:${server.address().port}/webhook`,
+      headers: { 'Content-Type': 'application/json' },
+      timeout: 2000
+    },
+    cookieStorage: { enabled: false, path: './test-cookies.json' },
+    outbox: { enabled: true, dataDir, maxAttempts: 3, baseRetryDelay: 10, maxRetryDelay: 50, checkInterval: 20 }
+  });
+  // No jitter so the test runs quickly
+  detector.outbox.getRetryDelay = () => 10;
+
+  try {
+    detector.outbox.start();
+
+    // Fails twice, then succeeds on the third attempt
+    assert.strictEqual(await detector.sendWebhookNotification({ event: 'new_leads_detected', leads: [{ id: 1 }] }), true);
+    await sleep(300);
+    assert.strictEqual(received.length, 1);
+    assert.deepStrictEqual(received[0].leads, [{ id: 1 }]);
+    assert.strictEqual(detector.outbox.listDeliveries().length, 0);
+
+    // Fails every attempt and ends up in the dead-letter file
+    failuresLeft = 3;
+    await detector.sendWebhookNotification({ event: 'new_leads_detected', leads: [{ id: 2 }] });
+    await sleep(300);
+    assert.strictEqual(received.length, 1);
+
+    const deadLetters = fs.readFileSync(path.join(dataDir, 'dead-letter.jsonl'), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    assert.strictEqual(deadLetters.length, 1);
+    assert.deepStrictEqual(deadLetters[0].attempts.map(attempt => attempt.statusCode), [503, 503, 503]);
+
+    // Re-driven deliveries go out again with their history intact
+    assert.strictEqual(detector.outbox.redriveDeadLetters(), 1);
+    assert.ok(!fs.existsSync(path.join(dataDir, 'dead-letter.jsonl')));
+    await sleep(300);
+    assert.strictEqual(received.length, 2);
+    assert.deepStrictEqual(received[1].leads, [{ id: 2 }]);
+
+    // Network errors are recorded as attempts too
+    server.close();
+    detector.config.webhook.url = 'http://127.0.0.1:1/webhook';
+    await detector.sendWebhookNotification({ event: 'new_leads_detected', leads: [{ id: 3 }] });
+    await sleep(300);
+    const [failed] = fs.readFileSync(path.join(dataDir, 'dead-letter.jsonl'), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    assert.strictEqual(failed.attempts.length, 3);
+    assert.ok(failed.attempts.every(attempt => attempt.error));
+
+    // A failing tick is logged and the background loop keeps going
+    const listDeliveries = detector.outbox.listDeliveries.bind(detector.outbox);
+    const errors = [];
+    let listings = 0;
+    detector.outbox.logger.error = (message) => errors.push(message);
+    detector.outbox.listDeliveries = () => {
+      listings++;
+      if (listings === 1) throw new Error('EACCES: permission denied');
+      return listDeliveries();
+    };
+    await sleep(200);
+    assert.deepStrictEqual(errors, ['Error processing webhook outbox']);
+    assert.ok(listings > 2, `Outbox checked ${listings} times`);
+
+    console.log('Test completed successfully');
+  } finally {
+    detector.outbox.stop();
+    server.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+}
+
+// Run the test
+if (require.main === module) {
+  runTest().catch(error => {
+    console.error('Test failed:', error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,82 @@
+/**
+ * Test script for signed webhook payloads
+ *
+ * This script sends a signed notification to a local HTTP server and checks
+ * it with the verification helper, including tampering and replay cases.
+ */
+
+const assert = require('assert');
+const http = require('http');
+
+const { LeadDetector, createWebhookVerifier } = require('./lead-detector');
+
+const SECRET = 'test-webhook-secret';
+
+/**
+ * Run the test
+ */
+async function runTest() {
+  console.log('Starting test of webhook signatures...');
+
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body });
+      res.writeHead(200);
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  const detector = new LeadDetector({
+    webhook: {
+      url: `http://127.0.0.1:${server.address().port}/webhook`,
+      headers: { 'Content-Type': 'application/json' },
+      secret: SECRET
+    },
+    cookieStorage: { enabled: false, path: './test-cookies.json' }
+  });
+
+  try {
+    assert.strictEqual(await detector.deliverWebhook({ event: 'new_leads_detected', leads: [{ id: 1 }] }, 'delivery-1'), 200);
+
+    const [{ headers, body }] = requests;
+    assert.strictEqual(headers['x-lead-detector-delivery'], 'delivery-1');
+    assert.match(headers['x-lead-detector-signature'], /^sha256=[0-9a-f]{64}$/);
+
+    const verify = createWebhookVerifier({ secret: SECRET, toleranceSeconds: 300 });
+
+    // Tampered body and wrong secret
+    assert.strictEqual(verify(headers, body.replace('"id":1', '"id":2')).reason, 'invalid_signature');
+    assert.strictEqual(createWebhookVerifier({ secret: 'other' })(headers, body).reason, 'invalid_signature');
+
+    // Valid once, then rejected as a replay
+    assert.deepStrictEqual(verify(headers, body), { valid: true, deliveryId: 'delivery-1' });
+    assert.strictEqual(verify(headers, body).reason, 'replayed_delivery');
+
+    // Too old, and missing headers
+    const later = (Number(headers['x-lead-detector-timestamp']) + 301) * 1000;
+    assert.strictEqual(verify(headers, body, later).reason, 'timestamp_out_of_tolerance');
+    assert.strictEqual(verify({}, body).reason, 'missing_headers');
+
+    // Without a secret only the delivery ID is sent
+    detector.config.webhook.secret = undefined;
+    await detector.deliverWebhook({ event: 'new_leads_detected', leads: [] });
+    assert.ok(requests[1].headers['x-lead-detector-delivery']);
+    assert.strictEqual(requests[1].headers['x-lead-detector-signature'], undefined);
+
+    console.log('Test completed successfully');
+  } finally {
+    server.close();
+  }
+}
+
+// Run the test
+if (require.main === module) {
+  runTest().catch(error => {
+    console.error('Test failed:', error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,82 @@
+/**
+ * Test script for webhook body templates
+ *
+ * This script renders the detector payload through batch and per-lead
+ * templates and verifies field renaming, dropping and type preservation.
+ */
+
+const assert = require('assert');
+
+const { renderTemplate, buildWebhookBodies } = require('./webhook-template');
+
+const DATA = {
+  event: 'new_leads_detected',
+  method: 'polling',
+  timestamp: '2025-04-25T02:39:56.000Z',
+  leads: [
+    { id: 48213377, customer: { firstName: 'Sarah' }, jobType: 'Plumbing', suburb: 'Parramatta', postcode: '2150', html: '<div>' },
+    { id: 'lead-2', name: 'Tom', location: 'Ryde, 2112', jobType: 'Gas Fitting', html: '<div>' }
+  ]
+};
+
+/**
+ * Run the test
+ */
+function runTest() {
+  console.log('Starting test of webhook body templates...');
+
+  // Placeholders keep types when used alone and interpolate otherwise
+  assert.deepStrictEqual(
+    renderTemplate({ id: '{{id}}', label: 'Lead {{id}} in {{where.suburb}}', missing: '{{nope}}', list: ['{{id}}'] }, { id: 7, where: { suburb: 'Ryde' } }),
+    { id: 7, label: 'Lead 7 in Ryde', list: [7] }
+  );
+
+  // No body config leaves the payload untouched
+  assert.deepStrictEqual(buildWebhookBodies(DATA, null), [DATA]);
+
+  // Dropping fields in batch mode
+  const [batch] = buildWebhookBodies(DATA, { omitFields: ['html'] });
+  assert.strictEqual(batch.event, 'new_leads_detected');
+  assert.ok(batch.leads.every(lead => !('html' in lead)));
+
+  // Renaming fields, with normalized fields available for every lead shape
+  const [renamed] = buildWebhookBodies(DATA, {
+    leadTemplate: { leadId: '{{id}}', job: '{{fields.jobType}}', where: '{{fields.suburb}} {{fields.postcode}}' },
+    template: { type: '{{event}}', total: '{{count}}', items: '{{leads}}' }
+  });
+  assert.deepStrictEqual(renamed, {
+    type: 'new_leads_detected',
+    total: 2,
+    items: [
+      { leadId: 48213377, job: 'Plumbing', where: 'Parramatta 2150' },
+      { leadId: 'lead-2', job: 'Gas Fitting', where: 'Ryde 2112' }
+    ]
+  });
+
+  // One body per lead
+  const perLead = buildWebhookBodies(DATA, { mode: 'per_lead', omitFields: ['html'] });
+  assert.strictEqual(perLead.length, 2);
+  assert.deepStrictEqual(Object.keys(perLead[0]), ['event', 'method', 'timestamp', 'lead']);
+  assert.strictEqual(perLead[1].lead.name, 'Tom');
+
+  const perLeadTemplated = buildWebhookBodies(DATA, {
+    mode: 'per_lead',
+    template: { text: 'New {{lead.jobType}} lead ({{position}} of {{total}})' }
+  });
+  assert.deepStrictEqual(perLeadTemplated.map(body => body.text), [
+    'New Plumbing lead (1 of 2)',
+    'New Gas Fitting lead (2 of 2)'
+  ]);
+
+  console.log('Test completed successfully');
+}
+
+// Run the test
+if (require.main === module) {
+  try {
+    runTest();
+  } catch (error) {
+    console.error('Test failed:', error);
+    process.exit(1);
+  }
+}
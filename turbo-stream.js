@@ -0,0 +1,242 @@
+/**
+ * Turbo-stream decoder for Remix single-fetch responses
+ *
+ * The `.data` endpoints served by Remix (e.g. leads.data?_routes=...) do not
+ * return plain JSON. They return a turbo-stream: newline-delimited lines where
+ * the first line is a flattened value table and any following lines resolve
+ * or reject deferred promises (`P<id>:...` / `E<id>:...`).
+ *
+ * This module rebuilds the original values from a complete response body so
+ * the detector can work with real lead objects instead of regex matches.
+ */
+
+// Special indices used in place of a value table reference
+const HOLE = -1;
+const NAN = -2;
+const NEGATIVE_INFINITY = -3;
+const NEGATIVE_ZERO = -4;
+const NULL = -5;
+const POSITIVE_INFINITY = -6;
+const UNDEFINED = -7;
+
+// Type tags for values encoded as ["<tag>", ...]
+const TYPE_BIGINT = 'B';
+const TYPE_DATE = 'D';
+const TYPE_ERROR = 'E';
+const TYPE_MAP = 'M';
+const TYPE_NULL_OBJECT = 'N';
+const TYPE_PROMISE = 'P';
+const TYPE_REGEXP = 'R';
+const TYPE_SET = 'S';
+const TYPE_SYMBOL = 'Y';
+const TYPE_URL = 'U';
+const TYPE_PREVIOUS_RESOLVED = 'Z';
+
+/**
+ * Decode a complete turbo-stream response body
+ *
+ * Deferred promises are replaced by the value they resolved with (or an Error
+ * if they were rejected). Promises that never settled in the body decode to
+ * undefined.
+ */
+function decodeTurboStream(text) {
+  if (typeof text !== 'string') {
+    throw new TypeError('Turbo-stream body must be a string');
+  }
+
+  const lines = text.split('\n').filter(line => line.trim() !== '');
+
+  if (lines.length === 0) {
+    throw new SyntaxError('Empty turbo-stream body');
+  }
+
+  const values = [];
+  const hydrated = new Map();
+  const settled = new Map();
+
+  // Add a flattened line to the shared value table and return its root index
+  const appendLine = (parsed) => {
+    if (typeof parsed === 'number') {
+      return parsed;
+    }
+
+    if (!Array.isArray(parsed) || parsed.length === 0) {
+      throw new SyntaxError('Invalid turbo-stream line');
+    }
+
+    const startIndex = values.length;
+    values.push(...parsed);
+    return startIndex;
+  };
+
+  const rootIndex = appendLine(JSON.parse(lines[0]));
+
+  // Later lines settle deferred values; they share the same value table
+  for (const line of lines.slice(1)) {
+    const type = line[0];
+    const colonIndex = line.indexOf(':');
+
+    if ((type !== TYPE_PROMISE && type !== TYPE_ERROR) || colonIndex === -1) {
+      throw new SyntaxError(`Unexpected turbo-stream line: ${line.substring(0, 50)}`);
+    }
+
+    const deferredId = Number(line.slice(1, colonIndex));
+    const index = appendLine(JSON.parse(line.slice(colonIndex + 1)));
+    settled.set(deferredId, { rejected: type === TYPE_ERROR, index });
+  }
+
+  const hydrate = (index) => {
+    switch (index) {
+      case UNDEFINED: return undefined;
+      case NULL: return null;
+      case NAN: return NaN;
+      case POSITIVE_INFINITY: return Infinity;
+      case NEGATIVE_INFINITY: return -Infinity;
+      case NEGATIVE_ZERO: return -0;
+    }
+
+    if (hydrated.has(index)) {
+      return hydrated.get(index);
+    }
+
+    const value = values[index];
+
+    if (!value || typeof value !== 'object') {
+      hydrated.set(index, value);
+      return value;
+    }
+
+    if (Array.isArray(value)) {
+      if (typeof value[0] === 'string') {
+        return hydrateTyped(index, value);
+      }
+
+      const array = [];
+      hydrated.set(index, array);
+      value.forEach((itemIndex, i) => {
+        if (itemIndex !== HOLE) {
+          array[i] = hydrate(itemIndex);
+        }
+      });
+      return array;
+    }
+
+    const object = {};
+    hydrated.set(index, object);
+    hydrateEntries(object, value);
+    return object;
+  };
+
+  // Object keys are encoded as "_<index of key string>"
+  const hydrateEntries = (target, encoded) => {
+    for (const [key, valueIndex] of Object.entries(encoded)) {
+      // Plain JSON objects (e.g. a JSON array of records) have real keys
+      if (!/^_\d+$/.test(key)) {
+        throw new SyntaxError(`Invalid turbo-stream object key: ${key.substring(0, 50)}`);
+      }
+      target[hydrate(Number(key.slice(1)))] = hydrate(valueIndex);
+    }
+  };
+
+  const hydrateTyped = (index, value) => {
+    const [type, b, c] = value;
+    let result;
+
+    switch (type) {
+      case TYPE_DATE:
+        result = new Date(b);
+        break;
+      case TYPE_URL:
+        result = new URL(b);
+        break;
+      case TYPE_BIGINT:
+        result = BigInt(b);
+        break;
+      case TYPE_REGEXP:
+        result = new RegExp(b, c);
+        break;
+      case TYPE_SYMBOL:
+        result = Symbol.for(b);
+        break;
+      case TYPE_SET:
+        result = new Set();
+        hydrated.set(index, result);
+        value.slice(1).forEach(itemIndex => result.add(hydrate(itemIndex)));
+        return result;
+      case TYPE_MAP:
+        result = new Map();
+        hydrated.set(index, result);
+        for (let i = 1; i < value.length; i += 2) {
+          result.set(hydrate(value[i]), hydrate(value[i + 1]));
+        }
+        return result;
+      case TYPE_NULL_OBJECT:
+        result = Object.create(null);
+        hydrated.set(index, result);
+        hydrateEntries(result, b);
+        return result;
+      case TYPE_PROMISE: {
+        const deferred = settled.get(b);
+        if (!deferred) {
+          result = undefined;
+          break;
+        }
+        // Guard against a deferred value that refers back to itself
+        hydrated.set(index, undefined);
+        const resolved = hydrate(deferred.index);
+        result = deferred.rejected && !(resolved instanceof Error)
+          ? new Error(String(resolved))
+          : resolved;
+        break;
+      }
+      case TYPE_ERROR:
+        result = new Error(b);
+        if (c) result.name = c;
+        break;
+      case TYPE_PREVIOUS_RESOLVED:
+        result = hydrate(b);
+        break;
+      // Remix single-fetch plugin types
+      case 'SingleFetchClassInstance':
+        result = hydrate(b);
+        break;
+      case 'SingleFetchFallback':
+        result = undefined;
+        break;
+      default:
+        throw new SyntaxError(`Unknown turbo-stream type: ${type}`);
+    }
+
+    hydrated.set(index, result);
+    return result;
+  };
+
+  return hydrate(rootIndex);
+}
+
+/**
+ * Decode a Remix single-fetch body and return the loader data for one route
+ *
+ * Returns null when the body has no data for the route (e.g. the loader threw
+ * or the response is a redirect).
+ *
+ * @throws {SyntaxError} If the body is not a single-fetch turbo-stream, whose
+ *   root is always an object keyed by route ID
+ */
+function decodeRouteData(text, routeId) {
+  const decoded = decodeTurboStream(text);
+
+  if (!decoded || typeof decoded !== 'object' || Array.isArray(decoded)) {
+    throw new SyntaxError('Turbo-stream body is not single-fetch route data');
+  }
+
+  const routeResult = decoded[routeId];
+
+  if (!routeResult || typeof routeResult !== 'object' || !('data' in routeResult)) {
+    return null;
+  }
+
+  return routeResult.data;
+}
+
+module.exports = { decodeTurboStream, decodeRouteData };
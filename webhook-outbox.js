@@ -0,0 +1,264 @@
+/**
+ * Durable webhook outbox
+ *
+ * Every notification is written to disk before it is sent, one file per
+ * delivery under `<dataDir>/outbox`. Failed deliveries are retried with
+ * exponential backoff and keep a history of every attempt. Deliveries that
+ * still fail after `maxAttempts` are appended to `<dataDir>/dead-letter.jsonl`
+ * and can be re-driven with `redriveDeadLetters()`.
+ *
+ * Because the queue lives in a directory rather than in memory, a separate
+ * process (e.g. the redrive command) can add deliveries while the detector
+ * is running.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createLogger } = require('./logger');
+
+class WebhookOutbox {
+  /**
+   * @param {Object} options
+   * @param {string} options.dataDir - Directory for the outbox and dead-letter file
+   * @param {Function} options.deliver - async (payload, delivery) => HTTP status code
+   * @param {number} options.maxAttempts - Attempts before a delivery is dead-lettered
+   * @param {number} options.baseRetryDelay - Delay before the first retry
+   * @param {number} options.maxRetryDelay - Upper bound for the retry delay
+   * @param {number} options.checkInterval - How often to look for due deliveries
+   * @param {Logger} options.logger
+   */
+  constructor(options) {
+    this.dataDir = path.resolve(process.cwd(), options.dataDir);
+    this.outboxDir = path.join(this.dataDir, 'outbox');
+    this.deadLetterPath = path.join(this.dataDir, 'dead-letter.jsonl');
+    this.deliver = options.deliver;
+    this.maxAttempts = options.maxAttempts || 8;
+    this.baseRetryDelay = options.baseRetryDelay || 5000;
+    this.maxRetryDelay = options.maxRetryDelay || 600000;
+    this.checkInterval = options.checkInterval || 1000;
+    this.logger = options.logger || createLogger();
+    this.timer = null;
+    this.processing = false;
+    this.rerunRequested = false;
+
+    fs.mkdirSync(this.outboxDir, { recursive: true });
+  }
+
+  /**
+   * Start processing due deliveries in the background
+   */
+  start() {
+    if (this.timer) return;
+
+    const tick = async () => {
+      try {
+        await this.processDue();
+      } catch (error) {
+        // e.g. the outbox directory became unwritable; keep retrying
+        this.logger.error('Error processing webhook outbox', error);
+      } finally {
+        if (this.timer) {
+          this.timer = setTimeout(tick, this.checkInterval);
+        }
+      }
+    };
+
+    this.timer = setTimeout(tick, 0);
+  }
+
+  /**
+   * Stop background processing. Pending deliveries stay on disk.
+   */
+  stop() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Persist a new delivery and try to send it straight away
+   */
+  enqueue(payload, meta = {}) {
+    const delivery = {
+      id: crypto.randomUUID(),
+      createdAt: new Date().toISOString(),
+      nextAttemptAt: Date.now(),
+      meta,
+      payload,
+      attempts: []
+    };
+
+    this.writeDelivery(delivery);
+    this.logger.info('Webhook delivery queued', { deliveryId: delivery.id, destination: meta.destination });
+
+    // Don't wait for the next tick. Other due deliveries may be sent too, so
+    // don't log them under the caller's correlation IDs.
+    this.logger.withNewContext({}, () => this.processDue()).catch(error => {
+      this.logger.error('Error processing webhook outbox', error);
+    });
+
+    return delivery.id;
+  }
+
+  /**
+   * Attempt every delivery whose retry time has passed
+   */
+  async processDue() {
+    if (this.processing) {
+      this.rerunRequested = true;
+      return;
+    }
+
+    this.processing = true;
+
+    try {
+      do {
+        this.rerunRequested = false;
+        const now = Date.now();
+        const due = this.listDeliveries().filter(delivery => delivery.nextAttemptAt <= now);
+
+        for (const delivery of due) {
+          await this.attempt(delivery);
+        }
+      } while (this.rerunRequested);
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  /**
+   * Make one delivery attempt and record the outcome
+   */
+  async attempt(delivery) {
+    const attempt = { at: new Date().toISOString(), statusCode: null, error: null };
+
+    try {
+      attempt.statusCode = await this.deliver(delivery.payload, delivery);
+    } catch (error) {
+      attempt.error = error.message;
+    }
+
+    delivery.attempts.push(attempt);
+    // Attempts made since the delivery was queued or last re-driven
+    const attemptCount = delivery.attempts.length - (delivery.redriveAttemptOffset || 0);
+
+    if (attempt.statusCode >= 200 && attempt.statusCode < 300) {
+      this.removeDelivery(delivery.id);
+      this.logger.info('Webhook delivery succeeded', { deliveryId: delivery.id, attempts: delivery.attempts.length });
+      return true;
+    }
+
+    const reason = attempt.error || `HTTP ${attempt.statusCode}`;
+
+    if (attemptCount >= this.maxAttempts) {
+      this.deadLetter(delivery);
+      this.logger.error('Webhook delivery failed, moved to dead-letter file', { deliveryId: delivery.id, reason, attempts: attemptCount });
+      return false;
+    }
+
+    const retryDelay = this.getRetryDelay(attemptCount);
+    delivery.nextAttemptAt = Date.now() + retryDelay;
+    this.writeDelivery(delivery);
+    this.logger.warn('Webhook delivery failed, retrying', { deliveryId: delivery.id, reason, retryInMs: Math.round(retryDelay) });
+    return false;
+  }
+
+  /**
+   * Calculate the delay before the next attempt
+   */
+  getRetryDelay(attemptCount) {
+    const delay = Math.min(
+      this.baseRetryDelay * Math.pow(2, attemptCount - 1),
+      this.maxRetryDelay
+    );
+    // Add some jitter so queued deliveries don't all retry together
+    return delay + Math.random() * 1000;
+  }
+
+  /**
+   * Move a delivery from the outbox to the dead-letter file
+   */
+  deadLetter(delivery) {
+    const entry = { ...delivery, deadLetteredAt: new Date().toISOString() };
+    delete entry.nextAttemptAt;
+    fs.appendFileSync(this.deadLetterPath, JSON.stringify(entry) + '\n');
+    this.removeDelivery(delivery.id);
+  }
+
+  /**
+   * Put every dead-lettered delivery back in the outbox
+   *
+   * Attempt history is kept; each re-driven delivery gets a fresh set of
+   * `maxAttempts` retries. Returns the number of deliveries re-driven.
+   */
+  redriveDeadLetters() {
+    if (!fs.existsSync(this.deadLetterPath)) {
+      return 0;
+    }
+
+    // Take the file out of the way first so new dead letters aren't lost
+    const claimedPath = `${this.deadLetterPath}.${process.pid}.redrive`;
+    fs.renameSync(this.deadLetterPath, claimedPath);
+
+    const lines = fs.readFileSync(claimedPath, 'utf8').split('\n').filter(line => line.trim());
+    let count = 0;
+
+    for (const line of lines) {
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        this.logger.warn('Skipping unreadable dead-letter entry');
+        continue;
+      }
+
+      const { deadLetteredAt, ...delivery } = entry;
+      delivery.redrives = [...(delivery.redrives || []), { deadLetteredAt, redrivenAt: new Date().toISOString() }];
+      delivery.redriveAttemptOffset = delivery.attempts.length;
+      delivery.nextAttemptAt = Date.now();
+      this.writeDelivery(delivery);
+      count++;
+    }
+
+    fs.unlinkSync(claimedPath);
+    return count;
+  }
+
+  /**
+   * Read all pending deliveries, oldest first
+   */
+  listDeliveries() {
+    const deliveries = [];
+
+    for (const fileName of fs.readdirSync(this.outboxDir)) {
+      if (!fileName.endsWith('.json')) continue;
+
+      try {
+        deliveries.push(JSON.parse(fs.readFileSync(path.join(this.outboxDir, fileName), 'utf8')));
+      } catch (error) {
+        // Deleted by another attempt or a partial write; it will be retried next tick
+        continue;
+      }
+    }
+
+    return deliveries.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  /**
+   * Write a delivery file atomically
+   */
+  writeDelivery(delivery) {
+    const filePath = path.join(this.outboxDir, `${delivery.id}.json`);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(delivery, null, 2));
+    fs.renameSync(tempPath, filePath);
+  }
+
+  removeDelivery(id) {
+    fs.rmSync(path.join(this.outboxDir, `${id}.json`), { force: true });
+  }
+}
+
+module.exports = { WebhookOutbox };
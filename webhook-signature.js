@@ -0,0 +1,109 @@
+/**
+ * Webhook signing and verification
+ *
+ * Each webhook request carries three headers:
+ * - X-Lead-Detector-Delivery: unique delivery ID (the same for every retry)
+ * - X-Lead-Detector-Timestamp: Unix time in seconds when the attempt was made
+ * - X-Lead-Detector-Signature: "sha256=" + HMAC-SHA256 of "<timestamp>.<body>"
+ *
+ * Receivers should verify the signature against the raw request body, reject
+ * timestamps outside a short tolerance and reject delivery IDs they have
+ * already accepted. `createWebhookVerifier()` does all three.
+ */
+
+const crypto = require('crypto');
+
+const SIGNATURE_HEADER = 'x-lead-detector-signature';
+const TIMESTAMP_HEADER = 'x-lead-detector-timestamp';
+const DELIVERY_HEADER = 'x-lead-detector-delivery';
+
+/**
+ * Compute the signature for a request body
+ */
+function signWebhookBody(secret, timestamp, body) {
+  const hmac = crypto.createHmac('sha256', secret);
+  hmac.update(`${timestamp}.${body}`);
+  return `sha256=${hmac.digest('hex')}`;
+}
+
+/**
+ * Build the signing headers for one delivery attempt
+ */
+function createSignatureHeaders(secret, deliveryId, body, now = Date.now()) {
+  const timestamp = Math.floor(now / 1000);
+
+  return {
+    'X-Lead-Detector-Delivery': deliveryId,
+    'X-Lead-Detector-Timestamp': String(timestamp),
+    'X-Lead-Detector-Signature': signWebhookBody(secret, timestamp, body)
+  };
+}
+
+/**
+ * Create a verifier for incoming webhook requests
+ *
+ * The returned function takes the request headers and raw body and returns
+ * `{ valid: true, deliveryId }` or `{ valid: false, reason }`. Accepted
+ * delivery IDs are remembered for the tolerance window so replays are
+ * rejected.
+ *
+ * @param {Object} options
+ * @param {string} options.secret - Shared secret configured on the detector
+ * @param {number} options.toleranceSeconds - Maximum age of a request
+ */
+function createWebhookVerifier({ secret, toleranceSeconds = 300 }) {
+  if (!secret) {
+    throw new Error('A webhook secret is required to verify signatures');
+  }
+
+  const seenDeliveries = new Map();
+
+  return function verifyWebhook(headers, rawBody, now = Date.now()) {
+    // Header names are case-insensitive
+    const lowerHeaders = {};
+    for (const [name, value] of Object.entries(headers || {})) {
+      lowerHeaders[name.toLowerCase()] = Array.isArray(value) ? value[0] : value;
+    }
+
+    const signature = lowerHeaders[SIGNATURE_HEADER];
+    const timestamp = Number(lowerHeaders[TIMESTAMP_HEADER]);
+    const deliveryId = lowerHeaders[DELIVERY_HEADER];
+
+    if (!signature || !deliveryId || !Number.isInteger(timestamp)) {
+      return { valid: false, reason: 'missing_headers' };
+    }
+
+    const nowSeconds = Math.floor(now / 1000);
+    if (Math.abs(nowSeconds - timestamp) > toleranceSeconds) {
+      return { valid: false, reason: 'timestamp_out_of_tolerance' };
+    }
+
+    const body = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : String(rawBody);
+    const expected = Buffer.from(signWebhookBody(secret, timestamp, body));
+    const actual = Buffer.from(String(signature));
+
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return { valid: false, reason: 'invalid_signature' };
+    }
+
+    // Forget deliveries old enough to fail the timestamp check anyway
+    for (const [id, seenAt] of seenDeliveries) {
+      if (nowSeconds - seenAt > toleranceSeconds * 2) {
+        seenDeliveries.delete(id);
+      }
+    }
+
+    if (seenDeliveries.has(deliveryId)) {
+      return { valid: false, reason: 'replayed_delivery' };
+    }
+
+    seenDeliveries.set(deliveryId, nowSeconds);
+    return { valid: true, deliveryId };
+  };
+}
+
+module.exports = {
+  signWebhookBody,
+  createSignatureHeaders,
+  createWebhookVerifier
+};
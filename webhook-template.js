@@ -0,0 +1,113 @@
+/**
+ * Webhook body templates
+ *
+ * By default a destination receives the detector's own payload:
+ * `{ event, method, leads, timestamp }`, plus `accountId` with several
+ * accounts. A destination's `body` option can reshape it without any
+ * processing on the receiving side:
+ *
+ * - `mode`: "batch" (default) sends one request with all leads, "per_lead"
+ *   sends one request for each lead
+ * - `omitFields`: lead fields to drop, e.g. ["html"]
+ * - `leadTemplate`: JSON mapping applied to each lead
+ * - `template`: JSON mapping applied to the whole body
+ *
+ * Mappings are plain JSON whose strings may contain `{{path}}` placeholders
+ * (dotted paths, e.g. `{{customer.firstName}}`). A string that is exactly one
+ * placeholder keeps the value's type, so `"{{leads}}"` inserts the array.
+ */
+
+const { getLeadFields } = require('./lead-filter');
+
+const PLACEHOLDER = /\{\{\s*([\w$.-]+)\s*\}\}/g;
+const SINGLE_PLACEHOLDER = /^\{\{\s*([\w$.-]+)\s*\}\}$/;
+
+/**
+ * Look up a dotted path in a context object
+ */
+function getPath(context, pathExpression) {
+  return pathExpression.split('.').reduce((value, key) => {
+    if (value === null || value === undefined) return undefined;
+    return value[key];
+  }, context);
+}
+
+/**
+ * Render a JSON mapping against a context
+ */
+function renderTemplate(template, context) {
+  if (typeof template === 'string') {
+    const single = template.match(SINGLE_PLACEHOLDER);
+    if (single) {
+      return getPath(context, single[1]);
+    }
+
+    return template.replace(PLACEHOLDER, (match, pathExpression) => {
+      const value = getPath(context, pathExpression);
+      if (value === null || value === undefined) return '';
+      if (value instanceof Date) return value.toISOString();
+      return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    });
+  }
+
+  if (Array.isArray(template)) {
+    return template.map(item => renderTemplate(item, context));
+  }
+
+  if (template && typeof template === 'object') {
+    const rendered = {};
+    for (const [key, value] of Object.entries(template)) {
+      const renderedValue = renderTemplate(value, context);
+      // Leave out fields whose placeholder had no value
+      if (renderedValue !== undefined) {
+        rendered[key] = renderedValue;
+      }
+    }
+    return rendered;
+  }
+
+  return template;
+}
+
+/**
+ * Apply omitFields and leadTemplate to a single lead
+ */
+function shapeLead(lead, bodyConfig) {
+  const omitted = { ...lead };
+  (bodyConfig.omitFields || []).forEach(field => {
+    delete omitted[field];
+  });
+
+  if (!bodyConfig.leadTemplate) {
+    return omitted;
+  }
+
+  // Normalized fields are available as {{fields.jobType}}, {{fields.suburb}}, ...
+  const { text, ...fields } = getLeadFields(lead);
+  return renderTemplate(bodyConfig.leadTemplate, { ...omitted, fields });
+}
+
+/**
+ * Build the request bodies for one notification
+ *
+ * Returns an array: one body in batch mode, one per lead in per_lead mode.
+ */
+function buildWebhookBodies(data, bodyConfig) {
+  if (!bodyConfig || !Array.isArray(data.leads)) {
+    return [data];
+  }
+
+  const leads = data.leads.map(lead => shapeLead(lead, bodyConfig));
+
+  if (bodyConfig.mode === 'per_lead') {
+    const { leads: allLeads, ...envelope } = data;
+    return leads.map((lead, index) => bodyConfig.template
+      ? renderTemplate(bodyConfig.template, { ...envelope, lead, position: index + 1, total: allLeads.length })
+      : { ...envelope, lead });
+  }
+
+  const context = { ...data, leads, count: leads.length };
+  return [bodyConfig.template ? renderTemplate(bodyConfig.template, context) : { ...data, leads }];
+}
+
+module.exports = { renderTemplate, buildWebhookBodies };